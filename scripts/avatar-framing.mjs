@@ -0,0 +1,249 @@
+#!/usr/bin/env node
+/**
+ * Avatar Framing
+ * Chooses the part of a portrait that becomes the avatar: the centered square, a square around
+ * a focal point, an explicit crop box or the head and shoulders found in the alpha channel.
+ * The chosen framing is stored per portrait in a JSON file next to the portraits, so reruns
+ * crop exactly the same way.
+ */
+
+import { dirname, join, basename } from 'path';
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import sharp from 'sharp';
+import { loadConfig } from './config-loader.mjs';
+
+export const FRAMING_MODES = ['center', 'auto', 'focus', 'crop'];
+
+const FRAMING_CONFIG = loadConfig().avatarGenerator.framing;
+
+/**
+ * Get the framing file of a portrait folder
+ * @param {string} portraitPath - Portrait image path
+ * @returns {string} Path of the framing file (e.g. source/avatars/framing.json)
+ */
+export function getFramingFilePath(portraitPath) {
+  return join(dirname(portraitPath), FRAMING_CONFIG.file);
+}
+
+/**
+ * Read all stored framings of a portrait folder
+ * @param {string} framingPath - Framing file path
+ * @returns {Object} Framings by portrait file name
+ * @throws {Error} If the file is not valid JSON
+ */
+function readFramings(framingPath) {
+  if (!existsSync(framingPath)) {
+    return {};
+  }
+  try {
+    return JSON.parse(readFileSync(framingPath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Ungültige Ausschnittsdatei ${framingPath}: ${err.message}`);
+  }
+}
+
+/**
+ * Get the stored framing of a portrait
+ * @param {string} portraitPath - Portrait image path
+ * @returns {Object|null} Framing ({ mode, crop, focus }) or null if none is stored
+ */
+export function loadStoredFraming(portraitPath) {
+  return readFramings(getFramingFilePath(portraitPath))[basename(portraitPath)] ?? null;
+}
+
+/**
+ * Store the framing of a portrait; the file is only rewritten if the framing changed
+ * @param {string} portraitPath - Portrait image path
+ * @param {Object} framing - Framing ({ mode, crop, focus })
+ */
+function storeFraming(portraitPath, framing) {
+  const framingPath = getFramingFilePath(portraitPath);
+  const framings = readFramings(framingPath);
+  const key = basename(portraitPath);
+  if (JSON.stringify(framings[key]) === JSON.stringify(framing)) {
+    return;
+  }
+  framings[key] = framing;
+  const sorted = Object.fromEntries(Object.keys(framings).sort().map((name) => [name, framings[name]]));
+  writeFileSync(framingPath, `${JSON.stringify(sorted, null, 2)}\n`, 'utf8');
+}
+
+/**
+ * Parse a focal point given as "x,y"
+ * @param {string} value - Position as fractions of width and height, e.g. "0.5,0.3"
+ * @returns {Object} { x, y }
+ * @throws {Error} If the value is not two numbers between 0 and 1
+ */
+export function parseFocus(value) {
+  const parts = String(value).split(',').map((part) => Number(part.trim()));
+  if (parts.length !== 2 || parts.some((part) => !(part >= 0 && part <= 1))) {
+    throw new Error(`Ungültiger Fokuspunkt: ${value}. Erwartet x,y zwischen 0 und 1 (z. B. 0.5,0.3)`);
+  }
+  return { x: parts[0], y: parts[1] };
+}
+
+/**
+ * Parse a crop box given as "left,top,width,height"
+ * @param {string} value - Box in portrait pixels, e.g. "120,40,760,760"
+ * @returns {Object} { left, top, width, height }
+ * @throws {Error} If the value is not four non-negative integers with a positive size
+ */
+export function parseCrop(value) {
+  const parts = String(value).split(',').map((part) => Number(part.trim()));
+  if (parts.length !== 4 || parts.some((part) => !Number.isInteger(part) || part < 0) || parts[2] === 0 || parts[3] === 0) {
+    throw new Error(`Ungültiger Ausschnitt: ${value}. Erwartet links,oben,breite,höhe in Pixeln (z. B. 120,40,760,760)`);
+  }
+  const [left, top, width, height] = parts;
+  return { left, top, width, height };
+}
+
+/**
+ * Clamp a value to a range
+ * @param {number} value - Value
+ * @param {number} min - Lower bound
+ * @param {number} max - Upper bound
+ * @returns {number} Clamped value
+ */
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+/**
+ * Largest square of the portrait centered on a focal point (moved inwards at the edges)
+ * @param {Object} dimensions - Portrait width and height
+ * @param {Object} focus - Focal point as fractions ({ x, y })
+ * @returns {Object} Crop box
+ */
+function focusToCrop({ width, height }, focus) {
+  const side = Math.min(width, height);
+  return {
+    left: clamp(Math.round(focus.x * width - side / 2), 0, width - side),
+    top: clamp(Math.round(focus.y * height - side / 2), 0, height - side),
+    width: side,
+    height: side,
+  };
+}
+
+/**
+ * Check that a crop box lies inside the portrait
+ * @param {Object} crop - Crop box
+ * @param {Object} dimensions - Portrait width and height
+ * @param {string} portraitPath - Portrait image path (for the message)
+ * @throws {Error} If the box reaches beyond the portrait
+ */
+function assertCropInside(crop, { width, height }, portraitPath) {
+  if (crop.left + crop.width > width || crop.top + crop.height > height) {
+    throw new Error(`Ausschnitt ${crop.left},${crop.top},${crop.width},${crop.height} liegt außerhalb von ${basename(portraitPath)} (${width}x${height}px)`);
+  }
+}
+
+/**
+ * Find head and shoulders in the alpha channel of a cut-out portrait
+ * Going down from the top of the subject, the head ends where the outline narrows into the
+ * neck. The square crop makes the head take up the configured share of the width and leaves
+ * some room above it, so all portraits of a team are framed alike, however tall the cut-out is.
+ * @param {string} portraitPath - Portrait image path (PNG with transparency)
+ * @returns {Promise<Object>} Crop box
+ * @throws {Error} If the portrait has no transparency or is empty
+ */
+export async function detectHeadAndShoulders(portraitPath) {
+  const metadata = await sharp(portraitPath).metadata();
+  if (!metadata.hasAlpha) {
+    throw new Error(`Automatischer Ausschnitt braucht ein freigestelltes Portrait mit Transparenz: ${basename(portraitPath)}`);
+  }
+  const { data, info } = await sharp(portraitPath)
+    .extractChannel(3)
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const { width, height } = info;
+
+  const rows = [];
+  for (let y = 0; y < height; y++) {
+    let left = -1;
+    let right = -1;
+    for (let x = 0; x < width; x++) {
+      if (data[y * width + x] >= FRAMING_CONFIG.alphaThreshold) {
+        if (left < 0) {
+          left = x;
+        }
+        right = x;
+      }
+    }
+    rows.push(left < 0 ? null : { left, right });
+  }
+
+  const top = rows.findIndex(Boolean);
+  if (top < 0) {
+    throw new Error(`Portrait ist vollständig transparent: ${basename(portraitPath)}`);
+  }
+  const bottom = rows.findLastIndex(Boolean);
+  const headRows = rows
+    .slice(top, top + Math.max(1, Math.round((bottom - top + 1) * FRAMING_CONFIG.headRegion)))
+    .filter(Boolean);
+  const rowWidth = (row) => row.right - row.left;
+  // Widest row above the neck; without a neck (e.g. a hood) the widest row of the search region.
+  // The first rows (hair, top of a cap) are too uneven to end the head.
+  const minHeadRows = Math.round(headRows.length * 0.1);
+  let head = headRows[0];
+  for (const [index, row] of headRows.entries()) {
+    if (rowWidth(row) > rowWidth(head)) {
+      head = row;
+    } else if (index >= minHeadRows && rowWidth(row) < rowWidth(head) * (1 - FRAMING_CONFIG.neckNarrowing)) {
+      break;
+    }
+  }
+
+  const headWidth = head.right - head.left + 1;
+  const side = Math.min(Math.round(headWidth / FRAMING_CONFIG.headWidth), width, height);
+  return {
+    left: clamp(Math.round((head.left + head.right) / 2 - side / 2), 0, width - side),
+    top: clamp(Math.round(top - side * FRAMING_CONFIG.headroom), 0, height - side),
+    width: side,
+    height: side,
+  };
+}
+
+/**
+ * Decide which part of a portrait becomes the avatar
+ * An explicit crop, focus or framing mode is used and stored, so reruns keep the same crop;
+ * otherwise the stored framing of the portrait, then the default mode from avatarGenerator.framing.
+ * Default framings are not stored.
+ * @param {string} portraitPath - Portrait image path
+ * @param {Object} [options] - Framing options
+ * @param {Object} [options.crop] - Crop box in portrait pixels ({ left, top, width, height })
+ * @param {Object} [options.focus] - Focal point as fractions ({ x, y })
+ * @param {string} [options.framing] - 'center' or 'auto'
+ * @param {boolean} [options.save] - Store an explicit crop, focus or framing mode (default: true)
+ * @returns {Promise<Object>} Framing ({ mode, crop, focus }); crop is missing for 'center'
+ * @throws {Error} On an unknown mode or a crop box outside the portrait
+ */
+export async function resolvePortraitFraming(portraitPath, options = {}) {
+  const dimensions = await sharp(portraitPath).metadata();
+  let framing;
+
+  if (options.crop) {
+    framing = { mode: 'crop', crop: options.crop };
+  } else if (options.focus) {
+    framing = { mode: 'focus', focus: options.focus, crop: focusToCrop(dimensions, options.focus) };
+  } else if (options.framing) {
+    framing = { mode: options.framing };
+  } else {
+    framing = loadStoredFraming(portraitPath) ?? { mode: FRAMING_CONFIG.default };
+  }
+
+  if (!FRAMING_MODES.includes(framing.mode)) {
+    throw new Error(`Unbekannter Ausschnitt: ${framing.mode}. Erlaubt: center, auto (oder --focus, --crop)`);
+  }
+  if (framing.mode === 'auto' && !framing.crop) {
+    framing = { mode: 'auto', crop: await detectHeadAndShoulders(portraitPath) };
+  }
+  if (framing.crop) {
+    assertCropInside(framing.crop, dimensions, portraitPath);
+  }
+
+  const explicit = Boolean(options.crop || options.focus || options.framing);
+  if (explicit && options.save !== false) {
+    storeFraming(portraitPath, framing);
+  }
+  return framing;
+}
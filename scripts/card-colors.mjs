@@ -0,0 +1,241 @@
+#!/usr/bin/env node
+/**
+ * Card Colors
+ * Builds the brand color palette for business cards in RGB, CMYK or with spot colors,
+ * and draws spot colors (Separation color spaces) on pdf-lib pages
+ */
+
+import {
+  rgb,
+  cmyk,
+  PDFName,
+  PDFDict,
+  PDFNumber,
+  PDFOperator,
+  PDFOperatorNames,
+  pushGraphicsState,
+  popGraphicsState,
+  rectangle,
+  fill,
+  fillAndStroke,
+  drawSvgPath as svgPathOperators,
+  beginText,
+  endText,
+  setFontAndSize,
+  setTextMatrix,
+  showText,
+} from 'pdf-lib';
+import { loadConfig, loadCmykColors, hexToRgbNormalized } from './config-loader.mjs';
+import { warn } from './misc-cli-utils.mjs';
+
+// rgb: screen colors; cmyk: process colors from colors.json; spot: cmyk plus spot color separations
+export const COLOR_SPACES = ['rgb', 'cmyk', 'spot'];
+
+// Spot color type, next to pdf-lib's Grayscale, RGB and CMYK
+export const SEPARATION = 'Separation';
+
+// Registration color prints on every separation, so crop and cut marks show up on all plates
+export const REGISTRATION_COLOR = cmyk(1, 1, 1, 1);
+
+const palettes = {};
+const warnedColors = new Set();
+
+/**
+ * Convert an RGB hex color to CMYK without a color profile
+ * Only a fallback for colors without a CMYK definition in colors.json.
+ * @param {string} hex - Hex color
+ * @returns {Object} CMYK values (0-100)
+ */
+export function hexToCmyk(hex) {
+  const { r, g, b } = hexToRgbNormalized(hex);
+  const k = 1 - Math.max(r, g, b);
+  if (k >= 1) {
+    return { c: 0, m: 0, y: 0, k: 100 };
+  }
+  const channel = (value) => Math.round(((1 - value - k) / (1 - k)) * 100);
+  return { c: channel(r), m: channel(g), y: channel(b), k: Math.round(k * 100) };
+}
+
+/**
+ * Create a spot color
+ * @param {string} name - Spot color name as known to the print shop (e.g. "PANTONE 533 C")
+ * @param {Object} alternate - pdf-lib CMYK color used by devices without that ink
+ * @param {number} [tint] - Tint (0-1)
+ * @returns {Object} Spot color
+ */
+export function spotColor(name, alternate, tint = 1) {
+  return { type: SEPARATION, name, alternate, tint };
+}
+
+/**
+ * Get the brand colors from config in a color space
+ * CMYK values come from colors.json (matched by hex). Colors without a CMYK definition are
+ * converted from RGB with a warning. In the spot color space the colors listed in
+ * businessCard.spotColors become spot colors with their CMYK values as alternate.
+ * @param {string} [colorSpace] - 'rgb', 'cmyk' or 'spot' (default from config)
+ * @returns {Object} pdf-lib colors (and spot colors) by brand color name, plus registration
+ */
+export function getCardColors(colorSpace = loadConfig().businessCard.colorSpace) {
+  if (!COLOR_SPACES.includes(colorSpace)) {
+    throw new Error(`Unbekannter Farbraum: ${colorSpace}. Erlaubt: ${COLOR_SPACES.join(', ')}`);
+  }
+  if (palettes[colorSpace]) {
+    return palettes[colorSpace];
+  }
+
+  const config = loadConfig();
+  const cmykColors = colorSpace === 'rgb' ? {} : loadCmykColors();
+  const spotColors = colorSpace === 'spot' ? config.businessCard.spotColors : {};
+
+  const createColor = (name, hex) => {
+    if (colorSpace === 'rgb') {
+      const normalized = hexToRgbNormalized(hex);
+      return rgb(normalized.r, normalized.g, normalized.b);
+    }
+
+    let values = cmykColors[hex.toUpperCase()];
+    if (!values) {
+      if (!warnedColors.has(name)) {
+        warnedColors.add(name);
+        warn(`Keine CMYK-Definition für Farbe "${name}" (${hex}) in colors.json – wird aus RGB umgerechnet`);
+      }
+      values = hexToCmyk(hex);
+    }
+    const processColor = cmyk(values.c / 100, values.m / 100, values.y / 100, values.k / 100);
+    return spotColors[name] ? spotColor(spotColors[name], processColor) : processColor;
+  };
+
+  palettes[colorSpace] = {
+    ...Object.fromEntries(Object.entries(config.brand.colors).map(([name, hex]) => [name, createColor(name, hex)])),
+    registration: REGISTRATION_COLOR,
+  };
+  return palettes[colorSpace];
+}
+
+/**
+ * Add a Separation color space for a spot color to a page's resources
+ * The color space object is shared by all pages of a document.
+ * @param {Object} page - pdf-lib page
+ * @param {Object} color - Spot color
+ * @param {Map} colorSpaceRefs - Color space references of the document by spot color name
+ * @returns {PDFName} Resource name of the color space on the page
+ */
+function useSeparation(page, color, colorSpaceRefs) {
+  const { context } = page.doc;
+  if (!colorSpaceRefs.has(color.name)) {
+    const { cyan, magenta, yellow, key } = color.alternate;
+    // Tint transform: linear from no ink (tint 0) to the alternate CMYK values (tint 1)
+    const tintTransform = context.obj({
+      FunctionType: 2,
+      Domain: [0, 1],
+      C0: [0, 0, 0, 0],
+      C1: [cyan, magenta, yellow, key],
+      N: 1,
+    });
+    colorSpaceRefs.set(color.name, context.register(context.obj([
+      PDFName.of('Separation'),
+      PDFName.of(color.name),
+      PDFName.of('DeviceCMYK'),
+      tintTransform,
+    ])));
+  }
+
+  const resources = page.node.Resources();
+  let colorSpaces = resources.lookupMaybe(PDFName.of('ColorSpace'), PDFDict);
+  if (!colorSpaces) {
+    colorSpaces = context.obj({});
+    resources.set(PDFName.of('ColorSpace'), colorSpaces);
+  }
+  const ref = colorSpaceRefs.get(color.name);
+  const existing = colorSpaces.entries().find(([, value]) => value === ref);
+  if (existing) {
+    return existing[0];
+  }
+  const resourceName = colorSpaces.uniqueKey('CS');
+  colorSpaces.set(resourceName, ref);
+  return resourceName;
+}
+
+/**
+ * Wrap a pdf-lib page so that rectangles, text and SVG paths can be filled with spot colors
+ * pdf-lib only knows gray, RGB and CMYK; spot colors are painted with their own operators.
+ * Everything else is passed through to the page unchanged.
+ * @param {Object} page - pdf-lib page
+ * @param {Map} [colorSpaceRefs] - Shared color space references (one map per PDF document)
+ * @returns {Object} Page with drawRectangle, drawText, drawSvgPath, drawImage and drawLine
+ */
+export function withSpotColors(page, colorSpaceRefs = new Map()) {
+  const fontKeys = new Map();
+  const setSpotFill = (color) => [
+    PDFOperator.of(PDFOperatorNames.NonStrokingColorspace, [useSeparation(page, color, colorSpaceRefs)]),
+    PDFOperator.of(PDFOperatorNames.NonStrokingColorN, [PDFNumber.of(color.tint)]),
+  ];
+  const setSpotStroke = (color) => [
+    PDFOperator.of(PDFOperatorNames.StrokingColorspace, [useSeparation(page, color, colorSpaceRefs)]),
+    PDFOperator.of(PDFOperatorNames.StrokingColorN, [PDFNumber.of(color.tint)]),
+  ];
+
+  return {
+    width: page.getWidth(),
+    height: page.getHeight(),
+    drawRectangle(options) {
+      if (options.color?.type !== SEPARATION) {
+        page.drawRectangle(options);
+        return;
+      }
+      const { x = 0, y = 0, width, height, color } = options;
+      page.pushOperators(
+        pushGraphicsState(),
+        ...setSpotFill(color),
+        rectangle(x, y, width, height),
+        fill(),
+        popGraphicsState(),
+      );
+    },
+    drawText(text, options) {
+      if (options.color?.type !== SEPARATION) {
+        page.drawText(text, options);
+        return;
+      }
+      const { x, y, size, font, color } = options;
+      if (!fontKeys.has(font)) {
+        fontKeys.set(font, page.node.newFontDictionary(font.name, font.ref));
+      }
+      page.pushOperators(
+        pushGraphicsState(),
+        beginText(),
+        ...setSpotFill(color),
+        setFontAndSize(fontKeys.get(font), size),
+        setTextMatrix(1, 0, 0, 1, x, y),
+        showText(font.encodeText(text)),
+        endText(),
+        popGraphicsState(),
+      );
+    },
+    drawSvgPath(path, options) {
+      if (options.color?.type !== SEPARATION) {
+        page.drawSvgPath(path, options);
+        return;
+      }
+      // A spot colored outline uses the fill color
+      const { x, y, scale, color, borderWidth } = options;
+      // Without colors pdf-lib ends the path with closePath and popGraphicsState instead of painting it
+      const pathOperators = svgPathOperators(path, { x, y, scale, borderWidth }).slice(0, -2);
+      page.pushOperators(
+        pushGraphicsState(),
+        ...setSpotFill(color),
+        ...setSpotStroke(color),
+        ...pathOperators,
+        borderWidth ? fillAndStroke() : fill(),
+        popGraphicsState(),
+        popGraphicsState(),
+      );
+    },
+    drawImage(image, options) {
+      page.drawImage(image, options);
+    },
+    drawLine(options) {
+      page.drawLine(options);
+    },
+  };
+}
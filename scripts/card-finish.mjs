@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+/**
+ * Card Finish
+ * Vector shapes for finishing dies (embossing, spot UV, foil) of business cards
+ */
+
+import { readFileSync } from 'fs';
+import { cmyk } from 'pdf-lib';
+import { loadConfig, loadBrandColors } from './config-loader.mjs';
+import { spotColor } from './card-colors.mjs';
+
+const FINISH_CONFIG = loadConfig().businessCard.finish;
+
+export const FINISH_TYPES = Object.keys(FINISH_CONFIG.types);
+
+/**
+ * Get the spot color a finish is printed in
+ * The print shop recognizes the finishing layer by the spot color name; the alternate
+ * color only makes the layer visible in viewers without that ink.
+ * @param {string} type - Finish type (e.g. 'embossing')
+ * @returns {Object} Spot color
+ */
+export function getFinishColor(type) {
+  const finish = FINISH_CONFIG.types[type];
+  if (!finish) {
+    throw new Error(`Unbekannte Veredelung: ${type}. Erlaubt: ${FINISH_TYPES.join(', ')}`);
+  }
+  const { c, m, y, k } = FINISH_CONFIG.alternateCmyk;
+  return spotColor(finish.spotColor, cmyk(c / 100, m / 100, y / 100, k / 100));
+}
+
+/**
+ * Read the attributes of an SVG element
+ * @param {string} source - Attribute part of the tag
+ * @returns {Object} Attributes by name
+ */
+function parseAttributes(source) {
+  return Object.fromEntries([...source.matchAll(/([\w:-]+)="([^"]*)"/g)].map(([, name, value]) => [name, value]));
+}
+
+/**
+ * Convert a basic SVG shape element to path data
+ * @param {string} tag - Element name (path, circle, ellipse, rect)
+ * @param {Object} attributes - Element attributes
+ * @returns {string} SVG path data
+ */
+function shapeToPath(tag, attributes) {
+  const number = (name) => Number(attributes[name] || 0);
+  if (tag === 'path') {
+    return attributes.d;
+  }
+  if (tag === 'rect') {
+    const [x, y, width, height] = [number('x'), number('y'), number('width'), number('height')];
+    return `M ${x} ${y} H ${x + width} V ${y + height} H ${x} Z`;
+  }
+  const cx = number('cx');
+  const cy = number('cy');
+  const rx = tag === 'circle' ? number('r') : number('rx');
+  const ry = tag === 'circle' ? number('r') : number('ry');
+  return `M ${cx - rx} ${cy} A ${rx} ${ry} 0 1 0 ${cx + rx} ${cy} A ${rx} ${ry} 0 1 0 ${cx - rx} ${cy} Z`;
+}
+
+/**
+ * Get the fill colors that belong to a logo's background rather than to its mark
+ * @returns {string[]} Uppercase hex colors from businessCard.finish.backgroundFills
+ */
+function getBackgroundFills() {
+  const brandColors = loadBrandColors();
+  return (FINISH_CONFIG.backgroundFills ?? []).map((color) => (brandColors[color] ?? color).toUpperCase());
+}
+
+/**
+ * Load the visible shapes of an SVG file as path data
+ * Fills and strokes both count as shape: the die covers everything that is painted, except
+ * shapes filled in a background color (like the navy circle behind the kieks.me mark).
+ * Only untransformed path, circle, ellipse and rect elements are supported.
+ * @param {string} svgPath - Path to the SVG file
+ * @param {Object} [options] - Options
+ * @param {string[]} [options.backgroundFills] - Hex fill colors to leave out (default from businessCard.finish.backgroundFills)
+ * @returns {Object} { viewBox: { x, y, width, height }, shapes: [{ d, strokeWidth }] }
+ */
+export function loadSvgShapes(svgPath, { backgroundFills = getBackgroundFills() } = {}) {
+  const svg = readFileSync(svgPath, 'utf8');
+  const root = parseAttributes((svg.match(/<svg\b([^>]*)>/) || [])[1] || '');
+  if (/\btransform="/.test(svg)) {
+    throw new Error(`SVG-Transformationen werden für Veredelungsformen nicht unterstützt: ${svgPath}`);
+  }
+
+  const [x, y, width, height] = root.viewBox
+    ? root.viewBox.split(/[\s,]+/).map(Number)
+    : [0, 0, Number.parseFloat(root.width), Number.parseFloat(root.height)];
+
+  const shapes = [...svg.matchAll(/<(path|circle|ellipse|rect)\b([^>]*)>/g)]
+    .map(([, tag, attributeSource]) => ({ tag, attributes: parseAttributes(attributeSource) }))
+    .filter(({ attributes }) => {
+      const fill = attributes.fill ?? root.fill ?? 'black';
+      const stroke = attributes.stroke ?? root.stroke ?? 'none';
+      const isBackground = backgroundFills.some((color) => color === fill.toUpperCase());
+      return !isBackground && (fill !== 'none' || stroke !== 'none');
+    })
+    .map(({ tag, attributes }) => ({
+      d: shapeToPath(tag, attributes),
+      strokeWidth: (attributes.stroke ?? root.stroke ?? 'none') !== 'none'
+        ? Number(attributes['stroke-width'] ?? root['stroke-width'] ?? 1)
+        : 0,
+    }));
+
+  if (shapes.length === 0) {
+    throw new Error(`Keine Formen in SVG gefunden: ${svgPath}`);
+  }
+
+  return { viewBox: { x, y, width, height }, shapes };
+}
+
+/**
+ * Draw SVG shapes into a box, scaled to fit and centered (like image blocks)
+ * @param {Object} page - Page with drawSvgPath (see withSpotColors())
+ * @param {Object} svgShapes - Shapes from loadSvgShapes()
+ * @param {Object} box - Box in points: { x, y, width, height } (bottom-left origin)
+ * @param {Object} color - Fill color
+ */
+export function drawShapesInBox(page, svgShapes, box, color) {
+  const { viewBox, shapes } = svgShapes;
+  const scale = Math.min(box.width / viewBox.width, box.height / viewBox.height);
+  const left = box.x + (box.width - viewBox.width * scale) / 2;
+  const top = box.y + box.height - (box.height - viewBox.height * scale) / 2;
+
+  shapes.forEach(({ d, strokeWidth }) => {
+    // drawSvgPath flips the y axis: SVG (0, 0) lands on the given point
+    page.drawSvgPath(d, {
+      x: left - viewBox.x * scale,
+      y: top + viewBox.y * scale,
+      scale,
+      color,
+      borderColor: strokeWidth > 0 ? color : undefined,
+      borderWidth: strokeWidth > 0 ? strokeWidth : undefined,
+    });
+  });
+}
@@ -0,0 +1,292 @@
+#!/usr/bin/env node
+/**
+ * Card Layout Templates
+ * Loads and validates declarative JSON layouts for business card front and back sides
+ */
+
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve, basename, isAbsolute } from 'path';
+import { readFileSync, existsSync, readdirSync } from 'fs';
+import { loadConfig } from './config-loader.mjs';
+import { loadCardLocale } from './card-locale.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const projectRoot = resolve(__dirname, '..');
+
+// Bundled layout templates (<name>.json)
+export const LAYOUTS_DIR = join(projectRoot, 'assets', 'templates', 'card-layouts');
+
+export const BLOCK_TYPES = ['rect', 'image', 'qr', 'text', 'stack', 'social'];
+export const FONT_NAMES = ['heading', 'headingItalic', 'body', 'bodyBold', 'bodyItalic'];
+export const ORIENTATIONS = ['landscape', 'portrait'];
+
+// Numeric properties (mm) every block of a type must define
+const REQUIRED_NUMBERS = {
+  rect: ['x', 'y', 'width', 'height'],
+  image: ['x', 'y', 'width', 'height'],
+  qr: ['x', 'y', 'size'],
+  text: ['x', 'y'],
+  stack: ['x', 'y', 'width'],
+  social: ['x', 'y', 'width'],
+};
+
+/**
+ * Validate the text source of a text block or stack item: literal text, contact field or locale text key
+ * @param {Object} item - Text block or stack item
+ * @param {string} where - Location for error messages
+ * @param {Array<string>} errors - Collected errors
+ */
+function checkTextSource(item, where, errors) {
+  if (!item.text && !item.field && !item.textKey) {
+    errors.push(`${where}: "text", "field" oder "textKey" fehlt`);
+  } else if (item.textKey && loadCardLocale().texts[item.textKey] === undefined) {
+    const keys = Object.keys(loadCardLocale().texts).join(', ');
+    errors.push(`${where}: unbekannter Textschlüssel "${item.textKey}" (erlaubt: ${keys})`);
+  }
+}
+
+/**
+ * Validate a color property against the brand color names
+ * @param {*} value - Color name
+ * @param {string} where - Location for error messages
+ * @param {Array<string>} errors - Collected errors
+ */
+function checkColor(value, where, errors) {
+  const colors = Object.keys(loadConfig().brand.colors);
+  if (value !== undefined && !colors.includes(value)) {
+    errors.push(`${where}: unbekannte Farbe "${value}" (erlaubt: ${colors.join(', ')})`);
+  }
+}
+
+/**
+ * Validate a font property against the loaded font names
+ * @param {*} value - Font name
+ * @param {string} where - Location for error messages
+ * @param {Array<string>} errors - Collected errors
+ */
+function checkFont(value, where, errors) {
+  if (value !== undefined && !FONT_NAMES.includes(value)) {
+    errors.push(`${where}: unbekannte Schrift "${value}" (erlaubt: ${FONT_NAMES.join(', ')})`);
+  }
+}
+
+/**
+ * Validate the typography of a text item (inline size or a businessCard.typography entry)
+ * @param {Object} item - Text block or stack item
+ * @param {string} where - Location for error messages
+ * @param {Array<string>} errors - Collected errors
+ */
+function checkTypography(item, where, errors) {
+  const typography = loadConfig().businessCard.typography;
+  if (item.typography !== undefined && !typography[item.typography]) {
+    errors.push(`${where}: unbekannter Typografie-Eintrag "${item.typography}" (erlaubt: ${Object.keys(typography).join(', ')})`);
+  }
+  if (item.typography === undefined && typeof item.size !== 'number') {
+    errors.push(`${where}: "size" oder "typography" fehlt`);
+  }
+}
+
+/**
+ * Validate one block of a side
+ * @param {Object} block - Block definition
+ * @param {string} where - Location for error messages
+ * @param {Array<string>} errors - Collected errors
+ */
+function validateBlock(block, where, errors) {
+  if (!BLOCK_TYPES.includes(block.type)) {
+    errors.push(`${where}: unbekannter Blocktyp "${block.type}" (erlaubt: ${BLOCK_TYPES.join(', ')})`);
+    return;
+  }
+
+  REQUIRED_NUMBERS[block.type]
+    .filter((key) => typeof block[key] !== 'number')
+    .forEach((key) => errors.push(`${where}: "${key}" muss eine Zahl (mm) sein`));
+
+  checkColor(block.color, where, errors);
+  checkFont(block.font, where, errors);
+
+  if (block.type === 'rect' && !block.color) {
+    errors.push(`${where}: "color" fehlt`);
+  }
+  if (block.type === 'image' && !block.source) {
+    errors.push(`${where}: "source" fehlt`);
+  }
+  if (block.type === 'image' && block.finish !== undefined && typeof block.finish !== 'boolean') {
+    errors.push(`${where}: "finish" muss true oder false sein`);
+  }
+  if (block.type === 'text') {
+    checkTextSource(block, where, errors);
+    checkTypography(block, where, errors);
+  }
+  if (block.type === 'social') {
+    checkColor(block.iconColor, where, errors);
+    checkTypography(block, where, errors);
+    ['iconSize', 'lineHeight', 'gap']
+      .filter((key) => block[key] !== undefined && !(block[key] > 0))
+      .forEach((key) => errors.push(`${where}: "${key}" muss eine positive Zahl (mm) sein`));
+  }
+  if (block.type === 'stack') {
+    if (!Array.isArray(block.items) || block.items.length === 0) {
+      errors.push(`${where}: "items" muss eine nicht leere Liste sein`);
+      return;
+    }
+    block.items.forEach((item, index) => {
+      const itemWhere = `${where}.items[${index}]`;
+      checkColor(item.color, itemWhere, errors);
+      checkColor(item.labelColor, itemWhere, errors);
+      checkFont(item.font, itemWhere, errors);
+      checkFont(item.labelFont, itemWhere, errors);
+      checkTypography(item, itemWhere, errors);
+      if (item.type === 'details') {
+        if (!Array.isArray(item.fields) || item.fields.length === 0) {
+          errors.push(`${itemWhere}: "fields" muss eine nicht leere Liste sein`);
+        }
+      } else {
+        checkTextSource(item, itemWhere, errors);
+      }
+    });
+  }
+}
+
+/**
+ * Validate a layout template
+ * @param {Object} layout - Parsed layout
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+export function validateCardLayout(layout) {
+  const errors = [];
+
+  if (layout.orientation !== undefined && !ORIENTATIONS.includes(layout.orientation)) {
+    errors.push(`orientation: "${layout.orientation}" ist ungültig (erlaubt: ${ORIENTATIONS.join(', ')})`);
+  }
+  ['widthMm', 'heightMm']
+    .filter((key) => typeof layout[key] !== 'number' || layout[key] <= 0)
+    .forEach((key) => errors.push(`${key}: Designgröße muss eine positive Zahl (mm) sein`));
+  if (layout.widthMm > 0 && layout.heightMm > 0) {
+    const portrait = layout.heightMm > layout.widthMm;
+    if (portrait !== (layout.orientation === 'portrait')) {
+      errors.push(`orientation: passt nicht zur Designgröße ${layout.widthMm} × ${layout.heightMm} mm`);
+    }
+  }
+
+  ['front', 'back'].forEach((sideName) => {
+    const side = layout[sideName];
+    if (!side || !Array.isArray(side.blocks)) {
+      errors.push(`${sideName}: Seite mit "blocks"-Liste fehlt`);
+      return;
+    }
+    checkColor(side.background, `${sideName}.background`, errors);
+    side.blocks.forEach((block, index) => validateBlock(block, `${sideName}.blocks[${index}]`, errors));
+  });
+
+  return errors;
+}
+
+/**
+ * List the bundled layout templates
+ * @returns {Array<Object>} Layouts with id, name, description and orientation
+ */
+export function listCardLayouts() {
+  if (!existsSync(LAYOUTS_DIR)) {
+    return [];
+  }
+  return readdirSync(LAYOUTS_DIR)
+    .filter((file) => file.endsWith('.json'))
+    .sort()
+    .map((file) => {
+      const layout = JSON.parse(readFileSync(join(LAYOUTS_DIR, file), 'utf8'));
+      return {
+        id: basename(file, '.json'),
+        name: layout.name || basename(file, '.json'),
+        description: layout.description || '',
+        orientation: layout.orientation || 'landscape',
+      };
+    });
+}
+
+/**
+ * Load a layout template by name or path
+ * @param {string} nameOrPath - Bundled layout name (e.g. "default") or path to a .json file
+ * @returns {Object} Validated layout with id and orientation
+ */
+export function loadCardLayout(nameOrPath) {
+  const isPath = nameOrPath.endsWith('.json');
+  const layoutPath = isPath
+    ? (isAbsolute(nameOrPath) ? nameOrPath : resolve(process.cwd(), nameOrPath))
+    : join(LAYOUTS_DIR, `${nameOrPath}.json`);
+
+  if (!existsSync(layoutPath)) {
+    const available = listCardLayouts().map((layout) => layout.id).join(', ');
+    throw new Error(`Layout nicht gefunden: ${nameOrPath} (verfügbar: ${available})`);
+  }
+
+  let layout;
+  try {
+    layout = JSON.parse(readFileSync(layoutPath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Ungültiges JSON in Layout ${layoutPath}: ${err.message}`);
+  }
+
+  const errors = validateCardLayout(layout);
+  if (errors.length > 0) {
+    throw new Error(`Ungültiges Layout ${basename(layoutPath)}:\n  ${errors.join('\n  ')}`);
+  }
+
+  return {
+    ...layout,
+    id: basename(layoutPath, '.json'),
+    orientation: layout.orientation || 'landscape',
+  };
+}
+
+/**
+ * Scale a layout designed for one card size to another card size
+ * Positions and box sizes follow the card's width and height; QR codes keep their
+ * square shape. Font sizes stay as designed (text fitting takes care of narrower columns).
+ * @param {Object} layout - Loaded layout
+ * @param {number} widthMm - Target card width in mm
+ * @param {number} heightMm - Target card height in mm
+ * @returns {Object} Layout with coordinates for the target size
+ */
+export function fitLayoutToFormat(layout, widthMm, heightMm) {
+  const scaleX = widthMm / layout.widthMm;
+  const scaleY = heightMm / layout.heightMm;
+  if (scaleX === 1 && scaleY === 1) {
+    return layout;
+  }
+
+  const scaleBlock = (block) => {
+    const scaled = { ...block };
+    ['x', 'width'].filter((key) => key in block).forEach((key) => { scaled[key] = block[key] * scaleX; });
+    ['y', 'height'].filter((key) => key in block).forEach((key) => { scaled[key] = block[key] * scaleY; });
+    if (block.type === 'qr') {
+      scaled.size = block.size * Math.min(scaleX, scaleY);
+    }
+    if (block.type === 'social') {
+      ['iconSize', 'gap'].filter((key) => key in block).forEach((key) => { scaled[key] = block[key] * Math.min(scaleX, scaleY); });
+      if ('lineHeight' in block) {
+        scaled.lineHeight = block.lineHeight * scaleY;
+      }
+    }
+    return scaled;
+  };
+
+  return {
+    ...layout,
+    widthMm,
+    heightMm,
+    front: { ...layout.front, blocks: layout.front.blocks.map(scaleBlock) },
+    back: { ...layout.back, blocks: layout.back.blocks.map(scaleBlock) },
+  };
+}
+
+/**
+ * Check whether a layout uses a block type on any side
+ * @param {Object} layout - Loaded layout
+ * @param {string} type - Block type
+ * @returns {boolean} True if at least one block has the type
+ */
+export function layoutUsesBlock(layout, type) {
+  return ['front', 'back'].some((sideName) => layout[sideName].blocks.some((block) => block.type === type));
+}
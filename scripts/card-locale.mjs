@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+/**
+ * Card Locales
+ * Labels, texts, country names and phone number style of business cards per language.
+ * Locales are JSON files in assets/templates/card-locales/; adding a file adds a language.
+ */
+
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve, basename } from 'path';
+import { readFileSync, readdirSync, existsSync } from 'fs';
+import { loadConfig } from './config-loader.mjs';
+import { formatPhoneNumber, PHONE_STYLES } from './phone-number.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const projectRoot = resolve(__dirname, '..');
+
+export const LOCALES_DIR = join(projectRoot, 'assets', 'templates', 'card-locales');
+
+const locales = {};
+
+/**
+ * Get the default card locale from config
+ * @returns {string} Locale id (e.g. "de")
+ */
+export function getDefaultLocale() {
+  return loadConfig().businessCard.defaultLocale;
+}
+
+/**
+ * List the available locales
+ * @returns {Array<Object>} Locales with id and name
+ */
+export function listCardLocales() {
+  if (!existsSync(LOCALES_DIR)) {
+    return [];
+  }
+  return readdirSync(LOCALES_DIR)
+    .filter((file) => file.endsWith('.json'))
+    .sort()
+    .map((file) => ({
+      id: basename(file, '.json'),
+      name: JSON.parse(readFileSync(join(LOCALES_DIR, file), 'utf8')).name || basename(file, '.json'),
+    }));
+}
+
+/**
+ * Load a locale
+ * Every locale must define the labels and texts of the default locale, so layouts work in all languages.
+ * @param {string} [id] - Locale id (e.g. "de", "en"; default from config)
+ * @returns {Object} Locale with id, name, labels, texts, phone and countries
+ * @throws {Error} If the locale does not exist or lacks labels or texts
+ */
+export function loadCardLocale(id = getDefaultLocale()) {
+  if (locales[id]) {
+    return locales[id];
+  }
+
+  const localePath = join(LOCALES_DIR, `${id}.json`);
+  if (!/^[\w-]+$/.test(id) || !existsSync(localePath)) {
+    const available = listCardLocales().map((locale) => locale.id).join(', ');
+    throw new Error(`Sprache nicht gefunden: ${id} (verfügbar: ${available})`);
+  }
+
+  const locale = { id, labels: {}, texts: {}, countries: {}, ...JSON.parse(readFileSync(localePath, 'utf8')) };
+  locale.phone = { style: 'original', ...locale.phone };
+  if (!PHONE_STYLES.includes(locale.phone.style)) {
+    throw new Error(`Sprache ${id}: unbekanntes Telefonformat "${locale.phone.style}" (erlaubt: ${PHONE_STYLES.join(', ')})`);
+  }
+
+  if (id !== getDefaultLocale()) {
+    const reference = loadCardLocale();
+    const missing = [
+      ...Object.keys(reference.labels).filter((key) => !locale.labels[key]).map((key) => `labels.${key}`),
+      ...Object.keys(reference.texts).filter((key) => !locale.texts[key]).map((key) => `texts.${key}`),
+    ];
+    if (missing.length > 0) {
+      throw new Error(`Sprache ${id}: fehlende Einträge ${missing.join(', ')}`);
+    }
+  }
+
+  locales[id] = locale;
+  return locale;
+}
+
+/**
+ * Find the ISO code of a country name or code
+ * Names of any locale are recognized ("Deutschland", "Germany", "de").
+ * @param {string} country - Country as entered
+ * @returns {string|null} ISO code (e.g. "DE"), null if the country is empty or unknown
+ */
+export function resolveCountryCode(country) {
+  if (!country) {
+    return null;
+  }
+  const wanted = country.trim().toLowerCase();
+  return listCardLocales()
+    .map(({ id }) => loadCardLocale(id).countries)
+    .flatMap((countries) => Object.entries(countries))
+    .find(([isoCode, name]) => isoCode.toLowerCase() === wanted || name.toLowerCase() === wanted)?.[0] ?? null;
+}
+
+/**
+ * Translate a country name or ISO code into the country name of a locale
+ * Unknown countries stay as entered.
+ * @param {string} country - Country as entered
+ * @param {Object} locale - Target locale from loadCardLocale()
+ * @returns {string} Country name in the locale
+ */
+export function localizeCountry(country, locale) {
+  const code = resolveCountryCode(country);
+  return (code && locale.countries[code]) || country;
+}
+
+/**
+ * Localize the contact data shown on a card and stored in the vCard
+ * Phone numbers are formatted following DIN 5008 in the style of the locale; numbers without
+ * country code belong to the contact's country.
+ * @param {Object} contactData - Contact data
+ * @param {Object} locale - Locale from loadCardLocale()
+ * @returns {Object} Contact data with localized country and phone numbers
+ */
+export function localizeContact(contactData, locale) {
+  const localized = { ...contactData };
+  const country = resolveCountryCode(contactData.country) ?? contactData.country;
+  ['phone', 'mobile']
+    .filter((field) => localized[field])
+    .forEach((field) => {
+      localized[field] = formatPhoneNumber(localized[field], { country, style: locale.phone.style });
+    });
+  if (localized.country) {
+    localized.country = localizeCountry(localized.country, locale);
+  }
+  return localized;
+}
@@ -0,0 +1,221 @@
+#!/usr/bin/env node
+/**
+ * Card Preview
+ * Renders business card sides as SVG and rasterizes them to PNG/JPEG previews
+ * The SVG page mimics the subset of the pdf-lib page API used by the card renderer,
+ * so the same layout code draws both the PDF and the preview.
+ */
+
+import sharp from 'sharp';
+
+export const PREVIEW_FORMATS = ['png', 'jpg'];
+
+/**
+ * Escape text for use in SVG markup
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Format a number for SVG attributes
+ * @param {number} value - Number
+ * @returns {string} Number with at most 3 decimals
+ */
+function num(value) {
+  return String(Math.round(value * 1000) / 1000);
+}
+
+/**
+ * Convert a pdf-lib color to a CSS hex color
+ * @param {Object} color - pdf-lib color (rgb, cmyk or grayscale)
+ * @returns {string} Hex color
+ */
+export function colorToHex(color) {
+  if (!color) {
+    return '#000000';
+  }
+  let r;
+  let g;
+  let b;
+  if (color.type === 'CMYK') {
+    r = (1 - color.cyan) * (1 - color.key);
+    g = (1 - color.magenta) * (1 - color.key);
+    b = (1 - color.yellow) * (1 - color.key);
+  } else if (color.type === 'Grayscale') {
+    r = g = b = color.gray;
+  } else {
+    r = color.red;
+    g = color.green;
+    b = color.blue;
+  }
+  return `#${[r, g, b].map((channel) => Math.round(channel * 255).toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * Build the SVG markup for a text run
+ * Embedded custom fonts are drawn as glyph outlines so the preview matches the PDF without
+ * installed fonts; standard PDF fonts fall back to SVG text with a matching system font.
+ * @param {string} text - Text
+ * @param {Object} options - pdf-lib drawText options (x, y, size, color, font)
+ * @returns {string} SVG markup in PDF coordinates (y axis pointing up)
+ */
+function textToSvg(text, { x, y, size, color, font }) {
+  const fill = colorToHex(color);
+  const fontkitFont = font?.embedder?.font;
+
+  if (fontkitFont && typeof fontkitFont.layout === 'function') {
+    const scale = size / fontkitFont.unitsPerEm;
+    let penX = 0;
+    const paths = fontkitFont.layout(text).glyphs.map((glyph) => {
+      const path = glyph.path.toSVG();
+      const markup = path
+        ? `<path transform="translate(${num(x + penX)} ${num(y)}) scale(${num(scale)})" d="${path}"/>`
+        : '';
+      penX += glyph.advanceWidth * scale;
+      return markup;
+    });
+    return `<g fill="${fill}">${paths.join('')}</g>`;
+  }
+
+  const fontName = font?.embedder?.fontName || font?.name || 'Helvetica';
+  const weight = /bold/i.test(fontName) ? 'bold' : 'normal';
+  // Substitute system fonts differ in width: stretch them to the width measured by pdf-lib
+  const textLength = font?.widthOfTextAtSize
+    ? ` textLength="${num(font.widthOfTextAtSize(text, size))}" lengthAdjust="spacingAndGlyphs"`
+    : '';
+  return `<text transform="translate(${num(x)} ${num(y)}) scale(1 -1)" font-family="Helvetica, Arial, Liberation Sans, sans-serif" `
+    + `font-weight="${weight}" font-size="${num(size)}" fill="${fill}"${textLength}>${escapeXml(text)}</text>`;
+}
+
+/**
+ * Create an image usable with an SVG page (counterpart of an embedded pdf-lib image)
+ * @param {Buffer} buffer - PNG or JPEG data
+ * @returns {Promise<Object>} Image with width, height and data URI
+ */
+export async function createPreviewImage(buffer) {
+  const metadata = await sharp(buffer).metadata();
+  const mime = metadata.format === 'jpeg' ? 'image/jpeg' : 'image/png';
+  return {
+    width: metadata.width,
+    height: metadata.height,
+    href: `data:${mime};base64,${buffer.toString('base64')}`,
+  };
+}
+
+/**
+ * Create an SVG page for one card side
+ * Provides drawRectangle, drawText, drawImage and drawLine with pdf-lib semantics
+ * (points, origin at the bottom-left trim corner).
+ * @param {number} width - Trim width in points
+ * @param {number} height - Trim height in points
+ * @returns {Object} SVG page
+ */
+export function createSvgPage(width, height) {
+  const elements = [];
+
+  return {
+    width,
+    height,
+    drawRectangle({ x = 0, y = 0, width: rectWidth, height: rectHeight, color }) {
+      elements.push(`<rect x="${num(x)}" y="${num(y)}" width="${num(rectWidth)}" height="${num(rectHeight)}" fill="${colorToHex(color)}"/>`);
+    },
+    drawText(text, options) {
+      elements.push(textToSvg(text, options));
+    },
+    drawImage(image, { x, y, width: imageWidth, height: imageHeight }) {
+      elements.push(`<image transform="translate(${num(x)} ${num(y + imageHeight)}) scale(1 -1)" width="${num(imageWidth)}" `
+        + `height="${num(imageHeight)}" preserveAspectRatio="none" href="${image.href}"/>`);
+    },
+    drawSvgPath(path, { x = 0, y = 0, scale = 1, color, borderColor, borderWidth }) {
+      // Like pdf-lib: SVG path coordinates start at (x, y) with the y axis pointing down
+      elements.push(`<path transform="translate(${num(x)} ${num(y)}) scale(${num(scale)} ${num(-scale)})" d="${path}" `
+        + `fill="${color ? colorToHex(color) : 'none'}"`
+        + `${borderColor ? ` stroke="${colorToHex(borderColor)}" stroke-width="${num(borderWidth ?? 1)}"` : ''}/>`);
+    },
+    drawLine({ start, end, thickness = 1, color }) {
+      elements.push(`<line x1="${num(start.x)}" y1="${num(start.y)}" x2="${num(end.x)}" y2="${num(end.y)}" `
+        + `stroke="${colorToHex(color)}" stroke-width="${num(thickness)}"/>`);
+    },
+    /**
+     * Get the side as SVG group, clipped to the trim and flipped into SVG coordinates
+     * @param {string} id - Unique id for the clip path
+     * @param {number} offsetX - Left position in the composed preview (points)
+     * @param {number} offsetY - Top position in the composed preview (points)
+     * @returns {string} SVG markup
+     */
+    toSvgGroup(id, offsetX, offsetY) {
+      return `<clipPath id="${id}"><rect width="${num(width)}" height="${num(height)}"/></clipPath>`
+        + `<g transform="translate(${num(offsetX)} ${num(offsetY + height)}) scale(1 -1)" clip-path="url(#${id})">`
+        + `${elements.join('')}</g>`;
+    },
+  };
+}
+
+/**
+ * Compose card sides next to each other and rasterize the result
+ * @param {Array<Object>} pages - SVG pages from createSvgPage() (front, back)
+ * @param {Object} options - Preview options
+ * @param {string} [options.format] - 'png' (default) or 'jpg'
+ * @param {number} [options.dpi] - Resolution (default: 150)
+ * @param {number} [options.gap] - Gap between the sides in points
+ * @param {number} [options.padding] - Padding around the sides in points
+ * @param {boolean} [options.mockup] - Place the cards on a colored surface with drop shadows
+ * @param {string} [options.mockupColor] - Surface color (hex) for the mockup
+ * @param {number} [options.quality] - JPEG quality (1-100)
+ * @returns {Promise<Buffer>} Image data
+ */
+export async function composePreview(pages, options = {}) {
+  const {
+    format = 'png',
+    dpi = 150,
+    gap = 0,
+    padding = 0,
+    mockup = false,
+    mockupColor = '#CCCCCC',
+    quality = 90,
+  } = options;
+
+  if (!PREVIEW_FORMATS.includes(format)) {
+    throw new Error(`Nicht unterstütztes Vorschauformat: ${format}. Erlaubt: ${PREVIEW_FORMATS.join(', ')}`);
+  }
+
+  const cardHeight = Math.max(...pages.map((page) => page.height));
+  const totalWidth = padding * 2 + pages.reduce((sum, page) => sum + page.width, 0) + gap * (pages.length - 1);
+  const totalHeight = padding * 2 + cardHeight;
+  const parts = [];
+
+  if (mockup) {
+    parts.push(`<rect width="${num(totalWidth)}" height="${num(totalHeight)}" fill="${mockupColor}"/>`);
+    parts.push('<filter id="shadow" x="-20%" y="-20%" width="140%" height="140%"><feGaussianBlur stdDeviation="4"/></filter>');
+  }
+
+  let offsetX = padding;
+  pages.forEach((page, index) => {
+    const offsetY = padding + (cardHeight - page.height) / 2;
+    if (mockup) {
+      // Soft shadow below and right of the card, as if lying on a table
+      parts.push(`<rect x="${num(offsetX + 2)}" y="${num(offsetY + 4)}" width="${num(page.width)}" height="${num(page.height)}" `
+        + 'fill="#000000" fill-opacity="0.35" filter="url(#shadow)"/>');
+    }
+    parts.push(page.toSvgGroup(`side-${index}`, offsetX, offsetY));
+    offsetX += page.width + gap;
+  });
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${num(totalWidth)}" height="${num(totalHeight)}" `
+    + `viewBox="0 0 ${num(totalWidth)} ${num(totalHeight)}">${parts.join('')}</svg>`;
+
+  // SVG user units are points (1/72 in), so the SVG density equals the output resolution
+  const image = sharp(Buffer.from(svg), { density: dpi });
+  if (format === 'jpg') {
+    // JPEG has no transparency: flatten onto white
+    return image.flatten({ background: '#FFFFFF' }).jpeg({ quality }).toBuffer();
+  }
+  return image.png().toBuffer();
+}
@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+/**
+ * Card Text Layout
+ * Measures, wraps and shrinks text for pdf-lib so it stays within a given width
+ */
+
+// Font size decrement used while shrinking text towards its minimum size
+export const SHRINK_STEP_PT = 0.25;
+
+/**
+ * Wrap text into lines at word boundaries
+ * A single word wider than maxWidth stays on its own line (fitText reports it as overflow).
+ * @param {string} text - Text to wrap
+ * @param {Object} font - pdf-lib font (needs widthOfTextAtSize)
+ * @param {number} size - Font size in points
+ * @param {number} maxWidth - Maximum line width in points
+ * @returns {Array<string>} Lines
+ */
+export function wrapText(text, font, size, maxWidth) {
+  const words = String(text).split(/\s+/).filter(Boolean);
+  const lines = [];
+  let currentLine = '';
+
+  words.forEach((word) => {
+    const testLine = currentLine + (currentLine ? ' ' : '') + word;
+    const textWidth = font.widthOfTextAtSize(testLine, size);
+
+    if (textWidth > maxWidth && currentLine) {
+      lines.push(currentLine);
+      currentLine = word;
+    } else {
+      currentLine = testLine;
+    }
+  });
+
+  if (currentLine) {
+    lines.push(currentLine);
+  }
+
+  return lines;
+}
+
+/**
+ * Measure the widest line of a block
+ * @param {Array<string>} lines - Lines
+ * @param {Object} font - pdf-lib font
+ * @param {number} size - Font size in points
+ * @returns {number} Width in points
+ */
+export function measureLines(lines, font, size) {
+  return Math.max(0, ...lines.map((line) => font.widthOfTextAtSize(line, size)));
+}
+
+/**
+ * Fit text into a width by shrinking it, then by wrapping it
+ * Shrinking on one line is tried first (down to minSize). If that is not enough and more
+ * than one line is allowed, the text is wrapped at the largest size that fits.
+ * @param {string} text - Text to fit
+ * @param {Object} font - pdf-lib font
+ * @param {Object} options - Fit options
+ * @param {number} options.maxWidth - Maximum line width in points
+ * @param {number} options.size - Preferred font size in points
+ * @param {number} [options.minSize] - Smallest allowed font size (default: size)
+ * @param {number} [options.maxLines] - Maximum number of lines (default: 1)
+ * @returns {Object} { lines, size, width, fits } - fits is false if the text cannot be placed
+ */
+export function fitText(text, font, options) {
+  const { maxWidth, size, minSize = size, maxLines = 1 } = options;
+  const sizes = [];
+  for (let current = size; current >= minSize - 1e-9; current -= SHRINK_STEP_PT) {
+    sizes.push(Math.round(current * 100) / 100);
+  }
+
+  const attempt = (currentSize, allowedLines) => {
+    const lines = allowedLines === 1 ? [String(text).trim()] : wrapText(text, font, currentSize, maxWidth);
+    const width = measureLines(lines, font, currentSize);
+    return { lines, size: currentSize, width, fits: lines.length <= allowedLines && width <= maxWidth };
+  };
+
+  for (const currentSize of sizes) {
+    const result = attempt(currentSize, 1);
+    if (result.fits) {
+      return result;
+    }
+  }
+
+  if (maxLines > 1) {
+    for (const currentSize of sizes) {
+      const result = attempt(currentSize, maxLines);
+      if (result.fits) {
+        return result;
+      }
+    }
+  }
+
+  // Report the attempt at the smallest size so callers can tell how much is missing
+  return attempt(sizes[sizes.length - 1], maxLines);
+}
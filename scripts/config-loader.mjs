@@ -65,6 +65,35 @@ export function loadBrandColors() {
   };
 }
 
+/**
+ * Load the CMYK definitions of all colors and shades in colors.json
+ * @returns {Object} CMYK values (0-100) keyed by upper case hex color, e.g. { "#1E2A45": { c, m, y, k } }
+ */
+export function loadCmykColors() {
+  const colorsPath = join(projectRoot, 'assets', 'colors', 'colors.json');
+  const cmykColors = {};
+  if (!existsSync(colorsPath)) {
+    return cmykColors;
+  }
+
+  const collect = (entry) => {
+    if (!entry || typeof entry !== 'object') {
+      return;
+    }
+    if (typeof entry.hex === 'string' && entry.cmyk) {
+      cmykColors[entry.hex.toUpperCase()] = entry.cmyk;
+    }
+    Object.values(entry).forEach(collect);
+  };
+
+  try {
+    collect(JSON.parse(readFileSync(colorsPath, 'utf-8')));
+  } catch (err) {
+    warn(`Could not load CMYK values from colors.json: ${err.message}`);
+  }
+  return cmykColors;
+}
+
 /**
  * Parse hex color to RGB
  * @param {string} hex - Hex color string (e.g., "#00FFDC")
@@ -0,0 +1,673 @@
+#!/usr/bin/env node
+/**
+ * Contact Import
+ * Reads contact records for business card generation from CSV and JSON files and from address book
+ * exports: vCard (.vcf, 3.0 and 4.0), LDIF and Google or Outlook contact CSV. Fields of the exports
+ * that have no place in the contact schema are reported per contact.
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { extname } from 'path';
+import { parseVCards } from './vcard.mjs';
+import { resolveSocialNetwork, SOCIAL_NETWORKS } from './social-networks.mjs';
+import { listCardLocales } from './card-locale.mjs';
+
+// Import formats by file extension
+const FILE_FORMATS = {
+  '.csv': 'csv',
+  '.json': 'json',
+  '.vcf': 'vcard',
+  '.vcard': 'vcard',
+  '.ldif': 'ldif',
+  '.ldi': 'ldif',
+};
+
+// Format names shown in reports
+const FORMAT_NAMES = {
+  csv: 'CSV',
+  google: 'Google-CSV',
+  outlook: 'Outlook-CSV',
+  json: 'JSON',
+  vcard: 'vCard',
+  ldif: 'LDIF',
+};
+
+/**
+ * Column aliases (lower case) mapped to contact fields
+ * Covers the field names themselves plus the German labels used in the CLI prompts
+ */
+const COLUMN_ALIASES = {
+  name: 'name',
+  givenname: 'givenName',
+  vorname: 'givenName',
+  familyname: 'familyName',
+  nachname: 'familyName',
+  honorificprefix: 'honorificPrefix',
+  position: 'position',
+  title: 'position',
+  email: 'email',
+  'e-mail': 'email',
+  phone: 'phone',
+  telefon: 'phone',
+  tel: 'phone',
+  mobile: 'mobile',
+  mobil: 'mobile',
+  address: 'address',
+  adresse: 'address',
+  straße: 'address',
+  strasse: 'address',
+  postalcode: 'postalCode',
+  plz: 'postalCode',
+  postleitzahl: 'postalCode',
+  city: 'city',
+  stadt: 'city',
+  ort: 'city',
+  country: 'country',
+  land: 'country',
+  website: 'website',
+  web: 'website',
+  photo: 'photo',
+  foto: 'photo',
+  socialmedia: 'socialMedia',
+  'social media': 'socialMedia',
+  format: 'format',
+  kartenformat: 'format',
+  orientation: 'orientation',
+  ausrichtung: 'orientation',
+  locale: 'locale',
+  language: 'locale',
+  sprache: 'locale',
+};
+
+/**
+ * Columns of Outlook contact exports (English and German Outlook), lower case
+ * Business fields are used; private phone numbers and addresses are reported as unmapped.
+ */
+const OUTLOOK_COLUMNS = {
+  'first name': 'givenName',
+  vorname: 'givenName',
+  'last name': 'familyName',
+  nachname: 'familyName',
+  title: 'honorificPrefix',
+  titel: 'honorificPrefix',
+  'job title': 'position',
+  position: 'position',
+  'e-mail address': 'email',
+  'e-mail-adresse': 'email',
+  'business phone': 'phone',
+  'telefon geschäftlich': 'phone',
+  'mobile phone': 'mobile',
+  mobiltelefon: 'mobile',
+  'business street': 'address',
+  'straße geschäftlich': 'address',
+  'business city': 'city',
+  'ort geschäftlich': 'city',
+  'business postal code': 'postalCode',
+  'postleitzahl geschäftlich': 'postalCode',
+  'business country/region': 'country',
+  'land/region geschäftlich': 'country',
+  'web page': 'website',
+  webseite: 'website',
+};
+
+// Columns that only occur in Outlook exports
+const OUTLOOK_MARKERS = ['e-mail address', 'e-mail-adresse', 'business phone', 'telefon geschäftlich', 'job title'];
+
+// Single-value columns of Google contact exports (old and current export format), lower case
+const GOOGLE_COLUMNS = {
+  name: 'name',
+  'first name': 'givenName',
+  'given name': 'givenName',
+  'last name': 'familyName',
+  'family name': 'familyName',
+  'name prefix': 'honorificPrefix',
+  'organization title': 'position',
+  'organization 1 - title': 'position',
+};
+
+// Google columns without contact data ("* myContacts")
+const GOOGLE_IGNORED = ['labels', 'group membership'];
+
+// Google exports join several values of one cell with this separator
+const GOOGLE_VALUE_SEPARATOR = ' ::: ';
+
+// vCard properties without contact data
+const VCARD_IGNORED = ['PRODID', 'REV', 'UID', 'KIND', 'CLIENTPIDMAP', 'SOURCE'];
+
+// LDIF attributes (lower case) as written by LDAP directories and Thunderbird
+const LDIF_ATTRIBUTES = {
+  cn: 'name',
+  displayname: 'name',
+  givenname: 'givenName',
+  sn: 'familyName',
+  personaltitle: 'honorificPrefix',
+  title: 'position',
+  mail: 'email',
+  telephonenumber: 'phone',
+  mobile: 'mobile',
+  street: 'address',
+  streetaddress: 'address',
+  postalcode: 'postalCode',
+  l: 'city',
+  c: 'country',
+  co: 'country',
+};
+
+const LDIF_URL_ATTRIBUTES = ['labeleduri', 'workurl', 'mozillaworkurl', 'mozillahomeurl'];
+
+const LDIF_IGNORED = ['dn', 'objectclass', 'changetype', 'modifytimestamp', 'createtimestamp'];
+
+/**
+ * Parse CSV text into rows of cells
+ * Supports quoted cells with embedded delimiters, quotes ("") and line breaks.
+ * The delimiter is detected from the header line (comma or semicolon, as written by German Excel).
+ * @param {string} text - CSV content
+ * @param {Object} [options] - Parser options
+ * @param {string} [options.delimiter] - Cell delimiter (auto-detected if omitted)
+ * @returns {Array<Array<string>>} Rows of cells
+ */
+export function parseCsv(text, options = {}) {
+  const content = text.replace(/^\uFEFF/, '');
+  const firstLine = content.split(/\r?\n/, 1)[0] || '';
+  const delimiter = options.delimiter
+    || ((firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',');
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter((cells) => cells.some((value) => value.trim() !== ''));
+}
+
+/**
+ * Parse a social media cell
+ * Format: "LinkedIn=https://linkedin.com/in/max|GitHub=https://github.com/max"
+ * @param {string} value - Cell value
+ * @returns {Array<Object>|undefined} Social media entries with name and url
+ */
+function parseSocialMediaCell(value) {
+  const entries = value
+    .split('|')
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map((part) => {
+      const separatorIndex = part.indexOf('=');
+      if (separatorIndex === -1) {
+        return { name: part, url: '' };
+      }
+      return {
+        name: part.slice(0, separatorIndex).trim(),
+        url: part.slice(separatorIndex + 1).trim(),
+      };
+    });
+  return entries.length > 0 ? entries : undefined;
+}
+
+/**
+ * Set a contact field unless it already has another value
+ * @param {Object} contact - Contact being imported
+ * @param {string} field - Contact field
+ * @param {string} value - Imported value
+ * @returns {boolean} True if the value is in the contact (set now, already equal or empty)
+ */
+function assignField(contact, field, value) {
+  const text = String(value ?? '').trim();
+  if (!text) {
+    return true;
+  }
+  if (contact[field] === undefined) {
+    contact[field] = text;
+    return true;
+  }
+  return contact[field] === text;
+}
+
+/**
+ * Add an imported URL: known social networks become social media entries, the first other URL the website
+ * @param {Object} contact - Contact being imported
+ * @param {string} url - URL
+ * @param {string} [label] - Label of the URL in the export (e.g. "LinkedIn", "work")
+ * @returns {boolean} True if the URL was used
+ */
+function assignUrl(contact, url, label = '') {
+  const network = resolveSocialNetwork({ name: label, url });
+  if (network) {
+    contact.socialMedia = [...(contact.socialMedia || []), { name: SOCIAL_NETWORKS[network].name, url }];
+    return true;
+  }
+  return assignField(contact, 'website', url);
+}
+
+/**
+ * Finish an imported contact: derive the display name from the name parts if the export has none
+ * @param {Object} contact - Contact being imported
+ * @param {Array<string>} unmapped - Names of fields that were not used
+ * @returns {Object} Import entry { contact, unmapped }
+ */
+function createEntry(contact, unmapped) {
+  if (!contact.name && (contact.givenName || contact.familyName)) {
+    contact.name = [contact.givenName, contact.familyName].filter(Boolean).join(' ');
+  }
+  return { contact, unmapped: [...new Set(unmapped)] };
+}
+
+/**
+ * Detect the kind of a contact CSV from its header
+ * @param {Array<string>} headerRow - Header cells
+ * @returns {string} 'google', 'outlook' or 'csv' (own column names)
+ */
+function detectCsvDialect(headerRow) {
+  const columns = headerRow.map((column) => column.trim().toLowerCase());
+  if (columns.some((column) => /^(e-mail|phone|address|website|organization) \d+ - /.test(column))) {
+    return 'google';
+  }
+  if (columns.some((column) => OUTLOOK_MARKERS.includes(column))) {
+    return 'outlook';
+  }
+  return 'csv';
+}
+
+/**
+ * Collect the non-empty cells of a CSV row by lower-case column name
+ * @param {Array<string>} headerRow - Header cells
+ * @param {Array<string>} cells - Row cells
+ * @returns {Object} { column: { header, value } }
+ */
+function rowCells(headerRow, cells) {
+  const row = {};
+  headerRow.forEach((header, index) => {
+    const value = (cells[index] || '').trim();
+    if (value) {
+      row[header.trim().toLowerCase()] = { header: header.trim(), value };
+    }
+  });
+  return row;
+}
+
+/**
+ * Map a row of an Outlook contact export
+ * @param {Object} row - Cells from rowCells()
+ * @returns {Object} Import entry { contact, unmapped }
+ */
+function outlookRowToEntry(row) {
+  const contact = {};
+  const unmapped = [];
+  Object.entries(row).forEach(([column, { header, value }]) => {
+    const field = OUTLOOK_COLUMNS[column];
+    const mapped = field === 'website' ? assignUrl(contact, value) : field && assignField(contact, field, value);
+    if (!mapped) {
+      unmapped.push(header);
+    }
+  });
+  return createEntry(contact, unmapped);
+}
+
+/**
+ * Map a row of a Google contact export
+ * Numbered columns ("E-mail 1 - Value", "Phone 2 - Label") are grouped; work addresses win,
+ * phone labels decide between landline and mobile.
+ * @param {Object} row - Cells from rowCells()
+ * @returns {Object} Import entry { contact, unmapped }
+ */
+function googleRowToEntry(row) {
+  const contact = {};
+  const used = new Set(GOOGLE_IGNORED);
+  const value = (column) => row[column]?.value.split(GOOGLE_VALUE_SEPARATOR)[0];
+  const use = (column, mapped) => {
+    if (mapped && row[column]) {
+      used.add(column);
+    }
+  };
+  const groups = (kind) => [...new Set(Object.keys(row)
+    .map((column) => column.match(new RegExp(`^${kind} (\\d+) - `))?.[1])
+    .filter(Boolean))]
+    .sort((a, b) => a - b);
+  // Label columns only describe their group ("Old" exports call them Type)
+  const label = (kind, index) => {
+    const column = [`${kind} ${index} - label`, `${kind} ${index} - type`].find((name) => row[name]);
+    used.add(column);
+    return column ? row[column].value.toLowerCase() : '';
+  };
+
+  Object.entries(GOOGLE_COLUMNS).forEach(([column, field]) => use(column, assignField(contact, field, value(column))));
+
+  groups('e-mail').forEach((index) => {
+    label('e-mail', index);
+    use(`e-mail ${index} - value`, assignField(contact, 'email', value(`e-mail ${index} - value`)));
+  });
+
+  groups('phone').forEach((index) => {
+    const type = label('phone', index);
+    const field = /fax|pager/.test(type) ? null : /mobil/.test(type) ? 'mobile' : 'phone';
+    use(`phone ${index} - value`, field && assignField(contact, field, value(`phone ${index} - value`)));
+  });
+
+  const addressIndex = groups('address')
+    .map((index) => ({ index, work: label('address', index) === 'work' }))
+    .sort((a, b) => b.work - a.work)
+    .map(({ index }) => index)
+    .find((index) => ['street', 'city', 'postal code', 'country'].some((part) => row[`address ${index} - ${part}`]));
+  if (addressIndex) {
+    const column = (part) => `address ${addressIndex} - ${part}`;
+    use(column('street'), assignField(contact, 'address', value(column('street'))));
+    use(column('city'), assignField(contact, 'city', value(column('city'))));
+    use(column('postal code'), assignField(contact, 'postalCode', value(column('postal code'))));
+    use(column('country'), assignField(contact, 'country', value(column('country'))));
+    used.add(column('formatted'));
+  }
+
+  groups('website').forEach((index) => {
+    const type = label('website', index);
+    use(`website ${index} - value`, assignUrl(contact, value(`website ${index} - value`), type));
+  });
+
+  const unmapped = Object.entries(row)
+    .filter(([column]) => !used.has(column) || row[column].value.includes(GOOGLE_VALUE_SEPARATOR))
+    .map(([column, { header }]) => (used.has(column) ? `${header} (weitere Werte)` : header));
+  return createEntry(contact, unmapped);
+}
+
+/**
+ * Map a row of a CSV file with the contact field names (or their German labels) as header
+ * @param {Object} row - Cells from rowCells()
+ * @returns {Object} Import entry { contact, unmapped }
+ */
+function csvRowToEntry(row) {
+  const contact = {};
+  const unmapped = [];
+  Object.entries(row).forEach(([column, { header, value }]) => {
+    const field = COLUMN_ALIASES[column];
+    if (!field) {
+      unmapped.push(header);
+    } else {
+      contact[field] = field === 'socialMedia' ? parseSocialMediaCell(value) : value;
+    }
+  });
+  return { contact, unmapped };
+}
+
+/**
+ * Convert CSV rows (first row is the header) into import entries
+ * Google and Outlook contact exports are recognized by their header; other files use the
+ * contact field names. Empty cells are left out.
+ * @param {Array<Array<string>>} rows - Parsed CSV rows
+ * @returns {Object} { format, entries } with format 'csv', 'google' or 'outlook' and one
+ *   { contact, unmapped } entry per row (unmapped: headers of columns that were not used)
+ */
+export function csvRowsToEntries(rows) {
+  if (rows.length === 0) {
+    return { format: 'csv', entries: [] };
+  }
+
+  const [headerRow, ...dataRows] = rows;
+  const format = detectCsvDialect(headerRow);
+  const toEntry = { csv: csvRowToEntry, google: googleRowToEntry, outlook: outlookRowToEntry }[format];
+  return { format, entries: dataRows.map((cells) => toEntry(rowCells(headerRow, cells))) };
+}
+
+/**
+ * Convert CSV rows (first row is the header) into contact objects
+ * Unknown columns are ignored, empty cells are left out.
+ * @param {Array<Array<string>>} rows - Parsed CSV rows
+ * @returns {Array<Object>} Contact data objects
+ */
+export function csvRowsToContacts(rows) {
+  return csvRowsToEntries(rows).entries.map((entry) => entry.contact);
+}
+
+/**
+ * Map one vCard onto the contact schema
+ * Work and preferred values win over others; fax numbers, further addresses and properties
+ * like ORG, BDAY or PHOTO are reported as unmapped.
+ * @param {Object} card - Card from parseVCards()
+ * @returns {Object} Import entry { contact, unmapped }
+ */
+function vCardToEntry(card) {
+  const contact = {};
+  const unmapped = [];
+  const rank = ({ params }) => ((params.TYPE || []).some((type) => type === 'work' || type === 'pref') || params.PREF ? 0 : 1);
+  const locales = listCardLocales().map((locale) => locale.id);
+
+  [...card.properties].sort((a, b) => rank(a) - rank(b)).forEach(({ name, params, value, components }) => {
+    const types = params.TYPE || [];
+    let mapped;
+    switch (name) {
+      case 'FN':
+        mapped = assignField(contact, 'name', value);
+        break;
+      case 'N': {
+        const [familyName, givenName, additionalName, honorificPrefix, honorificSuffix] = components;
+        mapped = [
+          assignField(contact, 'familyName', familyName),
+          assignField(contact, 'givenName', givenName),
+          assignField(contact, 'honorificPrefix', honorificPrefix),
+        ].every(Boolean) && !additionalName && !honorificSuffix;
+        break;
+      }
+      case 'TITLE':
+      case 'ROLE':
+        mapped = assignField(contact, 'position', value);
+        break;
+      case 'EMAIL':
+        mapped = assignField(contact, 'email', value);
+        break;
+      case 'TEL':
+        mapped = !types.includes('fax') && !types.includes('pager')
+          && assignField(contact, types.includes('cell') ? 'mobile' : 'phone', value.replace(/^tel:/i, ''));
+        break;
+      case 'ADR': {
+        const [poBox, extendedAddress, street, city, region, postalCode, country] = components;
+        mapped = !contact.address && !contact.city && !poBox && !extendedAddress && !region;
+        if (!contact.address && !contact.city) {
+          assignField(contact, 'address', street);
+          assignField(contact, 'city', city);
+          assignField(contact, 'postalCode', postalCode);
+          assignField(contact, 'country', country);
+        }
+        break;
+      }
+      case 'URL':
+      case 'X-SOCIALPROFILE':
+        mapped = assignUrl(contact, value, types[0]);
+        break;
+      case 'LANG': {
+        const locale = value.trim().toLowerCase().split('-')[0];
+        mapped = locales.includes(locale) && assignField(contact, 'locale', locale);
+        break;
+      }
+      default:
+        mapped = VCARD_IGNORED.includes(name);
+    }
+    if (!mapped) {
+      unmapped.push(name);
+    }
+  });
+
+  return createEntry(contact, unmapped);
+}
+
+/**
+ * Read the contacts of a vCard file
+ * @param {string} text - Content of a .vcf file (vCard 3.0 or 4.0, one or more cards)
+ * @returns {Array<Object>} Import entries { contact, unmapped } (unmapped: vCard property names)
+ */
+export function vCardToEntries(text) {
+  return parseVCards(text).map(vCardToEntry);
+}
+
+/**
+ * Map one LDIF record onto the contact schema
+ * @param {Array<Object>} attributes - Attributes ({ name, value, reference })
+ * @returns {Object} Import entry { contact, unmapped }
+ */
+function ldifRecordToEntry(attributes) {
+  const contact = {};
+  const unmapped = [];
+  attributes.forEach(({ name, value, reference }) => {
+    const key = name.toLowerCase();
+    let mapped;
+    if (reference) {
+      mapped = false;
+    } else if (LDIF_URL_ATTRIBUTES.includes(key)) {
+      // labeledURI is "<url> <label>"
+      const [url, ...label] = value.split(/\s+/);
+      mapped = assignUrl(contact, url, label.join(' '));
+    } else if (LDIF_ATTRIBUTES[key]) {
+      mapped = assignField(contact, LDIF_ATTRIBUTES[key], value);
+    } else {
+      mapped = LDIF_IGNORED.includes(key);
+    }
+    if (!mapped) {
+      unmapped.push(name);
+    }
+  });
+  return createEntry(contact, unmapped);
+}
+
+/**
+ * Read the contacts of an LDIF file (LDAP directory or Thunderbird address book export)
+ * Records are separated by blank lines; base64 values ("attr:: …") are decoded.
+ * @param {string} text - Content of a .ldif file
+ * @returns {Array<Object>} Import entries { contact, unmapped } (unmapped: attribute names)
+ */
+export function ldifToEntries(text) {
+  const lines = text
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n|\r/g, '\n')
+    .replace(/\n /g, '')
+    .split('\n');
+  const records = [];
+  let record = [];
+
+  [...lines, ''].forEach((line) => {
+    if (line.trim() === '') {
+      if (record.length > 0) {
+        records.push(record);
+      }
+      record = [];
+      return;
+    }
+    // Attribute options like ";lang-de" are dropped; ":<" references a file or URL
+    const match = line.match(/^([\w.-]+)(?:;[\w.-]+)*(::|:<|:)\s*(.*)$/);
+    if (line.startsWith('#') || !match || (match[1].toLowerCase() === 'version' && record.length === 0)) {
+      return;
+    }
+    const [, name, separator, value] = match;
+    record.push({
+      name,
+      value: separator === '::' ? Buffer.from(value, 'base64').toString('utf8') : value,
+      reference: separator === ':<',
+    });
+  });
+
+  return records.map(ldifRecordToEntry);
+}
+
+/**
+ * Read the contacts of a JSON file
+ * JSON files may contain a single contact, an array of contacts or an object with a "contacts" array.
+ * @param {string} content - File content
+ * @param {string} filePath - File path for error messages
+ * @returns {Array<Object>} Contact data objects
+ * @throws {Error} On invalid JSON or an entry that is not an object, naming its position
+ */
+function parseJsonContacts(content, filePath) {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (err) {
+    throw new Error(`Ungültiges JSON in ${filePath}: ${err.message}`);
+  }
+  const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+  let contacts = [data];
+  if (Array.isArray(data)) {
+    contacts = data;
+  } else if (isObject(data) && Array.isArray(data.contacts)) {
+    contacts = data.contacts;
+  }
+  contacts.forEach((contact, index) => {
+    if (!isObject(contact)) {
+      throw new Error(`Ungültiger Kontakt in ${filePath}: Eintrag ${index + 1} ist kein Objekt (${JSON.stringify(contact)})`);
+    }
+  });
+  return contacts;
+}
+
+/**
+ * Import contacts from a file, reporting what could not be mapped
+ * The format follows the extension: .csv (own columns, Google or Outlook export), .json,
+ * .vcf/.vcard or .ldif/.ldi.
+ * @param {string} filePath - Path to the file
+ * @returns {Object} { format, formatName, entries } with one { contact, unmapped } entry per contact
+ * @throws {Error} If the file is missing, unreadable or has an unsupported extension
+ */
+export function importContactsFromFile(filePath) {
+  if (!existsSync(filePath)) {
+    throw new Error(`Eingabedatei nicht gefunden: ${filePath}`);
+  }
+
+  const extension = extname(filePath).toLowerCase();
+  const format = FILE_FORMATS[extension];
+  if (!format) {
+    throw new Error(`Nicht unterstütztes Dateiformat: ${extension || filePath} (erlaubt: ${Object.keys(FILE_FORMATS).join(', ')})`);
+  }
+
+  const content = readFileSync(filePath, 'utf8');
+  let result;
+  if (format === 'csv') {
+    result = csvRowsToEntries(parseCsv(content));
+  } else if (format === 'vcard') {
+    result = { format, entries: vCardToEntries(content) };
+  } else if (format === 'ldif') {
+    result = { format, entries: ldifToEntries(content) };
+  } else {
+    result = { format, entries: parseJsonContacts(content, filePath).map((contact) => ({ contact, unmapped: [] })) };
+  }
+  return { ...result, formatName: FORMAT_NAMES[result.format] };
+}
+
+/**
+ * Load contacts from a file
+ * @param {string} filePath - Path to a .csv, .json, .vcf or .ldif file
+ * @returns {Array<Object>} Contact data objects
+ */
+export function loadContactsFromFile(filePath) {
+  return importContactsFromFile(filePath).entries.map((entry) => entry.contact);
+}
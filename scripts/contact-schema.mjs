@@ -0,0 +1,229 @@
+#!/usr/bin/env node
+/**
+ * Contact Schema
+ * Validates contact records against the versioned JSON Schema in contact.schema.json
+ * and migrates saved records of older versions
+ */
+
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { readFileSync } from 'fs';
+import Ajv from 'ajv';
+import { loadConfig } from './config-loader.mjs';
+import { listCardLocales, resolveCountryCode } from './card-locale.mjs';
+import { parsePhoneNumber } from './phone-number.mjs';
+import { resolveSocialNetwork, SOCIAL_NETWORKS } from './social-networks.mjs';
+import { validateEmail, validateUrl, validatePhone, normalizeUrl } from './misc-cli-utils.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const CONTACT_SCHEMA_PATH = join(__dirname, 'contact.schema.json');
+
+// Version written to saved records; records without schemaVersion are version 0
+export const CONTACT_SCHEMA_VERSION = 1;
+
+const TYPE_NAMES = {
+  string: 'Text',
+  array: 'eine Liste',
+  object: 'ein Objekt',
+  integer: 'eine ganze Zahl',
+  number: 'eine Zahl',
+  boolean: 'true oder false',
+};
+
+const FORMAT_MESSAGES = {
+  email: 'ist keine gültige E-Mail-Adresse',
+  url: 'ist keine gültige URL',
+};
+
+// Migrations from version n to n + 1, applied in order
+const MIGRATIONS = [migrateToVersion1];
+
+let validator = null;
+
+/**
+ * Load the contact schema
+ * Card formats and locales come from config and assets, so their allowed values are filled in here.
+ * @returns {Object} JSON Schema
+ */
+export function loadContactSchema() {
+  const schema = JSON.parse(readFileSync(CONTACT_SCHEMA_PATH, 'utf8'));
+  schema.properties.format.enum = Object.keys(loadConfig().businessCard.formats);
+  schema.properties.locale.enum = listCardLocales().map((locale) => locale.id);
+  return schema;
+}
+
+/**
+ * Compile the schema once, with the same email, URL and phone checks as the interactive prompts
+ * @returns {Function} Ajv validate function
+ */
+function getValidator() {
+  if (!validator) {
+    const ajv = new Ajv({ allErrors: true });
+    ajv.addFormat('email', validateEmail);
+    // Empty URLs are allowed for social media entries that only name the network
+    ajv.addFormat('url', (value) => value === '' || validateUrl(value));
+    ajv.addFormat('phone', (value) => validatePhone(value));
+    validator = ajv.compile(loadContactSchema());
+  }
+  return validator;
+}
+
+/**
+ * Turn a JSON pointer into a readable field path ("/socialMedia/0/url" → "socialMedia[0].url")
+ * @param {string} pointer - Ajv instance path
+ * @returns {string} Field path
+ */
+function fieldPath(pointer) {
+  return pointer
+    .split('/')
+    .filter(Boolean)
+    .map((part) => (/^\d+$/.test(part) ? `[${part}]` : `.${part}`))
+    .join('')
+    .replace(/^\./, '');
+}
+
+/**
+ * Describe a schema error in German, naming the field
+ * @param {Object} schemaError - Ajv error
+ * @param {*} value - Value of the field
+ * @returns {string} Error message ("email: ist keine gültige E-Mail-Adresse")
+ */
+function describeError(schemaError, value) {
+  const path = fieldPath(schemaError.instancePath);
+  const { keyword, params } = schemaError;
+  const at = (message, field = path) => `${field || 'Kontakt'}: ${message}`;
+
+  switch (keyword) {
+    case 'required':
+      return at('fehlt', [path, params.missingProperty].filter(Boolean).join('.'));
+    case 'additionalProperties':
+      return at('unbekanntes Feld', [path, params.additionalProperty].filter(Boolean).join('.'));
+    case 'type':
+      if (path === 'socialMedia' && typeof value === 'string') {
+        return at('veraltetes Format (Text) – Datei über „Bestehende Visitenkarte bearbeiten“ aktualisieren');
+      }
+      return at(`muss ${TYPE_NAMES[params.type] || params.type} sein`);
+    case 'pattern':
+      return at('darf nicht leer sein');
+    case 'enum':
+      return at(`"${value}" ist nicht erlaubt (erlaubt: ${params.allowedValues.join(', ')})`);
+    case 'const':
+      return path === 'schemaVersion'
+        ? at(`Version ${value} wird nicht unterstützt (aktuell: ${params.allowedValue})`)
+        : at(`muss ${params.allowedValue} sein`);
+    case 'format':
+      if (params.format === 'phone') {
+        try {
+          parsePhoneNumber(value);
+        } catch (err) {
+          return at(`ist keine gültige Telefonnummer (${err.message})`);
+        }
+      }
+      return at(FORMAT_MESSAGES[params.format] || `hat nicht das Format ${params.format}`);
+    default:
+      return at(schemaError.message);
+  }
+}
+
+/**
+ * Get the value at a JSON pointer
+ * @param {Object} data - Record
+ * @param {string} pointer - JSON pointer
+ * @returns {*} Value
+ */
+function valueAt(data, pointer) {
+  return pointer.split('/').filter(Boolean).reduce((value, key) => value?.[key], data);
+}
+
+/**
+ * Validate a contact record against the schema
+ * Phone numbers that can be read in more than one way are valid, but reported as warnings.
+ * @param {Object} data - Contact record
+ * @returns {Object} Validation result with isValid, errors and warnings (one message per field)
+ */
+export function validateContactRecord(data) {
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+    return { isValid: false, errors: ['Kontakt: muss ein Objekt sein'], warnings: [] };
+  }
+
+  const validate = getValidator();
+  validate(data);
+  const errors = [...new Set((validate.errors || [])
+    .map((schemaError) => describeError(schemaError, valueAt(data, schemaError.instancePath))))];
+
+  const warnings = [];
+  const country = resolveCountryCode(data.country) ?? data.country;
+  ['phone', 'mobile']
+    .filter((field) => typeof data[field] === 'string' && validatePhone(data[field]))
+    .forEach((field) => {
+      parsePhoneNumber(data[field], country).ambiguities
+        .forEach((reason) => warnings.push(`${field}: "${data[field]}" ist mehrdeutig – ${reason}`));
+    });
+
+  return { isValid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * Turn a legacy free-text social media value into entries
+ * Parts are separated by "|", "," or line breaks; a URL in a part becomes the profile URL and
+ * known networks are named after it.
+ * @param {string} text - Legacy value, e.g. "LinkedIn: linkedin.com/in/max"
+ * @returns {Array<Object>} Social media entries ({ name, url })
+ */
+function parseLegacySocialMedia(text) {
+  return text
+    .split(/[|,\n]/)
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map((part) => {
+      const url = part.match(/(https?:\/\/)?[\w-]+(\.[\w-]+)+(\/\S*)?/)?.[0];
+      if (!url || !validateUrl(url)) {
+        return { name: part, url: '' };
+      }
+      const label = part.replace(url, '').replace(/[:=\s]+$/, '').trim();
+      const network = resolveSocialNetwork({ name: label, url });
+      return { name: network ? SOCIAL_NETWORKS[network].name : label || 'Website', url: normalizeUrl(url) };
+    });
+}
+
+/**
+ * Version 0 → 1: socialMedia was a free-text string in early saved files
+ * @param {Object} record - Version 0 record
+ * @param {Array<string>} changes - Collected change descriptions
+ * @returns {Object} Version 1 record
+ */
+function migrateToVersion1(record, changes) {
+  const migrated = { ...record };
+  if (typeof record.socialMedia === 'string') {
+    const entries = parseLegacySocialMedia(record.socialMedia);
+    if (entries.length > 0) {
+      migrated.socialMedia = entries;
+    } else {
+      delete migrated.socialMedia;
+    }
+    changes.push(`socialMedia: Text "${record.socialMedia}" in ${entries.length} Eintrag/Einträge umgewandelt`);
+  }
+  return migrated;
+}
+
+/**
+ * Upgrade a saved contact record to the current schema version
+ * @param {Object} record - Contact record as loaded from a file
+ * @returns {Object} { record, fromVersion, changes } with the upgraded record and what was changed
+ * @throws {Error} If the record was saved by a newer version
+ */
+export function migrateContactRecord(record) {
+  const fromVersion = record.schemaVersion ?? 0;
+  if (!Number.isInteger(fromVersion) || fromVersion < 0 || fromVersion > CONTACT_SCHEMA_VERSION) {
+    throw new Error(`Kontaktdaten-Version ${fromVersion} wird nicht unterstützt (aktuell: ${CONTACT_SCHEMA_VERSION})`);
+  }
+
+  const changes = [];
+  let migrated = record;
+  for (let version = fromVersion; version < CONTACT_SCHEMA_VERSION; version++) {
+    migrated = MIGRATIONS[version](migrated, changes);
+  }
+  return { record: { ...migrated, schemaVersion: CONTACT_SCHEMA_VERSION }, fromVersion, changes };
+}
@@ -4,92 +4,39 @@
  * Creates example avatars with different variants (colors, sizes, grayscale, shadow)
  */
 
-import { join, resolve, basename, extname } from 'path';
+import { join, resolve } from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
-import { existsSync, mkdirSync } from 'fs';
-import { generateAvatar } from './generate-avatar.mjs';
-import { loadConfig } from './config-loader.mjs';
+import { generateAvatarBatch } from './generate-avatar.mjs';
 import { header, success, info, error, endGroup } from './misc-cli-utils.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const projectRoot = resolve(__dirname, '..');
 
-// Load configuration
-const CONFIG = loadConfig();
-
 /**
  * Generate all sample avatar variants
+ * Every portrait in source/avatars in all colors, 256px and 512px, color and grayscale
  */
 async function generateSampleAvatars() {
   const sourceDir = join(projectRoot, 'source', 'avatars');
   const outputDir = join(projectRoot, 'examples', 'avatars');
   
-  // Ensure output directory exists
-  if (!existsSync(outputDir)) {
-    mkdirSync(outputDir, { recursive: true });
-  }
-  
-  // Find all portrait images in source directory
-  const { readdirSync } = await import('fs');
-  const portraitFiles = readdirSync(sourceDir)
-    .filter(file => {
-      const ext = extname(file).toLowerCase();
-      return ext === '.png' || ext === '.jpg' || ext === '.jpeg';
-    })
-    .map(file => join(sourceDir, file));
-  
-  if (portraitFiles.length === 0) {
-    error('Keine Portrait-Dateien in source/avatars gefunden!');
-    process.exit(1);
-  }
-  
-  // Define variants to generate
-  // Standard variants: all colors, standard sizes, with shadow (default)
-  const colors = Object.keys(CONFIG.brand.colors).filter(c => ['aqua', 'navy', 'fuchsia'].includes(c));
-  const sizes = [256, 512]; // Standard sizes for examples
-  const variants = [
-    { grayscale: false, withShadow: true, suffix: '', description: 'Standard' },
-    { grayscale: true, withShadow: true, suffix: '-grayscale', description: 'Graustufen' },
-  ];
-  
-  let totalAvatars = 0;
-  const generatedAvatars = [];
-  
-  for (const portraitPath of portraitFiles) {
-    const portraitName = basename(portraitPath, extname(portraitPath));
-    info(`\nVerarbeite Portrait: ${portraitName}`);
-    
-    for (const color of colors) {
-      for (const size of sizes) {
-        for (const variant of variants) {
-          const suffix = variant.suffix ? variant.suffix : '';
-          const outputFileName = `avatar-${portraitName}-${color}-${size}${suffix}.png`;
-          const outputPath = join(outputDir, outputFileName);
-          
-          try {
-            const variantDesc = variant.description || (variant.grayscale ? 'Graustufen' : 'Standard');
-            info(`  Generiere: ${outputFileName} (${variantDesc})`);
-            await generateAvatar(
-              portraitPath,
-              color,
-              size,
-              outputPath,
-              variant.grayscale,
-              variant.withShadow
-            );
-            generatedAvatars.push(outputFileName);
-            totalAvatars++;
-          } catch (err) {
-            error(`  Fehler bei ${outputFileName}: ${err.message}`);
-          }
-        }
-      }
-    }
-  }
+  const result = await generateAvatarBatch(sourceDir, {
+    outputDir,
+    sizes: [256, 512], // Standard sizes for examples
+    variants: ['color', 'grayscale'],
+    withShadow: true,
+    pattern: 'avatar-{person}-{color}-{size}{grayscale}.png',
+    manifest: false, // examples/avatars holds only the images
+  });
+  result.failed.forEach((avatar) => error(`  Fehler bei ${avatar.file}: ${avatar.error}`));
   
-  return { totalAvatars, generatedAvatars, outputDir };
+  return {
+    totalAvatars: result.avatars.length,
+    generatedAvatars: result.avatars.map((avatar) => avatar.file),
+    outputDir,
+  };
 }
 
 /**
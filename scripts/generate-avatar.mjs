@@ -1,12 +1,14 @@
 #!/usr/bin/env node
 /**
  * Avatar Generator
- * Generates square avatar images from cut-out portraits with brand color backgrounds
+ * Generates square avatar images from cut-out portraits with brand color backgrounds,
+ * for one portrait or every portrait of a folder
  */
 
 import { fileURLToPath } from 'url';
-import { dirname, join, resolve, extname, basename } from 'path';
-import { readFileSync, writeFileSync, mkdirSync, existsSync } from 'fs';
+import { dirname, join, resolve, extname, basename, relative } from 'path';
+import { readFileSync, writeFileSync, mkdirSync, existsSync, readdirSync, statSync, rmSync } from 'fs';
+import { createHash } from 'crypto';
 import sharp from 'sharp';
 import inquirer from 'inquirer';
 import {
@@ -15,8 +17,11 @@ import {
   error,
   info,
   warn,
+  table,
 } from './misc-cli-utils.mjs';
 import { loadConfig, loadBrandColors, hexToRgb } from './config-loader.mjs';
+import { resolvePortraitFraming, parseFocus, parseCrop, loadStoredFraming } from './avatar-framing.mjs';
+import { escapeHtml } from './html-template.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -26,12 +31,34 @@ const projectRoot = resolve(__dirname, '..');
 const CONFIG = loadConfig();
 const AVATAR_CONFIG = CONFIG.avatarGenerator;
 
+// Brand colors that can be used as avatar background
+const AVATAR_COLORS = ['aqua', 'navy', 'fuchsia'];
+const AVATAR_VARIANTS = ['color', 'grayscale'];
+const AVATAR_MASKS = ['square', 'circle', 'rounded', 'squircle'];
+const PORTRAIT_EXTENSIONS = ['.png', '.jpg', '.jpeg'];
+// Output formats and their file extensions
+const AVATAR_FORMATS = { png: 'png', webp: 'webp', avif: 'avif', jpeg: 'jpg' };
+const FILE_NAME_PLACEHOLDERS = ['person', 'color', 'size', 'grayscale', 'mask', 'shadow'];
+// Unit offset per shadow direction (screen coordinates, y pointing down)
+const SHADOW_DIRECTIONS = {
+  'top-left': { x: -1, y: -1 },
+  top: { x: 0, y: -1 },
+  'top-right': { x: 1, y: -1 },
+  left: { x: -1, y: 0 },
+  right: { x: 1, y: 0 },
+  'bottom-left': { x: -1, y: 1 },
+  bottom: { x: 0, y: 1 },
+  'bottom-right': { x: 1, y: 1 },
+  none: { x: 0, y: 0 },
+};
+
 /**
  * Get shadow color (different from background color)
  * @param {string} backgroundColor - Background color name (aqua, navy, fuchsia)
+ * @param {number} [alternate] - Which of the other brand colors: 0 for the first, 1 for the second (default: 0)
  * @returns {string} Shadow color name
  */
-function getShadowColor(backgroundColor) {
+function getShadowColor(backgroundColor, alternate = 0) {
   const colorMap = AVATAR_CONFIG.shadowColorMap;
   const colorKey = backgroundColor.toLowerCase();
   
@@ -41,16 +68,166 @@ function getShadowColor(backgroundColor) {
     return 'navy';
   }
   
-  // Return first available different color
-  return options[0];
+  // Return the requested different color, the first one if there are fewer
+  return options[alternate] ?? options[0];
+}
+
+/**
+ * Resolve the shadow style of an avatar
+ * A style is a named preset from avatarGenerator.shadow.presets or an object with layers.
+ * Each layer is a silhouette of the portrait, drawn bottom to top:
+ * - direction: top-left, top, top-right, left, right, bottom-left, bottom, bottom-right or none
+ * - distance: offset as multiple of the size-based offset (default: 1)
+ * - alternate: 0 or 1 for the first or second other brand color (default: 0)
+ * - color: brand color name or hex color instead of the alternate color
+ * - blur: softness in percent of the size (default: 0)
+ * - opacity: 0–1 (default: 1)
+ * @param {Object} [options] - Shadow options
+ * @param {string|Object} [options.shadow] - Preset name or { name, layers } (default from config)
+ * @param {string} [options.shadowColor] - Color for all layers (brand color name or hex)
+ * @returns {Object} { name, layers } with all layer fields set
+ * @throws {Error} On an unknown preset or an invalid layer
+ */
+function resolveShadowStyle(options = {}) {
+  const shadowConfig = AVATAR_CONFIG.shadow;
+  const shadow = options.shadow ?? shadowConfig.default;
+  let name = shadow.name ?? 'custom';
+  let style = shadow;
+  if (typeof shadow === 'string') {
+    name = shadow;
+    style = shadowConfig.presets[shadow];
+    if (!style) {
+      throw new Error(`Unbekannter Schattenstil: ${shadow}. Erlaubt: ${Object.keys(shadowConfig.presets).join(', ')}`);
+    }
+  }
+  if (!Array.isArray(style?.layers) || style.layers.length === 0) {
+    throw new Error(`Schattenstil ${name} braucht mindestens eine Ebene (layers)`);
+  }
+
+  const colors = loadBrandColors();
+  const layers = style.layers.map((layer) => {
+    const resolved = {
+      direction: 'top-left',
+      distance: 1,
+      alternate: 0,
+      color: null,
+      blur: 0,
+      opacity: 1,
+      ...layer,
+      ...(options.shadowColor ? { color: options.shadowColor.toLowerCase() } : {}),
+    };
+    if (!(resolved.direction in SHADOW_DIRECTIONS)) {
+      throw new Error(`Ungültige Schattenrichtung in ${name}: ${resolved.direction}. Erlaubt: ${Object.keys(SHADOW_DIRECTIONS).join(', ')}`);
+    }
+    if (resolved.color && !colors[resolved.color] && !/^#[0-9a-f]{6}$/i.test(resolved.color)) {
+      throw new Error(`Ungültige Schattenfarbe in ${name}: ${resolved.color}. Erlaubt: Firmenfarbe oder #rrggbb`);
+    }
+    if (![0, 1].includes(resolved.alternate)) {
+      throw new Error(`Ungültige Ersatzfarbe in ${name}: ${resolved.alternate}. Erlaubt: 0 oder 1`);
+    }
+    if (!(resolved.distance >= 0) || !(resolved.blur >= 0) || !(resolved.opacity >= 0 && resolved.opacity <= 1)) {
+      throw new Error(`Ungültige Schattenebene in ${name}: Abstand und Unschärfe ab 0, Deckkraft 0 bis 1`);
+    }
+    return resolved;
+  });
+  return { name, layers };
+}
+
+/**
+ * Get the hex color of a shadow layer
+ * @param {Object} layer - Layer from resolveShadowStyle()
+ * @param {string} backgroundColor - Background color name
+ * @returns {Object} { label, hex }
+ */
+function getShadowLayerColor(layer, backgroundColor) {
+  const colors = loadBrandColors();
+  const colorName = layer.color ?? getShadowColor(backgroundColor, layer.alternate);
+  return colors[colorName] ? { label: colorName, hex: colors[colorName] } : { label: colorName, hex: colorName };
+}
+
+/**
+ * Resolve the mask of an avatar
+ * @param {Object} [options] - Mask options
+ * @param {string} [options.mask] - 'square', 'circle', 'rounded' or 'squircle' (default from config)
+ * @param {number} [options.radius] - Corner radius of 'rounded' in percent of the size, 0–50 (default from config)
+ * @returns {Object} { shape, radius }
+ * @throws {Error} On an unknown shape or a radius outside 0–50
+ */
+function resolveMask(options = {}) {
+  const shape = options.mask ?? AVATAR_CONFIG.mask.default;
+  const radius = options.radius ?? AVATAR_CONFIG.mask.radiusPercent;
+  if (!AVATAR_MASKS.includes(shape)) {
+    throw new Error(`Unbekannte Maske: ${shape}. Erlaubt: ${AVATAR_MASKS.join(', ')}`);
+  }
+  if (!(radius >= 0 && radius <= 50)) {
+    throw new Error(`Ungültiger Eckenradius: ${radius}. Erlaubt sind 0 bis 50 (Prozent der Größe)`);
+  }
+  return { shape, radius };
+}
+
+/**
+ * Distance from the center to the mask edge along the diagonal, relative to a square
+ * The shadow is offset diagonally, into the corner that round masks cut away.
+ * @param {Object} mask - Mask from resolveMask()
+ * @returns {number} 1 for a square, 1/√2 for a circle
+ */
+function getMaskDiagonalExtent({ shape, radius }) {
+  switch (shape) {
+    case 'circle':
+      return Math.SQRT1_2;
+    case 'rounded': {
+      // Corner radius as fraction of the half size; the diagonal ends on the corner arc
+      const corner = radius / 50;
+      return ((1 - corner) * Math.SQRT2 + corner) / Math.SQRT2;
+    }
+    case 'squircle':
+      // Superellipse |x|^n + |y|^n = 1 meets the diagonal at x = y = 2^(-1/n)
+      return 2 ** (-1 / AVATAR_CONFIG.mask.squircleExponent);
+    default:
+      return 1;
+  }
+}
+
+/**
+ * Create the SVG of an avatar mask (opaque inside, transparent outside)
+ * @param {number} size - Avatar size in pixels
+ * @param {Object} mask - Mask from resolveMask()
+ * @returns {Buffer} SVG image
+ */
+function createMaskSvg(size, { shape, radius }) {
+  const half = size / 2;
+  let element;
+  if (shape === 'circle') {
+    element = `<circle cx="${half}" cy="${half}" r="${half}"/>`;
+  } else if (shape === 'rounded') {
+    const cornerRadius = (size * radius) / 100;
+    element = `<rect width="${size}" height="${size}" rx="${cornerRadius}" ry="${cornerRadius}"/>`;
+  } else {
+    const exponent = 2 / AVATAR_CONFIG.mask.squircleExponent;
+    const steps = 360;
+    const points = Array.from({ length: steps }, (_, step) => {
+      const angle = (step / steps) * 2 * Math.PI;
+      const cos = Math.cos(angle);
+      const sin = Math.sin(angle);
+      const x = half + half * Math.sign(cos) * Math.abs(cos) ** exponent;
+      const y = half + half * Math.sign(sin) * Math.abs(sin) ** exponent;
+      return `${x.toFixed(2)},${y.toFixed(2)}`;
+    });
+    element = `<path d="M${points.join('L')}Z"/>`;
+  }
+  return Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}">${element}</svg>`);
 }
 
 /**
  * Calculate shadow offset based on avatar size
+ * Round masks cut off the corners, so diagonal offsets shrink with the mask's diagonal and the
+ * silhouette stays inside the visible area.
  * @param {number} size - Avatar size in pixels
+ * @param {Object} [mask] - Mask from resolveMask() (default: square)
+ * @param {Object} [layer] - Shadow layer with direction and distance (default: top-left, 1)
  * @returns {Object} Offset object with x and y (negative for top-left)
  */
-function calculateShadowOffset(size) {
+function calculateShadowOffset(size, mask = { shape: 'square', radius: 0 }, layer = { direction: 'top-left', distance: 1 }) {
   const shadowConfig = AVATAR_CONFIG.shadowOffset;
   let offset;
   
@@ -74,24 +251,321 @@ function calculateShadowOffset(size) {
     );
   }
   
-  // Top-left offset (negative values)
+  const direction = SHADOW_DIRECTIONS[layer.direction];
+  const diagonal = direction.x !== 0 && direction.y !== 0;
+  offset = Math.round(offset * layer.distance * (diagonal ? getMaskDiagonalExtent(mask) : 1));
+  
+  // Offset in the layer's direction (negative values for top and left)
   return {
-    x: -offset,
-    y: -offset,
+    x: direction.x * offset,
+    y: direction.y * offset,
   };
 }
 
+/**
+ * Render one avatar as PNG
+ * @param {Function} framedPortrait - Returns a sharp pipeline of the framed portrait
+ * @param {number} size - Avatar size in pixels
+ * @param {Object} style - Avatar style
+ * @param {string} style.colorName - Background color name
+ * @param {string} style.colorHex - Background color
+ * @param {boolean} style.grayscale - Grayscale portrait
+ * @param {boolean} style.withShadow - Add the shadow silhouettes
+ * @param {Object} style.mask - Mask from resolveMask()
+ * @param {Object} style.shadowStyle - Shadow style from resolveShadowStyle()
+ * @returns {Promise<Buffer>} PNG image
+ */
+async function renderAvatar(framedPortrait, size, { colorName, colorHex, grayscale, withShadow, mask, shadowStyle }) {
+  // Calculate portrait size to fill the square (with some padding if needed)
+  // Portrait will fill the square, centered, with cropping if needed
+  const targetSize = size;
+  
+  // Start with portrait processing pipeline
+  let portraitPipeline = framedPortrait();
+  
+  // Convert to grayscale if requested (only the portrait, not the background)
+  if (grayscale) {
+    portraitPipeline = portraitPipeline
+      .greyscale()
+      .normalise() // Normalize brightness/contrast
+      .linear(1.3, -38.4); // Increase contrast by 30% for better visibility (offset: -(128 * 0.3) = -38.4)
+  }
+  
+  // Resize the framed portrait to fill the square (cover strategy)
+  // This will maintain aspect ratio and crop if needed
+  const resizedPortrait = await portraitPipeline
+    .resize(targetSize, targetSize, {
+      fit: 'cover', // Fill the square, cropping if needed
+      position: 'center', // Center the crop
+    })
+    .toBuffer();
+
+  // Create colored background
+  const rgb = hexToRgb(colorHex);
+  if (!rgb) {
+    throw new Error(`Invalid color hex: ${colorHex}`);
+  }
+
+  // Create square background with brand color
+  const background = sharp({
+    create: {
+      width: size,
+      height: size,
+      channels: 4, // RGBA
+      background: { r: rgb.r, g: rgb.g, b: rgb.b, alpha: 1 },
+    },
+  });
+
+  // Prepare composite layers
+  const compositeLayers = [];
+
+  // Add shadow silhouettes if enabled, one per layer of the shadow style (bottom to top)
+  for (const layer of withShadow ? shadowStyle.layers : []) {
+    try {
+      const shadowColorHex = getShadowLayerColor(layer, colorName).hex;
+      const shadowRgb = hexToRgb(shadowColorHex);
+      
+      if (!shadowRgb) {
+        throw new Error(`Failed to parse shadow color: ${shadowColorHex}`);
+      }
+      
+      // Calculate offset first
+      const offset = calculateShadowOffset(size, mask, layer);
+      
+      // Calculate shadow size (can overflow canvas)
+      // Shadow can be larger than canvas and will be clipped if it overflows
+      const desiredShadowSize = Math.floor(targetSize * AVATAR_CONFIG.shadowSize.multiplier);
+      const shadowSize = Math.max(1, desiredShadowSize);
+      
+      // Validate shadow size (only check if it's positive, allow overflow)
+      if (shadowSize <= 0) {
+        throw new Error(`Invalid shadow size: ${shadowSize}`);
+      }
+      
+      // Create shadow silhouette:
+      // 1. Resize portrait to shadow size (120% of target, max canvas size)
+      const portraitForShadow = await framedPortrait()
+        .resize(shadowSize, shadowSize, {
+          fit: 'cover',
+          position: 'center',
+        })
+        .ensureAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+      
+      // 2. Create shadow by replacing RGB with shadow color, keeping alpha
+      const { data: portraitData, info } = portraitForShadow;
+      const shadowBuffer = Buffer.allocUnsafe(shadowSize * shadowSize * 4);
+      
+      for (let i = 0; i < shadowSize * shadowSize; i++) {
+        const alpha = portraitData[i * 4 + 3];
+        shadowBuffer[i * 4 + 0] = shadowRgb.r; // R
+        shadowBuffer[i * 4 + 1] = shadowRgb.g; // G
+        shadowBuffer[i * 4 + 2] = shadowRgb.b; // B
+        shadowBuffer[i * 4 + 3] = Math.round(alpha * layer.opacity); // A (preserve transparency)
+      }
+      
+      // 3. Create shadow silhouette image from buffer, softened by the layer's blur
+      let shadowPipeline = sharp(shadowBuffer, {
+        raw: {
+          width: shadowSize,
+          height: shadowSize,
+          channels: 4,
+        },
+      });
+      if (layer.blur > 0) {
+        // sharp needs a sigma of at least 0.3
+        shadowPipeline = shadowPipeline.blur(Math.max(0.3, (size * layer.blur) / 100));
+      }
+      const shadowSilhouetteRaw = await shadowPipeline
+        .png()
+        .toBuffer();
+      
+      // 4. Calculate position for shadow (centered with offset)
+      // Start from center, then apply offset (negative for top-left)
+      const centerX = Math.floor((size - shadowSize) / 2);
+      const centerY = Math.floor((size - shadowSize) / 2);
+      const shadowX = centerX + offset.x;
+      const shadowY = centerY + offset.y;
+      
+      // 5. Crop shadow to visible area within canvas bounds
+      // Calculate which part of the shadow is visible
+      const cropLeft = Math.max(0, -shadowX);
+      const cropTop = Math.max(0, -shadowY);
+      const cropRight = Math.min(shadowSize, size - shadowX);
+      const cropBottom = Math.min(shadowSize, size - shadowY);
+      const cropWidth = cropRight - cropLeft;
+      const cropHeight = cropBottom - cropTop;
+      
+      // Extract visible portion of shadow
+      let shadowToComposite = shadowSilhouetteRaw;
+      if (cropLeft > 0 || cropTop > 0 || cropWidth < shadowSize || cropHeight < shadowSize) {
+        // Crop shadow to visible area
+        shadowToComposite = await sharp(shadowSilhouetteRaw)
+          .extract({
+            left: cropLeft,
+            top: cropTop,
+            width: cropWidth,
+            height: cropHeight,
+          })
+          .toBuffer();
+      }
+      
+      // 6. Embed cropped shadow in canvas-sized image
+      const finalShadowX = Math.max(0, shadowX);
+      const finalShadowY = Math.max(0, shadowY);
+      
+      const shadowCanvas = sharp({
+        create: {
+          width: size,
+          height: size,
+          channels: 4,
+          background: { r: 0, g: 0, b: 0, alpha: 0 }, // Transparent background
+        },
+      });
+      
+      // Composite cropped shadow onto canvas
+      const shadowSilhouette = await shadowCanvas
+        .composite([
+          {
+            input: shadowToComposite,
+            blend: 'over',
+            left: finalShadowX,
+            top: finalShadowY,
+          },
+        ])
+        .png()
+        .toBuffer();
+      
+      compositeLayers.push({
+        input: shadowSilhouette,
+        blend: 'over',
+        left: 0,
+        top: 0,
+      });
+    } catch (err) {
+      error(`Failed to create shadow silhouette: ${err.message}`);
+      throw err;
+    }
+  }
+
+  // Add main portrait (centered)
+  const portraitX = Math.floor((size - targetSize) / 2);
+  const portraitY = Math.floor((size - targetSize) / 2);
+  
+  compositeLayers.push({
+    input: resizedPortrait,
+    blend: 'over',
+    left: portraitX,
+    top: portraitY,
+  });
+
+  // Composite all layers
+  let avatar = await background
+    .composite(compositeLayers)
+    .png()
+    .toBuffer();
+
+  // Cut out the mask shape; everything outside becomes transparent
+  if (mask.shape !== 'square') {
+    avatar = await sharp(avatar)
+      .composite([{ input: createMaskSvg(size, mask), blend: 'dest-in' }])
+      .png()
+      .toBuffer();
+  }
+
+  return avatar;
+}
+
+/**
+ * Get the output format of a file name
+ * @param {string} filePath - File path, e.g. "avatar.webp"
+ * @returns {string} Format (png, webp, avif or jpeg)
+ * @throws {Error} If the extension is not an avatar format
+ */
+function getAvatarFormat(filePath) {
+  const extension = extname(filePath).toLowerCase().slice(1);
+  const format = extension === 'jpeg' ? 'jpeg' : Object.keys(AVATAR_FORMATS).find((key) => AVATAR_FORMATS[key] === extension);
+  if (!format) {
+    throw new Error(`Unbekanntes Bildformat: ${basename(filePath)}. Erlaubt: ${Object.values(AVATAR_FORMATS).map((ext) => `.${ext}`).join(', ')}`);
+  }
+  return format;
+}
+
+/**
+ * Encode a rendered avatar with the quality settings of avatarGenerator.formats
+ * JPEG has no transparency, so masked corners are filled with the configured background.
+ * @param {Buffer} avatar - PNG image from renderAvatar()
+ * @param {string} format - png, webp, avif or jpeg
+ * @returns {Promise<Buffer>} Encoded image
+ */
+async function encodeAvatar(avatar, format) {
+  const { background, ...encoderOptions } = AVATAR_CONFIG.formats[format];
+  let pipeline = sharp(avatar);
+  if (format === 'jpeg') {
+    pipeline = pipeline.flatten({ background });
+  }
+  return pipeline.toFormat(format, encoderOptions).toBuffer();
+}
+
+/**
+ * Render a <picture> element for a set of avatar files
+ * Browsers use the first source whose type they support, so the smaller modern formats come
+ * first; the most compatible format becomes the <img>, which email clients fall back to.
+ * @param {Array<Object>} files - Written files ({ path, format, density })
+ * @param {number} size - Display size in CSS pixels
+ * @param {string} alt - Alternative text
+ * @returns {string} HTML snippet with paths relative to the snippet
+ */
+function renderPictureSnippet(files, size, alt) {
+  const formats = [...new Set(files.map((file) => file.format))];
+  const srcset = (format) => files
+    .filter((file) => file.format === format)
+    .map((file) => `${basename(file.path)} ${file.density}x`)
+    .join(', ');
+  const fallback = ['png', 'jpeg', 'webp', 'avif'].find((format) => formats.includes(format));
+  const sources = ['avif', 'webp', 'jpeg', 'png']
+    .filter((format) => format !== fallback && formats.includes(format))
+    .map((format) => `  <source type="image/${format}" srcset="${srcset(format)}">`);
+  const src = files.find((file) => file.format === fallback);
+  return [
+    '<picture>',
+    ...sources,
+    `  <img src="${basename(src.path)}" srcset="${srcset(fallback)}" width="${size}" height="${size}" alt="${escapeHtml(alt)}">`,
+    '</picture>',
+    '',
+  ].join('\n');
+}
+
 /**
  * Generate square avatar with brand color background
+ * With a circle, rounded or squircle mask, the pixels outside the shape are transparent.
+ * With several formats or densities, every density is written in every format
+ * (avatar.png, avatar@2x.png, avatar.webp, …) together with a <picture> snippet (avatar.html).
  * @param {string} portraitPath - Path to cut-out portrait image (PNG with transparency)
  * @param {string} colorName - Brand color name (aqua, navy, fuchsia)
- * @param {number} size - Output size in pixels (square)
- * @param {string} outputPath - Output file path
+ * @param {number} size - Output size in pixels (square), at density 1
+ * @param {string} outputPath - Output file path; the extension gives the format unless options.formats is set
  * @param {boolean} grayscale - Whether to convert portrait to grayscale (default: false)
  * @param {boolean} withShadow - Whether to add shadow silhouette (default: true)
- * @returns {Promise<void>}
+ * @param {Object} [options] - Further options
+ * @param {string} [options.mask] - Mask shape: 'square', 'circle', 'rounded' or 'squircle' (default from config)
+ * @param {number} [options.radius] - Corner radius of 'rounded' in percent of the size (default from config)
+ * @param {string|Object} [options.shadow] - Shadow style: preset name or { layers } (see resolveShadowStyle(), default from config)
+ * @param {string} [options.shadowColor] - Color for all shadow layers (brand color name or hex)
+ * @param {string} [options.framing] - Portrait framing: 'center' or 'auto' (head and shoulders from the alpha channel)
+ * @param {Object} [options.focus] - Focal point as fractions of the portrait ({ x, y })
+ * @param {Object} [options.crop] - Crop box in portrait pixels ({ left, top, width, height })
+ * @param {boolean} [options.saveFraming] - Store an explicit framing next to the portrait (default: true)
+ * @param {Array<string>} [options.formats] - Output formats: png, webp, avif and/or jpeg (default: from outputPath)
+ * @param {Array<number>} [options.densities] - Pixel densities, e.g. [1, 2, 3] for 1x/2x/3x (default: [1])
+ * @param {string} [options.alt] - Alternative text of the <picture> snippet
+ * @returns {Promise<Object>} { framing, files, snippet }: the framing used (see resolvePortraitFraming()),
+ *   the written files ({ path, format, density, size }) and the snippet path (null for a single file);
+ *   if a format or density fails, the files already written are removed again
  */
-async function generateAvatar(portraitPath, colorName, size, outputPath, grayscale = false, withShadow = true) {
+async function generateAvatar(portraitPath, colorName, size, outputPath, grayscale = false, withShadow = true, options = {}) {
+  const files = [];
   try {
     // Validate inputs
     if (!existsSync(portraitPath)) {
@@ -111,6 +585,17 @@ async function generateAvatar(portraitPath, colorName, size, outputPath, graysca
       throw new Error(`Invalid size: ${size}. Must be a positive integer`);
     }
 
+    const mask = resolveMask(options);
+    const shadowStyle = resolveShadowStyle(options);
+    const formats = options.formats ?? [getAvatarFormat(outputPath)];
+    const densities = options.densities ?? [1];
+    formats.filter((format) => !(format in AVATAR_FORMATS)).forEach((format) => {
+      throw new Error(`Unbekanntes Bildformat: ${format}. Erlaubt: ${Object.keys(AVATAR_FORMATS).join(', ')}`);
+    });
+    densities.filter((density) => !Number.isInteger(density) || density <= 0).forEach((density) => {
+      throw new Error(`Ungültige Pixeldichte: ${density}. Erlaubt sind positive ganze Zahlen (1, 2, 3)`);
+    });
+
     // Ensure output directory exists
     const outputDir = dirname(outputPath);
     if (!existsSync(outputDir)) {
@@ -119,217 +604,310 @@ async function generateAvatar(portraitPath, colorName, size, outputPath, graysca
 
     info(`Generating ${size}x${size}px avatar with ${colorName} background...`);
 
-    // Get portrait image metadata
-    const portraitMetadata = await sharp(portraitPath).metadata();
-    const portraitWidth = portraitMetadata.width;
-    const portraitHeight = portraitMetadata.height;
-
-    // Calculate portrait size to fill the square (with some padding if needed)
-    // Portrait will fill the square, centered, with cropping if needed
-    const targetSize = size;
-    
-    // Start with portrait processing pipeline
-    let portraitPipeline = sharp(portraitPath);
-    
-    // Convert to grayscale if requested (only the portrait, not the background)
-    if (grayscale) {
-      portraitPipeline = portraitPipeline
-        .greyscale()
-        .normalise() // Normalize brightness/contrast
-        .linear(1.3, -38.4); // Increase contrast by 30% for better visibility (offset: -(128 * 0.3) = -38.4)
-    }
-    
-    // Resize portrait to fill the square (cover strategy)
-    // This will maintain aspect ratio and crop if needed
-    const resizedPortrait = await portraitPipeline
-      .resize(targetSize, targetSize, {
-        fit: 'cover', // Fill the square, cropping if needed
-        position: 'center', // Center the crop
-      })
-      .toBuffer();
-
-    // Create colored background
-    const rgb = hexToRgb(colorHex);
-    if (!rgb) {
-      throw new Error(`Invalid color hex: ${colorHex}`);
-    }
-
-    // Create square background with brand color
-    const background = sharp({
-      create: {
-        width: size,
-        height: size,
-        channels: 4, // RGBA
-        background: { r: rgb.r, g: rgb.g, b: rgb.b, alpha: 1 },
-      },
+    // Choose the part of the portrait to use; an explicitly chosen framing is stored per portrait
+    const framing = await resolvePortraitFraming(portraitPath, {
+      framing: options.framing,
+      focus: options.focus,
+      crop: options.crop,
+      save: options.saveFraming,
     });
+    const framedPortrait = () => (framing.crop ? sharp(portraitPath).extract(framing.crop) : sharp(portraitPath));
 
-    // Prepare composite layers
-    const compositeLayers = [];
-
-    // Add shadow silhouette if enabled
-    if (withShadow) {
-      try {
-        const shadowColorName = getShadowColor(colorName);
-        const shadowColorHex = colors[shadowColorName];
-        const shadowRgb = hexToRgb(shadowColorHex);
-        
-        if (!shadowRgb) {
-          throw new Error(`Failed to parse shadow color: ${shadowColorHex}`);
-        }
-        
-        // Calculate offset first
-        const offset = calculateShadowOffset(size);
-        
-        // Calculate shadow size (can overflow canvas)
-        // Shadow can be larger than canvas and will be clipped if it overflows
-        const desiredShadowSize = Math.floor(targetSize * AVATAR_CONFIG.shadowSize.multiplier);
-        const shadowSize = Math.max(1, desiredShadowSize);
-        
-        // Validate shadow size (only check if it's positive, allow overflow)
-        if (shadowSize <= 0) {
-          throw new Error(`Invalid shadow size: ${shadowSize}`);
-        }
-        
-        // Create shadow silhouette:
-        // 1. Resize portrait to shadow size (120% of target, max canvas size)
-        const portraitForShadow = await sharp(portraitPath)
-          .resize(shadowSize, shadowSize, {
-            fit: 'cover',
-            position: 'center',
-          })
-          .ensureAlpha()
-          .raw()
-          .toBuffer({ resolveWithObject: true });
-        
-        // 2. Create shadow by replacing RGB with shadow color, keeping alpha
-        const { data: portraitData, info } = portraitForShadow;
-        const shadowBuffer = Buffer.allocUnsafe(shadowSize * shadowSize * 4);
-        
-        for (let i = 0; i < shadowSize * shadowSize; i++) {
-          const alpha = portraitData[i * 4 + 3];
-          shadowBuffer[i * 4 + 0] = shadowRgb.r; // R
-          shadowBuffer[i * 4 + 1] = shadowRgb.g; // G
-          shadowBuffer[i * 4 + 2] = shadowRgb.b; // B
-          shadowBuffer[i * 4 + 3] = alpha; // A (preserve transparency)
-        }
-        
-        // 3. Create shadow silhouette image from buffer
-        const shadowSilhouetteRaw = await sharp(shadowBuffer, {
-          raw: {
-            width: shadowSize,
-            height: shadowSize,
-            channels: 4,
-          },
-        })
-          .png()
-          .toBuffer();
-        
-        // 4. Calculate position for shadow (centered with offset)
-        // Start from center, then apply offset (negative for top-left)
-        const centerX = Math.floor((size - shadowSize) / 2);
-        const centerY = Math.floor((size - shadowSize) / 2);
-        const shadowX = centerX + offset.x;
-        const shadowY = centerY + offset.y;
-        
-        // 5. Crop shadow to visible area within canvas bounds
-        // Calculate which part of the shadow is visible
-        const cropLeft = Math.max(0, -shadowX);
-        const cropTop = Math.max(0, -shadowY);
-        const cropRight = Math.min(shadowSize, size - shadowX);
-        const cropBottom = Math.min(shadowSize, size - shadowY);
-        const cropWidth = cropRight - cropLeft;
-        const cropHeight = cropBottom - cropTop;
-        
-        // Extract visible portion of shadow
-        let shadowToComposite = shadowSilhouetteRaw;
-        if (cropLeft > 0 || cropTop > 0 || cropWidth < shadowSize || cropHeight < shadowSize) {
-          // Crop shadow to visible area
-          shadowToComposite = await sharp(shadowSilhouetteRaw)
-            .extract({
-              left: cropLeft,
-              top: cropTop,
-              width: cropWidth,
-              height: cropHeight,
-            })
-            .toBuffer();
-        }
-        
-        // 6. Embed cropped shadow in canvas-sized image
-        const finalShadowX = Math.max(0, shadowX);
-        const finalShadowY = Math.max(0, shadowY);
-        
-        const shadowCanvas = sharp({
-          create: {
-            width: size,
-            height: size,
-            channels: 4,
-            background: { r: 0, g: 0, b: 0, alpha: 0 }, // Transparent background
-          },
-        });
-        
-        // Composite cropped shadow onto canvas
-        const shadowSilhouette = await shadowCanvas
-          .composite([
-            {
-              input: shadowToComposite,
-              blend: 'over',
-              left: finalShadowX,
-              top: finalShadowY,
-            },
-          ])
-          .png()
-          .toBuffer();
-        
-        compositeLayers.push({
-          input: shadowSilhouette,
-          blend: 'over',
-          left: 0,
-          top: 0,
-        });
-      } catch (err) {
-        error(`Failed to create shadow silhouette: ${err.message}`);
-        throw err;
+    // Render every density once and encode it in every format
+    const baseName = basename(outputPath, extname(outputPath));
+    for (const density of densities) {
+      const avatar = await renderAvatar(framedPortrait, size * density, { colorName, colorHex, grayscale, withShadow, mask, shadowStyle });
+      for (const format of formats) {
+        const filePath = join(outputDir, `${baseName}${density > 1 ? `@${density}x` : ''}.${AVATAR_FORMATS[format]}`);
+        writeFileSync(filePath, await encodeAvatar(avatar, format));
+        files.push({ path: filePath, format, density, size: size * density });
+        success(`Avatar generated successfully: ${filePath}`);
       }
     }
 
-    // Add main portrait (centered)
-    const portraitX = Math.floor((size - targetSize) / 2);
-    const portraitY = Math.floor((size - targetSize) / 2);
-    
-    compositeLayers.push({
-      input: resizedPortrait,
-      blend: 'over',
-      left: portraitX,
-      top: portraitY,
-    });
-
-    // Composite all layers
-    const avatar = await background
-      .composite(compositeLayers)
-      .png()
-      .toBuffer();
-
-    // Write output file
-    writeFileSync(outputPath, avatar);
+    // A set of files gets a <picture> snippet next to it
+    let snippetPath = null;
+    if (files.length > 1) {
+      snippetPath = join(outputDir, `${baseName}.html`);
+      writeFileSync(snippetPath, renderPictureSnippet(files, size, options.alt ?? ''), 'utf8');
+      info(`<picture>-Snippet: ${snippetPath}`);
+    }
 
-    success(`Avatar generated successfully: ${outputPath}`);
-    info(`Size: ${size}x${size}px`);
+    info(`Size: ${size}x${size}px${densities.length > 1 || densities[0] !== 1 ? ` (${densities.map((density) => `${density}x`).join(', ')})` : ''}`);
     info(`Color: ${colorName} (${colorHex})`);
+    if (framing.crop) {
+      const { left, top, width, height } = framing.crop;
+      info(`Ausschnitt: ${framing.mode} (${left},${top},${width},${height})`);
+    }
+    if (mask.shape !== 'square') {
+      info(`Maske: ${mask.shape}${mask.shape === 'rounded' ? ` (Radius ${mask.radius} %)` : ''}`);
+    }
     if (grayscale) {
       info(`Portrait: Graustufen`);
     }
     if (withShadow) {
-      const shadowColorName = getShadowColor(colorName);
-      const shadowColorHex = colors[shadowColorName];
-      info(`Schattenriss: ${shadowColorName} (${shadowColorHex})`);
+      const layerColors = shadowStyle.layers.map((layer) => {
+        const { label, hex } = getShadowLayerColor(layer, colorName);
+        return label === hex ? hex : `${label} (${hex})`;
+      });
+      info(`Schattenriss: ${shadowStyle.name} – ${layerColors.join(', ')}`);
     }
+    return { framing, files, snippet: snippetPath };
   } catch (err) {
+    // Leave no partial set behind
+    files.forEach((file) => rmSync(file.path, { force: true }));
     error(`Failed to generate avatar: ${err.message}`);
     throw err;
   }
 }
 
+/**
+ * List the portrait images of a folder
+ * @param {string} sourceDir - Folder with cut-out portraits
+ * @returns {Array<string>} Portrait paths, sorted by file name
+ * @throws {Error} If the folder does not exist or contains no portraits
+ */
+function listPortraits(sourceDir) {
+  if (!existsSync(sourceDir) || !statSync(sourceDir).isDirectory()) {
+    throw new Error(`Portrait-Ordner nicht gefunden: ${sourceDir}`);
+  }
+  const portraits = readdirSync(sourceDir)
+    .filter((file) => PORTRAIT_EXTENSIONS.includes(extname(file).toLowerCase()))
+    .sort()
+    .map((file) => join(sourceDir, file));
+  if (portraits.length === 0) {
+    throw new Error(`Keine Portraits (${PORTRAIT_EXTENSIONS.join(', ')}) in ${sourceDir} gefunden`);
+  }
+  return portraits;
+}
+
+/**
+ * Get the default file name of an avatar
+ * Used for the output path prompts and the team directory. Mask and shadow style are only named if
+ * they differ from the defaults; the extension follows the first format.
+ * @param {Object} avatar - Avatar properties (person, color, size, grayscale, mask, shadow, withShadow, formats)
+ * @returns {string} File name, e.g. "avatar-anna-aqua-512.png" or "avatar-aqua-512-circle-soft.webp"
+ */
+function getAvatarFileName({ person, color, size, grayscale = false, mask = 'square', shadow = AVATAR_CONFIG.shadow.default, withShadow = true, formats = ['png'] }) {
+  const name = ['avatar', person, color, size].filter((part) => part !== undefined).join('-');
+  const maskSuffix = mask === 'square' ? '' : `-${mask}`;
+  const shadowSuffix = !withShadow || shadow === 'none' || shadow === AVATAR_CONFIG.shadow.default ? '' : `-${shadow}`;
+  return `${name}${grayscale ? '-grayscale' : ''}${maskSuffix}${shadowSuffix}.${AVATAR_FORMATS[formats[0]]}`;
+}
+
+/**
+ * Fill the avatar file name pattern
+ * Placeholders: {person} (portrait file name without extension), {color}, {size},
+ * {grayscale} ("-grayscale" for grayscale portraits, otherwise empty), {mask} (mask shape) and
+ * {shadow} (shadow style, "none" without shadow).
+ * @param {string} pattern - File name pattern, e.g. "avatar-{person}-{color}-{size}{grayscale}.png"
+ * @param {Object} avatar - Avatar properties (person, color, size, grayscale, mask, shadow)
+ * @returns {string} File name
+ * @throws {Error} If the pattern uses an unknown placeholder or does not end in an image extension
+ */
+function formatAvatarFileName(pattern, { person, color, size, grayscale, mask = 'square', shadow = AVATAR_CONFIG.shadow.default }) {
+  const values = { person, color, size, grayscale: grayscale ? '-grayscale' : '', mask, shadow };
+  const fileName = pattern.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    if (!FILE_NAME_PLACEHOLDERS.includes(name)) {
+      throw new Error(`Unbekannter Platzhalter ${placeholder} im Dateinamenmuster (erlaubt: ${FILE_NAME_PLACEHOLDERS.map((key) => `{${key}}`).join(', ')})`);
+    }
+    return String(values[name]);
+  });
+  if (!Object.values(AVATAR_FORMATS).includes(extname(fileName).toLowerCase().slice(1))) {
+    throw new Error(`Dateinamenmuster muss auf ${Object.values(AVATAR_FORMATS).map((ext) => `.${ext}`).join(', ')} enden: ${pattern}`);
+  }
+  return fileName;
+}
+
+/**
+ * Check an avatar size against avatarGenerator.sizeLimits
+ * @param {number} size - Size in pixels
+ * @throws {Error} If the size is not a whole number within the limits
+ */
+function assertAvatarSize(size) {
+  const { min, max } = AVATAR_CONFIG.sizeLimits;
+  if (!Number.isInteger(size) || size < min || size > max) {
+    throw new Error(`Ungültige Größe: ${size}. Erlaubt sind ganze Zahlen von ${min} bis ${max} Pixeln`);
+  }
+}
+
+/**
+ * Plan every person × color × size × variant combination of a batch
+ * @param {Array<string>} portraits - Portrait paths
+ * @param {Object} options - Batch options (see generateAvatarBatch())
+ * @returns {Array<Object>} Jobs with portraitPath, person, color, size, grayscale, withShadow, mask, shadow and outputPath
+ * @throws {Error} On unknown colors, variants, sizes, masks or shadow styles, or if the pattern gives two avatars the same name
+ */
+function planAvatarBatch(portraits, options) {
+  const { colors, sizes, variants, withShadow, outputDir, pattern } = options;
+  const mask = resolveMask(options);
+  const shadow = resolveShadowStyle(options);
+  colors.filter((color) => !AVATAR_COLORS.includes(color)).forEach((color) => {
+    throw new Error(`Unbekannte Farbe: ${color}. Erlaubt: ${AVATAR_COLORS.join(', ')}`);
+  });
+  variants.filter((variant) => !AVATAR_VARIANTS.includes(variant)).forEach((variant) => {
+    throw new Error(`Unbekannte Variante: ${variant}. Erlaubt: ${AVATAR_VARIANTS.join(', ')}`);
+  });
+  sizes.forEach(assertAvatarSize);
+
+  const jobs = portraits.flatMap((portraitPath) => {
+    const person = basename(portraitPath, extname(portraitPath));
+    return colors.flatMap((color) => sizes.flatMap((size) => variants.map((variant) => {
+      const grayscale = variant === 'grayscale';
+      const fileName = formatAvatarFileName(pattern, { person, color, size, grayscale, mask: mask.shape, shadow: withShadow ? shadow.name : 'none' });
+      return { portraitPath, person, color, size, grayscale, withShadow, mask, shadow, outputPath: join(outputDir, fileName) };
+    })));
+  });
+
+  const seen = new Set();
+  jobs.forEach((job) => {
+    if (seen.has(job.outputPath)) {
+      throw new Error(`Dateinamenmuster "${pattern}" ergibt mehrfach ${basename(job.outputPath)} – Platzhalter für alle Kombinationen verwenden`);
+    }
+    seen.add(job.outputPath);
+  });
+  return jobs;
+}
+
+/**
+ * Run an async worker over items with at most `limit` items in flight
+ * @param {Array} items - Items
+ * @param {number} limit - Maximum number of parallel workers
+ * @param {Function} worker - Async function (item, index)
+ * @returns {Promise<Array>} Results in item order
+ */
+async function runWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+  await Promise.all(runners);
+  return results;
+}
+
+/**
+ * Generate avatars for every portrait of a folder
+ * Writes every person × color × size × variant combination, in every format and density, and a
+ * JSON manifest listing each file with its dimensions and SHA-256 hash. A failing avatar does not
+ * stop the others.
+ * @param {string} [sourceDir] - Folder with cut-out portraits (default from avatarGenerator.batch)
+ * @param {Object} [options] - Batch options (defaults from avatarGenerator.batch)
+ * @param {string} [options.outputDir] - Output directory
+ * @param {Array<string>} [options.colors] - Background colors (default: aqua, navy, fuchsia)
+ * @param {Array<number>} [options.sizes] - Sizes in pixels
+ * @param {Array<string>} [options.variants] - 'color' and/or 'grayscale' portraits
+ * @param {boolean} [options.withShadow] - Add the shadow silhouette
+ * @param {string} [options.mask] - Mask shape for all avatars (default from config)
+ * @param {number} [options.radius] - Corner radius of 'rounded' in percent (default from config)
+ * @param {string|Object} [options.shadow] - Shadow style for all avatars (default from config)
+ * @param {string} [options.shadowColor] - Color for all shadow layers (brand color name or hex)
+ * @param {string} [options.framing] - 'center' or 'auto' for all portraits (default: stored framing of each portrait, then config)
+ * @param {Array<string>} [options.formats] - Output formats (png, webp, avif, jpeg); replace the pattern's extension
+ * @param {Array<number>} [options.densities] - Pixel densities; more than one file per avatar adds a <picture> snippet
+ * @param {string} [options.pattern] - File name pattern (see formatAvatarFileName())
+ * @param {number} [options.concurrency] - Avatars generated in parallel
+ * @param {string|false} [options.manifest] - Manifest file name in the output directory, false for none
+ * @returns {Promise<Object>} { outputDir, manifestPath, avatars, failed }
+ */
+async function generateAvatarBatch(sourceDir, options = {}) {
+  const batchConfig = AVATAR_CONFIG.batch;
+  const settings = {
+    outputDir: resolve(options.outputDir ?? join(projectRoot, batchConfig.outputDir)),
+    colors: options.colors ?? AVATAR_COLORS,
+    sizes: options.sizes ?? batchConfig.sizes,
+    variants: options.variants ?? batchConfig.variants,
+    withShadow: options.withShadow ?? AVATAR_CONFIG.defaults.withShadow,
+    pattern: options.pattern ?? batchConfig.fileNamePattern,
+    mask: options.mask,
+    radius: options.radius,
+    shadow: options.shadow,
+    shadowColor: options.shadowColor,
+  };
+  const formats = options.formats ?? batchConfig.formats;
+  const densities = options.densities ?? batchConfig.densities;
+  const concurrency = options.concurrency ?? batchConfig.concurrency;
+  if (!Number.isInteger(concurrency) || concurrency <= 0) {
+    throw new Error(`Ungültige Parallelität: ${concurrency}. Erlaubt sind positive ganze Zahlen`);
+  }
+
+  const portraits = listPortraits(resolve(sourceDir ?? join(projectRoot, batchConfig.sourceDir)));
+  const jobs = planAvatarBatch(portraits, settings);
+  mkdirSync(settings.outputDir, { recursive: true });
+
+  // Frame every portrait once up front, so parallel jobs share the stored framing;
+  // only a --framing given for the batch is stored
+  const framings = new Map();
+  for (const portraitPath of portraits) {
+    framings.set(portraitPath, await resolvePortraitFraming(portraitPath, { framing: options.framing, save: Boolean(options.framing) }));
+  }
+  info(`Generiere ${jobs.length} Avatar(e), ${concurrency} parallel …`);
+
+  const results = await runWithConcurrency(jobs, concurrency, async (job) => {
+    try {
+      const { mode, crop } = framings.get(job.portraitPath);
+      const { files } = await generateAvatar(job.portraitPath, job.color, job.size, job.outputPath, job.grayscale, job.withShadow, {
+        mask: job.mask.shape,
+        radius: job.mask.radius,
+        shadow: job.shadow,
+        ...(crop ? { crop } : { framing: mode }),
+        saveFraming: false,
+        formats,
+        densities,
+        alt: job.person,
+      });
+      return Promise.all(files.map(async (written) => {
+        const bytes = readFileSync(written.path);
+        const { width, height } = await sharp(bytes).metadata();
+        return {
+          file: relative(settings.outputDir, written.path),
+          portrait: relative(projectRoot, job.portraitPath),
+          framing: mode,
+          crop: crop ?? null,
+          person: job.person,
+          color: job.color,
+          size: job.size,
+          grayscale: job.grayscale,
+          withShadow: job.withShadow,
+          mask: job.mask.shape,
+          shadow: job.withShadow ? job.shadow.name : null,
+          format: written.format,
+          density: written.density,
+          width,
+          height,
+          bytes: bytes.length,
+          sha256: createHash('sha256').update(bytes).digest('hex'),
+        };
+      }));
+    } catch (err) {
+      return [{ file: relative(settings.outputDir, job.outputPath), error: err.message }];
+    }
+  }).then((perJob) => perJob.flat());
+
+  const avatars = results.filter((result) => !result.error);
+  const failed = results.filter((result) => result.error);
+  const manifestName = options.manifest ?? batchConfig.manifest;
+  let manifestPath = null;
+  if (manifestName) {
+    manifestPath = join(settings.outputDir, manifestName);
+    writeFileSync(manifestPath, `${JSON.stringify({ pattern: settings.pattern, avatars }, null, 2)}\n`, 'utf8');
+  }
+
+  return { outputDir: settings.outputDir, manifestPath, avatars, failed };
+}
+
+/**
+ * Split a comma-separated CLI value
+ * @param {string} value - e.g. "aqua,navy"
+ * @returns {Array<string>} Trimmed, non-empty parts
+ */
+function splitList(value) {
+  return value.split(',').map((part) => part.trim()).filter(Boolean);
+}
+
 /**
  * Parse command line arguments
  * @returns {Object} Parsed arguments
@@ -343,6 +921,17 @@ function parseArgs() {
     output: null,
     grayscale: AVATAR_CONFIG.defaults.grayscale,
     withShadow: AVATAR_CONFIG.defaults.withShadow,
+    mask: undefined,
+    radius: undefined,
+    shadow: undefined,
+    shadowColor: undefined,
+    formats: undefined,
+    densities: undefined,
+    framing: undefined,
+    focus: undefined,
+    crop: undefined,
+    portraits: null,
+    batch: {},
   };
 
   for (let i = 0; i < args.length; i++) {
@@ -359,6 +948,52 @@ function parseArgs() {
       parsed.grayscale = true;
     } else if (arg === '--no-shadow') {
       parsed.withShadow = false;
+      parsed.batch.withShadow = false;
+    } else if (arg === '--shadow' && i + 1 < args.length) {
+      const shadow = args[++i].toLowerCase();
+      if (shadow === 'none') {
+        parsed.withShadow = false;
+        parsed.batch.withShadow = false;
+      } else {
+        parsed.shadow = shadow;
+        parsed.batch.shadow = shadow;
+      }
+    } else if (arg === '--shadow-color' && i + 1 < args.length) {
+      parsed.shadowColor = args[++i].toLowerCase();
+      parsed.batch.shadowColor = parsed.shadowColor;
+    } else if (arg === '--mask' && i + 1 < args.length) {
+      parsed.mask = args[++i].toLowerCase();
+      parsed.batch.mask = parsed.mask;
+    } else if (arg === '--radius' && i + 1 < args.length) {
+      parsed.radius = Number(args[++i]);
+      parsed.batch.radius = parsed.radius;
+    } else if (arg === '--framing' && i + 1 < args.length) {
+      parsed.framing = args[++i].toLowerCase();
+      parsed.batch.framing = parsed.framing;
+    } else if (arg === '--focus' && i + 1 < args.length) {
+      parsed.focus = parseFocus(args[++i]);
+    } else if (arg === '--crop' && i + 1 < args.length) {
+      parsed.crop = parseCrop(args[++i]);
+    } else if (arg === '--portraits' && i + 1 < args.length) {
+      parsed.portraits = args[++i];
+    } else if (arg === '--out' && i + 1 < args.length) {
+      parsed.batch.outputDir = args[++i];
+    } else if (arg === '--colors' && i + 1 < args.length) {
+      parsed.batch.colors = splitList(args[++i].toLowerCase());
+    } else if (arg === '--sizes' && i + 1 < args.length) {
+      parsed.batch.sizes = splitList(args[++i]).map(Number);
+    } else if (arg === '--variants' && i + 1 < args.length) {
+      parsed.batch.variants = splitList(args[++i].toLowerCase());
+    } else if (arg === '--pattern' && i + 1 < args.length) {
+      parsed.batch.pattern = args[++i];
+    } else if (arg === '--formats' && i + 1 < args.length) {
+      parsed.formats = splitList(args[++i].toLowerCase()).map((format) => (format === 'jpg' ? 'jpeg' : format));
+      parsed.batch.formats = parsed.formats;
+    } else if (arg === '--densities' && i + 1 < args.length) {
+      parsed.densities = splitList(args[++i].toLowerCase().replace(/x/g, '')).map(Number);
+      parsed.batch.densities = parsed.densities;
+    } else if (arg === '--concurrency' && i + 1 < args.length) {
+      parsed.batch.concurrency = Number(args[++i]);
     } else if (arg === '--help' || arg === '-h') {
       return { help: true };
     }
@@ -428,17 +1063,21 @@ async function promptBrandColor() {
 
 /**
  * Prompt user for avatar size
- * @returns {Promise<number>} Avatar size in pixels
+ * Size options with densities give a responsive set (e.g. 1x/2x/3x).
+ * @returns {Promise<Object>} { size, densities } with the size in pixels at density 1
  */
 async function promptAvatarSize() {
-  const sizeChoices = [...AVATAR_CONFIG.sizeOptions, { name: 'Benutzerdefiniert', value: 'custom' }];
+  const sizeChoices = [
+    ...AVATAR_CONFIG.sizeOptions.map((option) => ({ name: option.name, value: { size: option.value, densities: option.densities ?? [1] } })),
+    { name: 'Benutzerdefiniert', value: 'custom' },
+  ];
   const { size } = await inquirer.prompt([
     {
       type: 'list',
       name: 'size',
       message: 'Welche Größe soll der Avatar haben?',
       choices: sizeChoices,
-      default: AVATAR_CONFIG.defaults.size,
+      default: AVATAR_CONFIG.sizeOptions.findIndex((option) => option.value === AVATAR_CONFIG.defaults.size && !option.densities),
     },
   ]);
 
@@ -449,23 +1088,48 @@ async function promptAvatarSize() {
         name: 'customSize',
         message: 'Größe in Pixeln (quadratisch):',
         validate: (input) => {
-          const num = parseInt(input, 10);
-          if (isNaN(num) || num <= 0) {
-            return 'Bitte eine positive Zahl eingeben';
-          }
-          if (num < AVATAR_CONFIG.sizeLimits.min || num > AVATAR_CONFIG.sizeLimits.max) {
-            return `Größe muss zwischen ${AVATAR_CONFIG.sizeLimits.min} und ${AVATAR_CONFIG.sizeLimits.max} Pixeln liegen`;
+          try {
+            assertAvatarSize(Number(input));
+            return true;
+          } catch (err) {
+            return err.message;
           }
-          return true;
         },
       },
     ]);
-    return parseInt(customSize, 10);
+    return { size: parseInt(customSize, 10), densities: [1] };
   }
 
   return size;
 }
 
+/**
+ * Prompt user for the output formats
+ * @returns {Promise<Array<string>>} Formats (png, webp, avif, jpeg)
+ */
+async function promptFormats() {
+  const { formats } = await inquirer.prompt([
+    {
+      type: 'checkbox',
+      name: 'formats',
+      message: 'In welchen Formaten soll der Avatar gespeichert werden?',
+      choices: [
+        { name: 'PNG (verlustfrei, überall lesbar)', value: 'png', checked: true },
+        { name: `WebP (Qualität ${AVATAR_CONFIG.formats.webp.quality})`, value: 'webp' },
+        { name: `AVIF (Qualität ${AVATAR_CONFIG.formats.avif.quality}, am kleinsten)`, value: 'avif' },
+        { name: `JPEG (Qualität ${AVATAR_CONFIG.formats.jpeg.quality}, ohne Transparenz)`, value: 'jpeg' },
+      ],
+      validate: (input) => {
+        if (input.length === 0) {
+          return 'Mindestens ein Format muss ausgewählt werden';
+        }
+        return true;
+      },
+    },
+  ]);
+  return formats;
+}
+
 /**
  * Prompt user if portrait should be converted to grayscale
  * @returns {Promise<boolean>} True if portrait should be grayscale
@@ -483,19 +1147,93 @@ async function promptGrayscale() {
 }
 
 /**
- * Prompt user if shadow silhouette should be added
- * @returns {Promise<boolean>} True if shadow should be added
+ * Prompt user for the shadow silhouette style
+ * @returns {Promise<string>} Shadow preset name, 'none' for no shadow
  */
 async function promptShadow() {
-  const { withShadow } = await inquirer.prompt([
+  const shadowConfig = AVATAR_CONFIG.shadow;
+  const { shadow } = await inquirer.prompt([
     {
-      type: 'confirm',
-      name: 'withShadow',
-      message: 'Soll ein Schattenriss hinzugefügt werden? (farbiger Schatten hinter dem Portrait)',
-      default: AVATAR_CONFIG.defaults.withShadow,
+      type: 'list',
+      name: 'shadow',
+      message: 'Welcher Schattenriss soll hinter dem Portrait liegen?',
+      choices: [
+        ...Object.entries(shadowConfig.presets).map(([name, preset]) => ({ name: `${name} – ${preset.description}`, value: name })),
+        { name: 'Kein Schattenriss', value: 'none' },
+      ],
+      default: AVATAR_CONFIG.defaults.withShadow ? shadowConfig.default : 'none',
+    },
+  ]);
+  return shadow;
+}
+
+/**
+ * Prompt user for the portrait framing
+ * @param {string} portraitPath - Portrait image path
+ * @returns {Promise<Object>} Framing options for generateAvatar() (empty to keep the stored framing)
+ */
+async function promptFraming(portraitPath) {
+  const stored = loadStoredFraming(portraitPath);
+  const choices = [
+    ...(stored ? [{ name: `Gespeicherter Ausschnitt (${stored.mode})`, value: 'stored' }] : []),
+    { name: 'Automatisch (Kopf und Schultern)', value: 'auto' },
+    { name: 'Mitte', value: 'center' },
+    { name: 'Fokuspunkt angeben', value: 'focus' },
+  ];
+  const { framing } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'framing',
+      message: 'Welcher Ausschnitt des Portraits soll verwendet werden?',
+      choices,
+      default: stored ? 'stored' : AVATAR_CONFIG.framing.default,
+    },
+  ]);
+
+  if (framing === 'stored') {
+    return {};
+  }
+  if (framing === 'focus') {
+    const { focus } = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'focus',
+        message: 'Fokuspunkt x,y (Anteil von Breite und Höhe, z. B. 0.5,0.3):',
+        validate: (input) => {
+          try {
+            parseFocus(input);
+            return true;
+          } catch (err) {
+            return err.message;
+          }
+        },
+      },
+    ]);
+    return { focus: parseFocus(focus) };
+  }
+  return { framing };
+}
+
+/**
+ * Prompt user for the mask shape
+ * @returns {Promise<string>} Mask shape
+ */
+async function promptMask() {
+  const { mask } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'mask',
+      message: 'Welche Form soll der Avatar haben? (außerhalb transparent)',
+      choices: [
+        { name: 'Quadrat', value: 'square' },
+        { name: 'Kreis (Slack, GitHub, Website)', value: 'circle' },
+        { name: `Abgerundetes Quadrat (Radius ${AVATAR_CONFIG.mask.radiusPercent} %)`, value: 'rounded' },
+        { name: 'Squircle', value: 'squircle' },
+      ],
+      default: AVATAR_CONFIG.mask.default,
     },
   ]);
-  return withShadow;
+  return mask;
 }
 
 /**
@@ -504,16 +1242,15 @@ async function promptShadow() {
  * @param {string} color - Brand color name
  * @param {number} size - Avatar size
  * @param {boolean} grayscale - Whether portrait is grayscale
+ * @param {string} mask - Mask shape
+ * @param {string} shadow - Shadow preset name or 'none'
+ * @param {Array<string>} [formats] - Output formats (the first one gives the default extension)
  * @returns {Promise<string>} Output file path
  */
-async function promptOutputPath(portraitPath, color, size, grayscale = false) {
-  const portraitName = basename(portraitPath, extname(portraitPath));
-  const grayscaleSuffix = grayscale ? '-grayscale' : '';
+async function promptOutputPath(portraitPath, color, size, grayscale = false, mask = 'square', shadow = AVATAR_CONFIG.shadow.default, formats = ['png']) {
+  const person = basename(portraitPath, extname(portraitPath));
   const defaultOutputDir = join(projectRoot, AVATAR_CONFIG.defaults.outputDir);
-  const defaultOutput = join(
-    defaultOutputDir,
-    `avatar-${portraitName}-${color}-${size}${grayscaleSuffix}.png`
-  );
+  const defaultOutput = join(defaultOutputDir, getAvatarFileName({ person, color, size, grayscale, mask, shadow, formats }));
 
   const { outputPath } = await inquirer.prompt([
     {
@@ -535,9 +1272,9 @@ async function promptOutputPath(portraitPath, color, size, grayscale = false) {
             return `Verzeichnis kann nicht erstellt werden: ${dir}`;
           }
         }
-        const ext = extname(path).toLowerCase();
-        if (ext !== '.png') {
-          return 'Ausgabedatei muss eine PNG-Datei sein';
+        const extensions = Object.values(AVATAR_FORMATS).map((ext) => `.${ext}`);
+        if (!extensions.includes(extname(path).toLowerCase())) {
+          return `Ausgabedatei muss auf ${extensions.join(', ')} enden`;
         }
         return true;
       },
@@ -577,14 +1314,10 @@ async function promptMultipleAvatars(portraitPath) {
     },
   ]);
   
-  const { withShadow } = await inquirer.prompt([
-    {
-      type: 'confirm',
-      name: 'withShadow',
-      message: 'Soll ein Schattenriss hinzugefügt werden? (farbiger Schatten hinter dem Portrait)',
-      default: AVATAR_CONFIG.defaults.withShadow,
-    },
-  ]);
+  const shadow = await promptShadow();
+  const mask = await promptMask();
+  const framing = await promptFraming(portraitPath);
+  const formats = await promptFormats();
   const colors = loadBrandColors();
   const { selectedColors } = await inquirer.prompt([
     {
@@ -607,7 +1340,7 @@ async function promptMultipleAvatars(portraitPath) {
 
   const sizeChoices = AVATAR_CONFIG.sizeOptions.map((option, index) => ({
     name: option.name.replace(' (Klein)', '').replace(' (Standard)', '').replace(' (Groß)', ''),
-    value: option.value,
+    value: { size: option.value, densities: option.densities ?? [1] },
     checked: index < 2, // First two sizes checked by default
   }));
   
@@ -649,19 +1382,23 @@ async function promptMultipleAvatars(portraitPath) {
     },
   ]);
 
-  const portraitName = basename(portraitPath, extname(portraitPath));
-  const grayscaleSuffix = grayscale ? '-grayscale' : '';
+  const person = basename(portraitPath, extname(portraitPath));
   const configs = [];
 
   for (const color of selectedColors) {
-    for (const size of selectedSizes) {
+    for (const { size, densities } of selectedSizes) {
       configs.push({
         portraitPath,
         color,
         size,
+        densities,
+        formats,
         grayscale,
-        withShadow,
-        outputPath: join(resolve(outputDir.trim()), `avatar-${portraitName}-${color}-${size}${grayscaleSuffix}.png`),
+        withShadow: shadow !== 'none',
+        shadow: shadow === 'none' ? undefined : shadow,
+        mask,
+        framing,
+        outputPath: join(resolve(outputDir.trim()), getAvatarFileName({ person, color, size, grayscale, mask, shadow, formats })),
       });
     }
   }
@@ -678,6 +1415,7 @@ ${header('Avatar Generator', 'Einfach besser aussehen')}
 
 Usage:
   node scripts/generate-avatar.mjs [--portrait <path>] [--color <color>] [--size <pixels>] [--output <path>]
+  node scripts/generate-avatar.mjs --portraits <dir> [--out <dir>] [--colors <list>] [--sizes <list>]
 
 Options:
   --portrait <path>    Path to cut-out portrait image (PNG with transparency)
@@ -686,8 +1424,35 @@ Options:
   --output <path>      Output file path
   --grayscale          Convert portrait to grayscale (background stays colored)
   --no-shadow          Disable shadow silhouette (default: enabled)
+  --shadow <style>     Shadow style: ${Object.keys(AVATAR_CONFIG.shadow.presets).join(', ')} or none (default: ${AVATAR_CONFIG.shadow.default})
+  --shadow-color <c>   Shadow color instead of the other brand colors: brand color name or #rrggbb
+  --mask <shape>       Shape with transparent outside: ${AVATAR_MASKS.join(', ')} (default: ${AVATAR_CONFIG.mask.default})
+  --radius <percent>   Corner radius of --mask rounded in percent of the size (default: ${AVATAR_CONFIG.mask.radiusPercent})
+  --framing <mode>     Portrait framing: center or auto (head and shoulders from the alpha channel)
+                       (default: stored framing of the portrait, then ${AVATAR_CONFIG.framing.default})
+  --focus <x,y>        Center the crop on a focal point, as fractions of width and height (e.g. 0.5,0.3)
+  --crop <l,t,w,h>     Crop box in portrait pixels (left,top,width,height)
+                       The framing is stored in ${AVATAR_CONFIG.framing.file} next to the portrait and reused by reruns
+  --formats <list>     Output formats: ${Object.keys(AVATAR_FORMATS).join(', ')} (default: from the --output extension)
+  --densities <list>   Pixel densities for a responsive set, e.g. 1,2,3 (writes avatar@2x.png …)
+                       More than one file per avatar adds a <picture> snippet (avatar.html) next to them
   --help, -h           Show this help message
 
+Batch options (every person × color × size × variant of a portrait folder):
+  --portraits <dir>    Folder with cut-out portraits (PNG/JPEG), e.g. ${AVATAR_CONFIG.batch.sourceDir}
+  --out <dir>          Output directory (default: ${AVATAR_CONFIG.batch.outputDir})
+  --colors <list>      Background colors (default: ${AVATAR_COLORS.join(',')})
+  --sizes <list>       Sizes in pixels (default: ${AVATAR_CONFIG.batch.sizes.join(',')})
+  --variants <list>    Portrait variants: ${AVATAR_VARIANTS.join(', ')} (default: ${AVATAR_CONFIG.batch.variants.join(',')})
+  --pattern <pattern>  File name pattern with ${FILE_NAME_PLACEHOLDERS.map((key) => `{${key}}`).join(', ')}
+                       (default: ${AVATAR_CONFIG.batch.fileNamePattern})
+  --formats <list>     Output formats (default: ${AVATAR_CONFIG.batch.formats.join(',')})
+  --densities <list>   Pixel densities (default: ${AVATAR_CONFIG.batch.densities.join(',')})
+  --concurrency <n>    Avatars generated in parallel (default: ${AVATAR_CONFIG.batch.concurrency})
+
+  The batch writes ${AVATAR_CONFIG.batch.manifest} to the output directory, listing every file with its
+  dimensions and SHA-256 hash.
+
 If no arguments are provided, an interactive prompt will guide you through the process.
 
 Examples:
@@ -708,6 +1473,32 @@ Examples:
     --size 256 \\
     --output output/avatar-navy-256.png
 
+  # Frame head and shoulders automatically, or keep the face at 45% from the left, 30% from the top
+  node scripts/generate-avatar.mjs --portrait path/to/portrait.png --color navy --framing auto --output output/avatar.png
+  node scripts/generate-avatar.mjs --portrait path/to/portrait.png --color navy --focus 0.45,0.3 --output output/avatar.png
+
+  # Soft shadow to the bottom right, or both other brand colors behind the portrait
+  node scripts/generate-avatar.mjs --portrait path/to/portrait.png --color aqua --shadow soft --output output/avatar.png
+  node scripts/generate-avatar.mjs --portrait path/to/portrait.png --color aqua --shadow double --output output/avatar.png
+
+  # 64px avatar for email footers and the website: 1x/2x/3x as AVIF, WebP and PNG with a <picture> snippet
+  node scripts/generate-avatar.mjs --portrait path/to/portrait.png --color aqua --size 64 \\
+    --formats avif,webp,png --densities 1,2,3 --output output/avatar-aqua-64.png
+
+  # Round avatar for Slack and GitHub
+  node scripts/generate-avatar.mjs \\
+    --portrait path/to/portrait.png \\
+    --color aqua \\
+    --mask circle \\
+    --output output/avatar-aqua-512-circle.png
+
+  # All team portraits in every color, 256px and 512px, color and grayscale
+  node scripts/generate-avatar.mjs --portraits source/avatars --sizes 256,512
+
+  # Only aqua avatars, named per person in subfolders
+  node scripts/generate-avatar.mjs --portraits source/avatars --colors aqua \\
+    --pattern "{person}/{color}-{size}{grayscale}.png"
+
 Brand Colors:
   - aqua:    ${CONFIG.brand.colors.aqua}
   - navy:    ${CONFIG.brand.colors.navy}
@@ -729,6 +1520,33 @@ async function main() {
       process.exit(0);
     }
 
+    // A portrait folder generates every combination without prompts
+    if (args.portraits) {
+      if (args.focus || args.crop) {
+        throw new Error('--focus und --crop gelten für ein einzelnes Portrait; für einen Ordner --framing auto verwenden');
+      }
+      const result = await generateAvatarBatch(args.portraits, args.batch);
+      console.log('');
+      table(
+        ['Datei', 'Größe', 'SHA-256'],
+        [
+          ...result.avatars.map((avatar) => [avatar.file, `${avatar.width}x${avatar.height}px`, avatar.sha256.slice(0, 12)]),
+          ...result.failed.map((avatar) => [avatar.file, 'FEHLER', avatar.error]),
+        ],
+        { rowColor: (rowIndex, row) => (row[1] === 'FEHLER' ? 'red' : 'green') }
+      );
+      console.log('');
+      if (result.manifestPath) {
+        info(`Manifest: ${result.manifestPath}`);
+      }
+      if (result.failed.length > 0) {
+        error(`${result.failed.length} von ${result.avatars.length + result.failed.length} Avatar(en) fehlgeschlagen`);
+        process.exit(1);
+      }
+      success(`Alle ${result.avatars.length} Avatar(e) erfolgreich generiert!`);
+      return;
+    }
+
     // If all required arguments are provided, use CLI mode
     if (args.portrait && args.color && args.output) {
       // Validate color
@@ -739,7 +1557,18 @@ async function main() {
       }
 
       // Generate avatar
-      await generateAvatar(args.portrait, args.color, args.size, args.output, args.grayscale, args.withShadow);
+      await generateAvatar(args.portrait, args.color, args.size, args.output, args.grayscale, args.withShadow, {
+        mask: args.mask,
+        radius: args.radius,
+        shadow: args.shadow,
+        shadowColor: args.shadowColor,
+        formats: args.formats,
+        densities: args.densities,
+        alt: basename(args.portrait, extname(args.portrait)),
+        framing: args.framing,
+        focus: args.focus,
+        crop: args.crop,
+      });
       success('Avatar generation completed!');
       return;
     }
@@ -760,7 +1589,14 @@ async function main() {
       for (let i = 0; i < configs.length; i++) {
         const config = configs[i];
         info(`[${i + 1}/${configs.length}] Generiere Avatar: ${basename(config.outputPath)}`);
-        await generateAvatar(config.portraitPath, config.color, config.size, config.outputPath, config.grayscale, config.withShadow);
+        await generateAvatar(config.portraitPath, config.color, config.size, config.outputPath, config.grayscale, config.withShadow, {
+          mask: config.mask,
+          shadow: config.shadow,
+          formats: config.formats,
+          densities: config.densities,
+          alt: basename(config.portraitPath, extname(config.portraitPath)),
+          ...config.framing,
+        });
       }
 
       success(`\nAlle ${configs.length} Avatar(s) erfolgreich generiert!`);
@@ -768,13 +1604,23 @@ async function main() {
       // Single avatar mode
       const portraitPath = await promptPortraitPath();
       const color = await promptBrandColor();
-      const size = await promptAvatarSize();
+      const { size, densities } = await promptAvatarSize();
+      const formats = await promptFormats();
       const grayscale = await promptGrayscale();
-      const withShadow = await promptShadow();
-      const outputPath = await promptOutputPath(portraitPath, color, size, grayscale);
+      const shadow = await promptShadow();
+      const mask = await promptMask();
+      const framing = await promptFraming(portraitPath);
+      const outputPath = await promptOutputPath(portraitPath, color, size, grayscale, mask, shadow, formats);
 
       info('\nGeneriere Avatar...\n');
-      await generateAvatar(portraitPath, color, size, outputPath, grayscale, withShadow);
+      await generateAvatar(portraitPath, color, size, outputPath, grayscale, shadow !== 'none', {
+        mask,
+        shadow: shadow === 'none' ? undefined : shadow,
+        formats,
+        densities,
+        alt: basename(portraitPath, extname(portraitPath)),
+        ...framing,
+      });
       success('\nAvatar generation completed!');
     }
   } catch (err) {
@@ -793,4 +1639,14 @@ if (import.meta.url === `file://${process.argv[1]}`) {
   main();
 }
 
-export { generateAvatar, loadBrandColors, hexToRgb, loadConfig };
+export {
+  generateAvatar,
+  generateAvatarBatch,
+  planAvatarBatch,
+  listPortraits,
+  formatAvatarFileName,
+  getAvatarFileName,
+  loadBrandColors,
+  hexToRgb,
+  loadConfig,
+};
@@ -1,7 +1,7 @@
 #!/usr/bin/env node
 /**
  * Generate sample business cards using pdf-lib
- * Creates example business cards for demonstration purposes
+ * Creates example business cards for demonstration purposes from the members of team/
  */
 
 import { join, resolve } from 'path';
@@ -9,7 +9,7 @@ import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 import { generateBusinessCardWithPdfLib } from './generate-card.mjs';
 import { header, success, info, endGroup } from './misc-cli-utils.mjs';
-import { sampleContacts } from './sample-data.mjs';
+import { listTeamMembers, loadTeamMember } from './team.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -23,6 +23,7 @@ async function main() {
     header('Sample Business Cards Generator (pdf-lib)', 'Generiere Mustervisitenkarten mit pdf-lib', 'bgCyan');
 
     const outputDir = join(projectRoot, 'examples', 'sample-business-cards');
+    const sampleContacts = listTeamMembers().map((id) => loadTeamMember(id));
     
     info(`Generiere ${sampleContacts.length} Mustervisitenkarten...`);
 
@@ -30,7 +31,8 @@ async function main() {
       const contact = sampleContacts[i];
       info(`\nGeneriere Visitenkarte ${i + 1}/${sampleContacts.length}: ${contact.name}`);
       
-      const result = await generateBusinessCardWithPdfLib(contact, outputDir);
+      // Samples are committed, so regenerating them must not change unchanged cards
+      const result = await generateBusinessCardWithPdfLib(contact, outputDir, { deterministic: true });
       success(`✓ ✓ ${contact.name} - Vorder- und Rückseite generiert`);
     }
 
@@ -5,17 +5,17 @@
  */
 
 import { fileURLToPath } from 'url';
-import { dirname, join, resolve } from 'path';
+import { dirname, join, resolve, basename } from 'path';
 import { readFileSync, writeFileSync, mkdirSync, existsSync, readdirSync } from 'fs';
-import { PDFDocument, rgb } from 'pdf-lib';
+import { PDFDocument } from 'pdf-lib';
 import sharp from 'sharp';
-import QRCode from 'qrcode';
 import {
   cardProgress,
-  validateContactData,
   validateEmail,
+  validatePhone,
   validateUrl,
   normalizeUrl,
+  slugify,
   header,
   success,
   error,
@@ -23,8 +23,32 @@ import {
   warn,
   endGroup,
   formatContactPreview,
+  table,
 } from './misc-cli-utils.mjs';
-import { loadConfig, hexToRgbNormalized } from './config-loader.mjs';
+import { loadConfig } from './config-loader.mjs';
+import { importContactsFromFile } from './contact-import.mjs';
+import { validateContactRecord, migrateContactRecord, CONTACT_SCHEMA_VERSION } from './contact-schema.mjs';
+import { generateVCard, generateMeCard, resolveNameParts, resolveProjectPath, VCARD_VERSIONS } from './vcard.mjs';
+import { fitText, SHRINK_STEP_PT } from './card-text-layout.mjs';
+import { getCardColors, withSpotColors, COLOR_SPACES, REGISTRATION_COLOR } from './card-colors.mjs';
+import { FINISH_TYPES, getFinishColor, loadSvgShapes, drawShapesInBox } from './card-finish.mjs';
+import { createSvgPage, createPreviewImage, composePreview, PREVIEW_FORMATS } from './card-preview-image.mjs';
+import { createBrandedQrCode } from './qr-code.mjs';
+import { savePdf, isDeterministic, getFontSubsetName, resolveSourceDate } from './pdf-metadata.mjs';
+import { loadCardLocale, listCardLocales, localizeContact, getDefaultLocale } from './card-locale.mjs';
+import {
+  getCardSocialEntries,
+  resolveSocialNetwork,
+  formatSocialHandle,
+  SOCIAL_NETWORKS,
+} from './social-networks.mjs';
+import {
+  loadCardLayout,
+  listCardLayouts,
+  layoutUsesBlock,
+  fitLayoutToFormat,
+  ORIENTATIONS,
+} from './card-layout.mjs';
 import inquirer from 'inquirer';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -35,122 +59,216 @@ const projectRoot = resolve(__dirname, '..');
 const CONFIG = loadConfig();
 const CARD_CONFIG = CONFIG.businessCard;
 
+// Business card dimensions from config (card sizes come from the format presets)
+const MM_TO_PT = CARD_CONFIG.dimensions.mmToPt;
+const SAFE_AREA_OFFSET_MM = CARD_CONFIG.dimensions.safeAreaOffsetMm;
+const BLEED_MM = CARD_CONFIG.dimensions.bleedMm;
+const CROP_MARK_LENGTH_MM = CARD_CONFIG.dimensions.cropMarkLengthMm;
+const CROP_MARK_OFFSET_MM = CARD_CONFIG.dimensions.cropMarkOffsetMm;
+const CROP_MARK_LINE_WIDTH_PT = CARD_CONFIG.dimensions.cropMarkLineWidthPt;
+
+// Brand-approved font sizes: preferred size, smallest size and maximum lines per text field
+const TYPOGRAPHY = CARD_CONFIG.typography;
+// Line height relative to font size for wrapped text
+const LINE_HEIGHT_FACTOR = 1.2;
+// Field names used in overflow errors
+const FIELD_LABELS = {
+  name: 'Name',
+  position: 'Position',
+  companyName: 'Firma',
+  email: 'E-Mail',
+  phone: 'Tel',
+  mobile: 'Mobil',
+  website: 'Web',
+};
+// Approximate descender depth relative to font size, used for the safe area check
+const DESCENDER_FACTOR = 0.25;
+// Approximate cap height relative to font size, used to center handles next to their icons
+const CAP_HEIGHT_FACTOR = 0.7;
+// Social block defaults (mm): icon size, row height and gap between icon and handle
+const SOCIAL_ICON_SIZE_MM = 2.6;
+const SOCIAL_ROW_HEIGHT_MM = 3.3;
+const SOCIAL_GAP_MM = 1.2;
+// Minimum gap between a detail label and its value when longer labels widen the label column
+const DETAIL_LABEL_GAP_MM = 1.5;
+
+// PDF output modes: separate front/back files, one two-page duplex file, or both
+const PDF_OUTPUT_MODES = ['separate', 'combined', 'both'];
+
+// QR code content: full vCard, compact MeCard, or a URL (optionally a template like https://kieks.me/team/{slug})
+export const QR_PAYLOADS = ['vcard', 'mecard', 'url'];
+
 /**
- * Generate vCard string from contact data
- * @param {Object} data - Contact data
- * @returns {string} vCard formatted string
+ * Convert mm to points
+ * @param {number} mm - Millimeters
+ * @returns {number} Points
  */
-function generateVCard(data) {
-  const lines = ['BEGIN:VCARD', 'VERSION:3.0'];
-
-  if (data.name) {
-    lines.push(`FN:${data.name}`);
-    // Split name into parts if possible
-    const nameParts = data.name.split(' ');
-    if (nameParts.length >= 2) {
-      lines.push(`N:${nameParts.slice(-1)[0]};${nameParts.slice(0, -1).join(' ')};;;`);
-    } else {
-      lines.push(`N:${data.name};;;;`);
-    }
-  }
+function mmToPt(mm) {
+  return mm * MM_TO_PT;
+}
+
+/**
+ * Convert points to mm
+ * @param {number} pt - Points
+ * @returns {number} Millimeters
+ */
+function ptToMm(pt) {
+  return pt / MM_TO_PT;
+}
 
-  if (data.position) {
-    lines.push(`TITLE:${data.position}`);
+/**
+ * Resolve a card format preset in the given orientation
+ * @param {string} [formatName] - Preset from businessCard.formats (default from config)
+ * @param {string} [orientation] - 'landscape' (default) or 'portrait'
+ * @returns {Object} Format (id, name, orientation, widthMm, heightMm, safeAreaOffsetMm)
+ */
+export function resolveCardFormat(formatName = CARD_CONFIG.defaultFormat, orientation = 'landscape') {
+  const preset = CARD_CONFIG.formats[formatName];
+  if (!preset) {
+    throw new Error(`Unbekanntes Kartenformat: ${formatName}. Erlaubt: ${Object.keys(CARD_CONFIG.formats).join(', ')}`);
+  }
+  if (!ORIENTATIONS.includes(orientation)) {
+    throw new Error(`Unbekannte Ausrichtung: ${orientation}. Erlaubt: ${ORIENTATIONS.join(', ')}`);
   }
 
-  // Add organization/company name
-  const companyName = data.companyName || 'kieks.me GbR';
-  lines.push(`ORG:${companyName}`);
+  // Presets are defined in landscape; portrait swaps the sides
+  const long = Math.max(preset.widthMm, preset.heightMm);
+  const short = Math.min(preset.widthMm, preset.heightMm);
+  const portrait = orientation === 'portrait';
 
-  if (data.email) {
-    lines.push(`EMAIL;TYPE=WORK,INTERNET:${data.email}`);
-  }
+  return {
+    id: formatName,
+    name: preset.name,
+    orientation,
+    widthMm: portrait ? short : long,
+    heightMm: portrait ? long : short,
+    safeAreaOffsetMm: preset.safeAreaOffsetMm ?? SAFE_AREA_OFFSET_MM,
+  };
+}
 
-  if (data.phone) {
-    lines.push(`TEL;TYPE=WORK,VOICE:${data.phone}`);
-  }
+/**
+ * Resolve format and layout template of a card
+ * Explicit options win over the format stored with the contact, which wins over the config.
+ * Without an explicit layout the default layout of the orientation is used; the layout is
+ * then scaled from its design size to the chosen format.
+ * @param {Object} contactData - Contact data (may contain format and orientation)
+ * @param {Object} [options] - Card options (format, orientation, layout)
+ * @returns {Object} { format, layout }
+ */
+function resolveCardSetup(contactData, options = {}) {
+  const explicitLayout = options.layout ? loadCardLayout(options.layout) : null;
+  const orientation = options.orientation ?? contactData.orientation ?? explicitLayout?.orientation ?? 'landscape';
+  const format = resolveCardFormat(options.format ?? contactData.format ?? CARD_CONFIG.defaultFormat, orientation);
+  const layout = explicitLayout
+    ?? loadCardLayout(orientation === 'portrait' ? CARD_CONFIG.portraitLayout : CARD_CONFIG.layout);
 
-  if (data.mobile) {
-    lines.push(`TEL;TYPE=CELL:${data.mobile}`);
+  if (layout.orientation !== orientation) {
+    const names = { landscape: 'Querformat', portrait: 'Hochformat' };
+    throw new Error(`Layout "${layout.id}" ist für ${names[layout.orientation]} gestaltet, gewählt ist ${names[orientation]}`);
   }
 
-  if (data.address || data.city || data.postalCode) {
-    const addressParts = [
-      '', // Post office box
-      '', // Extended address
-      data.address || '', // Street address
-      data.city || '', // City
-      '', // State
-      data.postalCode || '', // Postal code
-      data.country || 'Deutschland', // Country
-    ];
-    lines.push(`ADR;TYPE=WORK:${addressParts.join(';')}`);
-  }
+  return { format, layout: fitLayoutToFormat(layout, format.widthMm, format.heightMm) };
+}
 
-  // Add website URL (if present)
-  if (data.website) {
-    const url = normalizeUrl(data.website);
-    lines.push(`URL:${url}`);
-  }
+/**
+ * Resolve page geometry for a card side
+ * In print mode the trim box stays at the origin and bleed plus crop mark
+ * area are added around it, so renderers keep drawing in trim coordinates.
+ * @param {Object} [options] - Output options
+ * @param {Object} [options.format] - Card format from resolveCardFormat() (default format if omitted)
+ * @param {boolean} [options.print] - Whether to add bleed and print boxes
+ * @param {boolean} [options.cropMarks] - Whether to draw crop marks (print mode only)
+ * @param {string} [options.colorSpace] - Color space for brand colors: rgb, cmyk or spot (default from config)
+ * @returns {Object} Geometry in points (width, height, safeOffset, bleed, margin, cropMarks) and colorSpace
+ */
+function getCardGeometry(options = {}) {
+  const format = options.format ?? resolveCardFormat();
+  const width = mmToPt(format.widthMm);
+  const height = mmToPt(format.heightMm);
+  const safeOffset = mmToPt(format.safeAreaOffsetMm);
+  const colorSpace = options.colorSpace ?? CARD_CONFIG.colorSpace;
 
-  // Add social media URLs as separate URL entries with TYPE parameter
-  if (data.socialMedia) {
-    // Handle both array format (new) and string format (legacy)
-    if (Array.isArray(data.socialMedia)) {
-      // New format: array of objects with name and url
-      // Each social media entry becomes a separate URL entry in the vCard
-      data.socialMedia.forEach((entry) => {
-        if (entry.url) {
-          const url = normalizeUrl(entry.url);
-          // Use URL with TYPE parameter for social media profiles
-          // Format: URL;TYPE=ServiceName:https://...
-          lines.push(`URL;TYPE=${entry.name}:${url}`);
-        } else if (entry.name) {
-          // If no URL provided, add as note
-          lines.push(`NOTE:Social Media: ${entry.name}`);
-        }
-      });
-    } else {
-      // Legacy format: simple string
-      lines.push(`NOTE:Social Media: ${data.socialMedia}`);
-    }
+  if (!options.print) {
+    return { width, height, safeOffset, bleed: 0, margin: 0, print: false, cropMarks: false, colorSpace };
   }
 
-  lines.push('END:VCARD');
-  return lines.join('\n');
+  const bleed = mmToPt(BLEED_MM);
+  const cropMarks = options.cropMarks !== false;
+  // Crop marks sit outside the bleed, separated by a small offset
+  const margin = cropMarks
+    ? bleed + mmToPt(CROP_MARK_OFFSET_MM) + mmToPt(CROP_MARK_LENGTH_MM)
+    : bleed;
+
+  return { width, height, safeOffset, bleed, margin, print: true, cropMarks, colorSpace };
 }
 
-// Business card dimensions from config
-const MM_TO_PT = CARD_CONFIG.dimensions.mmToPt;
-const CARD_WIDTH_MM = CARD_CONFIG.dimensions.widthMm;
-const CARD_HEIGHT_MM = CARD_CONFIG.dimensions.heightMm;
-const SAFE_AREA_OFFSET_MM = CARD_CONFIG.dimensions.safeAreaOffsetMm;
-const SAFE_AREA_WIDTH_MM = CARD_CONFIG.dimensions.safeAreaWidthMm;
-const SAFE_AREA_HEIGHT_MM = CARD_CONFIG.dimensions.safeAreaHeightMm;
+/**
+ * Add a card page with MediaBox, BleedBox and TrimBox set for the geometry
+ * @param {PDFDocument} pdfDoc - PDF document
+ * @param {Object} geometry - Geometry from getCardGeometry()
+ * @returns {Object} PDF page
+ */
+function addCardPage(pdfDoc, geometry) {
+  const { width, height, bleed, margin } = geometry;
+  const page = pdfDoc.addPage([width + margin * 2, height + margin * 2]);
 
-// Brand colors from config (normalized to 0-1 for PDF)
-function createColor(hex) {
-  const normalized = hexToRgbNormalized(hex);
-  return rgb(normalized.r, normalized.g, normalized.b);
+  if (geometry.print) {
+    // Shift the media box instead of translating content: (0, 0) remains the trim corner
+    page.setMediaBox(-margin, -margin, width + margin * 2, height + margin * 2);
+    page.setBleedBox(-bleed, -bleed, width + bleed * 2, height + bleed * 2);
+    page.setTrimBox(0, 0, width, height);
+  }
+
+  return page;
 }
 
-const COLORS = {
-  navy: createColor(CONFIG.brand.colors.navy),
-  white: createColor(CONFIG.brand.colors.white),
-  aqua: createColor(CONFIG.brand.colors.aqua),
-  lightGray: createColor(CONFIG.brand.colors.lightGray),
-  darkGray: createColor(CONFIG.brand.colors.darkGray),
-  mediumGray: createColor(CONFIG.brand.colors.mediumGray),
-  black: createColor(CONFIG.brand.colors.black),
-};
+/**
+ * Fill the card background including the bleed area
+ * @param {Object} page - PDF page
+ * @param {Object} geometry - Geometry from getCardGeometry()
+ * @param {Object} color - pdf-lib color
+ */
+function drawBackground(page, geometry, color) {
+  const { width, height, bleed } = geometry;
+  page.drawRectangle({
+    x: -bleed,
+    y: -bleed,
+    width: width + bleed * 2,
+    height: height + bleed * 2,
+    color,
+  });
+}
 
 /**
- * Convert mm to points
- * @param {number} mm - Millimeters
- * @returns {number} Points
+ * Draw crop marks at the four trim corners, outside the bleed area
+ * @param {Object} page - PDF page
+ * @param {Object} geometry - Geometry from getCardGeometry()
  */
-function mmToPt(mm) {
-  return mm * MM_TO_PT;
+function drawCropMarks(page, geometry) {
+  if (!geometry.cropMarks) {
+    return;
+  }
+
+  const { width, height, bleed } = geometry;
+  const start = bleed + mmToPt(CROP_MARK_OFFSET_MM);
+  const end = start + mmToPt(CROP_MARK_LENGTH_MM);
+  const line = (x1, y1, x2, y2) => page.drawLine({
+    start: { x: x1, y: y1 },
+    end: { x: x2, y: y2 },
+    thickness: CROP_MARK_LINE_WIDTH_PT,
+    color: REGISTRATION_COLOR,
+  });
+
+  for (const x of [0, width]) {
+    // Vertical marks below and above the trim edge
+    line(x, -start, x, -end);
+    line(x, height + start, x, height + end);
+  }
+  for (const y of [0, height]) {
+    // Horizontal marks left and right of the trim edge
+    line(-start, y, -end, y);
+    line(width + start, y, width + end, y);
+  }
 }
 
 /**
@@ -176,19 +294,10 @@ async function svgToPng(svgPath, width = 1000, height = 1000) {
   }
 }
 
-/**
- * Convert data URI to buffer
- * @param {string} dataUri - Data URI string
- * @returns {Buffer} Image buffer
- */
-function dataUriToBuffer(dataUri) {
-  const base64Data = dataUri.split(',')[1];
-  return Buffer.from(base64Data, 'base64');
-}
-
 /**
  * Load fonts for pdf-lib
- * Loads custom fonts (Hanken Grotesk, Source Sans 3) from assets/fonts/
+ * Loads custom fonts (Hanken Grotesk, Source Sans 3) from assets/fonts/. Only the glyphs in use
+ * are embedded, under subset names derived from the font files, so output stays reproducible.
  * @param {PDFDocument} pdfDoc - PDF document
  * @returns {Promise<Object>} Font objects
  */
@@ -251,12 +360,16 @@ async function loadFonts(pdfDoc) {
       : sourceSans3RegularBytes;
     
     // Embed fonts in PDF
-    const hankenGroteskRegular = await pdfDoc.embedFont(hankenGroteskRegularBytes);
-    const hankenGroteskItalic = await pdfDoc.embedFont(hankenGroteskItalicBytes);
+    const embedSubset = (bytes) => pdfDoc.embedFont(bytes, {
+      subset: true,
+      customName: getFontSubsetName(bytes, fontkit.create(bytes).postscriptName),
+    });
+    const hankenGroteskRegular = await embedSubset(hankenGroteskRegularBytes);
+    const hankenGroteskItalic = await embedSubset(hankenGroteskItalicBytes);
     
     // Embed Source Sans 3 with weight 400 (Regular) for smaller text
-    const sourceSans3Regular = await pdfDoc.embedFont(sourceSans3RegularBytes);
-    const sourceSans3Italic = await pdfDoc.embedFont(sourceSans3ItalicBytes);
+    const sourceSans3Regular = await embedSubset(sourceSans3RegularBytes);
+    const sourceSans3Italic = await embedSubset(sourceSans3ItalicBytes);
     
     return {
       // Body fonts (Source Sans 3) - using weight 400 (Regular) for smaller text
@@ -284,297 +397,534 @@ async function loadFonts(pdfDoc) {
 }
 
 /**
- * Generate QR code as PNG buffer
- * @param {string} vCardData - vCard formatted string
+ * Fill a URL template with contact fields
+ * {slug} is the contact name as URL slug; any other {field} is taken from the contact data.
+ * @param {string} template - URL or URL template (e.g. "https://kieks.me/team/{slug}")
+ * @param {Object} contactData - Contact data
+ * @returns {string} URL
+ * @throws {Error} If a placeholder has no value or the result is not a valid URL
+ */
+export function fillUrlTemplate(template, contactData) {
+  const url = template.replace(/\{(\w+)\}/g, (placeholder, field) => {
+    const value = field === 'slug' ? slugify(contactData.name) : contactData[field];
+    if (!value) {
+      throw new Error(`Platzhalter ${placeholder} in QR-URL hat keinen Wert`);
+    }
+    return field === 'slug' ? value : encodeURIComponent(value);
+  });
+  if (!validateUrl(url)) {
+    throw new Error(`Ungültige QR-URL: ${url}`);
+  }
+  return normalizeUrl(url);
+}
+
+/**
+ * Build the QR code content of a contact
+ * @param {Object} contactData - Contact data
+ * @param {Object} options - Payload options
+ * @param {string} options.payload - 'vcard', 'mecard' or 'url'
+ * @param {string} [options.url] - URL or URL template for the 'url' payload
+ * @param {string} [options.vcardVersion] - vCard version for the 'vcard' payload
+ * @returns {string} QR code content
+ */
+function createQrPayload(contactData, options) {
+  if (options.payload === 'mecard') {
+    return generateMeCard(contactData);
+  }
+  if (options.payload === 'url') {
+    return fillUrlTemplate(options.url, contactData);
+  }
+  // vCard without embedded images to keep the QR code scannable
+  return generateVCard(contactData, { version: options.vcardVersion });
+}
+
+/**
+ * Generate the branded QR code as PNG buffer
+ * Uses the shared QR code settings with the card overrides from businessCard.qrCode. Warns if
+ * the modules get smaller than businessCard.qrPayload.minModuleMm at the printed size.
+ * @param {string} payload - QR code content
+ * @param {number} sizeMm - Printed size of the smallest QR code block
  * @returns {Promise<Buffer>} PNG buffer of QR code
  */
-async function generateQRCodeBuffer(vCardData) {
+async function generateQRCodeBuffer(payload, sizeMm) {
+  let result;
   try {
-    const qrDataUri = await QRCode.toDataURL(vCardData, {
-      errorCorrectionLevel: 'M',
-      type: 'image/png',
-      width: 300,
-      margin: 1,
-    });
-    return dataUriToBuffer(qrDataUri);
+    result = await createBrandedQrCode(payload, CARD_CONFIG.qrCode);
   } catch (err) {
     throw new Error(`QR-Code-Generierung fehlgeschlagen: ${err.message}`);
   }
+
+  const moduleMm = sizeMm / (result.modules + result.quietZone * 2);
+  const { minModuleMm } = CARD_CONFIG.qrPayload;
+  if (moduleMm < minModuleMm) {
+    warn(`QR-Code sehr dicht: Version ${result.version} mit ${result.modules} × ${result.modules} Modulen auf ${sizeMm.toFixed(1)} mm ergibt ${moduleMm.toFixed(2)} mm pro Modul (empfohlen ≥ ${minModuleMm} mm) – kürzeren QR-Inhalt wählen (z. B. url) oder den QR-Code größer drucken`);
+  }
+  return result.png;
 }
 
 /**
- * Render front side of business card
- * @param {PDFDocument} pdfDoc - PDF document
- * @param {Object} page - PDF page
- * @param {Object} data - Contact data and assets
- * @param {Object} fonts - Font objects
- * @param {Object} images - Image objects (logo, qrCode)
+ * Fit a text field into a width using the brand typography limits
+ * @param {string} field - Contact field name (used in error messages)
+ * @param {string} label - Human readable field label
+ * @param {string} text - Text to fit
+ * @param {Object} font - pdf-lib font
+ * @param {Object} style - Typography entry (size, minSize, maxLines)
+ * @param {number} maxWidth - Available width in points
+ * @returns {Object} Fitted text from fitText()
+ * @throws {Error} If the text does not fit even at the minimum size
  */
-function renderFrontSide(page, data, fonts, images) {
-  const pageWidth = mmToPt(CARD_WIDTH_MM);
-  const pageHeight = mmToPt(CARD_HEIGHT_MM);
-  const safeOffset = mmToPt(SAFE_AREA_OFFSET_MM);
-  
-  // Background
-  page.drawRectangle({
-    x: 0,
-    y: 0,
-    width: pageWidth,
-    height: pageHeight,
-    color: COLORS.navy,
-  });
-  
-  // Logo positioning
-  // Logo container: left 3.5mm, top 3.5mm, width 40mm, height 52mm
-  const logoX = safeOffset;
-  const logoY = pageHeight - safeOffset - mmToPt(47); // Max height 47mm, with padding
-  const logoWidth = mmToPt(40);
-  const logoHeight = mmToPt(47);
-  
-  if (images.logo) {
-    // Calculate logo dimensions maintaining aspect ratio
-    const logoDims = images.logo.scale(1);
-    const logoAspectRatio = logoDims.width / logoDims.height;
-    let finalLogoWidth = logoWidth;
-    let finalLogoHeight = logoWidth / logoAspectRatio;
-    
-    if (finalLogoHeight > logoHeight) {
-      finalLogoHeight = logoHeight;
-      finalLogoWidth = logoHeight * logoAspectRatio;
-    }
-    
-    // Center logo horizontally and vertically
-    const logoXCentered = logoX + (logoWidth - finalLogoWidth) / 2;
-    // Vertically center the logo container, then shift 5mm down, then center logo within container
-    const logoContainerY = (pageHeight - logoHeight) / 2 - mmToPt(5);
-    const logoYCentered = logoContainerY + (logoHeight - finalLogoHeight) / 2;
-    
-    page.drawImage(images.logo, {
-      x: logoXCentered,
-      y: logoYCentered,
-      width: finalLogoWidth,
-      height: finalLogoHeight,
-    });
-  }
-  
-  // Contact info positioning
-  // Contact info: left 48mm, top 15.5mm
-  // Right margin: 4.5mm (minimal margin for safe area)
-  const contactX = mmToPt(48);
-  const contactY = pageHeight - mmToPt(15.5);
-  let currentY = contactY;
-  
-  // Calculate available width for contact info
-  // Card width: 89mm (with bleed), right margin: 4.5mm
-  // Contact info starts at 48mm, so available width = 89 - 48 - 4.5 = 36.5mm
-  const maxContactWidth = mmToPt(36.5);
-  
-  // Name (Hanken Grotesk Bold/700, 12pt, white)
-  if (data.name) {
-    page.drawText(data.name, {
-      x: contactX,
-      y: currentY,
-      size: 12,
-      color: COLORS.white,
-      font: fonts.heading,
-    });
-    currentY -= 15; // 1.5mm spacing + line height
+function fitCardText(field, label, text, font, style, maxWidth) {
+  const result = fitText(text, font, { maxWidth, ...style });
+  if (!result.fits) {
+    const maxLines = style.maxLines || 1;
+    const detail = result.lines.length > maxLines
+      ? `benötigt ${result.lines.length} Zeilen bei ${result.size} pt, erlaubt ${maxLines}`
+      : `benötigt ${ptToMm(result.width).toFixed(1)} mm bei ${result.size} pt, verfügbar ${ptToMm(maxWidth).toFixed(1)} mm`;
+    throw new Error(`Validierungsfehler: Feld "${label}" (${field}) passt nicht in den Sicherheitsbereich – ${detail}`);
   }
-  
-  // Position (Hanken Grotesk Medium/500, 7.5pt, aqua)
-  if (data.position) {
-    page.drawText(data.position, {
-      x: contactX,
-      y: currentY,
-      size: 7.5,
-      color: COLORS.aqua,
-      font: fonts.heading,
-    });
-    currentY -= 10;
+  return result;
+}
+
+/**
+ * Ensure the last baseline of a field (plus descender) stays above the bottom of the safe area
+ * @param {string} field - Contact field name
+ * @param {string} label - Human readable field label
+ * @param {number} baseline - Y position of the last line in points
+ * @param {number} size - Font size in points
+ * @param {number} safeOffset - Safe area offset from the trim edge in points
+ * @throws {Error} If the field reaches into the bottom margin
+ */
+function assertAboveSafeArea(field, label, baseline, size, safeOffset) {
+  const bottom = baseline - size * DESCENDER_FACTOR;
+  if (bottom < safeOffset) {
+    throw new Error(
+      `Validierungsfehler: Feld "${label}" (${field}) ragt ${ptToMm(safeOffset - bottom).toFixed(1)} mm `
+      + 'über den unteren Rand des Sicherheitsbereichs – bitte Text kürzen',
+    );
   }
-  
-  // Company name (Source Sans 3 Regular/400, 7pt, light gray)
-  const companyName = data.companyName || 'kieks.me GbR';
-  page.drawText(companyName, {
-    x: contactX,
-    y: currentY,
-    size: 7,
-    color: COLORS.lightGray,
-    font: fonts.body,
-  });
-  currentY -= 12; // 3mm spacing
-  
-  // Contact details (Source Sans 3, 7pt, white)
-  const contactDetails = [];
-  
-  if (data.email) {
-    contactDetails.push({ label: 'E-Mail:', value: data.email });
+}
+
+/**
+ * Resolve a font name used in a layout template
+ * @param {Object} fonts - Font objects from loadFonts()
+ * @param {string} [name] - Font name (heading, body, bodyBold, ...; default: body)
+ * @returns {Object} pdf-lib font
+ */
+function resolveFont(fonts, name = 'body') {
+  const font = fonts[name];
+  if (!font) {
+    throw new Error(`Unbekannte Schrift im Layout: ${name}`);
   }
-  if (data.phone) {
-    contactDetails.push({ label: 'Tel:', value: data.phone });
+  return font;
+}
+
+/**
+ * Resolve a brand color name used in a layout template
+ * Every brand color from config can be referenced by name, in the color space of the geometry.
+ * @param {string} name - Brand color name from config (e.g. "navy")
+ * @param {Object} geometry - Geometry from getCardGeometry()
+ * @returns {Object} pdf-lib color or spot color
+ */
+function resolveColor(name, geometry) {
+  const color = getCardColors(geometry.colorSpace)[name];
+  if (!color) {
+    throw new Error(`Unbekannte Markenfarbe im Layout: ${name}`);
   }
-  if (data.mobile) {
-    contactDetails.push({ label: 'Mobil:', value: data.mobile });
+  return color;
+}
+
+/**
+ * Convert a top-left based layout position (mm) to a PDF y coordinate
+ * @param {Object} geometry - Geometry from getCardGeometry()
+ * @param {number} topMm - Distance from the top trim edge in mm
+ * @returns {number} Y coordinate in points
+ */
+function layoutY(geometry, topMm) {
+  return geometry.height - mmToPt(topMm);
+}
+
+/**
+ * Resolve the typography (size, minSize, maxLines) of a text block or stack item
+ * @param {Object} item - Text block or stack item
+ * @returns {Object} Typography with size, minSize and maxLines
+ */
+function resolveTypography(item) {
+  const base = item.typography ? TYPOGRAPHY[item.typography] : {};
+  const size = item.size ?? base.size;
+  return {
+    size,
+    minSize: item.minSize ?? base.minSize ?? size,
+    maxLines: item.maxLines ?? base.maxLines ?? 1,
+  };
+}
+
+/**
+ * Get the text of a text block or stack item
+ * @param {Object} item - Text block or stack item (literal "text", contact "field" or locale "textKey")
+ * @param {Object} data - Contact data with the locale strings from prepareCardContent()
+ * @returns {string} Text, empty if the contact field is not set
+ * @throws {Error} If the locale has no text for the key
+ */
+function resolveText(item, data) {
+  if (item.field) {
+    return String(data[item.field] || '');
   }
-  if (data.website) {
-    contactDetails.push({ label: 'Web:', value: data.website });
+  if (item.textKey) {
+    const text = data.strings.texts[item.textKey];
+    if (text === undefined) {
+      throw new Error(`Unbekannter Textschlüssel im Layout: ${item.textKey} (Sprache ${data.locale})`);
+    }
+    return text;
   }
+  return item.text;
+}
+
+/**
+ * Lay out a stack block: text items and contact details flowing downwards
+ * Text items may shrink and wrap; contact details shrink to one shared size
+ * so that the label column stays aligned.
+ * @param {Object} block - Stack block from the layout template
+ * @param {Object} data - Contact data
+ * @param {Object} fonts - Font objects
+ * @param {Object} geometry - Geometry from getCardGeometry()
+ * @returns {Array<Object>} Text runs (lines, size, lineHeight, y, font, color, label)
+ * @throws {Error} If a field does not fit into the safe area
+ */
+function layoutStack(block, data, fonts, geometry) {
+  const { safeOffset } = geometry;
+  const maxWidth = mmToPt(block.width);
+  const runs = [];
+  let currentY = layoutY(geometry, block.y);
   
-  // Label width - longest label is "E-Mail:" which needs ~7mm
-  // Use 10mm to match original template, giving more space for values
-  const labelWidth = mmToPt(10); // 10mm label width (as in original template)
-  const valueX = contactX + labelWidth;
-  const valueMaxWidth = maxContactWidth - labelWidth; // Available width for values (now ~27.5mm)
-  const lineHeight = mmToPt(4); // ~1mm gap between lines
-  const fontSize = 7;
+  // Spacing is measured from the last baseline of an item to the first baseline of the next one
+  const addRun = (field, label, run, spacing) => {
+    const lastBaseline = currentY - (run.lines.length - 1) * run.lineHeight;
+    assertAboveSafeArea(field, label, lastBaseline, run.size, safeOffset);
+    runs.push({ ...run, y: currentY });
+    currentY = lastBaseline - spacing;
+  };
   
-  contactDetails.forEach((detail) => {
-    // Label (semi-bold, light gray)
-    page.drawText(detail.label, {
-      x: contactX,
-      y: currentY,
-      size: fontSize,
-      color: COLORS.lightGray,
-      font: fonts.bodyBold,
-    });
-    
-    // Draw value - with more width available, should fit without wrapping
-    page.drawText(detail.value, {
-      x: valueX,
-      y: currentY,
-      size: fontSize,
-      color: COLORS.white,
-      font: fonts.body,
-    });
+  block.items.forEach((item) => {
+    if (item.type === 'details') {
+      const typography = resolveTypography(item);
+      const details = item.fields
+        .map((detail) => ({ label: data.strings.labels[detail.field] ?? '', ...detail, value: resolveText(detail, data) }))
+        .filter((detail) => detail.value);
+      // Labels of other languages may be longer than the column of the layout (e.g. "Mobile:")
+      const labelFont = resolveFont(fonts, item.labelFont || item.font);
+      const labelWidth = Math.max(
+        mmToPt(item.labelWidth ?? 10),
+        ...details.map((detail) => labelFont.widthOfTextAtSize(detail.label, typography.size) + mmToPt(DETAIL_LABEL_GAP_MM)),
+      );
+      const fits = details.map((detail) => fitCardText(
+        detail.field, detail.label.replace(/:$/, ''), detail.value, resolveFont(fonts, item.font), typography, maxWidth - labelWidth,
+      ));
+      const detailSize = Math.min(typography.size, ...fits.map((fit) => fit.size));
+      const lineHeight = mmToPt(item.lineHeight ?? 4);
+      
+      details.forEach((detail, index) => {
+        addRun(detail.field, detail.label.replace(/:$/, ''), {
+          lines: fits[index].lines,
+          size: detailSize,
+          lineHeight,
+          font: resolveFont(fonts, item.font),
+          color: resolveColor(item.color, geometry),
+          label: detail.label,
+          labelFont,
+          labelColor: resolveColor(item.labelColor || item.color, geometry),
+          labelWidth,
+        }, lineHeight);
+      });
+      return;
+    }
     
-    currentY -= lineHeight;
+    const text = resolveText(item, data);
+    if (!text) {
+      return;
+    }
+    const field = item.field || 'text';
+    const label = FIELD_LABELS[field] || text.slice(0, 20);
+    const font = resolveFont(fonts, item.font);
+    const fit = fitCardText(field, label, text, font, resolveTypography(item), maxWidth);
+    addRun(field, label, {
+      lines: fit.lines,
+      size: fit.size,
+      lineHeight: fit.size * (item.lineHeight ?? LINE_HEIGHT_FACTOR),
+      font,
+      color: resolveColor(item.color, geometry),
+    }, mmToPt(item.spacing ?? 0));
   });
+  
+  return runs;
 }
 
 /**
- * Render back side of business card
- * @param {PDFDocument} pdfDoc - PDF document
+ * Draw a stack block
  * @param {Object} page - PDF page
- * @param {Object} data - Contact data and assets
+ * @param {Object} block - Stack block
+ * @param {Object} data - Contact data
  * @param {Object} fonts - Font objects
- * @param {Object} images - Image objects (logo, qrCode)
+ * @param {Object} geometry - Geometry from getCardGeometry()
  */
-function renderBackSide(page, data, fonts, images) {
-  const pageWidth = mmToPt(CARD_WIDTH_MM);
-  const pageHeight = mmToPt(CARD_HEIGHT_MM);
-  const safeOffset = mmToPt(SAFE_AREA_OFFSET_MM);
-  const padding = mmToPt(5); // 5mm padding inside safe area
+function drawStackBlock(page, block, data, fonts, geometry) {
+  const x = mmToPt(block.x);
   
-  // Background (white)
-  page.drawRectangle({
-    x: 0,
-    y: 0,
-    width: pageWidth,
-    height: pageHeight,
-    color: COLORS.white,
+  layoutStack(block, data, fonts, geometry).forEach((run) => {
+    run.lines.forEach((line, index) => {
+      if (run.label && index === 0) {
+        page.drawText(run.label, {
+          x,
+          y: run.y,
+          size: run.size,
+          color: run.labelColor,
+          font: run.labelFont,
+        });
+      }
+      page.drawText(line, {
+        x: run.label ? x + run.labelWidth : x,
+        y: run.y - index * run.lineHeight,
+        size: run.size,
+        color: run.color,
+        font: run.font,
+      });
+    });
   });
+}
+
+/**
+ * Draw a text block
+ * Without "width" the text is drawn as is (line breaks with \n). With "width" it is shrunk or
+ * wrapped to fit and may be aligned left, center or right within that width.
+ * @param {Object} page - PDF page
+ * @param {Object} block - Text block
+ * @param {Object} data - Contact data
+ * @param {Object} fonts - Font objects
+ * @param {Object} geometry - Geometry from getCardGeometry()
+ */
+function drawTextBlock(page, block, data, fonts, geometry) {
+  const text = resolveText(block, data);
+  if (!text) {
+    return;
+  }
   
-  // QR Code container: left 8.5mm (3.5mm offset + 5mm padding), 50mm x 50mm
-  // Vertically centered
-  const qrX = safeOffset + padding;
-  const qrSize = mmToPt(50);
-  const qrY = (pageHeight - qrSize) / 2; // Vertically centered
+  const field = block.field || 'text';
+  const label = FIELD_LABELS[field] || text.slice(0, 20);
+  const font = resolveFont(fonts, block.font);
+  const typography = resolveTypography(block);
+  const x = mmToPt(block.x);
+  const width = block.width !== undefined ? mmToPt(block.width) : null;
+  const firstBaseline = layoutY(geometry, block.y);
+  const lastBaseline = (fit) => firstBaseline - (fit.lines.length - 1) * fit.size * (block.lineHeight ?? LINE_HEIGHT_FACTOR);
   
-  if (images.qrCode) {
-    page.drawImage(images.qrCode, {
-      x: qrX,
-      y: qrY,
-      width: qrSize,
-      height: qrSize,
-    });
+  let fit = { lines: text.split('\n'), size: typography.size };
+  if (width !== null) {
+    // Shrink further while wrapped text runs below the safe area (e.g. on shorter formats)
+    fit = fitCardText(field, label, text, font, typography, width);
+    while (lastBaseline(fit) - fit.size * DESCENDER_FACTOR < geometry.safeOffset && fit.size - SHRINK_STEP_PT >= typography.minSize) {
+      fit = fitCardText(field, label, text, font, { ...typography, size: fit.size - SHRINK_STEP_PT }, width);
+    }
   }
+  const lineHeight = fit.size * (block.lineHeight ?? LINE_HEIGHT_FACTOR);
   
-  // QR Info text: right side, centered vertically with QR code
-  const textX = qrX + qrSize + mmToPt(2); // 2mm gap
-  // Calculate text position to be vertically centered with QR code
-  // QR code center Y is at qrY + qrSize/2
-  const qrCenterY = qrY + qrSize / 2;
-  const textY = qrCenterY; // Start from QR center, will adjust for text
+  assertAboveSafeArea(field, label, lastBaseline(fit), fit.size, geometry.safeOffset);
   
-  // Title (Hanken Grotesk Bold, 9pt, black) - two lines
-  // Position title so it's above center, accounting for text height
-  const titleLine1 = 'Kontaktdaten';
-  const titleLine2 = 'scannen';
-  const titleSize = 9;
-  const titleLineHeight = 11; // Line height for title
-  
-  // Draw first line of title
-  page.drawText(titleLine1, {
-    x: textX,
-    y: textY + mmToPt(5), // 5mm above center
-    size: titleSize,
-    color: COLORS.black,
-    font: fonts.heading,
+  fit.lines.forEach((line, index) => {
+    let lineX = x;
+    if (width !== null && block.align === 'center') {
+      lineX = x + (width - font.widthOfTextAtSize(line, fit.size)) / 2;
+    } else if (width !== null && block.align === 'right') {
+      lineX = x + width - font.widthOfTextAtSize(line, fit.size);
+    }
+    page.drawText(line, {
+      x: lineX,
+      y: firstBaseline - index * lineHeight,
+      size: fit.size,
+      color: resolveColor(block.color || 'black', geometry),
+      font,
+    });
   });
+}
+
+/**
+ * Draw the known social networks of a contact as icon and handle, one row per network
+ * All handles share the size of the smallest fitted handle. Rows must stay inside the safe area.
+ * @param {Object} page - PDF page
+ * @param {Object} block - Social block
+ * @param {Object} data - Contact data
+ * @param {Object} fonts - Fonts from loadFonts()
+ * @param {Object} geometry - Geometry from getCardGeometry()
+ */
+function drawSocialBlock(page, block, data, fonts, geometry) {
+  const entries = getCardSocialEntries(data);
+  if (entries.length === 0) {
+    return;
+  }
   
-  // Draw second line of title
-  page.drawText(titleLine2, {
-    x: textX,
-    y: textY + mmToPt(5) - titleLineHeight, // Below first line
-    size: titleSize,
-    color: COLORS.black,
-    font: fonts.heading,
-  });
+  const font = resolveFont(fonts, block.font);
+  const typography = resolveTypography(block);
+  const iconSize = block.iconSize ?? SOCIAL_ICON_SIZE_MM;
+  const rowHeight = block.lineHeight ?? SOCIAL_ROW_HEIGHT_MM;
+  const gap = block.gap ?? SOCIAL_GAP_MM;
+  const textX = mmToPt(block.x + iconSize + gap);
+  const textWidth = mmToPt(block.width - iconSize - gap);
+  const label = (entry) => `Social Media (${entry.name})`;
+  const size = Math.min(...entries.map((entry) => (
+    fitCardText('socialMedia', label(entry), entry.handle, font, typography, textWidth).size
+  )));
   
-  // Description (Source Sans 3, 7pt, medium gray)
-  const description = 'Scannen Sie den QR-Code mit Ihrer Kamera-App, um die Kontaktdaten automatisch zu speichern.';
-  // Calculate max width: card width - text start position - right margin (safe offset + padding)
-  // Minimal safety margin to maximize text box width
-  const rightMargin = safeOffset + mmToPt(1); // Minimal 1mm safety margin (reduced padding)
-  const maxWidth = pageWidth - textX - rightMargin;
-  const fontSize = 8; // Increased from 7pt to 8pt
-  const lineHeight = 11; // Adjusted line height for 8pt font
+  entries.forEach((entry, index) => {
+    const top = block.y + index * rowHeight;
+    const iconBottom = layoutY(geometry, top + iconSize);
+    const baseline = layoutY(geometry, top + iconSize / 2) - (size * CAP_HEIGHT_FACTOR) / 2;
+    assertAboveSafeArea('socialMedia', label(entry), baseline, size, geometry.safeOffset);
+    assertAboveSafeArea('socialMedia', label(entry), iconBottom, 0, geometry.safeOffset);
+    
+    drawShapesInBox(page, loadSvgShapes(entry.icon), {
+      x: mmToPt(block.x),
+      y: iconBottom,
+      width: mmToPt(iconSize),
+      height: mmToPt(iconSize),
+    }, resolveColor(block.iconColor || block.color || 'navy', geometry));
+    page.drawText(entry.handle, {
+      x: textX,
+      y: baseline,
+      size,
+      color: resolveColor(block.color || 'black', geometry),
+      font,
+    });
+  });
+}
+
+/**
+ * Draw an image block, scaled to fit the box and centered in it
+ * @param {Object} page - PDF page
+ * @param {Object} block - Image block
+ * @param {Object} images - Embedded images by source
+ * @param {Object} geometry - Geometry from getCardGeometry()
+ */
+function drawImageBlock(page, block, images, geometry) {
+  const image = images[block.source];
+  if (!image) {
+    return;
+  }
   
-  // Simple text wrapping using pdf-lib's widthOfTextAtSize
-  const words = description.split(' ');
-  const lines = [];
-  let currentLine = '';
+  const boxWidth = mmToPt(block.width);
+  const boxHeight = mmToPt(block.height);
+  const scale = Math.min(boxWidth / image.width, boxHeight / image.height);
+  const width = image.width * scale;
+  const height = image.height * scale;
   
-  words.forEach((word) => {
-    const testLine = currentLine + (currentLine ? ' ' : '') + word;
-    const textWidth = fonts.body.widthOfTextAtSize(testLine, fontSize);
-    
-    if (textWidth > maxWidth && currentLine) {
-      lines.push(currentLine);
-      currentLine = word;
-    } else {
-      currentLine = testLine;
-    }
+  page.drawImage(image, {
+    x: mmToPt(block.x) + (boxWidth - width) / 2,
+    y: layoutY(geometry, block.y + block.height) + (boxHeight - height) / 2,
+    width,
+    height,
   });
+}
+
+/**
+ * Draw a rectangle block
+ * With "bleed": true, edges lying on the trim edge are extended into the bleed.
+ * @param {Object} page - PDF page
+ * @param {Object} block - Rectangle block
+ * @param {Object} geometry - Geometry from getCardGeometry()
+ */
+function drawRectBlock(page, block, geometry) {
+  let x = mmToPt(block.x);
+  let y = layoutY(geometry, block.y + block.height);
+  let width = mmToPt(block.width);
+  let height = mmToPt(block.height);
   
-  if (currentLine) {
-    lines.push(currentLine);
+  if (block.bleed && geometry.bleed > 0) {
+    const epsilon = 0.01;
+    if (x <= epsilon) {
+      x -= geometry.bleed;
+      width += geometry.bleed;
+    }
+    if (y <= epsilon) {
+      y -= geometry.bleed;
+      height += geometry.bleed;
+    }
+    if (x + width >= geometry.width - epsilon) {
+      width += geometry.bleed;
+    }
+    if (y + height >= geometry.height - epsilon) {
+      height += geometry.bleed;
+    }
   }
   
-  // Draw text lines, starting below title (which is now 2 lines)
-  const titleTotalHeight = titleLineHeight * 2; // Two lines of title
-  let yPos = textY + mmToPt(5) - titleTotalHeight - 2; // Below title, 2pt spacing
-  lines.forEach((line) => {
-    page.drawText(line, {
-      x: textX,
-      y: yPos,
-      size: fontSize,
-      color: COLORS.mediumGray,
-      font: fonts.body,
-    });
-    yPos -= lineHeight;
+  page.drawRectangle({ x, y, width, height, color: resolveColor(block.color, geometry) });
+}
+
+/**
+ * Render one side of a business card from its layout template
+ * @param {Object} page - PDF page
+ * @param {Object} side - Side definition ("front" or "back" of a layout template)
+ * @param {Object} data - Contact data
+ * @param {Object} fonts - Font objects
+ * @param {Object} images - Embedded images by source, plus qrCode
+ * @param {Object} [geometry] - Page geometry from getCardGeometry()
+ */
+function renderCardSide(page, side, data, fonts, images, geometry = getCardGeometry()) {
+  // Background (extends into the bleed in print mode)
+  drawBackground(page, geometry, resolveColor(side.background || 'white', geometry));
+  
+  side.blocks.forEach((block) => {
+    switch (block.type) {
+      case 'rect':
+        drawRectBlock(page, block, geometry);
+        break;
+      case 'image':
+        drawImageBlock(page, block, images, geometry);
+        break;
+      case 'qr':
+        if (images.qrCode) {
+          const size = mmToPt(block.size);
+          page.drawImage(images.qrCode, {
+            x: mmToPt(block.x),
+            y: layoutY(geometry, block.y + block.size),
+            width: size,
+            height: size,
+          });
+        }
+        break;
+      case 'text':
+        drawTextBlock(page, block, data, fonts, geometry);
+        break;
+      case 'stack':
+        drawStackBlock(page, block, data, fonts, geometry);
+        break;
+      case 'social':
+        drawSocialBlock(page, block, data, fonts, geometry);
+        break;
+      default:
+        throw new Error(`Unbekannter Blocktyp im Layout: ${block.type}`);
+    }
   });
 }
 
 /**
- * Save contact data to JSON file
+ * Get the base name of the files generated for a contact
+ * Cards in another language than the default get the locale as suffix (e.g. "Max-Mustermann-en"),
+ * so that both language versions can live in the same directory.
+ * @param {Object} contactData - Contact data (with optional locale)
+ * @returns {string} File base name without extension
+ */
+export function getCardFileBaseName(contactData) {
+  const baseName = contactData.name.replace(/\s+/g, '-');
+  return contactData.locale && contactData.locale !== getDefaultLocale() ? `${baseName}-${contactData.locale}` : baseName;
+}
+
+/**
+ * Save contact data to JSON file, tagged with the current schema version
  * @param {Object} contactData - Contact data
  * @param {string} outputDir - Output directory
  * @returns {string} Path to saved JSON file
  */
 function saveContactData(contactData, outputDir) {
-  const jsonPath = join(outputDir, `${contactData.name.replace(/\s+/g, '-')}.json`);
-  writeFileSync(jsonPath, JSON.stringify(contactData, null, 2), 'utf8');
+  const jsonPath = join(outputDir, `${getCardFileBaseName(contactData)}.json`);
+  const { schemaVersion, ...fields } = contactData;
+  writeFileSync(jsonPath, JSON.stringify({ schemaVersion: CONTACT_SCHEMA_VERSION, ...fields }, null, 2), 'utf8');
   return jsonPath;
 }
 
@@ -591,6 +941,8 @@ async function promptMainMenu() {
       choices: [
         { name: 'Neue Visitenkarte generieren', value: 'generate' },
         { name: 'Bestehende Visitenkarte bearbeiten', value: 'edit' },
+        { name: 'Kontakt importieren (vCard, LDIF, Google-/Outlook-CSV)', value: 'import' },
+        { name: 'Druckbogen erstellen (mehrere Karten pro Bogen)', value: 'impose' },
         { name: 'Mustervisitenkarten generieren', value: 'generate-samples' },
         { name: 'Beenden', value: 'exit' },
       ],
@@ -630,9 +982,7 @@ async function promptSelectExistingContact(outputDir) {
       },
     ]);
 
-    const filePath = join(outputDir, selectedFile);
-    const fileContent = readFileSync(filePath, 'utf8');
-    return JSON.parse(fileContent);
+    return loadSavedContact(join(outputDir, selectedFile), { report: true });
   } catch (err) {
     error(`Fehler beim Laden der Kontaktdaten: ${err.message}`);
     return null;
@@ -640,35 +990,123 @@ async function promptSelectExistingContact(outputDir) {
 }
 
 /**
- * Prompt user for contact data
- * @param {Object} [existingData] - Optional existing data to pre-fill
- * @returns {Promise<Object>} Contact data
+ * Prompt for an address book export and pick a contact from it
+ * Fields that could not be mapped are listed, so they can be added in the following prompts.
+ * @returns {Promise<Object|null>} Imported contact data or null
  */
-async function promptContactData(existingData = {}) {
-  const questions = [
-    {
-      type: 'input',
-      name: 'name',
-      message: 'Name:',
-      default: existingData.name,
-      validate: (input) => {
-        if (!input || input.trim().length === 0) {
-          return 'Name ist erforderlich';
-        }
-        return true;
-      },
-    },
+async function promptImportContact() {
+  const { filePath } = await inquirer.prompt([
     {
       type: 'input',
-      name: 'position',
-      message: 'Position:',
-      default: existingData.position,
+      name: 'filePath',
+      message: 'Pfad zur Datei (.vcf, .ldif, .csv oder .json):',
+      validate: (input) => existsSync(resolve(input.trim())) || 'Datei nicht gefunden',
     },
-    {
-      type: 'input',
-      name: 'email',
-      message: 'E-Mail:',
-      default: existingData.email,
+  ]);
+
+  let imported;
+  try {
+    imported = importContactsFromFile(resolve(filePath.trim()));
+  } catch (err) {
+    error(`Fehler beim Importieren: ${err.message}`);
+    return null;
+  }
+  if (imported.entries.length === 0) {
+    warn('Keine Kontakte in der Datei gefunden.');
+    return null;
+  }
+
+  let entry = imported.entries[0];
+  if (imported.entries.length > 1) {
+    const { index } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'index',
+        message: `${imported.entries.length} Kontakte gefunden (${imported.formatName}). Welchen übernehmen?`,
+        choices: imported.entries.map(({ contact }, i) => ({
+          name: contact.name || contact.email || `Kontakt ${i + 1}`,
+          value: i,
+        })),
+      },
+    ]);
+    entry = imported.entries[index];
+  }
+
+  info(`Kontakt aus ${imported.formatName} übernommen: ${entry.contact.name || '(ohne Namen)'}`);
+  if (entry.unmapped.length > 0) {
+    warn(`Nicht übernommen: ${entry.unmapped.join(', ')}`);
+  }
+  return entry.contact;
+}
+
+/**
+ * Load a saved contact and upgrade it to the current schema version
+ * The upgraded record is only written back when the card is generated again.
+ * @param {string} filePath - Path to the contact JSON file
+ * @param {Object} [options] - Load options
+ * @param {boolean} [options.report] - Print migration changes and validation problems
+ * @returns {Object} Contact data
+ */
+function loadSavedContact(filePath, options = {}) {
+  const { record, fromVersion, changes } = migrateContactRecord(JSON.parse(readFileSync(filePath, 'utf8')));
+  if (options.report) {
+    if (changes.length > 0) {
+      info(`Kontaktdaten von Version ${fromVersion} auf ${CONTACT_SCHEMA_VERSION} aktualisiert:`);
+      changes.forEach((change) => info(`  ${change}`));
+    }
+    validateContactRecord(record).errors.forEach((message) => warn(`Bitte korrigieren – ${message}`));
+  }
+  return record;
+}
+
+/**
+ * Prompt user for contact data
+ * @param {Object} [existingData] - Optional existing data to pre-fill
+ * @returns {Promise<Object>} Contact data
+ */
+async function promptContactData(existingData = {}) {
+  const questions = [
+    {
+      type: 'input',
+      name: 'name',
+      message: 'Name:',
+      default: existingData.name,
+      validate: (input) => {
+        if (!input || input.trim().length === 0) {
+          return 'Name ist erforderlich';
+        }
+        return true;
+      },
+    },
+    {
+      type: 'input',
+      name: 'honorificPrefix',
+      message: 'Akademischer Titel (optional, z.B. Dr.):',
+      default: existingData.honorificPrefix,
+    },
+    {
+      type: 'input',
+      name: 'givenName',
+      message: 'Vorname:',
+      default: (answers) => existingData.givenName || resolveNameParts({ name: answers.name }).givenName,
+    },
+    {
+      type: 'input',
+      name: 'familyName',
+      message: 'Nachname:',
+      default: (answers) => existingData.familyName || resolveNameParts({ name: answers.name }).familyName,
+    },
+    {
+      type: 'input',
+      name: 'position',
+      message: 'Position:',
+      default: existingData.position,
+    },
+    {
+      type: 'input',
+      name: 'email',
+      message: 'E-Mail:',
+      default: existingData.email,
       validate: (input) => {
         if (input && !validateEmail(input)) {
           return 'Ungültige E-Mail-Adresse';
@@ -679,14 +1117,16 @@ async function promptContactData(existingData = {}) {
     {
       type: 'input',
       name: 'phone',
-      message: 'Telefon:',
+      message: 'Telefon (z. B. +49 30 1234567):',
       default: existingData.phone,
+      validate: (input) => !input || validatePhone(input) || 'Ungültige Telefonnummer',
     },
     {
       type: 'input',
       name: 'mobile',
-      message: 'Mobil:',
+      message: 'Mobil (z. B. +49 171 1234567):',
       default: existingData.mobile,
+      validate: (input) => !input || validatePhone(input) || 'Ungültige Mobilnummer',
     },
     {
       type: 'input',
@@ -724,40 +1164,112 @@ async function promptContactData(existingData = {}) {
         return true;
       },
     },
+    {
+      type: 'input',
+      name: 'photo',
+      message: 'Foto für die vCard-Datei (optional, PNG/JPEG):',
+      default: existingData.photo,
+      validate: (input) => {
+        if (input && !existsSync(resolveProjectPath(input))) {
+          return `Datei nicht gefunden: ${resolveProjectPath(input)}`;
+        }
+        return true;
+      },
+    },
+    {
+      type: 'list',
+      name: 'locale',
+      message: 'Sprache der Visitenkarte:',
+      choices: listCardLocales().map((locale) => ({ name: `${locale.name} (${locale.id})`, value: locale.id })),
+      default: existingData.locale || getDefaultLocale(),
+    },
   ];
 
   const answers = await inquirer.prompt(questions);
   
-  // Handle social media (simplified - can be extended)
-  let socialMedia = existingData.socialMedia;
-  if (!socialMedia) {
-    const { hasSocialMedia } = await inquirer.prompt([
+  const socialMedia = await promptSocialMedia(existingData.socialMedia);
+
+  return {
+    ...answers,
+    socialMedia: socialMedia.length > 0 ? socialMedia : undefined,
+  };
+}
+
+/**
+ * Prompt for social media profiles, one named network at a time
+ * Existing entries can be kept or entered again. Known networks get an icon and handle on the card
+ * back; other networks only end up in the vCard.
+ * @param {Array<Object>} [existing] - Saved entries (legacy strings are migrated by loadSavedContact())
+ * @returns {Promise<Array<Object>>} Social media entries ({ name, url })
+ */
+async function promptSocialMedia(existing) {
+  const entries = [];
+  const saved = existing || [];
+  if (saved.length > 0) {
+    const { keep } = await inquirer.prompt([
       {
         type: 'confirm',
-        name: 'hasSocialMedia',
-        message: 'Möchten Sie Social Media hinzufügen?',
-        default: false,
+        name: 'keep',
+        message: `Social Media beibehalten (${saved.map((entry) => entry.name).join(', ')})?`,
+        default: true,
       },
     ]);
+    if (keep) {
+      entries.push(...saved);
+    }
+  }
 
-    if (hasSocialMedia) {
-      const { socialMediaUrl } = await inquirer.prompt([
-        {
-          type: 'input',
-          name: 'socialMediaUrl',
-          message: 'Social Media URL:',
-        },
-      ]);
-      if (socialMediaUrl) {
-        socialMedia = [{ name: 'LinkedIn', url: socialMediaUrl }];
-      }
+  let { addMore } = await inquirer.prompt([
+    {
+      type: 'confirm',
+      name: 'addMore',
+      message: entries.length > 0 ? 'Weiteres Social-Media-Profil hinzufügen?' : 'Möchten Sie Social Media hinzufügen?',
+      default: false,
+    },
+  ]);
+
+  while (addMore) {
+    const { network, customName, url } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'network',
+        message: 'Netzwerk:',
+        choices: [
+          ...Object.values(SOCIAL_NETWORKS).map((known) => ({ name: known.name, value: known.name })),
+          { name: 'Anderes …', value: null },
+        ],
+      },
+      {
+        type: 'input',
+        name: 'customName',
+        message: 'Name des Netzwerks:',
+        when: (answers) => answers.network === null,
+        validate: (input) => input.trim().length > 0 || 'Name ist erforderlich',
+      },
+      {
+        type: 'input',
+        name: 'url',
+        message: 'Profil-URL:',
+        validate: (input) => validateUrl(input) || 'Bitte eine gültige URL eingeben',
+      },
+    ]);
+    const entry = { name: network || customName.trim(), url: normalizeUrl(url.trim()) };
+    if (resolveSocialNetwork(entry) && !formatSocialHandle(entry)) {
+      warn(`Aus der URL lässt sich kein Profilname für ${entry.name} ablesen – wird nur in der vCard gespeichert`);
     }
+    entries.push(entry);
+
+    ({ addMore } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'addMore',
+        message: 'Weiteres Social-Media-Profil hinzufügen?',
+        default: false,
+      },
+    ]));
   }
 
-  return {
-    ...answers,
-    socialMedia,
-  };
+  return entries;
 }
 
 /**
@@ -797,109 +1309,1189 @@ async function promptRepeat() {
 }
 
 /**
- * Generate business card PDFs using pdf-lib
- * @param {Object} contactData - Contact data
- * @param {string} outputDir - Output directory
- * @returns {Promise<Object>} Paths to generated files
+ * Load the images referenced by image blocks of a layout
+ * "logo" is the kieks.me single circle logo; other sources are paths relative to the project root.
+ * SVGs are rasterized to PNG, PNG and JPEG files are embedded as they are.
+ * @param {Object} layout - Loaded layout template
+ * @returns {Promise<Object>} Image buffers by source ({ buffer, format })
  */
-export async function generateBusinessCardWithPdfLib(contactData, outputDir) {
-  // Validate data
-  const validation = validateContactData(contactData);
-  if (!validation.isValid) {
-    throw new Error(`Validierungsfehler: ${validation.errors.join(', ')}`);
+async function loadLayoutImages(layout) {
+  const sources = new Set(['front', 'back']
+    .flatMap((sideName) => layout[sideName].blocks)
+    .filter((block) => block.type === 'image')
+    .map((block) => block.source));
+  const imageBuffers = {};
+  
+  for (const source of sources) {
+    const imagePath = resolveImagePath(source);
+    const extension = imagePath.split('.').pop().toLowerCase();
+    if (extension === 'svg') {
+      imageBuffers[source] = { buffer: await svgToPng(imagePath, 1000, 1000), format: 'png' };
+    } else if (extension === 'png' || extension === 'jpg' || extension === 'jpeg') {
+      imageBuffers[source] = { buffer: readFileSync(imagePath), format: extension === 'png' ? 'png' : 'jpg' };
+    } else {
+      throw new Error(`Nicht unterstütztes Bildformat im Layout: ${source} (erlaubt: .svg, .png, .jpg)`);
+    }
   }
   
-  // Ensure output directory exists
-  if (!existsSync(outputDir)) {
-    mkdirSync(outputDir, { recursive: true });
+  return imageBuffers;
+}
+
+/**
+ * Resolve the file of an image block source
+ * @param {string} source - "logo" (kieks.me single circle logo) or a path relative to the project root
+ * @returns {string} Absolute path
+ * @throws {Error} If the file does not exist
+ */
+function resolveImagePath(source) {
+  const imagePath = source === 'logo'
+    ? join(projectRoot, 'assets', 'logos', 'kieks.me-single-circle.svg')
+    : resolve(projectRoot, source);
+  if (!existsSync(imagePath)) {
+    throw new Error(`Bild aus dem Layout nicht gefunden: ${source}`);
   }
+  return imagePath;
+}
+
+/**
+ * Prepare everything a card needs besides the PDF itself: layout, vCard, QR code, images and template data
+ * @param {Object} contactData - Validated contact data
+ * @param {Object} [options] - Content options
+ * @param {string} [options.vcardVersion] - vCard version for the QR code payload
+ * @param {string} [options.qrPayload] - QR code content: 'vcard', 'mecard' or 'url' (default from config)
+ * @param {string} [options.qrUrl] - URL or URL template for the 'url' payload (default from config)
+ * @param {string} [options.locale] - Card language (default: contactData.locale, then config)
+ * @param {Object} options.layout - Layout from resolveCardSetup(), scaled to the card format
+ * @returns {Promise<Object>} Card content (templateData, layout, qrCodeBuffer, imageBuffers)
+ */
+async function prepareCardContent(contactData, options) {
+  const { layout } = options;
+  const locale = loadCardLocale(options.locale ?? contactData.locale);
+  const localizedContact = localizeContact(contactData, locale);
   
-  // Generate vCard
-  cardProgress('Generiere vCard-Daten …', 'generating');
-  const vCardData = generateVCard(contactData);
-  cardProgress('vCard-Daten generiert', 'done');
+  // Generate the QR code only if the layout shows one
+  let qrCodeBuffer = null;
+  if (layoutUsesBlock(layout, 'qr')) {
+    cardProgress('Generiere QR-Inhalt …', 'generating');
+    const payload = createQrPayload(localizedContact, {
+      payload: options.qrPayload ?? CARD_CONFIG.qrPayload.default,
+      url: options.qrUrl ?? CARD_CONFIG.qrPayload.urlTemplate,
+      vcardVersion: options.vcardVersion,
+    });
+    cardProgress('QR-Inhalt generiert', 'done');
+    
+    cardProgress('Generiere QR-Code …', 'generating');
+    const qrSizesMm = ['front', 'back'].flatMap((sideName) => layout[sideName].blocks
+      .filter((block) => block.type === 'qr')
+      .map((block) => block.size));
+    qrCodeBuffer = await generateQRCodeBuffer(payload, Math.min(...qrSizesMm));
+    cardProgress('QR-Code generiert', 'done');
+  }
   
-  // Generate QR code
-  cardProgress('Generiere QR-Code …', 'generating');
-  const qrCodeBuffer = await generateQRCodeBuffer(vCardData);
-  cardProgress('QR-Code generiert', 'done');
+  // Load and convert logo and other layout images
+  cardProgress('Lade Bilder …', 'generating');
+  const imageBuffers = await loadLayoutImages(layout);
+  cardProgress('Bilder geladen', 'done');
+  
+  return { templateData: getCardTemplateData(localizedContact, locale), layout, qrCodeBuffer, imageBuffers };
+}
+
+/**
+ * Prepare the data the layout blocks read their texts from
+ * @param {Object} localizedContact - Contact data from localizeContact()
+ * @param {Object} locale - Locale from loadCardLocale()
+ * @returns {Object} Template data
+ */
+function getCardTemplateData(localizedContact, locale) {
+  const templateData = {
+    ...localizedContact,
+    locale: locale.id,
+    companyName: locale.texts.company,
+    strings: { labels: locale.labels, texts: locale.texts },
+  };
+  
+  // Normalize website URL
+  if (templateData.website) {
+    templateData.website = normalizeUrl(templateData.website);
+  }
+  
+  return templateData;
+}
+
+/**
+ * Check that all texts of a contact fit the safe area of its layout, without writing anything
+ * Lays out both sides on throwaway SVG pages, so the same checks as rendering apply
+ * (see fitCardText() and assertAboveSafeArea()).
+ * @param {Object} contactData - Validated contact data
+ * @param {Object} [options] - Card options (layout, format, orientation, locale, print)
+ * @throws {Error} Validation error naming the first field that does not fit
+ */
+async function validateCardFit(contactData, options = {}) {
+  const locale = loadCardLocale(options.locale ?? contactData.locale);
+  const { format, layout } = resolveCardSetup(contactData, options);
+  const geometry = getCardGeometry({ format, print: options.print ?? CARD_CONFIG.print.enabled, colorSpace: 'rgb' });
+  const fonts = await loadFonts(await PDFDocument.create());
+  const templateData = getCardTemplateData(localizeContact(contactData, locale), locale);
   
-  // Load and convert logo
-  const logoPath = join(projectRoot, 'assets', 'logos', 'kieks.me-single-circle.svg');
-  cardProgress('Lade Logo …', 'generating');
-  const logoPngBuffer = await svgToPng(logoPath, 1000, 1000);
-  cardProgress('Logo geladen', 'done');
+  ['front', 'back'].forEach((sideName) => {
+    renderCardSide(createSvgPage(geometry.width, geometry.height), layout[sideName], templateData, fonts, {}, geometry);
+  });
+}
+
+/**
+ * Render front and back side as pages 1 and 2 of one PDF document
+ * Fonts and images are embedded once and shared by both pages.
+ * @param {Object} content - Card content from prepareCardContent()
+ * @param {Object} geometry - Page geometry from getCardGeometry() (matching the card format)
+ * @returns {Promise<PDFDocument>} Unsaved two-page PDF document
+ */
+async function renderCardDocument(content, geometry) {
+  const { templateData, layout, qrCodeBuffer, imageBuffers } = content;
   
   // Create PDF document
   cardProgress('Erstelle PDF-Dokument …', 'generating');
-  const pdfDoc = await PDFDocument.create();
+  const pdfDoc = await PDFDocument.create({ updateMetadata: false });
   
   // Load fonts
   const fonts = await loadFonts(pdfDoc);
   
   // Embed images
-  const logoImage = await pdfDoc.embedPng(logoPngBuffer);
-  const qrCodeImage = await pdfDoc.embedPng(qrCodeBuffer);
+  const images = {};
+  for (const [source, { buffer, format }] of Object.entries(imageBuffers)) {
+    images[source] = format === 'png' ? await pdfDoc.embedPng(buffer) : await pdfDoc.embedJpg(buffer);
+  }
+  if (qrCodeBuffer) {
+    images.qrCode = await pdfDoc.embedPng(qrCodeBuffer);
+  }
   
-  const images = {
-    logo: logoImage,
-    qrCode: qrCodeImage,
-  };
+  // Both sides share the spot color spaces of the document
+  const colorSpaceRefs = new Map();
   
-  // Prepare template data
-  const templateData = {
-    ...contactData,
-    companyName: 'kieks.me GbR',
-  };
+  // Generate front side (page 1)
+  cardProgress('Generiere Vorderseite …', 'generating');
+  const frontPage = withSpotColors(addCardPage(pdfDoc, geometry), colorSpaceRefs);
+  renderCardSide(frontPage, layout.front, templateData, fonts, images, geometry);
+  drawCropMarks(frontPage, geometry);
   
-  // Normalize website URL
-  if (templateData.website) {
-    templateData.website = normalizeUrl(templateData.website);
+  // Generate back side (page 2)
+  cardProgress('Generiere Rückseite …', 'generating');
+  const backPage = withSpotColors(addCardPage(pdfDoc, geometry), colorSpaceRefs);
+  renderCardSide(backPage, layout.back, templateData, fonts, images, geometry);
+  drawCropMarks(backPage, geometry);
+  
+  return pdfDoc;
+}
+
+/**
+ * Render the finishing die of the front side (embossing, spot UV or foil)
+ * The die has the same page geometry as the front, so it registers to the same trim box.
+ * It contains the vector shapes of all SVG images on the front (e.g. the logo mark without its
+ * background circle, see loadSvgShapes()) in the spot color of the finish, plus crop marks in
+ * print mode. Image blocks with "finish": false in the layout are left out.
+ * @param {Object} layout - Layout from resolveCardSetup()
+ * @param {Object} geometry - Page geometry of the front from getCardGeometry()
+ * @param {string} finishType - Finish type from businessCard.finish.types
+ * @returns {Promise<PDFDocument>} Single-page PDF document
+ * @throws {Error} If the front has no SVG image to finish
+ */
+async function renderFinishDocument(layout, geometry, finishType) {
+  const color = getFinishColor(finishType);
+  const blocks = layout.front.blocks.filter((block) => block.type === 'image'
+    && block.finish !== false
+    && resolveImagePath(block.source).toLowerCase().endsWith('.svg'));
+  if (blocks.length === 0) {
+    throw new Error(`Layout "${layout.id}" hat auf der Vorderseite kein SVG-Bild (Logo) für die Veredelung`);
   }
   
-  // Generate front side
-  cardProgress('Generiere Vorderseite …', 'generating');
-  const frontPage = pdfDoc.addPage([
-    mmToPt(CARD_WIDTH_MM),
-    mmToPt(CARD_HEIGHT_MM),
-  ]);
-  renderFrontSide(frontPage, templateData, fonts, images);
+  const pdfDoc = await PDFDocument.create({ updateMetadata: false });
+  const page = withSpotColors(addCardPage(pdfDoc, geometry));
+  blocks.forEach((block) => {
+    drawShapesInBox(page, loadSvgShapes(resolveImagePath(block.source)), {
+      x: mmToPt(block.x),
+      y: layoutY(geometry, block.y + block.height),
+      width: mmToPt(block.width),
+      height: mmToPt(block.height),
+    }, color);
+  });
+  drawCropMarks(page, geometry);
   
-  const frontOutputPath = join(outputDir, `${contactData.name.replace(/\s+/g, '-')}-front.pdf`);
-  const frontPdfBytes = await pdfDoc.save();
-  writeFileSync(frontOutputPath, frontPdfBytes);
-  cardProgress(`Vorderseite gespeichert: ${frontOutputPath}`, 'done');
+  return pdfDoc;
+}
+
+/**
+ * Render a PNG/JPEG preview with front and back side next to each other
+ * Uses the same layout renderer as the PDF, drawing into SVG pages instead of PDF pages.
+ * @param {Object} content - Card content from prepareCardContent()
+ * @param {Object} format - Card format from resolveCardFormat()
+ * @param {Object} [options] - Preview options (format, dpi, mockup; defaults from businessCard.preview)
+ * @returns {Promise<Buffer>} Image data
+ */
+async function renderCardPreview(content, format, options = {}) {
+  const previewConfig = CARD_CONFIG.preview;
+  const { templateData, layout, qrCodeBuffer, imageBuffers } = content;
+  // The preview always shows the trimmed card in screen colors, without bleed and crop marks
+  const geometry = getCardGeometry({ format, colorSpace: 'rgb' });
   
-  // Generate back side (separate PDF)
-  cardProgress('Generiere Rückseite …', 'generating');
-  const backPdfDoc = await PDFDocument.create();
-  const backFonts = await loadFonts(backPdfDoc);
-  const backQrCodeImage = await backPdfDoc.embedPng(qrCodeBuffer);
+  // Fonts are loaded through pdf-lib so text is measured exactly like in the PDF
+  const fonts = await loadFonts(await PDFDocument.create());
+  const images = {};
+  for (const [source, { buffer }] of Object.entries(imageBuffers)) {
+    images[source] = await createPreviewImage(buffer);
+  }
+  if (qrCodeBuffer) {
+    images.qrCode = await createPreviewImage(qrCodeBuffer);
+  }
+  
+  const pages = ['front', 'back'].map((sideName) => {
+    const page = createSvgPage(geometry.width, geometry.height);
+    renderCardSide(page, layout[sideName], templateData, fonts, images, geometry);
+    return page;
+  });
   
-  const backPage = backPdfDoc.addPage([
-    mmToPt(CARD_WIDTH_MM),
-    mmToPt(CARD_HEIGHT_MM),
+  return composePreview(pages, {
+    format: options.format ?? previewConfig.format,
+    dpi: options.dpi ?? previewConfig.dpi,
+    mockup: options.mockup ?? previewConfig.mockup,
+    mockupColor: CONFIG.brand.colors[previewConfig.mockupColor],
+    gap: mmToPt(previewConfig.gapMm),
+    padding: mmToPt(previewConfig.paddingMm),
+    quality: previewConfig.jpegQuality,
+  });
+}
+
+/**
+ * Copy one page of a saved PDF into a new single-page PDF
+ * Works on saved bytes so that subset fonts are already finalized.
+ * @param {PDFDocument} sourceDoc - Loaded source document
+ * @param {number} pageIndex - Page to copy
+ * @param {Object} metadata - Document info from getCardMetadata()
+ * @param {boolean} deterministic - Reproducible output
+ * @returns {Promise<Uint8Array>} PDF bytes
+ */
+async function extractPage(sourceDoc, pageIndex, metadata, deterministic) {
+  const pdfDoc = await PDFDocument.create({ updateMetadata: false });
+  const [page] = await pdfDoc.copyPages(sourceDoc, [pageIndex]);
+  pdfDoc.addPage(page);
+  return savePdf(pdfDoc, metadata, deterministic);
+}
+
+/**
+ * Document info of card PDFs
+ * @param {Array<string>} names - Names of the contacts on the document
+ * @param {Object} locale - Locale from loadCardLocale()
+ * @param {Object} format - Card format from resolveCardFormat()
+ * @returns {Object} Metadata for savePdf() (title, author, subject, keywords, language)
+ */
+function getCardMetadata(names, locale, format) {
+  return {
+    title: locale.texts.documentTitle.replace('{name}', names.join(', ')),
+    author: locale.texts.company,
+    subject: locale.texts.documentSubject.replace('{format}', format.name),
+    keywords: names,
+    language: locale.id,
+  };
+}
+
+/**
+ * Print the files written by generateBusinessCardWithPdfLib
+ * @param {Object} result - Paths object
+ */
+function printResultPaths(result) {
+  const labels = {
+    front: 'Vorderseite',
+    back: 'Rückseite',
+    combined: 'Duplex-PDF',
+    finish: 'Veredelung',
+    preview: 'Vorschau',
+    vcard: 'vCard',
+    json: 'Kontaktdaten',
+  };
+  Object.entries(result).forEach(([key, filePath]) => {
+    info(`${labels[key] || key}: ${filePath}`);
+  });
+}
+
+/**
+ * Build the card format and orientation selection prompts
+ * @param {Object} [defaults] - Preselected values (e.g. format stored with an existing contact)
+ * @returns {Array<Object>} Inquirer questions named "format" and "orientation"
+ */
+function formatQuestions(defaults = {}) {
+  return [
+    {
+      type: 'list',
+      name: 'format',
+      message: 'Kartenformat:',
+      choices: Object.entries(CARD_CONFIG.formats).map(([value, preset]) => ({ name: preset.name, value })),
+      default: defaults.format ?? CARD_CONFIG.defaultFormat,
+    },
+    {
+      type: 'list',
+      name: 'orientation',
+      message: 'Ausrichtung:',
+      choices: [
+        { name: 'Querformat', value: 'landscape' },
+        { name: 'Hochformat', value: 'portrait' },
+      ],
+      default: defaults.orientation ?? 'landscape',
+    },
+  ];
+}
+
+/**
+ * Build the QR code content prompts
+ * @returns {Array<Object>} Inquirer questions named "qrPayload" and "qrUrl"
+ */
+function qrPayloadQuestions() {
+  return [
+    {
+      type: 'list',
+      name: 'qrPayload',
+      message: 'Inhalt des QR-Codes:',
+      choices: [
+        { name: 'vCard (alle Kontaktdaten, dichter QR-Code)', value: 'vcard' },
+        { name: 'MeCard (Kontaktdaten kompakt, ohne Social Media)', value: 'mecard' },
+        { name: 'URL (z. B. Profilseite, kleinster QR-Code)', value: 'url' },
+      ],
+      default: CARD_CONFIG.qrPayload.default,
+    },
+    {
+      type: 'input',
+      name: 'qrUrl',
+      message: 'URL ({slug} und Felder wie {email} werden ersetzt):',
+      default: CARD_CONFIG.qrPayload.urlTemplate,
+      when: (answers) => answers.qrPayload === 'url',
+      validate: (input) => validateUrl(input.replace(/\{\w+\}/g, 'x')) || 'Bitte eine gültige URL eingeben',
+    },
+  ];
+}
+
+/**
+ * Build the color space selection prompt
+ * @returns {Object} Inquirer list question named "colorSpace"
+ */
+function colorSpaceQuestion() {
+  const spotNames = Object.values(CARD_CONFIG.spotColors).join(', ');
+  return {
+    type: 'list',
+    name: 'colorSpace',
+    message: 'Farbraum:',
+    choices: [
+      { name: 'RGB (Bildschirm, Digitaldruck)', value: 'rgb' },
+      { name: 'CMYK (Offsetdruck, Werte aus colors.json)', value: 'cmyk' },
+      { name: `CMYK mit Sonderfarben (${spotNames || 'keine konfiguriert'})`, value: 'spot' },
+    ],
+    default: CARD_CONFIG.colorSpace,
+  };
+}
+
+/**
+ * Build the layout template selection prompt
+ * Only layouts matching a previously answered orientation are offered.
+ * @returns {Object} Inquirer list question named "layout"
+ */
+function layoutQuestion() {
+  return {
+    type: 'list',
+    name: 'layout',
+    message: 'Layout:',
+    choices: (answers) => listCardLayouts()
+      .filter((layout) => !answers.orientation || layout.orientation === answers.orientation)
+      .map((layout) => ({
+        name: layout.description ? `${layout.name} – ${layout.description}` : layout.name,
+        value: layout.id,
+      })),
+    default: (answers) => (answers.orientation === 'portrait' ? CARD_CONFIG.portraitLayout : CARD_CONFIG.layout),
+  };
+}
+
+/**
+ * Prompt user for output options (format, layout, QR content, print mode, color space, finish, PDF output, preview image)
+ * @param {Object} [defaults] - Preselected values, e.g. the saved data of an edited contact
+ * @returns {Promise<Object>} Output options for generateBusinessCardWithPdfLib
+ */
+async function promptOutputOptions(defaults = {}) {
+  const { format, orientation, layout, qrPayload, qrUrl, print, colorSpace } = await inquirer.prompt([
+    ...formatQuestions(defaults),
+    layoutQuestion(),
+    ...qrPayloadQuestions(),
+    {
+      type: 'confirm',
+      name: 'print',
+      message: 'Druckdaten mit Beschnitt erzeugen (TrimBox/BleedBox)?',
+      default: CARD_CONFIG.print.enabled,
+    },
+    colorSpaceQuestion(),
+  ]);
+
+  const { cropMarks } = print
+    ? await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'cropMarks',
+        message: 'Schnittmarken hinzufügen?',
+        default: CARD_CONFIG.print.cropMarks,
+      },
+    ])
+    : { cropMarks: false };
+
+  const { finish, output, previewEnabled } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'finish',
+      message: 'Veredelung (zusätzliches PDF mit der Logoform der Vorderseite):',
+      choices: [
+        { name: 'Keine', value: null },
+        ...Object.entries(CARD_CONFIG.finish.types).map(([value, type]) => ({
+          name: `${type.name} (Sonderfarbe "${type.spotColor}")`,
+          value,
+        })),
+      ],
+      default: CARD_CONFIG.finish.default,
+    },
+    {
+      type: 'list',
+      name: 'output',
+      message: 'PDF-Ausgabe:',
+      choices: [
+        { name: 'Vorder- und Rückseite als getrennte PDFs', value: 'separate' },
+        { name: 'Ein Duplex-PDF (Seite 1 Vorderseite, Seite 2 Rückseite)', value: 'combined' },
+        { name: 'Beides', value: 'both' },
+      ],
+      default: CARD_CONFIG.pdfOutput,
+    },
+    {
+      type: 'confirm',
+      name: 'previewEnabled',
+      message: 'Vorschaubild (PNG/JPEG) erzeugen?',
+      default: CARD_CONFIG.preview.enabled,
+    },
   ]);
-  renderBackSide(backPage, templateData, backFonts, {
-    logo: null,
-    qrCode: backQrCodeImage,
+
+  const preview = previewEnabled
+    ? await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'format',
+        message: 'Bildformat der Vorschau:',
+        choices: PREVIEW_FORMATS.map((value) => ({ name: value.toUpperCase(), value })),
+        default: CARD_CONFIG.preview.format,
+      },
+      {
+        type: 'confirm',
+        name: 'mockup',
+        message: 'Karten auf Mockup-Hintergrund mit Schatten zeigen?',
+        default: CARD_CONFIG.preview.mockup,
+      },
+    ])
+    : {};
+
+  return {
+    format,
+    orientation,
+    layout,
+    qrPayload,
+    qrUrl,
+    print,
+    cropMarks,
+    colorSpace,
+    finish,
+    output,
+    preview: { ...preview, enabled: previewEnabled },
+  };
+}
+
+/**
+ * Generate business card PDFs using pdf-lib
+ * @param {Object} contactData - Contact data
+ * @param {string} outputDir - Output directory
+ * @param {Object} [options] - Output options
+ * @param {boolean} [options.print] - Print mode: add bleed and set TrimBox/BleedBox (default from config)
+ * @param {boolean} [options.cropMarks] - Draw crop marks outside the bleed in print mode (default from config)
+ * @param {string} [options.output] - PDF output: 'separate' (front/back files), 'combined' (one duplex PDF) or 'both' (default from config)
+ * @param {string} [options.vcardVersion] - vCard version '3.0' or '4.0' for QR code and .vcf file (default from config)
+ * @param {string} [options.qrPayload] - QR code content: 'vcard', 'mecard' or 'url' (default from config)
+ * @param {string} [options.qrUrl] - URL or URL template like "https://kieks.me/team/{slug}" for the 'url' payload (default from config)
+ * @param {string} [options.locale] - Card language, e.g. 'de' or 'en' (default: contactData.locale, then config)
+ * @param {string} [options.layout] - Layout template name or path to a layout .json file (default from config)
+ * @param {string} [options.format] - Card format preset (default: contactData.format, then config)
+ * @param {string} [options.orientation] - 'landscape' or 'portrait' (default: contactData.orientation, then layout)
+ * @param {string} [options.colorSpace] - Brand colors as 'rgb', 'cmyk' (values from colors.json) or 'spot' (cmyk plus spot colors) (default from config)
+ * @param {string|null} [options.finish] - Also write a finishing die PDF: 'embossing', 'spotUv' or 'foil' (default from config, null for none)
+ * @param {Object} [options.preview] - Preview image: { enabled, format ('png'|'jpg'), dpi, mockup } (defaults from config)
+ * @param {boolean} [options.deterministic] - Byte-identical PDFs for identical input (default: on with SOURCE_DATE_EPOCH, else from config)
+ * @returns {Promise<Object>} Paths to generated files (front, back and/or combined, finish, preview, vcard, json)
+ */
+export async function generateBusinessCardWithPdfLib(contactData, outputDir, options = {}) {
+  const vcardVersion = options.vcardVersion ?? CARD_CONFIG.vcard.version;
+  if (!VCARD_VERSIONS.includes(vcardVersion)) {
+    throw new Error(`Nicht unterstützte vCard-Version: ${vcardVersion}. Erlaubt: ${VCARD_VERSIONS.join(', ')}`);
+  }
+  const qrPayload = options.qrPayload ?? CARD_CONFIG.qrPayload.default;
+  if (!QR_PAYLOADS.includes(qrPayload)) {
+    throw new Error(`Unbekannter QR-Inhalt: ${qrPayload}. Erlaubt: ${QR_PAYLOADS.join(', ')}`);
+  }
+  const locale = loadCardLocale(options.locale ?? contactData.locale);
+  const outputMode = options.output ?? CARD_CONFIG.pdfOutput;
+  if (!PDF_OUTPUT_MODES.includes(outputMode)) {
+    throw new Error(`Unbekannter PDF-Ausgabemodus: ${outputMode}. Erlaubt: ${PDF_OUTPUT_MODES.join(', ')}`);
+  }
+  const colorSpace = options.colorSpace ?? CARD_CONFIG.colorSpace;
+  if (!COLOR_SPACES.includes(colorSpace)) {
+    throw new Error(`Unbekannter Farbraum: ${colorSpace}. Erlaubt: ${COLOR_SPACES.join(', ')}`);
+  }
+  const finishType = options.finish === undefined ? CARD_CONFIG.finish.default : options.finish;
+  if (finishType && !FINISH_TYPES.includes(finishType)) {
+    throw new Error(`Unbekannte Veredelung: ${finishType}. Erlaubt: ${FINISH_TYPES.join(', ')}`);
+  }
+  const previewFormat = options.preview?.format ?? CARD_CONFIG.preview.format;
+  if (!PREVIEW_FORMATS.includes(previewFormat)) {
+    throw new Error(`Nicht unterstütztes Vorschauformat: ${previewFormat}. Erlaubt: ${PREVIEW_FORMATS.join(', ')}`);
+  }
+
+  // Validate data, including that every text fits the layout
+  const validation = validateContactRecord(contactData);
+  if (!validation.isValid) {
+    throw new Error(`Validierungsfehler: ${validation.errors.join(', ')}`);
+  }
+  validation.warnings.forEach((message) => warn(`${contactData.name}: ${message}`));
+  await validateCardFit(contactData, { ...options, locale: locale.id });
+  
+  // Ensure output directory exists
+  if (!existsSync(outputDir)) {
+    mkdirSync(outputDir, { recursive: true });
+  }
+  
+  const { format, layout } = resolveCardSetup(contactData, options);
+  const content = await prepareCardContent(contactData, {
+    vcardVersion,
+    qrPayload,
+    qrUrl: options.qrUrl,
+    locale: locale.id,
+    layout,
+  });
+  const geometry = getCardGeometry({
+    format,
+    print: options.print ?? CARD_CONFIG.print.enabled,
+    cropMarks: options.cropMarks ?? CARD_CONFIG.print.cropMarks,
+    colorSpace,
   });
+  const deterministic = isDeterministic(options.deterministic);
+  const metadata = getCardMetadata([contactData.name], locale, format);
+  const cardDoc = await renderCardDocument(content, geometry);
+  const cardBytes = await savePdf(cardDoc, metadata, deterministic);
+  // Rendered before anything is written: fails if the layout has nothing to finish
+  const finishDoc = finishType ? await renderFinishDocument(layout, geometry, finishType) : null;
+  const fileBaseName = getCardFileBaseName({ ...contactData, locale: locale.id });
+  const paths = {};
   
-  const backOutputPath = join(outputDir, `${contactData.name.replace(/\s+/g, '-')}-back.pdf`);
-  const backPdfBytes = await backPdfDoc.save();
-  writeFileSync(backOutputPath, backPdfBytes);
-  cardProgress(`Rückseite gespeichert: ${backOutputPath}`, 'done');
+  if (outputMode === 'combined' || outputMode === 'both') {
+    paths.combined = join(outputDir, `${fileBaseName}-duplex.pdf`);
+    writeFileSync(paths.combined, cardBytes);
+    cardProgress(`Duplex-PDF gespeichert: ${paths.combined}`, 'done');
+  }
+  
+  if (outputMode === 'separate' || outputMode === 'both') {
+    const savedDoc = await PDFDocument.load(cardBytes, { updateMetadata: false });
+    
+    paths.front = join(outputDir, `${fileBaseName}-front.pdf`);
+    writeFileSync(paths.front, await extractPage(savedDoc, 0, metadata, deterministic));
+    cardProgress(`Vorderseite gespeichert: ${paths.front}`, 'done');
+    
+    paths.back = join(outputDir, `${fileBaseName}-back.pdf`);
+    writeFileSync(paths.back, await extractPage(savedDoc, 1, metadata, deterministic));
+    cardProgress(`Rückseite gespeichert: ${paths.back}`, 'done');
+  }
+  
+  if (finishDoc) {
+    paths.finish = join(outputDir, `${fileBaseName}-${finishType}.pdf`);
+    writeFileSync(paths.finish, await savePdf(finishDoc, {
+      ...metadata,
+      title: `${metadata.title} – ${CARD_CONFIG.finish.types[finishType].name}`,
+    }, deterministic));
+    cardProgress(`Veredelungsform gespeichert: ${paths.finish}`, 'done');
+  }
   
-  // Save contact data to JSON file
+  const preview = { ...CARD_CONFIG.preview, ...options.preview };
+  if (preview.enabled) {
+    cardProgress('Generiere Vorschaubild …', 'generating');
+    paths.preview = join(outputDir, `${fileBaseName}-preview.${preview.format}`);
+    writeFileSync(paths.preview, await renderCardPreview(content, format, preview));
+    cardProgress(`Vorschaubild gespeichert: ${paths.preview}`, 'done');
+  }
+  
+  // Save vCard file for sharing the same contact digitally (with photo and logo)
+  paths.vcard = join(outputDir, `${fileBaseName}.vcf`);
+  writeFileSync(paths.vcard, generateVCard(localizeContact(contactData, locale), {
+    version: vcardVersion,
+    includePhoto: true,
+    includeLogo: CARD_CONFIG.vcard.embedLogo,
+  }), 'utf8');
+  cardProgress(`vCard gespeichert: ${paths.vcard}`, 'done');
+  
+  // Save contact data to JSON file, recording format and language so the card can be regenerated identically
   cardProgress('Speichere Kontaktdaten …', 'generating');
-  const jsonPath = saveContactData(contactData, outputDir);
+  const jsonPath = saveContactData({
+    ...contactData,
+    format: format.id,
+    orientation: format.orientation,
+    locale: locale.id,
+  }, outputDir);
   cardProgress(`Kontaktdaten gespeichert: ${jsonPath}`, 'done');
   
+  paths.json = jsonPath;
+  return paths;
+}
+
+/**
+ * Compute how many cards fit on a sheet and where the card grid starts
+ * Tries portrait and landscape sheet orientation and keeps the one holding more cards.
+ * Cards are butted edge to edge, so neighbouring cards share their cut lines.
+ * @param {string} [sheetName] - Sheet preset from businessCard.imposition.sheets (e.g. 'a4', 'sra3')
+ * @param {Object} [format] - Card format from resolveCardFormat() (default format if omitted)
+ * @returns {Object} Layout in points (sheetWidth, sheetHeight, columns, rows, perSheet, originX, originY, cardWidth, cardHeight)
+ */
+export function computeImpositionLayout(sheetName = CARD_CONFIG.imposition.defaultSheet, format = resolveCardFormat()) {
+  const impositionConfig = CARD_CONFIG.imposition;
+  const sheet = impositionConfig.sheets[sheetName];
+  if (!sheet) {
+    const validSheets = Object.keys(impositionConfig.sheets).join(', ');
+    throw new Error(`Unbekanntes Bogenformat: ${sheetName}. Erlaubt: ${validSheets}`);
+  }
+
+  const margin = impositionConfig.marginMm;
+  const { widthMm: cardWidthMm, heightMm: cardHeightMm } = format;
+  const orientations = [
+    { widthMm: sheet.widthMm, heightMm: sheet.heightMm },
+    { widthMm: sheet.heightMm, heightMm: sheet.widthMm },
+  ].map(({ widthMm, heightMm }) => ({
+    widthMm,
+    heightMm,
+    columns: Math.floor((widthMm - margin * 2) / cardWidthMm),
+    rows: Math.floor((heightMm - margin * 2) / cardHeightMm),
+  }));
+
+  // Prefer portrait when both orientations hold the same number of cards
+  const best = orientations.reduce((a, b) => (b.columns * b.rows > a.columns * a.rows ? b : a));
+  if (best.columns * best.rows === 0) {
+    throw new Error(`Visitenkarte passt nicht auf einen ${sheet.name}-Bogen`);
+  }
+
+  const cardWidth = mmToPt(cardWidthMm);
+  const cardHeight = mmToPt(cardHeightMm);
+  const sheetWidth = mmToPt(best.widthMm);
+  const sheetHeight = mmToPt(best.heightMm);
+
+  return {
+    sheetName,
+    sheetWidth,
+    sheetHeight,
+    columns: best.columns,
+    rows: best.rows,
+    perSheet: best.columns * best.rows,
+    // Center the card grid on the sheet
+    originX: (sheetWidth - best.columns * cardWidth) / 2,
+    originY: (sheetHeight - best.rows * cardHeight) / 2,
+    cardWidth,
+    cardHeight,
+  };
+}
+
+/**
+ * Draw shared cut marks along the outside of the card grid
+ * @param {Object} page - PDF page
+ * @param {Object} layout - Layout from computeImpositionLayout()
+ */
+function drawCutMarks(page, layout) {
+  const { columns, rows, originX, originY, cardWidth, cardHeight } = layout;
+  const offset = mmToPt(CARD_CONFIG.imposition.cutMarkOffsetMm);
+  const length = mmToPt(CARD_CONFIG.imposition.cutMarkLengthMm);
+  const gridRight = originX + columns * cardWidth;
+  const gridTop = originY + rows * cardHeight;
+  const line = (x1, y1, x2, y2) => page.drawLine({
+    start: { x: x1, y: y1 },
+    end: { x: x2, y: y2 },
+    thickness: CROP_MARK_LINE_WIDTH_PT,
+    color: REGISTRATION_COLOR,
+  });
+
+  for (let column = 0; column <= columns; column++) {
+    const x = originX + column * cardWidth;
+    line(x, originY - offset, x, originY - offset - length);
+    line(x, gridTop + offset, x, gridTop + offset + length);
+  }
+  for (let row = 0; row <= rows; row++) {
+    const y = originY + row * cardHeight;
+    line(originX - offset, y, originX - offset - length, y);
+    line(gridRight + offset, y, gridRight + offset + length, y);
+  }
+}
+
+/**
+ * Generate an imposition PDF with many business cards per sheet
+ * Pages alternate front sheet / back sheet for duplex printing. Back sheets are
+ * mirrored horizontally (flip on the long edge of a portrait sheet), so every back
+ * lands behind its front.
+ * @param {Object|Array<Object>} contacts - One contact (repeated to fill the sheet) or a batch of contacts
+ * @param {string} outputDir - Output directory
+ * @param {Object} [options] - Imposition options
+ * @param {string} [options.sheet] - Sheet preset (default from config)
+ * @param {number} [options.copies] - Copies per contact (default: fill one sheet for a single contact, else 1)
+ * @param {string} [options.fileName] - Output file name
+ * @param {string} [options.layout] - Layout template name or path (default from config)
+ * @param {string} [options.format] - Card format preset (default: format of the first contact, then config)
+ * @param {string} [options.orientation] - 'landscape' or 'portrait' (default: orientation of the first contact)
+ * @param {string} [options.colorSpace] - Brand colors as 'rgb', 'cmyk' or 'spot' (default from config)
+ * @param {string} [options.vcardVersion] - vCard version for the QR code payload (default from config)
+ * @param {string} [options.qrPayload] - QR code content: 'vcard', 'mecard' or 'url' (default from config)
+ * @param {string} [options.qrUrl] - URL or URL template for the 'url' payload (default from config)
+ * @param {string} [options.locale] - Card language for all contacts (default: locale of each contact, then config)
+ * @param {boolean} [options.deterministic] - Byte-identical PDF for identical input (default: on with SOURCE_DATE_EPOCH, else from config)
+ * @returns {Promise<Object>} Result with file path, number of sheets, cards and cards per sheet
+ */
+export async function generateImpositionSheet(contacts, outputDir, options = {}) {
+  const contactList = Array.isArray(contacts) ? contacts : [contacts];
+  if (contactList.length === 0) {
+    throw new Error('Keine Kontakte für den Druckbogen angegeben');
+  }
+  const vcardVersion = options.vcardVersion ?? CARD_CONFIG.vcard.version;
+  if (!VCARD_VERSIONS.includes(vcardVersion)) {
+    throw new Error(`Nicht unterstützte vCard-Version: ${vcardVersion}. Erlaubt: ${VCARD_VERSIONS.join(', ')}`);
+  }
+
+  // All cards on a sheet share one format; it comes from the options or the first contact
+  const setupOptions = {
+    ...options,
+    format: options.format ?? contactList[0].format,
+    orientation: options.orientation ?? contactList[0].orientation,
+  };
+  for (const contactData of contactList) {
+    const validation = validateContactRecord(contactData);
+    if (!validation.isValid) {
+      throw new Error(`Validierungsfehler (${contactData.name || 'ohne Name'}): ${validation.errors.join(', ')}`);
+    }
+    await validateCardFit(contactData, setupOptions);
+  }
+
+  const setups = contactList.map((contactData) => resolveCardSetup(contactData, setupOptions));
+  const { format } = setups[0];
+  const layout = computeImpositionLayout(options.sheet, format);
+  const copies = options.copies ?? (contactList.length === 1 ? layout.perSheet : 1);
+
+  if (!existsSync(outputDir)) {
+    mkdirSync(outputDir, { recursive: true });
+  }
+
+  const sheetDoc = await PDFDocument.create({ updateMetadata: false });
+  const geometry = getCardGeometry({ format, colorSpace: options.colorSpace });
+
+  // Render every contact once; repeated slots reuse the same embedded page
+  const cards = [];
+  for (const [index, contactData] of contactList.entries()) {
+    const content = await prepareCardContent(contactData, {
+      layout: setups[index].layout,
+      vcardVersion,
+      qrPayload: options.qrPayload,
+      qrUrl: options.qrUrl,
+      locale: options.locale,
+    });
+    const cardDoc = await renderCardDocument(content, geometry);
+    const [front, back] = await sheetDoc.embedPdf(await cardDoc.save(), [0, 1]);
+    for (let i = 0; i < copies; i++) {
+      cards.push({ front, back });
+    }
+  }
+
+  cardProgress(`Erstelle ${layout.perSheet}-fach Druckbogen (${layout.columns} × ${layout.rows}) …`, 'generating');
+  const sheetCount = Math.ceil(cards.length / layout.perSheet);
+
+  for (let sheetIndex = 0; sheetIndex < sheetCount; sheetIndex++) {
+    const frontSheet = sheetDoc.addPage([layout.sheetWidth, layout.sheetHeight]);
+    const backSheet = sheetDoc.addPage([layout.sheetWidth, layout.sheetHeight]);
+    const sheetCards = cards.slice(sheetIndex * layout.perSheet, (sheetIndex + 1) * layout.perSheet);
+
+    sheetCards.forEach((card, slot) => {
+      const column = slot % layout.columns;
+      const row = Math.floor(slot / layout.columns);
+      // Fill from the top-left corner; PDF y axis points up
+      const y = layout.originY + (layout.rows - 1 - row) * layout.cardHeight;
+      const size = { width: layout.cardWidth, height: layout.cardHeight };
+
+      frontSheet.drawPage(card.front, {
+        x: layout.originX + column * layout.cardWidth,
+        y,
+        ...size,
+      });
+      backSheet.drawPage(card.back, {
+        x: layout.originX + (layout.columns - 1 - column) * layout.cardWidth,
+        y,
+        ...size,
+      });
+    });
+
+    drawCutMarks(frontSheet, layout);
+    drawCutMarks(backSheet, layout);
+  }
+
+  const defaultName = contactList.length === 1
+    ? `${contactList[0].name.replace(/\s+/g, '-')}-${layout.sheetName}-${layout.perSheet}up.pdf`
+    : `imposition-${layout.sheetName}-${layout.perSheet}up.pdf`;
+  const outputPath = join(outputDir, options.fileName || defaultName);
+  const names = [...new Set(contactList.map((contactData) => contactData.name))];
+  const locale = loadCardLocale(options.locale ?? contactList[0].locale);
+  writeFileSync(outputPath, await savePdf(sheetDoc, getCardMetadata(names, locale, format),
+    isDeterministic(options.deterministic)));
+  cardProgress(`Druckbogen gespeichert: ${outputPath}`, 'done');
+
   return {
-    front: frontOutputPath,
-    back: backOutputPath,
-    json: jsonPath,
+    file: outputPath,
+    sheets: sheetCount,
+    cards: cards.length,
+    perSheet: layout.perSheet,
+  };
+}
+
+/**
+ * Prompt user for imposition sheet contents
+ * @param {string} outputDir - Directory with saved contact JSON files
+ * @returns {Promise<Object|null>} Selected contacts, sheet, format and layout, or null if nothing to impose
+ */
+async function promptImposition(outputDir) {
+  if (!existsSync(outputDir)) {
+    mkdirSync(outputDir, { recursive: true });
+  }
+
+  const files = readdirSync(outputDir).filter((file) => file.endsWith('.json'));
+  if (files.length === 0) {
+    warn('Keine bestehenden Kontaktdaten gefunden.');
+    return null;
+  }
+
+  const { selectedFiles, sheet, format, orientation, layout, colorSpace } = await inquirer.prompt([
+    {
+      type: 'checkbox',
+      name: 'selectedFiles',
+      message: 'Welche Visitenkarten sollen auf den Bogen? (eine Karte füllt den ganzen Bogen)',
+      choices: files.map((file) => ({
+        name: file.replace('.json', ''),
+        value: file,
+      })),
+      validate: (input) => {
+        if (input.length === 0) {
+          return 'Mindestens eine Visitenkarte muss ausgewählt werden';
+        }
+        return true;
+      },
+    },
+    {
+      type: 'list',
+      name: 'sheet',
+      message: 'Bogenformat:',
+      choices: Object.entries(CARD_CONFIG.imposition.sheets).map(([value, preset]) => ({
+        name: `${preset.name} (${preset.widthMm} × ${preset.heightMm} mm)`,
+        value,
+      })),
+      default: CARD_CONFIG.imposition.defaultSheet,
+    },
+    ...formatQuestions(),
+    layoutQuestion(),
+    colorSpaceQuestion(),
+  ]);
+
+  const contacts = selectedFiles.map((file) => loadSavedContact(join(outputDir, file)));
+  return { contacts, sheet, format, orientation, layout, colorSpace };
+}
+
+/**
+ * Parse command line arguments
+ * @returns {Object} Parsed arguments
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const parsed = {
+    input: null,
+    out: null,
+    only: [],
+    print: undefined,
+    cropMarks: undefined,
+    sheet: null,
+    pdf: undefined,
+    vcardVersion: undefined,
+    qrPayload: undefined,
+    qrUrl: undefined,
+    locale: undefined,
+    layout: undefined,
+    format: undefined,
+    orientation: undefined,
+    colorSpace: undefined,
+    finish: undefined,
+    preview: {},
+    deterministic: undefined,
   };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--input' && i + 1 < args.length) {
+      parsed.input = args[++i];
+    } else if (arg === '--out' && i + 1 < args.length) {
+      parsed.out = args[++i];
+    } else if (arg === '--only' && i + 1 < args.length) {
+      parsed.only.push(args[++i]);
+    } else if (arg === '--print') {
+      parsed.print = true;
+    } else if (arg === '--no-crop-marks') {
+      parsed.cropMarks = false;
+    } else if (arg === '--pdf' && i + 1 < args.length) {
+      parsed.pdf = args[++i].toLowerCase();
+    } else if (arg === '--vcard-version' && i + 1 < args.length) {
+      parsed.vcardVersion = args[++i];
+    } else if (arg === '--qr-payload' && i + 1 < args.length) {
+      parsed.qrPayload = args[++i].toLowerCase();
+    } else if (arg === '--qr-url' && i + 1 < args.length) {
+      parsed.qrUrl = args[++i];
+    } else if (arg === '--locale' && i + 1 < args.length) {
+      parsed.locale = args[++i].toLowerCase();
+    } else if (arg === '--format' && i + 1 < args.length) {
+      parsed.format = args[++i].toLowerCase();
+    } else if (arg === '--orientation' && i + 1 < args.length) {
+      parsed.orientation = args[++i].toLowerCase();
+    } else if (arg === '--layout' && i + 1 < args.length) {
+      parsed.layout = args[++i];
+    } else if (arg === '--sheet' && i + 1 < args.length) {
+      parsed.sheet = args[++i].toLowerCase();
+    } else if (arg === '--color-space' && i + 1 < args.length) {
+      parsed.colorSpace = args[++i].toLowerCase();
+    } else if (arg === '--finish' && i + 1 < args.length) {
+      parsed.finish = args[++i];
+    } else if (arg === '--no-finish') {
+      parsed.finish = null;
+    } else if (arg === '--preview') {
+      parsed.preview.enabled = true;
+    } else if (arg === '--no-preview') {
+      parsed.preview.enabled = false;
+    } else if (arg === '--preview-format' && i + 1 < args.length) {
+      parsed.preview.format = args[++i].toLowerCase();
+    } else if (arg === '--dpi' && i + 1 < args.length) {
+      parsed.preview.dpi = Number(args[++i]);
+    } else if (arg === '--mockup') {
+      parsed.preview.mockup = true;
+    } else if (arg === '--deterministic') {
+      parsed.deterministic = true;
+    } else if (arg === '--help' || arg === '-h') {
+      return { help: true };
+    }
+  }
+
+  return parsed;
+}
+
+/**
+ * Show help message
+ */
+function showHelp() {
+  console.log(`
+Usage:
+  node scripts/generate-card.mjs [--input <file>] [--out <dir>] [--only <name>] [--print] [--sheet <format>]
+
+Options:
+  --input <file>       Contacts file (enables batch mode): CSV, JSON, vCard (.vcf), LDIF (.ldif)
+                       or a Google/Outlook contact CSV export
+  --out <dir>          Output directory (default: ${CARD_CONFIG.outputDir})
+  --only <name>        Only generate the contact with this name (repeatable)
+  --print              Print mode: bleed, TrimBox/BleedBox and crop marks
+  --no-crop-marks      Omit crop marks in print mode
+  --pdf <mode>         PDF output: separate (front/back files), combined (one duplex PDF) or both (default: ${CARD_CONFIG.pdfOutput})
+  --vcard-version <v>  vCard version for QR code and .vcf file: ${VCARD_VERSIONS.join(' or ')} (default: ${CARD_CONFIG.vcard.version})
+  --qr-payload <p>     QR code content: vcard (full contact), mecard (compact contact) or url (default: ${CARD_CONFIG.qrPayload.default})
+  --qr-url <url>       URL for --qr-payload url; {slug} and contact fields like {email} are filled in
+                       (default: ${CARD_CONFIG.qrPayload.urlTemplate})
+  --locale <id>        Card language: ${listCardLocales().map((locale) => locale.id).join(', ')} (default: locale of each contact, then ${getDefaultLocale()})
+  --format <name>      Card format: ${Object.entries(CARD_CONFIG.formats).map(([id, preset]) => `${id} (${preset.widthMm} × ${preset.heightMm} mm)`).join(', ')} (default: ${CARD_CONFIG.defaultFormat})
+  --orientation <o>    Card orientation: landscape or portrait (default: from the layout)
+  --layout <name>      Layout template (${listCardLayouts().map((layout) => layout.id).join(', ')}) or path to a layout .json file (default: ${CARD_CONFIG.layout})
+  --color-space <cs>   Brand colors as rgb, cmyk (values from colors.json) or spot (cmyk plus spot colors ${Object.values(CARD_CONFIG.spotColors).join(', ')}) (default: ${CARD_CONFIG.colorSpace})
+  --finish <type>      Also write a finishing die PDF with the front logo in a spot color:
+                       ${Object.entries(CARD_CONFIG.finish.types).map(([id, finish]) => `${id} (${finish.name})`).join(', ')}
+  --no-finish          Write no finishing die, even if one is configured
+  --sheet <format>     Additionally impose all generated cards on sheets (${Object.keys(CARD_CONFIG.imposition.sheets).join(', ')})
+  --preview, --no-preview
+                       Write a preview image with front and back side (default: ${CARD_CONFIG.preview.enabled ? 'on' : 'off'})
+  --preview-format <f> Preview image format: ${PREVIEW_FORMATS.join(' or ')} (default: ${CARD_CONFIG.preview.format})
+  --dpi <n>            Preview resolution (default: ${CARD_CONFIG.preview.dpi})
+  --mockup             Show the preview cards on a colored surface with drop shadows
+  --deterministic      Byte-identical PDFs for identical input: no current dates, stable IDs and font subsets
+                       (on automatically if SOURCE_DATE_EPOCH is set; its value becomes the creation date)
+  --help, -h           Show this help message
+
+If no --input is given, an interactive prompt will guide you through the process.
+
+CSV columns:
+  name, givenName, familyName, honorificPrefix, position, email, phone, mobile,
+  address, postalCode, city, country, website, photo, socialMedia, format, orientation, locale
+  (German headers like E-Mail, Telefon, PLZ, Stadt work as well; socialMedia as "LinkedIn=https://…|GitHub=https://…")
+
+Examples:
+  # Generate the whole team in CI
+  node scripts/generate-card.mjs --input team.csv --out output/team-cards
+
+  # Cards from an address book export (fields without a place on the card are listed)
+  node scripts/generate-card.mjs --input contacts.vcf --out output/team-cards
+
+  # Regenerate a single card from the same file
+  node scripts/generate-card.mjs --input team.csv --only "Anna Schmidt"
+
+  # Short QR code linking to the team page, for small QR codes
+  node scripts/generate-card.mjs --input team.csv --qr-payload url --qr-url "https://kieks.me/team/{slug}"
+
+  # English cards (Max-Mustermann-en-front.pdf, ...)
+  node scripts/generate-card.mjs --input team.csv --locale en
+
+  # Use the light design
+  node scripts/generate-card.mjs --input team.csv --layout light
+
+  # US business cards (3.5 × 2 in) in portrait orientation
+  node scripts/generate-card.mjs --input team.csv --format us --orientation portrait
+
+  # Offset print data with the navy as spot color
+  node scripts/generate-card.mjs --input team.csv --print --color-space spot
+
+  # Embossed logo: print data plus embossing die
+  node scripts/generate-card.mjs --input team.csv --print --finish embossing
+
+  # High-resolution JPEG mockups for the website
+  node scripts/generate-card.mjs --input team.csv --preview --preview-format jpg --dpi 300 --mockup
+
+  # Reproducible PDFs dated to the last commit
+  SOURCE_DATE_EPOCH=$(git log -1 --format=%ct) node scripts/generate-card.mjs --input team.csv
+`);
+}
+
+/**
+ * Generate business cards for all contacts of an input file without prompts
+ * Every contact is validated first; failures do not stop the remaining contacts.
+ * @param {Object} args - Parsed CLI arguments
+ * @returns {Promise<number>} Exit code (0 if every card was generated)
+ */
+async function runBatch(args) {
+  const outputDir = args.out ? resolve(args.out) : join(projectRoot, CARD_CONFIG.outputDir);
+  // Fail early on a broken layout or unknown format instead of once per contact
+  if (args.layout) {
+    loadCardLayout(args.layout);
+  }
+  if (args.format || args.orientation) {
+    resolveCardFormat(args.format, args.orientation);
+  }
+  if (args.finish && !FINISH_TYPES.includes(args.finish)) {
+    throw new Error(`Unbekannte Veredelung: ${args.finish}. Erlaubt: ${FINISH_TYPES.join(', ')}`);
+  }
+  if (args.qrPayload && !QR_PAYLOADS.includes(args.qrPayload)) {
+    throw new Error(`Unbekannter QR-Inhalt: ${args.qrPayload}. Erlaubt: ${QR_PAYLOADS.join(', ')}`);
+  }
+  if (args.locale) {
+    loadCardLocale(args.locale);
+  }
+  if (args.colorSpace && !COLOR_SPACES.includes(args.colorSpace)) {
+    throw new Error(`Unbekannter Farbraum: ${args.colorSpace}. Erlaubt: ${COLOR_SPACES.join(', ')}`);
+  }
+  if (args.preview.format && !PREVIEW_FORMATS.includes(args.preview.format)) {
+    throw new Error(`Nicht unterstütztes Vorschauformat: ${args.preview.format}. Erlaubt: ${PREVIEW_FORMATS.join(', ')}`);
+  }
+  if (args.preview.dpi !== undefined && !(args.preview.dpi > 0)) {
+    throw new Error('--dpi muss eine positive Zahl sein');
+  }
+  // Validates SOURCE_DATE_EPOCH up front instead of failing on the first card
+  resolveSourceDate();
+  const imported = importContactsFromFile(resolve(args.input));
+  const unmappedFields = new Map(imported.entries.map((entry) => [entry.contact, entry.unmapped]));
+  let contacts = imported.entries.map((entry) => entry.contact);
+  const results = [];
+
+  if (args.only.length > 0) {
+    const wanted = new Set(args.only);
+    contacts = contacts.filter((contact) => wanted.has(contact.name));
+    args.only
+      .filter((name) => !contacts.some((contact) => contact.name === name))
+      .forEach((name) => results.push({ name, ok: false, detail: 'Nicht in der Eingabedatei gefunden' }));
+  }
+
+  info(`Generiere ${contacts.length} Visitenkarte(n) aus ${args.input} (${imported.formatName}) …`);
+
+  const generated = [];
+  for (let i = 0; i < contacts.length; i++) {
+    const contact = contacts[i];
+    const label = contact.name || `Zeile ${i + 1}`;
+    const unmapped = unmappedFields.get(contact);
+    if (unmapped.length > 0) {
+      warn(`${label}: nicht übernommen – ${unmapped.join(', ')}`);
+    }
+    const validation = validateContactRecord(contact);
+
+    if (!validation.isValid) {
+      results.push({ name: label, ok: false, detail: validation.errors.join(', ') });
+      continue;
+    }
+
+    try {
+      const result = await generateBusinessCardWithPdfLib(contact, outputDir, {
+        print: args.print,
+        cropMarks: args.cropMarks,
+        output: args.pdf,
+        vcardVersion: args.vcardVersion,
+        qrPayload: args.qrPayload,
+        qrUrl: args.qrUrl,
+        locale: args.locale,
+        layout: args.layout,
+        format: args.format,
+        orientation: args.orientation,
+        colorSpace: args.colorSpace,
+        finish: args.finish,
+        preview: args.preview,
+        deterministic: args.deterministic,
+      });
+      generated.push(contact);
+      results.push({ name: label, ok: true, detail: Object.values(result).map((filePath) => basename(filePath)).join(', ') });
+    } catch (err) {
+      results.push({ name: label, ok: false, detail: err.message });
+    }
+  }
+
+  if (args.sheet && generated.length > 0) {
+    try {
+      const sheetResult = await generateImpositionSheet(generated, outputDir, {
+        sheet: args.sheet,
+        layout: args.layout,
+        format: args.format,
+        orientation: args.orientation,
+        colorSpace: args.colorSpace,
+        vcardVersion: args.vcardVersion,
+        qrPayload: args.qrPayload,
+        qrUrl: args.qrUrl,
+        locale: args.locale,
+        deterministic: args.deterministic,
+      });
+      results.push({ name: `Druckbogen ${args.sheet}`, ok: true, detail: sheetResult.file });
+    } catch (err) {
+      results.push({ name: `Druckbogen ${args.sheet}`, ok: false, detail: err.message });
+    }
+  }
+
+  const failed = results.filter((result) => !result.ok);
+  console.log('');
+  table(
+    ['Name', 'Status', 'Details'],
+    results.map((result) => [result.name, result.ok ? 'OK' : 'FEHLER', result.detail]),
+    { rowColor: (rowIndex, row) => (row[1] === 'OK' ? 'green' : 'red') }
+  );
+  console.log('');
+
+  if (failed.length > 0) {
+    error(`${failed.length} von ${results.length} fehlgeschlagen`);
+    return 1;
+  }
+
+  success(`Alle ${results.length} erfolgreich generiert`);
+  info(`Ausgabe-Verzeichnis: ${outputDir}`);
+  return 0;
 }
 
 /**
@@ -909,6 +2501,21 @@ async function main() {
   try {
     header('Business Card Generator (pdf-lib)', 'Generiere Visitenkarten mit pdf-lib', 'bgCyan');
 
+    const args = parseArgs();
+
+    if (args.help) {
+      showHelp();
+      endGroup();
+      return;
+    }
+
+    // Batch mode: no prompts, exit code reflects failures
+    if (args.input) {
+      const exitCode = await runBatch(args);
+      endGroup();
+      process.exit(exitCode);
+    }
+
     let shouldContinue = true;
 
     while (shouldContinue) {
@@ -922,8 +2529,9 @@ async function main() {
       }
 
       if (action === 'generate-samples') {
-        // Import sample contacts from shared module
-        const { sampleContacts } = await import('./sample-data.mjs');
+        // The samples are the members of the team directory
+        const { listTeamMembers, loadTeamMember } = await import('./team.mjs');
+        const sampleContacts = listTeamMembers().map((id) => loadTeamMember(id));
 
         const outputDir = join(projectRoot, 'examples', 'sample-business-cards');
         
@@ -933,7 +2541,7 @@ async function main() {
           const contact = sampleContacts[i];
           info(`\nGeneriere Visitenkarte ${i + 1}/${sampleContacts.length}: ${contact.name}`);
           
-          const result = await generateBusinessCardWithPdfLib(contact, outputDir);
+          const result = await generateBusinessCardWithPdfLib(contact, outputDir, { deterministic: true });
           success(`✓ ✓ ${contact.name} - Vorder- und Rückseite generiert`);
         }
 
@@ -943,12 +2551,41 @@ async function main() {
         break;
       }
 
-      if (action === 'edit') {
+      if (action === 'impose') {
+        const outputDir = join(projectRoot, CARD_CONFIG.outputDir);
+        const selection = await promptImposition(outputDir);
+
+        if (selection) {
+          try {
+            const result = await generateImpositionSheet(selection.contacts, outputDir, {
+              sheet: selection.sheet,
+              format: selection.format,
+              orientation: selection.orientation,
+              layout: selection.layout,
+              colorSpace: selection.colorSpace,
+            });
+            success(`Druckbogen erstellt: ${result.cards} Karten auf ${result.sheets} Bogen (${result.perSheet} pro Bogen)`);
+            info(`Druckbogen: ${result.file}`);
+          } catch (err) {
+            error(`Fehler beim Erstellen des Druckbogens: ${err.message}`);
+          }
+        }
+
+        const repeat = await promptRepeat();
+        if (!repeat) {
+          shouldContinue = false;
+        }
+        continue;
+      }
+
+      if (action === 'edit' || action === 'import') {
         // Determine output directory
         const outputDir = join(projectRoot, CARD_CONFIG.outputDir);
         
-        // Prompt user to select existing contact
-        const existingData = await promptSelectExistingContact(outputDir);
+        // Prompt user to select an existing contact or an address book export
+        const existingData = action === 'edit'
+          ? await promptSelectExistingContact(outputDir)
+          : await promptImportContact();
         
         if (!existingData) {
           // User cancelled or no files found
@@ -959,7 +2596,7 @@ async function main() {
           continue;
         }
 
-        info('Bearbeite bestehende Visitenkarte:');
+        info(action === 'edit' ? 'Bearbeite bestehende Visitenkarte:' : 'Importierte Kontaktdaten prüfen und ergänzen:');
         // Prompt for contact data with pre-filled values
         const contactData = await promptContactData(existingData);
 
@@ -978,14 +2615,11 @@ async function main() {
 
         // Generate business cards
         try {
-          const result = await generateBusinessCardWithPdfLib(contactData, outputDir);
+          const outputOptions = await promptOutputOptions(existingData);
+          const result = await generateBusinessCardWithPdfLib(contactData, outputDir, outputOptions);
 
-          success('Visitenkarten erfolgreich aktualisiert!');
-          info(`Vorderseite: ${result.front}`);
-          info(`Rückseite: ${result.back}`);
-          if (result.json) {
-            info(`Kontaktdaten: ${result.json}`);
-          }
+          success(action === 'edit' ? 'Visitenkarten erfolgreich aktualisiert!' : 'Visitenkarten erfolgreich generiert!');
+          printResultPaths(result);
         } catch (err) {
           error(`Fehler bei der Generierung: ${err.message}`);
           const { retry } = await inquirer.prompt([
@@ -1031,14 +2665,11 @@ async function main() {
         
         // Generate business cards
         try {
-          const result = await generateBusinessCardWithPdfLib(contactData, outputDir);
+          const outputOptions = await promptOutputOptions();
+          const result = await generateBusinessCardWithPdfLib(contactData, outputDir, outputOptions);
 
           success('Visitenkarten erfolgreich generiert!');
-          info(`Vorderseite: ${result.front}`);
-          info(`Rückseite: ${result.back}`);
-          if (result.json) {
-            info(`Kontaktdaten: ${result.json}`);
-          }
+          printResultPaths(result);
         } catch (err) {
           error(`Fehler bei der Generierung: ${err.message}`);
           const { retry } = await inquirer.prompt([
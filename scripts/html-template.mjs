@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+/**
+ * HTML Template Engine
+ * Fills {{variable}} placeholders and {{#if variable}}…{{else}}…{{/if}} blocks of HTML templates
+ * such as the business card and email footer templates in assets/templates/.
+ */
+
+/**
+ * Escape text for HTML
+ * @param {*} value - Value
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render a template
+ * Blocks keep their first part if their variable has a non-empty value, else the part after
+ * {{else}} (blocks cannot be nested). {{variable}} is escaped for HTML, {{{variable}}} inserts
+ * trusted markup (e.g. inline SVG) as is. Placeholders without a value become empty.
+ * @param {string} template - Template
+ * @param {Object} data - Values
+ * @returns {string} Rendered HTML
+ */
+export function renderTemplate(template, data) {
+  const hasValue = (name) => data[name] !== undefined && data[name] !== null && String(data[name]).trim() !== '';
+  return template
+    .replace(/\{\{#if\s+(\w+)\}\}([\s\S]*?)\{\{\/if\}\}/g, (match, name, content) => {
+      const [ifContent, elseContent = ''] = content.split('{{else}}');
+      return hasValue(name) ? ifContent : elseContent;
+    })
+    .replace(/\{\{\{(\w+)\}\}\}/g, (match, name) => (hasValue(name) ? String(data[name]) : ''))
+    .replace(/\{\{(\w+)\}\}/g, (match, name) => (hasValue(name) ? escapeHtml(data[name]) : ''));
+}
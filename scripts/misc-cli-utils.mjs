@@ -9,6 +9,8 @@
 
 import chalk from 'chalk';
 import boxen from 'boxen';
+import { parsePhoneNumber } from './phone-number.mjs';
+import { validateContactRecord } from './contact-schema.mjs';
 
 /**
  * Check if running in GitHub Actions
@@ -399,15 +401,19 @@ export function validateEmail(email) {
 }
 
 /**
- * Validate phone number (basic validation)
+ * Validate phone number
  * @param {string} phone - Phone number to validate
- * @returns {boolean} True if valid phone format
+ * @param {string} [country] - ISO country code for numbers without country code (default DE)
+ * @returns {boolean} True if the number can be normalized to E.164
  */
-export function validatePhone(phone) {
+export function validatePhone(phone, country) {
   if (!phone) return false;
-  // Allow digits, spaces, +, -, (, )
-  const phoneRegex = /^[\d\s\+\-\(\)]+$/;
-  return phoneRegex.test(phone) && phone.replace(/\D/g, '').length >= 6;
+  try {
+    parsePhoneNumber(phone, country);
+    return true;
+  } catch {
+    return false;
+  }
 }
 
 /**
@@ -442,38 +448,32 @@ export function normalizeUrl(url) {
   return `https://${url}`;
 }
 
+/**
+ * Turn a name into a URL slug ("Jörg von Müller" → "joerg-von-mueller")
+ * @param {string} text - Text to convert
+ * @returns {string} Lowercase slug with hyphens
+ */
+export function slugify(text) {
+  return String(text ?? '')
+    .toLowerCase()
+    .replace(/ä/g, 'ae')
+    .replace(/ö/g, 'oe')
+    .replace(/ü/g, 'ue')
+    .replace(/ß/g, 'ss')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
 /**
  * Validate contact data for business card generation
+ * Kept for existing callers; checks the record against the contact schema (see validateContactRecord()).
  * @param {Object} data - Contact data object
- * @returns {Object} Validation result with isValid and errors array
+ * @returns {Object} Validation result with isValid, errors and warnings arrays
  */
 export function validateContactData(data) {
-  const errors = [];
-
-  if (!data.name || data.name.trim().length === 0) {
-    errors.push('Name ist erforderlich');
-  }
-
-  if (data.email && !validateEmail(data.email)) {
-    errors.push('E-Mail-Adresse ist ungültig');
-  }
-
-  if (data.phone && !validatePhone(data.phone)) {
-    errors.push('Telefonnummer ist ungültig');
-  }
-
-  if (data.mobile && !validatePhone(data.mobile)) {
-    errors.push('Mobilnummer ist ungültig');
-  }
-
-  if (data.website && !validateUrl(data.website)) {
-    errors.push('Website-URL ist ungültig');
-  }
-
-  return {
-    isValid: errors.length === 0,
-    errors,
-  };
+  return validateContactRecord(data);
 }
 
 /**
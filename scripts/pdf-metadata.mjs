@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+/**
+ * PDF Metadata
+ * Document info, dates and document IDs of generated PDFs.
+ * In deterministic mode (SOURCE_DATE_EPOCH or the deterministic option) identical input
+ * gives byte-identical files, so committed PDFs only change when their content changes.
+ */
+
+import { createHash } from 'crypto';
+import { PDFHexString, PDFName } from 'pdf-lib';
+import { loadConfig } from './config-loader.mjs';
+
+export const PDF_PRODUCER = 'pdf-lib (https://github.com/Hopding/pdf-lib)';
+
+/**
+ * Read the build date from SOURCE_DATE_EPOCH (https://reproducible-builds.org/specs/source-date-epoch/)
+ * @param {string} [value] - Seconds since 1970-01-01 UTC (default: environment variable)
+ * @returns {Date|null} Build date, null if the variable is not set
+ * @throws {Error} If the value is not a non-negative integer
+ */
+export function resolveSourceDate(value = process.env.SOURCE_DATE_EPOCH) {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  if (!/^\d+$/.test(String(value).trim())) {
+    throw new Error(`SOURCE_DATE_EPOCH muss eine ganze Zahl (Sekunden seit 1970) sein: ${value}`);
+  }
+  return new Date(Number(value) * 1000);
+}
+
+/**
+ * Decide whether PDFs are written deterministically
+ * @param {boolean} [deterministic] - Explicit option (default: on if SOURCE_DATE_EPOCH is set, else from config)
+ * @returns {boolean} True for reproducible output
+ */
+export function isDeterministic(deterministic) {
+  return deterministic ?? (resolveSourceDate() !== null || loadConfig().businessCard.pdf.deterministic);
+}
+
+/**
+ * Name of an embedded font subset
+ * The six-letter tag is derived from the font file instead of being random, so the same
+ * font gets the same name in every run.
+ * @param {Buffer|Uint8Array} fontBytes - Font file
+ * @param {string} postscriptName - PostScript name of the font
+ * @returns {string} Subset name like "KQWPNB+SourceSans3-Regular"
+ */
+export function getFontSubsetName(fontBytes, postscriptName) {
+  const digest = createHash('sha256').update(fontBytes).digest();
+  const tag = Array.from(digest.subarray(0, 6), (byte) => String.fromCharCode(65 + (byte % 26))).join('');
+  return `${tag}+${postscriptName}`;
+}
+
+/**
+ * Set the document info of a PDF
+ * Creation and modification date are the build date in deterministic mode (left out if
+ * SOURCE_DATE_EPOCH is not set) and the current time otherwise.
+ * @param {PDFDocument} pdfDoc - PDF document (created or loaded with updateMetadata: false)
+ * @param {Object} metadata - Document info
+ * @param {string} metadata.title - Title
+ * @param {string} [metadata.author] - Author
+ * @param {string} [metadata.subject] - Subject
+ * @param {Array<string>} [metadata.keywords] - Keywords
+ * @param {string} [metadata.language] - Document language (e.g. "de")
+ * @param {boolean} [deterministic] - Reproducible output (default from isDeterministic())
+ */
+export function applyPdfMetadata(pdfDoc, metadata, deterministic) {
+  const pdfConfig = loadConfig().businessCard.pdf;
+  pdfDoc.setTitle(metadata.title, { showInWindowTitleBar: true });
+  if (metadata.author) {
+    pdfDoc.setAuthor(metadata.author);
+  }
+  if (metadata.subject) {
+    pdfDoc.setSubject(metadata.subject);
+  }
+  const keywords = [...new Set([...pdfConfig.keywords, ...(metadata.keywords ?? [])].filter(Boolean))];
+  if (keywords.length > 0) {
+    pdfDoc.setKeywords(keywords);
+  }
+  if (metadata.language) {
+    pdfDoc.setLanguage(metadata.language);
+  }
+  pdfDoc.setCreator(pdfConfig.creator);
+  pdfDoc.setProducer(PDF_PRODUCER);
+
+  const date = isDeterministic(deterministic) ? resolveSourceDate() : new Date();
+  if (date) {
+    pdfDoc.setCreationDate(date);
+    pdfDoc.setModificationDate(date);
+  } else {
+    const info = pdfDoc.getInfoDict();
+    info.delete(PDFName.of('CreationDate'));
+    info.delete(PDFName.of('ModDate'));
+  }
+}
+
+/**
+ * Save a PDF with document info and a document ID derived from its content
+ * pdf-lib writes no ID, and viewers and printers use it to tell documents apart. The ID is
+ * the hash of the document saved without it, so it only changes when the content does.
+ * @param {PDFDocument} pdfDoc - PDF document
+ * @param {Object} metadata - Document info (see applyPdfMetadata())
+ * @param {boolean} [deterministic] - Reproducible output (default from isDeterministic())
+ * @returns {Promise<Uint8Array>} PDF bytes
+ */
+export async function savePdf(pdfDoc, metadata, deterministic) {
+  applyPdfMetadata(pdfDoc, metadata, deterministic);
+  const { context } = pdfDoc;
+  context.trailerInfo.ID = undefined;
+  const id = PDFHexString.of(createHash('sha256').update(await pdfDoc.save()).digest('hex').slice(0, 32).toUpperCase());
+  context.trailerInfo.ID = context.obj([id, id]);
+  return pdfDoc.save();
+}
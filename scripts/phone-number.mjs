@@ -0,0 +1,201 @@
+#!/usr/bin/env node
+/**
+ * Phone Numbers
+ * Parses phone numbers into E.164 for tel: links and vCards, and formats them for display
+ * following DIN 5008: country code, area code and subscriber number separated by spaces
+ * ("+49 30 1234567"), extensions attached with a hyphen ("+49 30 12345-67").
+ */
+
+// Country calling codes and trunk prefixes (dialled before the area code inside the country)
+export const CALLING_CODES = {
+  AT: { code: '43', trunkPrefix: '0' },
+  BE: { code: '32', trunkPrefix: '0' },
+  CH: { code: '41', trunkPrefix: '0' },
+  DE: { code: '49', trunkPrefix: '0' },
+  DK: { code: '45', trunkPrefix: '' },
+  ES: { code: '34', trunkPrefix: '' },
+  FR: { code: '33', trunkPrefix: '0' },
+  GB: { code: '44', trunkPrefix: '0' },
+  IT: { code: '39', trunkPrefix: '' },
+  LU: { code: '352', trunkPrefix: '' },
+  NL: { code: '31', trunkPrefix: '0' },
+  PL: { code: '48', trunkPrefix: '' },
+  SE: { code: '46', trunkPrefix: '0' },
+  US: { code: '1', trunkPrefix: '' },
+};
+
+// Country of numbers without country code when the contact has no country
+export const DEFAULT_PHONE_COUNTRY = 'DE';
+
+// original: as entered; national: home country numbers with trunk prefix; international: always with country code
+export const PHONE_STYLES = ['original', 'national', 'international'];
+
+// German area codes that are recognized without a separator: the two-digit city codes and mobile networks
+const GERMAN_PREFIXES = /^(30|40|69|89|1[5-7]\d)/;
+
+// E.164 allows at most 15 digits including the country code
+const MAX_E164_DIGITS = 15;
+const MIN_NATIONAL_DIGITS = 5;
+
+/**
+ * Find the country of an international number
+ * @param {Array<string>} groups - Digit groups after "+" or "00"
+ * @returns {Object} { region, code, groups } with the remaining national groups (region null if unknown)
+ */
+function splitCountryCode(groups) {
+  const known = Object.entries(CALLING_CODES)
+    // Longest codes first, so "352" (Luxembourg) is not taken for "35…"
+    .sort(([, a], [, b]) => b.code.length - a.code.length)
+    .find(([, { code }]) => groups[0].startsWith(code));
+  if (!known) {
+    return { region: null, code: groups.length > 1 ? groups[0] : null, groups: groups.slice(1) };
+  }
+  const [region, { code }] = known;
+  const remainder = groups[0].slice(code.length);
+  return { region, code, groups: remainder ? [remainder, ...groups.slice(1)] : groups.slice(1) };
+}
+
+/**
+ * Parse a phone number
+ * Numbers without country code belong to the given country. The area code is taken from the
+ * first separator as entered ("030 1234567", "030/1234567"); German city and mobile codes are
+ * also recognized without one. Numbers that can be read in more than one way are parsed with
+ * the most likely reading and listed in `ambiguities`.
+ * @param {string} phone - Phone number as entered
+ * @param {string} [country] - ISO country code of the contact (e.g. 'DE'; default DE)
+ * @returns {Object} { e164, countryCode, region, areaCode, subscriber, extension, ambiguities }
+ * @throws {Error} If the text is not a phone number
+ */
+export function parsePhoneNumber(phone, country) {
+  const input = String(phone ?? '').trim();
+  if (!/^\+?[\d\s()/.-]+$/.test(input)) {
+    throw new Error('enthält ungültige Zeichen');
+  }
+
+  const ambiguities = [];
+  const international = input.startsWith('+') || input.startsWith('00');
+  // "(0)" marks the trunk prefix that is dropped when dialling from abroad
+  let text = input.replace(/^(\+|00)/, '').replace(/\(0\)/g, ' ');
+
+  // DIN 5008 extension: hyphen before the last digits, after the area code was separated
+  // (only for German numbers; elsewhere the hyphen is an ordinary separator, e.g. "555-0100")
+  let extension = null;
+  const extensionMatch = text.match(/^(.*\d[\s()/.]+\d[^-]*)-(\d{1,5})$/);
+  if (extensionMatch) {
+    [, text, extension] = extensionMatch;
+  }
+
+  let groups = text.split(/\D+/).filter(Boolean);
+  if (groups.length === 0) {
+    throw new Error('enthält keine Ziffern');
+  }
+
+  let region;
+  let code;
+  if (international) {
+    ({ region, code, groups } = splitCountryCode(groups));
+    if (!region) {
+      ambiguities.push('Ländervorwahl nicht bekannt');
+    }
+    const trunkPrefix = region ? CALLING_CODES[region].trunkPrefix : '';
+    if (trunkPrefix === '0' && groups[0]?.startsWith('0')) {
+      groups[0] = groups[0].slice(1);
+      ambiguities.push('führende 0 nach der Ländervorwahl entfernt');
+    }
+  } else {
+    region = (country || DEFAULT_PHONE_COUNTRY).toUpperCase();
+    if (!CALLING_CODES[region]) {
+      ambiguities.push(`Land "${country}" unbekannt – deutsche Nummer angenommen`);
+      region = DEFAULT_PHONE_COUNTRY;
+    }
+    const { trunkPrefix } = CALLING_CODES[region];
+    code = CALLING_CODES[region].code;
+    if (trunkPrefix && groups[0].startsWith(trunkPrefix)) {
+      groups[0] = groups[0].slice(trunkPrefix.length);
+    } else if (trunkPrefix) {
+      ambiguities.push(`weder Ländervorwahl noch führende ${trunkPrefix} – Vorwahl oder "+" vergessen?`);
+    }
+  }
+  groups = groups.filter(Boolean);
+  if (extension && region !== 'DE') {
+    groups.push(extension);
+    extension = null;
+  }
+
+  let areaCode = null;
+  let subscriber = groups.join('');
+  if (groups.length > 1) {
+    [areaCode] = groups;
+    subscriber = groups.slice(1).join('');
+  } else if (region === 'DE' && GERMAN_PREFIXES.test(subscriber)) {
+    areaCode = subscriber.match(GERMAN_PREFIXES)[1];
+    subscriber = subscriber.slice(areaCode.length);
+  } else if (region && CALLING_CODES[region].trunkPrefix) {
+    ambiguities.push('Vorwahl nicht erkennbar – bitte mit Leerzeichen nach der Vorwahl eingeben');
+  }
+
+  const nationalDigits = `${areaCode ?? ''}${subscriber}${extension ?? ''}`;
+  if (nationalDigits.length < MIN_NATIONAL_DIGITS) {
+    throw new Error('ist zu kurz');
+  }
+  const digits = `${code ?? ''}${nationalDigits}`;
+  if (digits.length > MAX_E164_DIGITS) {
+    throw new Error(`ist zu lang (E.164 erlaubt höchstens ${MAX_E164_DIGITS} Ziffern)`);
+  }
+
+  return {
+    e164: `+${digits}`,
+    countryCode: code ?? null,
+    region,
+    areaCode,
+    subscriber,
+    extension,
+    ambiguities,
+  };
+}
+
+/**
+ * Normalize a phone number to E.164 (e.g. "+49301234567") for tel: links and vCards
+ * @param {string} phone - Phone number as entered
+ * @param {string} [country] - ISO country code of the contact (default DE)
+ * @returns {string} E.164 number
+ * @throws {Error} If the text is not a phone number
+ */
+export function toE164(phone, country) {
+  return parsePhoneNumber(phone, country).e164;
+}
+
+/**
+ * Format a phone number for display following DIN 5008
+ * Numbers that cannot be parsed are returned as entered; validation reports them.
+ * @param {string} phone - Phone number as entered
+ * @param {Object} [options] - Format options
+ * @param {string} [options.country] - ISO country code of the contact (default DE)
+ * @param {string} [options.style] - 'international' ("+49 30 1234567"), 'national' ("030 1234567"
+ *   for numbers of the contact's country) or 'original' (default: international)
+ * @returns {string} Formatted phone number
+ */
+export function formatPhoneNumber(phone, options = {}) {
+  const { country, style = 'international' } = options;
+  if (!phone || style === 'original') {
+    return phone;
+  }
+
+  let parsed;
+  try {
+    parsed = parsePhoneNumber(phone, country);
+  } catch {
+    return phone.trim();
+  }
+  if (!parsed.countryCode) {
+    return parsed.e164;
+  }
+
+  const subscriber = parsed.extension ? `${parsed.subscriber}-${parsed.extension}` : parsed.subscriber;
+  const national = [parsed.areaCode, subscriber].filter(Boolean).join(' ');
+  const homeRegion = (country || DEFAULT_PHONE_COUNTRY).toUpperCase();
+  if (style === 'national' && parsed.region === homeRegion) {
+    return `${CALLING_CODES[homeRegion].trunkPrefix}${national}`;
+  }
+  return `+${parsed.countryCode} ${national}`;
+}
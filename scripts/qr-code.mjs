@@ -0,0 +1,315 @@
+#!/usr/bin/env node
+/**
+ * Branded QR Codes
+ * Renders QR codes in brand colors with the kieks.me logo in the center and verifies
+ * that they still decode. Shared by business cards, LinkedIn images and the website.
+ */
+
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve, isAbsolute } from 'path';
+import { readFileSync, writeFileSync, mkdirSync, existsSync } from 'fs';
+import QRCode from 'qrcode';
+import jsQR from 'jsqr';
+import sharp from 'sharp';
+import { loadConfig } from './config-loader.mjs';
+import { header, success, error, progress } from './misc-cli-utils.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const projectRoot = resolve(__dirname, '..');
+
+export const QR_MODULE_SHAPES = ['square', 'rounded', 'dots'];
+
+// Share of damaged codewords each level can restore, from lowest to highest
+export const ERROR_CORRECTION_LEVELS = { L: 0.07, M: 0.15, Q: 0.25, H: 0.3 };
+
+// The covered area may use at most this share of the restore capacity; the rest is left for print and scan errors
+const LOGO_CAPACITY_SHARE = 0.5;
+
+/**
+ * Resolve a color from a brand color name or a hex value
+ * @param {string} color - Brand color name from config (e.g. "navy") or hex color
+ * @returns {string} Hex color
+ */
+function resolveHexColor(color) {
+  return loadConfig().brand.colors[color] || color;
+}
+
+/**
+ * Compute the modules hidden behind the center logo
+ * The cleared area is a circle (like the single-circle logo) plus one module of padding.
+ * @param {number} size - Symbol size in modules
+ * @param {number} logoSize - Logo diameter relative to the symbol width (0 for no logo)
+ * @returns {Object} { radius, isCovered(row, column), coveredShare }
+ */
+function logoArea(size, logoSize) {
+  if (!logoSize) {
+    return { radius: 0, isCovered: () => false, coveredShare: 0 };
+  }
+  const radius = (size * logoSize) / 2;
+  const clearRadius = radius + 1;
+  const center = size / 2;
+  const isCovered = (row, column) => Math.hypot(column + 0.5 - center, row + 0.5 - center) <= clearRadius;
+
+  let covered = 0;
+  for (let row = 0; row < size; row++) {
+    for (let column = 0; column < size; column++) {
+      if (isCovered(row, column)) {
+        covered++;
+      }
+    }
+  }
+  return { radius, isCovered, coveredShare: covered / (size * size) };
+}
+
+/**
+ * Choose the lowest error correction level that can restore the area covered by the logo
+ * @param {string} data - Payload
+ * @param {number} logoSize - Logo diameter relative to the symbol width
+ * @returns {string} Error correction level (L, M, Q or H)
+ */
+export function chooseErrorCorrectionLevel(data, logoSize) {
+  const levels = Object.keys(ERROR_CORRECTION_LEVELS);
+  return levels.find((level) => {
+    const { modules } = QRCode.create(data, { errorCorrectionLevel: level });
+    const { coveredShare } = logoArea(modules.size, logoSize);
+    return coveredShare <= ERROR_CORRECTION_LEVELS[level] * LOGO_CAPACITY_SHARE;
+  }) || 'H';
+}
+
+/**
+ * Get the inner markup and viewBox of an SVG logo for nesting it into the QR code
+ * @param {string} logoPath - Path to an SVG file (absolute or relative to the project root)
+ * @returns {Object} { viewBox, content }
+ */
+function loadLogoSvg(logoPath) {
+  const absolutePath = isAbsolute(logoPath) ? logoPath : resolve(projectRoot, logoPath);
+  if (!existsSync(absolutePath)) {
+    throw new Error(`QR-Code-Logo nicht gefunden: ${logoPath}`);
+  }
+  const svg = readFileSync(absolutePath, 'utf8');
+  const rootTag = svg.match(/<svg\b[^>]*>/);
+  if (!rootTag || !absolutePath.toLowerCase().endsWith('.svg')) {
+    throw new Error(`QR-Code-Logo muss eine SVG-Datei sein: ${logoPath}`);
+  }
+  const viewBox = (rootTag[0].match(/viewBox="([^"]+)"/) || [])[1]
+    || `0 0 ${Number.parseFloat((rootTag[0].match(/width="([^"]+)"/) || [])[1])} ${Number.parseFloat((rootTag[0].match(/height="([^"]+)"/) || [])[1])}`;
+  const content = svg.slice(svg.indexOf(rootTag[0]) + rootTag[0].length, svg.lastIndexOf('</svg>'));
+  return { viewBox, content };
+}
+
+/**
+ * Build the SVG markup of one dark module
+ * @param {number} x - Column (including quiet zone)
+ * @param {number} y - Row (including quiet zone)
+ * @param {string} shape - Module shape
+ * @returns {string} SVG element
+ */
+function moduleToSvg(x, y, shape) {
+  if (shape === 'dots') {
+    return `<circle cx="${x + 0.5}" cy="${y + 0.5}" r="0.46"/>`;
+  }
+  if (shape === 'rounded') {
+    return `<rect x="${x + 0.04}" y="${y + 0.04}" width="0.92" height="0.92" rx="0.3"/>`;
+  }
+  return `<rect x="${x}" y="${y}" width="1" height="1"/>`;
+}
+
+/**
+ * Render a QR code symbol as SVG
+ * Function patterns (finder, alignment, timing) are always drawn as solid squares so scanners
+ * find them, whatever the module shape.
+ * @param {Object} qr - Symbol from QRCode.create()
+ * @param {Object} options - Resolved rendering options
+ * @returns {string} SVG markup (one unit per module)
+ */
+function renderSvg(qr, options) {
+  const { color, background, moduleShape, quietZone, logo, logoSize } = options;
+  const { size } = qr.modules;
+  const total = size + quietZone * 2;
+  const area = logoArea(size, logo ? logoSize : 0);
+  // Square modules are drawn without anti-aliasing, otherwise seams between neighbours break up the patterns
+  const squareModules = [];
+  const shapedModules = [];
+
+  for (let row = 0; row < size; row++) {
+    for (let column = 0; column < size; column++) {
+      if (!qr.modules.get(row, column) || area.isCovered(row, column)) {
+        continue;
+      }
+      const shape = qr.modules.isReserved(row, column) ? 'square' : moduleShape;
+      (shape === 'square' ? squareModules : shapedModules).push(moduleToSvg(column + quietZone, row + quietZone, shape));
+    }
+  }
+
+  let logoMarkup = '';
+  if (logo) {
+    const { viewBox, content } = loadLogoSvg(logo);
+    const diameter = area.radius * 2;
+    const position = quietZone + size / 2 - area.radius;
+    logoMarkup = `<svg x="${position}" y="${position}" width="${diameter}" height="${diameter}" viewBox="${viewBox}">${content}</svg>`;
+  }
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${total} ${total}" width="${total}" height="${total}">`
+    + `<rect width="${total}" height="${total}" fill="${background}"/>`
+    + `<g fill="${color}" shape-rendering="crispEdges">${squareModules.join('')}</g>`
+    + `<g fill="${color}">${shapedModules.join('')}</g>`
+    + `${logoMarkup}</svg>`;
+}
+
+/**
+ * Decode a rendered QR code image
+ * @param {Buffer} image - PNG (or any image sharp can read)
+ * @returns {Promise<Buffer|null>} Decoded bytes, or null if no code was found
+ */
+export async function decodeQrCode(image) {
+  const { data, info } = await sharp(image).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  const result = jsQR(new Uint8ClampedArray(data.buffer, data.byteOffset, data.length), info.width, info.height);
+  return result ? Buffer.from(result.binaryData) : null;
+}
+
+/**
+ * Create a branded QR code
+ * Options default to the "qrCode" section of config.json. With errorCorrectionLevel "auto" the
+ * lowest level that restores the logo area is used; if the rendered code does not decode, the
+ * next higher level is tried before giving up.
+ * @param {string} data - Payload (vCard, URL, …)
+ * @param {Object} [options] - Rendering options
+ * @param {string} [options.color] - Module color: brand color name or hex (default: navy)
+ * @param {string} [options.background] - Background color: brand color name or hex (default: white)
+ * @param {string} [options.moduleShape] - 'square', 'rounded' or 'dots'
+ * @param {number} [options.quietZone] - Empty border in modules
+ * @param {string|false} [options.logo] - SVG logo for the center, false for none
+ * @param {number} [options.logoSize] - Logo diameter relative to the symbol width
+ * @param {string} [options.errorCorrectionLevel] - 'auto', 'L', 'M', 'Q' or 'H'
+ * @param {number} [options.width] - PNG width in pixels
+ * @param {boolean} [options.verify] - Decode the PNG and compare it with the payload (default: true)
+ * @returns {Promise<Object>} { svg, png, version, errorCorrectionLevel, modules, quietZone }
+ * @throws {Error} If the options are invalid or the code does not decode at any level
+ */
+export async function createBrandedQrCode(data, options = {}) {
+  const resolved = { ...loadConfig().qrCode, ...options };
+  const { moduleShape, errorCorrectionLevel, logoSize, width, verify = true } = resolved;
+  const logo = resolved.logo || null;
+
+  if (!QR_MODULE_SHAPES.includes(moduleShape)) {
+    throw new Error(`Unbekannte Modulform: ${moduleShape}. Erlaubt: ${QR_MODULE_SHAPES.join(', ')}`);
+  }
+  if (errorCorrectionLevel !== 'auto' && !ERROR_CORRECTION_LEVELS[errorCorrectionLevel]) {
+    throw new Error(`Unbekannte Fehlerkorrekturstufe: ${errorCorrectionLevel}. Erlaubt: auto, ${Object.keys(ERROR_CORRECTION_LEVELS).join(', ')}`);
+  }
+  if (!Number.isInteger(resolved.quietZone) || resolved.quietZone < 0) {
+    throw new Error(`Ruhezone muss eine ganze Zahl ≥ 0 (Module) sein: ${resolved.quietZone}`);
+  }
+
+  const levels = Object.keys(ERROR_CORRECTION_LEVELS);
+  const firstLevel = errorCorrectionLevel === 'auto'
+    ? chooseErrorCorrectionLevel(data, logo ? logoSize : 0)
+    : errorCorrectionLevel;
+  const candidates = errorCorrectionLevel === 'auto' ? levels.slice(levels.indexOf(firstLevel)) : [firstLevel];
+  const renderOptions = {
+    ...resolved,
+    logo,
+    color: resolveHexColor(resolved.color),
+    background: resolveHexColor(resolved.background),
+  };
+
+  for (const level of candidates) {
+    const qr = QRCode.create(data, { errorCorrectionLevel: level });
+    const svg = renderSvg(qr, renderOptions);
+    // The SVG has one unit per module; rasterize it at the target width instead of scaling up pixels
+    const density = (72 * width) / (qr.modules.size + resolved.quietZone * 2);
+    const png = await sharp(Buffer.from(svg), { density }).resize(width, width).png().toBuffer();
+
+    if (verify) {
+      const decoded = await decodeQrCode(png);
+      if (!decoded || !decoded.equals(Buffer.from(data, 'utf8'))) {
+        continue;
+      }
+    }
+
+    return {
+      svg,
+      png,
+      version: qr.version,
+      errorCorrectionLevel: level,
+      modules: qr.modules.size,
+      quietZone: resolved.quietZone,
+    };
+  }
+
+  throw new Error(`QR-Code lässt sich nicht zuverlässig lesen (Fehlerkorrektur ${candidates.join(', ')} geprüft) – Logo verkleinern oder Modulform "square" wählen`);
+}
+
+/**
+ * Parse command line arguments
+ * @param {string[]} args - Arguments without node and script path
+ * @returns {Object} { data, output, options }
+ */
+function parseArgs(args) {
+  const options = {};
+  let output = join(loadConfig().output.baseDir, 'qr-codes', 'qr-code');
+  let data = null;
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    switch (arg) {
+      case '--out':
+        output = args[++i];
+        break;
+      case '--shape':
+        options.moduleShape = args[++i];
+        break;
+      case '--quiet-zone':
+        options.quietZone = Number(args[++i]);
+        break;
+      case '--color':
+        options.color = args[++i];
+        break;
+      case '--ec':
+        options.errorCorrectionLevel = args[++i];
+        break;
+      case '--width':
+        options.width = Number(args[++i]);
+        break;
+      case '--no-logo':
+        options.logo = false;
+        break;
+      default:
+        if (arg.startsWith('--')) {
+          throw new Error(`Unbekannte Option: ${arg}`);
+        }
+        data = arg;
+    }
+  }
+
+  if (!data) {
+    throw new Error('Inhalt fehlt. Aufruf: pnpm generate:qr "<Text oder URL>" [--out <Pfad ohne Endung>] [--shape square|rounded|dots] [--quiet-zone <Module>] [--color <Farbe>] [--ec auto|L|M|Q|H] [--width <px>] [--no-logo]');
+  }
+  return { data, output, options };
+}
+
+/**
+ * CLI: write a branded QR code as SVG and PNG (e.g. for the website)
+ */
+async function main() {
+  header('QR-Code', 'Erstellt einen QR-Code im kieks.me-Design', 'bgBlue');
+  const { data, output, options } = parseArgs(process.argv.slice(2));
+  const result = await createBrandedQrCode(data, options);
+
+  mkdirSync(dirname(output), { recursive: true });
+  writeFileSync(`${output}.svg`, result.svg);
+  writeFileSync(`${output}.png`, result.png);
+
+  progress('SVG', `${output}.svg`);
+  progress('PNG', `${output}.png`);
+  success(`QR-Code erstellt (Version ${result.version}, Fehlerkorrektur ${result.errorCorrectionLevel}, geprüft)`);
+}
+
+// Run CLI if script is executed directly
+if (process.argv[1] && resolve(process.argv[1]) === __filename) {
+  main().catch((err) => {
+    error(`Fehler: ${err.message}`);
+    process.exit(1);
+  });
+}
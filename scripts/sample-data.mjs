@@ -1,57 +1,16 @@
 #!/usr/bin/env node
 /**
  * Sample contact data for business card generation
- * Shared data to keep DRY principle
+ * The samples are the members of the team directory (team/), so example cards, avatars and
+ * email footers are all built from the same records.
  */
 
+import { listTeamMembers, loadTeamMember } from './team.mjs';
+
 /**
  * Sample contact data for testing and examples
  */
-export const sampleContacts = [
-  {
-    name: 'Max Mustermann',
-    position: 'Geschäftsführer',
-    email: 'max@kieks.me',
-    phone: '+49 123 456789',
-    mobile: '+49 123 4567890',
-    address: 'Musterstraße 123',
-    postalCode: '12345',
-    city: 'Berlin',
-    country: 'Deutschland',
-    website: 'www.kieks.me',
-    socialMedia: [
-      { name: 'LinkedIn', url: 'https://linkedin.com/in/max-mustermann' },
-      { name: 'Twitter', url: 'https://twitter.com/maxmustermann' },
-    ],
-  },
-  {
-    name: 'Anna Schmidt',
-    position: 'Lead Developer',
-    email: 'anna@kieks.me',
-    phone: '+49 123 456788',
-    mobile: '+49 123 4567880',
-    address: 'Beispielweg 45',
-    postalCode: '54321',
-    city: 'München',
-    country: 'Deutschland',
-    website: 'www.kieks.me',
-    socialMedia: [
-      { name: 'GitHub', url: 'https://github.com/annaschmidt' },
-      { name: 'LinkedIn', url: 'https://linkedin.com/in/anna-schmidt' },
-    ],
-  },
-  {
-    name: 'Tom Weber',
-    position: 'Designer',
-    email: 'tom@kieks.me',
-    mobile: '+49 123 4567870',
-    address: 'Designstraße 78',
-    postalCode: '10115',
-    city: 'Berlin',
-    country: 'Deutschland',
-    website: 'www.kieks.me',
-  },
-];
+export const sampleContacts = listTeamMembers().map((id) => loadTeamMember(id));
 
 /**
  * Get sample contact by name
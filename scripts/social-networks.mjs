@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+/**
+ * Social Networks
+ * Known social networks with their bundled icons, and handles derived from profile URLs
+ */
+
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve } from 'path';
+import { normalizeUrl } from './misc-cli-utils.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const projectRoot = resolve(__dirname, '..');
+
+export const SOCIAL_ICONS_DIR = join(projectRoot, 'assets', 'icons', 'social');
+
+/**
+ * Known networks by id
+ * aliases: lowercase names that also select the network; hosts: profile URL hosts;
+ * handle: turns the URL path segments into the handle printed on cards
+ */
+export const SOCIAL_NETWORKS = {
+  linkedin: {
+    name: 'LinkedIn',
+    aliases: ['linkedin'],
+    hosts: ['linkedin.com'],
+    handle: (segments) => segments.slice(0, 2).join('/'),
+  },
+  github: {
+    name: 'GitHub',
+    aliases: ['github'],
+    hosts: ['github.com'],
+    handle: (segments) => segments[0],
+  },
+  mastodon: {
+    name: 'Mastodon',
+    aliases: ['mastodon'],
+    // Mastodon runs on many servers; the handle includes the server
+    hosts: [],
+    handle: (segments, host) => (segments[0]?.startsWith('@') ? `${segments[0]}@${host}` : null),
+  },
+  x: {
+    name: 'X',
+    aliases: ['x', 'twitter', 'x (twitter)'],
+    hosts: ['x.com', 'twitter.com'],
+    handle: (segments) => segments[0] && `@${segments[0]}`,
+  },
+  instagram: {
+    name: 'Instagram',
+    aliases: ['instagram'],
+    hosts: ['instagram.com'],
+    handle: (segments) => segments[0] && `@${segments[0]}`,
+  },
+};
+
+/**
+ * Parse a profile URL into host and path segments
+ * @param {string} url - Profile URL (protocol optional)
+ * @returns {Object|null} { host, segments } or null if the URL is invalid
+ */
+function parseProfileUrl(url) {
+  try {
+    const { hostname, pathname } = new URL(normalizeUrl(url));
+    return {
+      host: hostname.replace(/^www\./, ''),
+      segments: pathname.split('/').filter(Boolean).map(decodeURIComponent),
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Find the known network of a social media entry, by name or by URL host
+ * @param {Object} entry - Social media entry ({ name, url, handle })
+ * @returns {string|null} Network id or null for unknown networks
+ */
+export function resolveSocialNetwork(entry) {
+  const name = String(entry.name || '').trim().toLowerCase();
+  const byName = Object.keys(SOCIAL_NETWORKS).find((id) => SOCIAL_NETWORKS[id].aliases.includes(name));
+  if (byName) {
+    return byName;
+  }
+  const profile = entry.url ? parseProfileUrl(entry.url) : null;
+  return Object.keys(SOCIAL_NETWORKS).find((id) => SOCIAL_NETWORKS[id].hosts.includes(profile?.host)) || null;
+}
+
+/**
+ * Get the handle of a social media entry as printed on cards
+ * An explicit "handle" wins; otherwise it is derived from the profile URL
+ * (e.g. "in/max-mustermann", "@max", "@max@mastodon.social").
+ * @param {Object} entry - Social media entry ({ name, url, handle })
+ * @returns {string|null} Handle, or null if the entry is not a known network or has no profile path
+ */
+export function formatSocialHandle(entry) {
+  if (entry.handle) {
+    return entry.handle;
+  }
+  const network = resolveSocialNetwork(entry);
+  const profile = entry.url ? parseProfileUrl(entry.url) : null;
+  if (!network || !profile || profile.segments.length === 0) {
+    return null;
+  }
+  return SOCIAL_NETWORKS[network].handle(profile.segments, profile.host) || null;
+}
+
+/**
+ * Get the social media entries of a contact that can be shown on a card
+ * Legacy contacts with socialMedia as a plain string have no URL and are skipped.
+ * @param {Object} contactData - Contact data
+ * @returns {Array<Object>} Entries with network id, icon path and handle, in contact order
+ */
+export function getCardSocialEntries(contactData) {
+  if (!Array.isArray(contactData.socialMedia)) {
+    return [];
+  }
+  return contactData.socialMedia
+    .map((entry) => ({ network: resolveSocialNetwork(entry), handle: formatSocialHandle(entry) }))
+    .filter(({ network, handle }) => network && handle)
+    .map(({ network, handle }) => ({
+      network,
+      name: SOCIAL_NETWORKS[network].name,
+      icon: join(SOCIAL_ICONS_DIR, `${network}.svg`),
+      handle,
+    }));
+}
@@ -0,0 +1,406 @@
+#!/usr/bin/env node
+/**
+ * Team Directory
+ * Generates every artifact of a team member from one file in team/: business card with vCard,
+ * avatars and email footer. Inputs of each artifact are hashed, so only artifacts whose
+ * member data, portrait, templates or settings changed are rebuilt.
+ */
+
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve, relative, basename } from 'path';
+import { readFileSync, writeFileSync, mkdirSync, existsSync, readdirSync, unlinkSync } from 'fs';
+import { createHash } from 'crypto';
+import {
+  header,
+  success,
+  error,
+  info,
+  warn,
+  endGroup,
+  table,
+} from './misc-cli-utils.mjs';
+import { loadConfig, loadBrandColors } from './config-loader.mjs';
+import { validateContactRecord, migrateContactRecord } from './contact-schema.mjs';
+import { loadCardLocale, localizeContact, LOCALES_DIR } from './card-locale.mjs';
+import { LAYOUTS_DIR } from './card-layout.mjs';
+import { normalizePhone } from './vcard.mjs';
+import { renderTemplate } from './html-template.mjs';
+import { generateBusinessCardWithPdfLib } from './generate-card.mjs';
+import { generateAvatar, getAvatarFileName } from './generate-avatar.mjs';
+import { resolvePortraitFraming } from './avatar-framing.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const projectRoot = resolve(__dirname, '..');
+
+const CONFIG = loadConfig();
+const TEAM_CONFIG = CONFIG.team;
+
+// Written to each member's output directory; records the input hash and files of every artifact
+export const BUILD_MANIFEST = 'team-build.json';
+
+export const TEAM_ARTIFACTS = ['avatars', 'card', 'emailFooter'];
+
+/**
+ * List the members of a team directory
+ * @param {string} [teamDir] - Team directory (default from config)
+ * @returns {Array<string>} Member ids (file names without .json), sorted
+ */
+export function listTeamMembers(teamDir = join(projectRoot, TEAM_CONFIG.dir)) {
+  if (!existsSync(teamDir)) {
+    return [];
+  }
+  return readdirSync(teamDir)
+    .filter((file) => file.endsWith('.json'))
+    .map((file) => basename(file, '.json'))
+    .sort();
+}
+
+/**
+ * Load a team member
+ * Member files are contact records; older versions are migrated in memory.
+ * @param {string} id - Member id
+ * @param {string} [teamDir] - Team directory (default from config)
+ * @returns {Object} Contact record
+ * @throws {Error} If the file is missing, invalid or its portrait does not exist
+ */
+export function loadTeamMember(id, teamDir = join(projectRoot, TEAM_CONFIG.dir)) {
+  const filePath = join(teamDir, `${id}.json`);
+  if (!existsSync(filePath)) {
+    throw new Error(`Teammitglied nicht gefunden: ${id}`);
+  }
+
+  const { record } = migrateContactRecord(JSON.parse(readFileSync(filePath, 'utf8')));
+  const validation = validateContactRecord(record);
+  if (!validation.isValid) {
+    throw new Error(`Validierungsfehler: ${validation.errors.join(', ')}`);
+  }
+  validation.warnings.forEach((message) => warn(`${record.name}: ${message}`));
+  if (record.portrait && !existsSync(resolve(projectRoot, record.portrait))) {
+    throw new Error(`Portrait nicht gefunden: ${record.portrait}`);
+  }
+  return record;
+}
+
+/**
+ * Hash the inputs of an artifact
+ * @param {...*} inputs - Values (serialized as JSON) and file contents (Buffers)
+ * @returns {string} SHA-256 hex digest
+ */
+function hashInputs(...inputs) {
+  const hash = createHash('sha256');
+  inputs.forEach((input) => {
+    hash.update(Buffer.isBuffer(input) ? input : JSON.stringify(input ?? null));
+    hash.update('\0');
+  });
+  return hash.digest('hex');
+}
+
+/**
+ * Read all JSON files of a directory, so that editing any of them changes the hash
+ * @param {string} dir - Directory
+ * @returns {Object} File contents by file name
+ */
+function readJsonFiles(dir) {
+  return Object.fromEntries(readdirSync(dir)
+    .filter((file) => file.endsWith('.json'))
+    .sort()
+    .map((file) => [file, readFileSync(join(dir, file), 'utf8')]));
+}
+
+/**
+ * Collect the values shown in a member's email footer
+ * The phone number (landline, else mobile) is shown following DIN 5008 and dialled as E.164.
+ * @param {Object} contact - Contact record
+ * @param {Object} [options] - Footer options
+ * @param {number} [options.year] - Copyright year (default: current year)
+ * @returns {Object} Template values
+ */
+function getEmailFooterData(contact, options = {}) {
+  const footerConfig = TEAM_CONFIG.emailFooter;
+  const locale = loadCardLocale(contact.locale);
+  const localized = localizeContact(contact, locale);
+  const phoneField = contact.phone ? 'phone' : 'mobile';
+  const phoneE164 = contact[phoneField] ? normalizePhone(contact[phoneField], contact) : '';
+
+  return {
+    companyName: locale.texts.company,
+    address: footerConfig.address,
+    name: contact.name,
+    position: contact.position,
+    email: contact.email,
+    phone: localized[phoneField],
+    phoneE164,
+    year: options.year ?? new Date().getFullYear(),
+    representatives: footerConfig.representatives,
+    impressumUrl: footerConfig.impressumUrl,
+  };
+}
+
+/**
+ * Render a member's email footer from the footer template
+ * @param {Object} contact - Contact record
+ * @param {Object} [options] - Footer options
+ * @param {number} [options.year] - Copyright year (default: current year)
+ * @returns {string} Footer HTML
+ */
+export function renderEmailFooter(contact, options = {}) {
+  const template = readFileSync(resolve(projectRoot, TEAM_CONFIG.emailFooter.template), 'utf8');
+  return renderTemplate(template, getEmailFooterData(contact, options));
+}
+
+/**
+ * Read the build manifest of a member
+ * @param {string} memberDir - Member output directory
+ * @returns {Object} Manifest (empty if none was written yet)
+ */
+function readManifest(memberDir) {
+  const manifestPath = join(memberDir, BUILD_MANIFEST);
+  return existsSync(manifestPath) ? JSON.parse(readFileSync(manifestPath, 'utf8')) : {};
+}
+
+/**
+ * Check whether an artifact is up to date
+ * @param {Object} entry - Manifest entry ({ hash, files })
+ * @param {string} hash - Current input hash
+ * @param {string} memberDir - Member output directory
+ * @returns {boolean} True if the hash matches and all files still exist
+ */
+function isUpToDate(entry, hash, memberDir) {
+  return Boolean(entry) && entry.hash === hash && entry.files.every((file) => existsSync(join(memberDir, file)));
+}
+
+/**
+ * Remove the files of a previous build that the new build did not write again
+ * (e.g. card files named after the old locale)
+ * @param {Object} entry - Previous manifest entry
+ * @param {Array<string>} files - Files of the new build
+ * @param {string} memberDir - Member output directory
+ */
+function removeStaleFiles(entry, files, memberDir) {
+  (entry?.files ?? [])
+    .filter((file) => !files.includes(file) && existsSync(join(memberDir, file)))
+    .forEach((file) => unlinkSync(join(memberDir, file)));
+}
+
+/**
+ * Generate the artifacts of one team member, skipping those whose inputs are unchanged
+ * Avatars are built first: the first one becomes the vCard photo if the member has no photo.
+ * @param {string} id - Member id
+ * @param {Object} [options] - Build options
+ * @param {string} [options.teamDir] - Team directory (default from config)
+ * @param {string} [options.outputDir] - Output directory; each member gets a subdirectory (default from config)
+ * @param {boolean} [options.force] - Rebuild all artifacts
+ * @param {Array<Object>} [options.avatars] - Avatar variants (default from config)
+ * @param {Object} [options.card] - Options for generateBusinessCardWithPdfLib (default: businessCard config)
+ * @returns {Promise<Object>} { id, name, dir, artifacts } with 'built', 'unchanged' or 'skipped' per artifact
+ */
+export async function buildTeamMember(id, options = {}) {
+  const teamDir = options.teamDir ?? join(projectRoot, TEAM_CONFIG.dir);
+  const memberDir = join(options.outputDir ?? join(projectRoot, TEAM_CONFIG.outputDir), id);
+  const avatars = options.avatars ?? TEAM_CONFIG.avatars;
+  const cardOptions = options.card ?? {};
+  const contact = loadTeamMember(id, teamDir);
+
+  if (!existsSync(memberDir)) {
+    mkdirSync(memberDir, { recursive: true });
+  }
+  const previous = readManifest(memberDir);
+  const manifest = {};
+  const artifacts = {};
+
+  const build = async (name, hash, generate) => {
+    if (!options.force && isUpToDate(previous[name], hash, memberDir)) {
+      manifest[name] = previous[name];
+      artifacts[name] = 'unchanged';
+      return;
+    }
+    const files = await generate();
+    removeStaleFiles(previous[name], files, memberDir);
+    manifest[name] = { hash, files };
+    artifacts[name] = 'built';
+  };
+
+  let photo = contact.photo;
+  if (contact.portrait && avatars.length > 0) {
+    // The stored framing of the portrait decides the crop, so changing it rebuilds the avatars
+    const framing = await resolvePortraitFraming(resolve(projectRoot, contact.portrait), { save: false });
+    const avatarHash = hashInputs(
+      readFileSync(resolve(projectRoot, contact.portrait)),
+      framing,
+      avatars,
+      CONFIG.avatarGenerator,
+      loadBrandColors()
+    );
+    await build('avatars', avatarHash, async () => {
+      const files = [];
+      for (const avatar of avatars) {
+        const result = await generateAvatar(
+          resolve(projectRoot, contact.portrait),
+          avatar.color,
+          avatar.size,
+          join(memberDir, getAvatarFileName(avatar)),
+          avatar.grayscale ?? false,
+          avatar.withShadow ?? true,
+          {
+            mask: avatar.mask ?? 'square',
+            radius: avatar.radius,
+            shadow: avatar.shadow,
+            formats: avatar.formats,
+            densities: avatar.densities,
+            alt: contact.name,
+          }
+        );
+        files.push(...result.files.map((file) => file.path), ...(result.snippet ? [result.snippet] : []));
+      }
+      return files.map((file) => relative(memberDir, file));
+    });
+    photo = photo ?? relative(projectRoot, join(memberDir, getAvatarFileName(avatars[0])));
+  } else {
+    artifacts.avatars = 'skipped';
+  }
+
+  const cardContact = photo ? { ...contact, photo } : contact;
+  const cardHash = hashInputs(
+    cardContact,
+    photo && existsSync(resolve(projectRoot, photo)) ? readFileSync(resolve(projectRoot, photo)) : null,
+    cardOptions,
+    CONFIG.businessCard,
+    readJsonFiles(LAYOUTS_DIR),
+    readJsonFiles(LOCALES_DIR)
+  );
+  await build('card', cardHash, async () => {
+    const paths = await generateBusinessCardWithPdfLib(cardContact, memberDir, cardOptions);
+    return Object.values(paths).map((filePath) => basename(filePath));
+  });
+
+  const footerPath = join(memberDir, 'email-footer.html');
+  const footerHtml = renderEmailFooter(contact);
+  await build('emailFooter', hashInputs(footerHtml), async () => {
+    writeFileSync(footerPath, footerHtml, 'utf8');
+    return [basename(footerPath)];
+  });
+
+  writeFileSync(join(memberDir, BUILD_MANIFEST), JSON.stringify(manifest, null, 2), 'utf8');
+  return { id, name: contact.name, dir: memberDir, artifacts };
+}
+
+/**
+ * Parse command line arguments
+ * @returns {Object} Parsed arguments
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const parsed = {
+    members: [],
+    dir: null,
+    out: null,
+    force: false,
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--member' && i + 1 < args.length) {
+      parsed.members.push(args[++i]);
+    } else if (arg === '--dir' && i + 1 < args.length) {
+      parsed.dir = args[++i];
+    } else if (arg === '--out' && i + 1 < args.length) {
+      parsed.out = args[++i];
+    } else if (arg === '--force') {
+      parsed.force = true;
+    } else if (arg === '--help' || arg === '-h') {
+      return { help: true };
+    }
+  }
+
+  return parsed;
+}
+
+/**
+ * Show help message
+ */
+function showHelp() {
+  console.log(`
+Usage:
+  node scripts/team.mjs [--member <id>] [--force] [--dir <dir>] [--out <dir>]
+
+Options:
+  --member <id>    Only build this member (file name in the team directory without .json, repeatable)
+  --force          Rebuild all artifacts, even if their inputs are unchanged
+  --dir <dir>      Team directory (default: ${TEAM_CONFIG.dir})
+  --out <dir>      Output directory, one subdirectory per member (default: ${TEAM_CONFIG.outputDir})
+  --help, -h       Show this help message
+
+Artifacts per member:
+  card         Business card PDFs, vCard and contact JSON (preview if businessCard.preview.enabled)
+  avatars      ${TEAM_CONFIG.avatars.map(getAvatarFileName).join(', ')} (only with "portrait")
+  emailFooter  email-footer.html from ${TEAM_CONFIG.emailFooter.template}
+
+Examples:
+  # Build everything that changed
+  node scripts/team.mjs
+
+  # Rebuild one member completely
+  node scripts/team.mjs --member max-mustermann --force
+`);
+}
+
+/**
+ * Main CLI function
+ */
+async function main() {
+  header('Team Directory', 'Visitenkarten, Avatare und E-Mail-Signaturen aus einer Quelle', 'bgCyan');
+
+  const args = parseArgs();
+  if (args.help) {
+    showHelp();
+    endGroup();
+    return;
+  }
+
+  const teamDir = resolve(projectRoot, args.dir ?? TEAM_CONFIG.dir);
+  const outputDir = resolve(projectRoot, args.out ?? TEAM_CONFIG.outputDir);
+  const available = listTeamMembers(teamDir);
+  const ids = args.members.length > 0 ? args.members : available;
+  if (ids.length === 0) {
+    warn(`Keine Teammitglieder in ${teamDir} gefunden.`);
+    endGroup();
+    return;
+  }
+
+  const statusNames = { built: 'neu erzeugt', unchanged: 'unverändert', skipped: '–' };
+  const results = [];
+  for (const id of ids) {
+    info(`Teammitglied ${id} …`);
+    try {
+      const result = await buildTeamMember(id, { teamDir, outputDir, force: args.force });
+      results.push({ id, ok: true, cells: TEAM_ARTIFACTS.map((artifact) => statusNames[result.artifacts[artifact]]) });
+    } catch (err) {
+      results.push({ id, ok: false, cells: [`FEHLER: ${err.message}`, '', ''] });
+    }
+  }
+
+  console.log('');
+  table(
+    ['Mitglied', 'Avatare', 'Visitenkarte', 'E-Mail-Signatur'],
+    results.map((result) => [result.id, ...result.cells]),
+    { rowColor: (rowIndex) => (results[rowIndex].ok ? 'green' : 'red') }
+  );
+  console.log('');
+  endGroup();
+
+  const failed = results.filter((result) => !result.ok);
+  if (failed.length > 0) {
+    error(`${failed.length} von ${results.length} fehlgeschlagen`);
+    process.exit(1);
+  }
+  success(`${results.length} Teammitglied(er) aktuell`);
+  info(`Ausgabe-Verzeichnis: ${outputDir}`);
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch((err) => {
+    error(`Fehler: ${err.message}`);
+    process.exit(1);
+  });
+}
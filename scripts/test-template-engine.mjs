@@ -8,36 +8,13 @@ import { readFileSync } from 'fs';
 import { join, resolve } from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
+import { renderTemplate } from './html-template.mjs';
+import { toE164 } from './phone-number.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const projectRoot = resolve(__dirname, '..');
 
-/**
- * Simple template engine - replaces {{variable}} placeholders
- * Also supports {{#if variable}}...{{/if}} conditionals
- */
-function renderTemplate(template, data) {
-  let result = template;
-
-  // Handle conditionals {{#if variable}}...{{/if}}
-  const conditionalRegex = /\{\{#if\s+(\w+)\}\}([\s\S]*?)\{\{\/if\}\}/g;
-  result = result.replace(conditionalRegex, (match, variable, content) => {
-    if (data[variable] && data[variable].toString().trim() !== '') {
-      return content;
-    }
-    return '';
-  });
-
-  // Replace simple placeholders {{variable}}
-  const placeholderRegex = /\{\{(\w+)\}\}/g;
-  result = result.replace(placeholderRegex, (match, variable) => {
-    return data[variable] || '';
-  });
-
-  return result;
-}
-
 // Test data
 const testData = {
   name: 'Max Mustermann',
@@ -48,6 +25,8 @@ const testData = {
   website: 'www.example.com',
   logoPath: 'data:image/svg+xml;base64,test',
 };
+// The email footer dials the number in E.164 (tel: link)
+testData.phoneE164 = toE164(testData.phone, 'DE');
 
 console.log('Testing Template Engine...\n');
 
@@ -100,6 +79,24 @@ try {
   console.error('✗ Back template test failed:', err.message);
 }
 
+// Test email footer template
+try {
+  const footerTemplatePath = join(projectRoot, 'assets', 'templates', 'email-footer.html');
+  const renderedFooter = renderTemplate(readFileSync(footerTemplatePath, 'utf-8'), testData);
+  
+  console.log('\n✓ Email footer template loaded and rendered');
+  
+  // Check if the phone link dials the E.164 number
+  if (renderedFooter.includes(`tel:${testData.phoneE164}`)) {
+    console.log('✓ Phone link uses E.164');
+  } else {
+    console.log('✗ Phone link does NOT use E.164');
+  }
+  
+} catch (err) {
+  console.error('✗ Email footer template test failed:', err.message);
+}
+
 // Test CSS file
 try {
   const cssPath = join(projectRoot, 'assets', 'templates', 'business-card-styles.css');
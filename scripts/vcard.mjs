@@ -0,0 +1,440 @@
+#!/usr/bin/env node
+/**
+ * vCard Generator
+ * Builds RFC 2426 (vCard 3.0) and RFC 6350 (vCard 4.0) contact cards from contact data and reads .vcf files
+ */
+
+import { fileURLToPath } from 'url';
+import { dirname, resolve, extname, isAbsolute } from 'path';
+import { readFileSync, existsSync } from 'fs';
+import { normalizeUrl, warn } from './misc-cli-utils.mjs';
+import { toE164 } from './phone-number.mjs';
+import { resolveCountryCode } from './card-locale.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const projectRoot = resolve(__dirname, '..');
+
+export const VCARD_VERSIONS = ['3.0', '4.0'];
+
+// Default company logo embedded as LOGO property
+const DEFAULT_LOGO_PATH = resolve(projectRoot, 'assets', 'logos', 'kieks.me-single-circle.png');
+
+// Lines longer than 75 octets must be folded (RFC 6350, section 3.2)
+const MAX_LINE_OCTETS = 75;
+
+// Name particles that belong to the family name ("Anna von Schmidt", "Jan van der Berg")
+const NAME_PARTICLES = new Set([
+  'von', 'vom', 'zu', 'zur', 'van', 'der', 'den', 'de', 'del', 'della', 'di', 'da', 'dos', 'du', 'la', 'le', 'ten', 'ter',
+]);
+
+// Honorific prefixes that are split off the display name when no explicit fields are given
+const HONORIFIC_PREFIXES = new Set(['dr.', 'prof.', 'dipl.-ing.', 'mag.', 'ing.']);
+
+const IMAGE_TYPES = {
+  '.png': 'PNG',
+  '.jpg': 'JPEG',
+  '.jpeg': 'JPEG',
+  '.gif': 'GIF',
+};
+
+/**
+ * Escape a text value (backslash, comma, semicolon and line breaks)
+ * @param {string} value - Raw text value
+ * @returns {string} Escaped value
+ */
+export function escapeVCardValue(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/,/g, '\\,')
+    .replace(/;/g, '\\;')
+    .replace(/\r\n|\r|\n/g, '\\n');
+}
+
+/**
+ * Unescape a text value (inverse of escapeVCardValue)
+ * @param {string} value - Escaped value
+ * @returns {string} Raw text value
+ */
+function unescapeVCardValue(value) {
+  return value.replace(/\\([\\,;nN])/g, (match, char) => (char.toLowerCase() === 'n' ? '\n' : char));
+}
+
+/**
+ * Parse the parameters of a content line (";TYPE=WORK,INTERNET;PREF=1")
+ * Bare vCard 2.1 parameters like ";CELL" count as TYPE.
+ * @param {string} text - Parameter part of the line, starting with ";"
+ * @returns {Object} Parameter values by upper-case name (TYPE values in lower case)
+ */
+function parseParams(text) {
+  const params = {};
+  (text.match(/;(?:[^;"]|"[^"]*")*/g) || []).forEach((param) => {
+    const [rawName, rawValue] = param.slice(1).split(/=(.*)/s);
+    const name = rawValue === undefined ? 'TYPE' : rawName.toUpperCase();
+    const values = (rawValue ?? rawName).replace(/"/g, '').split(',').map((value) => value.trim()).filter(Boolean);
+    params[name] = [...(params[name] || []), ...(name === 'TYPE' ? values.map((value) => value.toLowerCase()) : values)];
+  });
+  return params;
+}
+
+/**
+ * Parse vCard text into cards
+ * Lines are unfolded and values unescaped; structured values (N, ADR) are also split into components.
+ * Several cards in one file (as exported by address books) are returned in order.
+ * @param {string} text - Content of a .vcf file
+ * @returns {Array<Object>} Cards with version and properties ({ name, params, value, components })
+ */
+export function parseVCards(text) {
+  const lines = text
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n|\r/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n');
+  const cards = [];
+  let card = null;
+
+  lines.forEach((line) => {
+    // Optional group prefix ("item1.URL"), name, parameters (may be quoted) and value
+    const match = line.match(/^(?:[\w-]+\.)?([\w-]+)((?:;(?:[^:;"]|"[^"]*")*)*):(.*)$/);
+    if (!match) {
+      return;
+    }
+    const [, rawName, paramText, value] = match;
+    const name = rawName.toUpperCase();
+
+    if (name === 'BEGIN' && value.trim().toUpperCase() === 'VCARD') {
+      card = { version: null, properties: [] };
+    } else if (name === 'END' && card) {
+      cards.push(card);
+      card = null;
+    } else if (card && name === 'VERSION') {
+      card.version = value.trim();
+    } else if (card) {
+      card.properties.push({
+        name,
+        params: parseParams(paramText),
+        value: unescapeVCardValue(value),
+        components: value.split(/(?<!\\);/).map(unescapeVCardValue),
+      });
+    }
+  });
+
+  return cards;
+}
+
+/**
+ * Format a parameter value, quoting it if it contains reserved characters
+ * @param {string} value - Parameter value
+ * @returns {string} Safe parameter value
+ */
+function formatParamValue(value) {
+  const clean = String(value).replace(/"/g, '');
+  return /[:;,]/.test(clean) ? `"${clean}"` : clean;
+}
+
+/**
+ * Fold a content line at 75 octets
+ * Continuation lines start with a single space; multi-byte UTF-8 characters are never split.
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line (CRLF separated)
+ */
+export function foldLine(line) {
+  if (Buffer.byteLength(line, 'utf8') <= MAX_LINE_OCTETS) {
+    return line;
+  }
+
+  const parts = [];
+  let current = '';
+  let currentOctets = 0;
+  // The leading space of continuation lines counts towards the limit
+  let limit = MAX_LINE_OCTETS;
+
+  for (const char of line) {
+    const octets = Buffer.byteLength(char, 'utf8');
+    if (currentOctets + octets > limit) {
+      parts.push(current);
+      current = '';
+      currentOctets = 0;
+      limit = MAX_LINE_OCTETS - 1;
+    }
+    current += char;
+    currentOctets += octets;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * Resolve the structured name (N property) of a contact
+ * Explicit fields (familyName, givenName, additionalName, honorificPrefix, honorificSuffix) win;
+ * otherwise the display name is split, keeping particles like "von" with the family name.
+ * @param {Object} data - Contact data
+ * @returns {Object} Name parts
+ */
+export function resolveNameParts(data) {
+  if (data.familyName || data.givenName) {
+    return {
+      familyName: data.familyName || '',
+      givenName: data.givenName || '',
+      additionalName: data.additionalName || '',
+      honorificPrefix: data.honorificPrefix || '',
+      honorificSuffix: data.honorificSuffix || '',
+    };
+  }
+
+  const tokens = String(data.name || '').trim().split(/\s+/).filter(Boolean);
+  const prefixes = [];
+  while (tokens.length > 1 && HONORIFIC_PREFIXES.has(tokens[0].toLowerCase())) {
+    prefixes.push(tokens.shift());
+  }
+
+  if (tokens.length <= 1) {
+    return {
+      familyName: tokens[0] || '',
+      givenName: '',
+      additionalName: '',
+      honorificPrefix: data.honorificPrefix || prefixes.join(' '),
+      honorificSuffix: data.honorificSuffix || '',
+    };
+  }
+
+  // Family name starts at the first particle after the given name, else it is the last word
+  let familyStart = tokens.findIndex((token, index) => index > 0 && NAME_PARTICLES.has(token.toLowerCase()));
+  if (familyStart === -1) {
+    familyStart = tokens.length - 1;
+  }
+
+  return {
+    familyName: tokens.slice(familyStart).join(' '),
+    givenName: tokens[0],
+    additionalName: tokens.slice(1, familyStart).join(' '),
+    honorificPrefix: data.honorificPrefix || prefixes.join(' '),
+    honorificSuffix: data.honorificSuffix || '',
+  };
+}
+
+/**
+ * Resolve the path of an image to embed (e.g. the contact photo)
+ * Relative paths belong to the project root, so they work from any working directory.
+ * @param {string} imagePath - Absolute path or path relative to the project root
+ * @returns {string} Absolute path
+ */
+export function resolveProjectPath(imagePath) {
+  return isAbsolute(imagePath) ? imagePath : resolve(projectRoot, imagePath);
+}
+
+/**
+ * Read an image file for PHOTO/LOGO embedding
+ * @param {string} imagePath - Absolute path or path relative to the project root
+ * @returns {Object|null} Image with base64 data and type, or null if missing/unsupported
+ */
+function readImage(imagePath) {
+  const absolutePath = resolveProjectPath(imagePath);
+  const type = IMAGE_TYPES[extname(absolutePath).toLowerCase()];
+  if (!type || !existsSync(absolutePath)) {
+    return null;
+  }
+  return {
+    type,
+    mime: `image/${type.toLowerCase()}`,
+    base64: readFileSync(absolutePath).toString('base64'),
+  };
+}
+
+/**
+ * Build an embedded image property (PHOTO or LOGO)
+ * @param {string} name - Property name
+ * @param {Object} image - Image from readImage()
+ * @param {string} version - vCard version
+ * @returns {string} Content line (unfolded)
+ */
+function imageProperty(name, image, version) {
+  if (version === '4.0') {
+    return `${name}:data:${image.mime};base64,${image.base64}`;
+  }
+  return `${name};ENCODING=b;TYPE=${image.type}:${image.base64}`;
+}
+
+/**
+ * Normalize a phone number of a contact to E.164
+ * Numbers without country code belong to the contact's country. Numbers that cannot be parsed
+ * (validation reports them) are reduced to their digits and "+".
+ * @param {string} phone - Phone number as entered
+ * @param {Object} data - Contact data (country)
+ * @returns {string} E.164 number (e.g. "+49301234567")
+ */
+export function normalizePhone(phone, data) {
+  try {
+    return toE164(phone, resolveCountryCode(data.country) ?? data.country);
+  } catch {
+    return phone.replace(/[^\d+]/g, '');
+  }
+}
+
+/**
+ * Generate vCard string from contact data
+ * @param {Object} data - Contact data
+ * @param {Object} [options] - vCard options
+ * @param {string} [options.version] - '3.0' (default) or '4.0'
+ * @param {boolean} [options.includePhoto] - Embed the contact's photo (data.photo) as PHOTO
+ * @param {boolean} [options.includeLogo] - Embed the company logo as LOGO
+ * @param {string} [options.logoPath] - Logo image to embed (default: kieks.me single circle PNG)
+ * @returns {string} vCard formatted string with CRLF line endings
+ */
+export function generateVCard(data, options = {}) {
+  const {
+    version = '3.0',
+    includePhoto = false,
+    includeLogo = false,
+    logoPath = DEFAULT_LOGO_PATH,
+  } = options;
+
+  if (!VCARD_VERSIONS.includes(version)) {
+    throw new Error(`Nicht unterstützte vCard-Version: ${version}. Erlaubt: ${VCARD_VERSIONS.join(', ')}`);
+  }
+
+  const isV4 = version === '4.0';
+  const lines = ['BEGIN:VCARD', `VERSION:${version}`];
+
+  if (data.name) {
+    const parts = resolveNameParts(data);
+    lines.push(`FN:${escapeVCardValue(data.name)}`);
+    lines.push(`N:${[
+      parts.familyName,
+      parts.givenName,
+      parts.additionalName,
+      parts.honorificPrefix,
+      parts.honorificSuffix,
+    ].map(escapeVCardValue).join(';')}`);
+  }
+
+  if (data.position) {
+    lines.push(`TITLE:${escapeVCardValue(data.position)}`);
+  }
+
+  // Add organization/company name
+  const companyName = data.companyName || 'kieks.me GbR';
+  lines.push(`ORG:${escapeVCardValue(companyName)}`);
+
+  if (data.email) {
+    lines.push(isV4
+      ? `EMAIL;TYPE=work:${escapeVCardValue(data.email)}`
+      : `EMAIL;TYPE=WORK,INTERNET:${escapeVCardValue(data.email)}`);
+  }
+
+  const telephones = [
+    { number: data.phone, v3Type: 'WORK,VOICE', v4Type: '"work,voice"' },
+    { number: data.mobile, v3Type: 'CELL', v4Type: '"cell,voice"' },
+  ];
+  telephones.forEach(({ number, v3Type, v4Type }) => {
+    if (!number) {
+      return;
+    }
+    if (isV4) {
+      lines.push(`TEL;VALUE=uri;TYPE=${v4Type}:tel:${normalizePhone(number, data)}`);
+    } else {
+      lines.push(`TEL;TYPE=${v3Type}:${escapeVCardValue(normalizePhone(number, data))}`);
+    }
+  });
+
+  if (data.address || data.city || data.postalCode || data.country) {
+    const addressParts = [
+      '', // Post office box
+      '', // Extended address
+      data.address || '', // Street address
+      data.city || '', // Locality
+      '', // Region
+      data.postalCode || '', // Postal code
+      data.country || '', // Country
+    ];
+    lines.push(`ADR;TYPE=${isV4 ? 'work' : 'WORK'}:${addressParts.map(escapeVCardValue).join(';')}`);
+  }
+
+  // Add website URL (if present)
+  if (data.website) {
+    lines.push(`URL:${normalizeUrl(data.website)}`);
+  }
+
+  // Add social media URLs as separate URL entries with TYPE parameter
+  if (data.socialMedia) {
+    // Handle both array format (new) and string format (legacy)
+    if (Array.isArray(data.socialMedia)) {
+      data.socialMedia.forEach((entry) => {
+        if (entry.url) {
+          lines.push(`URL;TYPE=${formatParamValue(entry.name || 'social')}:${normalizeUrl(entry.url)}`);
+        } else if (entry.name) {
+          lines.push(`NOTE:${escapeVCardValue(`Social Media: ${entry.name}`)}`);
+        }
+      });
+    } else {
+      lines.push(`NOTE:${escapeVCardValue(`Social Media: ${data.socialMedia}`)}`);
+    }
+  }
+
+  if (includePhoto && data.photo) {
+    const photo = readImage(data.photo);
+    if (photo) {
+      lines.push(imageProperty('PHOTO', photo, version));
+    } else {
+      warn(`Foto nicht gefunden oder Format nicht unterstützt: ${data.photo}`);
+    }
+  }
+
+  if (includeLogo && logoPath) {
+    const logo = readImage(logoPath);
+    if (logo) {
+      lines.push(imageProperty('LOGO', logo, version));
+    } else {
+      warn(`Logo nicht gefunden oder Format nicht unterstützt: ${logoPath}`);
+    }
+  }
+
+  lines.push('END:VCARD');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Escape a MeCard field value (backslash, colon and semicolon, like common QR readers expect)
+ * @param {string} value - Raw text value
+ * @returns {string} Escaped value
+ */
+function escapeMeCardValue(value) {
+  return String(value ?? '')
+    .replace(/([\\:;])/g, '\\$1')
+    .replace(/\r\n|\r|\n/g, ' ');
+}
+
+/**
+ * Generate a MeCard string
+ * MeCard holds the same core contact details as a vCard in far fewer characters, which keeps
+ * QR codes small enough to scan when printed at business card size. Photo, logo and social
+ * media links are left out.
+ * @param {Object} data - Contact data
+ * @returns {string} MeCard string (MECARD:…;;)
+ */
+export function generateMeCard(data) {
+  const fields = [];
+  const add = (name, value) => {
+    if (value) {
+      fields.push(`${name}:${escapeMeCardValue(value)}`);
+    }
+  };
+
+  if (data.name) {
+    const parts = resolveNameParts(data);
+    const givenName = [parts.givenName, parts.additionalName].filter(Boolean).join(' ');
+    fields.push(`N:${[parts.familyName, givenName].filter(Boolean).map(escapeMeCardValue).join(',')}`);
+  }
+  add('ORG', data.companyName || 'kieks.me GbR');
+  add('TITLE', data.position);
+  add('TEL', data.phone && normalizePhone(data.phone, data));
+  add('TEL', data.mobile && normalizePhone(data.mobile, data));
+  add('EMAIL', data.email);
+  // MeCard addresses are a single line: street, postal code and city, country
+  const city = [data.postalCode, data.city].filter(Boolean).join(' ');
+  add('ADR', [data.address, city, data.country].filter(Boolean).join(', '));
+  add('URL', data.website && normalizeUrl(data.website));
+
+  return `MECARD:${fields.join(';')};;`;
+}
@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+/**
+ * Tests for avatar-framing.mjs
+ */
+
+import {
+  parseFocus,
+  parseCrop,
+  detectHeadAndShoulders,
+  resolvePortraitFraming,
+  loadStoredFraming,
+  getFramingFilePath,
+} from '../../scripts/avatar-framing.mjs';
+import { existsSync, mkdirSync, rmSync } from 'fs';
+import { join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import sharp from 'sharp';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const projectRoot = resolve(__dirname, '../..');
+const testPortraitDir = join(projectRoot, 'tests', 'output', 'framing');
+const tallPortraitPath = join(testPortraitDir, 'tall.png');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+async function runTests() {
+  const results = [];
+
+  function test(name, fn) {
+    results.push({ name, fn });
+  }
+
+  async function run() {
+    console.log('\nAvatar Framing Tests\n');
+    let passed = 0;
+    let failed = 0;
+
+    for (const { name, fn } of results) {
+      try {
+        await fn();
+        console.log(`✓ ${name}`);
+        passed++;
+      } catch (error) {
+        console.error(`✗ ${name}: ${error.message}`);
+        failed++;
+      }
+    }
+
+    console.log(`\nTests: ${passed} passed, ${failed} failed`);
+    return failed === 0;
+  }
+
+  return { test, run };
+}
+
+const { test, run } = await runTests();
+
+/**
+ * Write a tall cut-out: the sample portrait as head and shoulders on top of a long torso
+ */
+async function writeTallPortrait() {
+  rmSync(testPortraitDir, { recursive: true, force: true });
+  mkdirSync(testPortraitDir, { recursive: true });
+  const head = await sharp(join(projectRoot, 'source', 'avatars', 'kieksme-avatar-tschoene.png')).resize(600, 600).toBuffer();
+  const torso = await sharp({
+    create: { width: 600, height: 1000, channels: 4, background: { r: 40, g: 40, b: 40, alpha: 1 } },
+  }).png().toBuffer();
+  await sharp({
+    create: { width: 1000, height: 1800, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } },
+  })
+    .composite([{ input: torso, left: 200, top: 600 }, { input: head, left: 200, top: 100 }])
+    .png()
+    .toFile(tallPortraitPath);
+}
+
+test('parseFocus and parseCrop should read CLI values and reject invalid ones', () => {
+  const focus = parseFocus('0.5, 0.3');
+  assert(focus.x === 0.5 && focus.y === 0.3, 'Focus should be parsed');
+  const crop = parseCrop('120,40,760,760');
+  assert(crop.left === 120 && crop.top === 40 && crop.width === 760 && crop.height === 760, 'Crop should be parsed');
+
+  for (const [parse, value] of [[parseFocus, '1.5,0.3'], [parseFocus, '0.5'], [parseCrop, '0,0,0,10'], [parseCrop, '1,2,3']]) {
+    try {
+      parse(value);
+      assert(false, `Should reject ${value}`);
+    } catch (error) {
+      assert(error.message.startsWith('Ungültig'), `Unexpected error for ${value}: ${error.message}`);
+    }
+  }
+});
+
+test('detectHeadAndShoulders should frame the head of a tall cut-out', async () => {
+  await writeTallPortrait();
+  const crop = await detectHeadAndShoulders(tallPortraitPath);
+
+  assert(crop.width === crop.height, 'Crop should be square');
+  assert(crop.width < 1000, `Crop should zoom in on a tall cut-out, got ${crop.width}px`);
+  assert(crop.top < 100, 'Crop should start just above the head');
+  assert(crop.top + crop.height < 1000, 'Crop should leave out most of the torso');
+});
+
+test('resolvePortraitFraming should store the framing and reuse it', async () => {
+  await writeTallPortrait();
+  await resolvePortraitFraming(tallPortraitPath);
+  await resolvePortraitFraming(tallPortraitPath, { focus: { x: 0.5, y: 0.8 }, save: false });
+  assert(!existsSync(getFramingFilePath(tallPortraitPath)), 'Default and unsaved framings should not be written');
+
+  const focused = await resolvePortraitFraming(tallPortraitPath, { focus: { x: 0.5, y: 0.2 } });
+  assert(focused.mode === 'focus' && focused.crop.width === 1000 && focused.crop.top === 0, 'Focus should give the top square');
+  assert(existsSync(getFramingFilePath(tallPortraitPath)), 'Framing file should be written');
+
+  const rerun = await resolvePortraitFraming(tallPortraitPath);
+  assert(JSON.stringify(rerun) === JSON.stringify(focused), 'Reruns should use the stored framing');
+
+  const auto = await resolvePortraitFraming(tallPortraitPath, { framing: 'auto' });
+  assert(loadStoredFraming(tallPortraitPath).mode === 'auto', 'An explicit framing should replace the stored one');
+  assert(auto.crop.width < 1000, 'Auto framing should be stored with its crop box');
+  const autoRerun = await resolvePortraitFraming(tallPortraitPath);
+  assert(JSON.stringify(autoRerun) === JSON.stringify(auto), 'Reruns without a flag should keep the auto crop');
+
+  try {
+    await resolvePortraitFraming(tallPortraitPath, { crop: { left: 500, top: 0, width: 600, height: 600 } });
+    assert(false, 'Should reject a crop box outside the portrait');
+  } catch (error) {
+    assert(error.message.includes('außerhalb'), `Unexpected error: ${error.message}`);
+  }
+});
+
+// Run tests
+const success = await run();
+process.exit(success ? 0 : 1);
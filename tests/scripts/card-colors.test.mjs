@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+/**
+ * Tests for card-colors.mjs
+ */
+
+import { PDFDocument, PDFName, PDFDict, StandardFonts, decodePDFRawStream } from 'pdf-lib';
+import { getCardColors, hexToCmyk, withSpotColors, SEPARATION } from '../../scripts/card-colors.mjs';
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+async function runTests() {
+  const results = [];
+  
+  function test(name, fn) {
+    results.push({ name, fn });
+  }
+  
+  async function run() {
+    console.log('\nCard Colors Tests\n');
+    let passed = 0;
+    let failed = 0;
+    
+    for (const { name, fn } of results) {
+      try {
+        await fn();
+        console.log(`✓ ${name}`);
+        passed++;
+      } catch (error) {
+        console.error(`✗ ${name}: ${error.message}`);
+        failed++;
+      }
+    }
+    
+    console.log(`\nTests: ${passed} passed, ${failed} failed`);
+    return failed === 0;
+  }
+  
+  return { test, run };
+}
+
+const { test, run } = await runTests();
+
+test('getCardColors should use the CMYK values from colors.json', () => {
+  const { navy, aqua, white } = getCardColors('cmyk');
+  
+  assert(navy.type === 'CMYK', `Expected CMYK, got ${navy.type}`);
+  assert(navy.cyan === 1 && navy.magenta === 0.6 && navy.yellow === 0 && navy.key === 0.73, 'Navy should be 100/60/0/73');
+  assert(aqua.cyan === 1 && aqua.yellow === 0.14, 'Aqua should be 100/0/14/0');
+  assert(white.key === 0, 'White should be without ink');
+  assert(getCardColors('rgb').navy.type === 'RGB', 'RGB palette should stay RGB');
+});
+
+test('getCardColors should turn configured brand colors into spot colors', () => {
+  const { navy, aqua } = getCardColors('spot');
+  
+  assert(navy.type === SEPARATION && navy.name === 'PANTONE 533 C', 'Navy should be a spot color');
+  assert(navy.alternate.type === 'CMYK' && navy.alternate.key === 0.73, 'Spot color should fall back to the CMYK values');
+  assert(aqua.type === 'CMYK', 'Colors without spot color stay CMYK');
+  
+  try {
+    getCardColors('lab');
+    assert(false, 'Should reject unknown color spaces');
+  } catch (error) {
+    assert(error.message.includes('Farbraum'), 'Should name the color space');
+  }
+});
+
+test('hexToCmyk should convert colors without CMYK definition', () => {
+  const red = hexToCmyk('#FF0000');
+  assert(red.c === 0 && red.m === 100 && red.y === 100 && red.k === 0, `Unexpected red ${JSON.stringify(red)}`);
+  assert(hexToCmyk('#000000').k === 100, 'Black should be pure key');
+});
+
+test('withSpotColors should paint spot colors through a Separation color space', async () => {
+  const pdfDoc = await PDFDocument.create();
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const colorSpaceRefs = new Map();
+  const { navy } = getCardColors('spot');
+  
+  const pages = [pdfDoc.addPage([100, 50]), pdfDoc.addPage([100, 50])];
+  pages.forEach((pdfPage) => {
+    const page = withSpotColors(pdfPage, colorSpaceRefs);
+    page.drawRectangle({ x: 0, y: 0, width: 100, height: 50, color: navy });
+    page.drawText('kieks.me', { x: 10, y: 20, size: 8, font, color: navy });
+  });
+  
+  const saved = await PDFDocument.load(await pdfDoc.save());
+  const [colorSpaceRef] = saved.getPage(0).node.Resources().lookup(PDFName.of('ColorSpace'), PDFDict).values();
+  const colorSpace = saved.context.lookup(colorSpaceRef).asArray();
+  const content = Buffer.from(decodePDFRawStream(saved.getPage(0).node.Contents().lookup(0)).decode()).toString();
+  const secondPage = saved.getPage(1).node.Resources().lookup(PDFName.of('ColorSpace'), PDFDict);
+  
+  assert(String(colorSpace[0]) === '/Separation', 'Should define a Separation color space');
+  assert(String(colorSpace[1]) === '/PANTONE#20533#20C', `Unexpected spot color name ${colorSpace[1]}`);
+  assert(/ cs\n1 scn\n/.test(content) && content.includes(' Tj'), 'Should fill rectangle and text with the spot color');
+  assert(secondPage.values()[0] === colorSpaceRef, 'Pages of one document should share the color space');
+});
+
+// Run tests
+const success = await run();
+process.exit(success ? 0 : 1);
@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+/**
+ * Tests for card-finish.mjs
+ */
+
+import { writeFileSync, mkdirSync } from 'fs';
+import { join, resolve, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { loadSvgShapes, getFinishColor, drawShapesInBox, FINISH_TYPES } from '../../scripts/card-finish.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const projectRoot = resolve(__dirname, '../..');
+const testOutputDir = join(projectRoot, 'tests', 'output');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+async function runTests() {
+  const results = [];
+  
+  function test(name, fn) {
+    results.push({ name, fn });
+  }
+  
+  async function run() {
+    console.log('\nCard Finish Tests\n');
+    let passed = 0;
+    let failed = 0;
+    
+    for (const { name, fn } of results) {
+      try {
+        await fn();
+        console.log(`✓ ${name}`);
+        passed++;
+      } catch (error) {
+        console.error(`✗ ${name}: ${error.message}`);
+        failed++;
+      }
+    }
+    
+    console.log(`\nTests: ${passed} passed, ${failed} failed`);
+    return failed === 0;
+  }
+  
+  return { test, run };
+}
+
+const { test, run } = await runTests();
+
+test('loadSvgShapes should read the outlined mark without the background circle', () => {
+  const logoPath = join(projectRoot, 'assets', 'logos', 'kieks.me-single-circle.svg');
+  const { viewBox, shapes } = loadSvgShapes(logoPath);
+  
+  assert(viewBox.width === 500 && viewBox.height === 500, 'Should read the viewBox');
+  assert(shapes.length === 1, `Expected only the mark, got ${shapes.length} shapes`);
+  assert(shapes[0].d.startsWith('M183.929') && shapes[0].strokeWidth === 24, 'Stroked outlines should keep their width');
+  
+  const all = loadSvgShapes(logoPath, { backgroundFills: [] });
+  assert(all.shapes.length === 2, `Expected 2 shapes without background fills, got ${all.shapes.length}`);
+  assert(all.shapes[0].d.startsWith('M 28 275.5 A 221.5 221.5'), `Circle should become an arc path: ${all.shapes[0].d.slice(0, 30)}`);
+});
+
+test('loadSvgShapes should skip unpainted shapes and reject transforms', () => {
+  mkdirSync(testOutputDir, { recursive: true });
+  const plainPath = join(testOutputDir, 'finish-shapes.svg');
+  writeFileSync(plainPath, '<svg viewBox="10 10 100 50" fill="none"><rect x="10" y="10" width="100" height="50" fill="#000"/><circle cx="5" cy="5" r="2"/></svg>');
+  const { viewBox, shapes } = loadSvgShapes(plainPath);
+  assert(viewBox.x === 10 && shapes.length === 1, 'Only the filled rectangle should be a shape');
+  
+  const transformedPath = join(testOutputDir, 'finish-transformed.svg');
+  writeFileSync(transformedPath, '<svg viewBox="0 0 10 10"><g transform="scale(2)"><rect width="5" height="5"/></g></svg>');
+  try {
+    loadSvgShapes(transformedPath);
+    assert(false, 'Should reject transformed SVGs');
+  } catch (error) {
+    assert(error.message.includes('Transformationen'), 'Should explain that transforms are not supported');
+  }
+});
+
+test('drawShapesInBox should fit and center the shapes like an image block', () => {
+  const calls = [];
+  const page = { drawSvgPath: (d, options) => calls.push(options) };
+  const color = getFinishColor('embossing');
+  // 100 × 50 viewBox into a 40 × 40 box: scale 0.4, 20pt high, centered vertically
+  drawShapesInBox(page, { viewBox: { x: 0, y: 0, width: 100, height: 50 }, shapes: [{ d: 'M 0 0 H 100', strokeWidth: 0 }] }, {
+    x: 10, y: 10, width: 40, height: 40,
+  }, color);
+  
+  assert(calls.length === 1 && calls[0].scale === 0.4, 'Should scale to the box width');
+  assert(calls[0].x === 10 && calls[0].y === 40, `Unexpected origin ${calls[0].x}, ${calls[0].y}`);
+  assert(calls[0].color === color && calls[0].borderWidth === undefined, 'Unstroked shapes are only filled');
+});
+
+test('getFinishColor should name the spot color of each finish', () => {
+  assert(FINISH_TYPES.includes('embossing') && FINISH_TYPES.includes('spotUv') && FINISH_TYPES.includes('foil'), 'Should offer all finishes');
+  assert(getFinishColor('embossing').name === 'Embossing', 'Embossing should use its spot color');
+  
+  try {
+    getFinishColor('glitter');
+    assert(false, 'Should reject unknown finishes');
+  } catch (error) {
+    assert(error.message.includes('Veredelung'), 'Should name the finish');
+  }
+});
+
+// Run tests
+const success = await run();
+process.exit(success ? 0 : 1);
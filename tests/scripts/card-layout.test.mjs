@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+/**
+ * Tests for card-layout.mjs
+ */
+
+import { loadCardLayout, listCardLayouts, validateCardLayout, layoutUsesBlock } from '../../scripts/card-layout.mjs';
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+async function runTests() {
+  const results = [];
+  
+  function test(name, fn) {
+    results.push({ name, fn });
+  }
+  
+  async function run() {
+    console.log('\nCard Layout Tests\n');
+    let passed = 0;
+    let failed = 0;
+    
+    for (const { name, fn } of results) {
+      try {
+        await fn();
+        console.log(`✓ ${name}`);
+        passed++;
+      } catch (error) {
+        console.error(`✗ ${name}: ${error.message}`);
+        failed++;
+      }
+    }
+    
+    console.log(`\nTests: ${passed} passed, ${failed} failed`);
+    return failed === 0;
+  }
+  
+  return { test, run };
+}
+
+const { test, run } = await runTests();
+
+test('listCardLayouts should include the bundled layouts', () => {
+  const ids = listCardLayouts().map((layout) => layout.id);
+  
+  ['default', 'light', 'no-qr', 'vertical'].forEach((id) => {
+    assert(ids.includes(id), `Should list layout ${id}`);
+  });
+});
+
+test('loadCardLayout should load the default layout with a QR code', () => {
+  const layout = loadCardLayout('default');
+  
+  assert(layout.id === 'default', 'Should set the layout id');
+  assert(layout.orientation === 'landscape', 'Default layout should be landscape');
+  assert(layoutUsesBlock(layout, 'qr'), 'Default layout should show a QR code');
+  assert(!layoutUsesBlock(loadCardLayout('no-qr'), 'qr'), 'no-qr layout should not show a QR code');
+});
+
+test('validateCardLayout should report unknown colors, fonts and block types', () => {
+  const errors = validateCardLayout({
+    front: {
+      background: 'purple',
+      blocks: [
+        { type: 'text', text: 'Hallo', x: 1, y: 1, size: 8, font: 'comic' },
+        { type: 'circle', x: 1, y: 1 },
+      ],
+    },
+    back: { blocks: [{ type: 'qr', x: 1, y: 1 }] },
+  });
+  
+  assert(errors.some((message) => message.includes('front.background') && message.includes('purple')), 'Should report unknown color');
+  assert(errors.some((message) => message.includes('comic')), 'Should report unknown font');
+  assert(errors.some((message) => message.includes('circle')), 'Should report unknown block type');
+  assert(errors.some((message) => message.includes('back.blocks[0]') && message.includes('size')), 'Should report missing QR size');
+});
+
+test('validateCardLayout should check social blocks', () => {
+  const errors = validateCardLayout({
+    front: { blocks: [] },
+    back: { blocks: [{ type: 'social', x: 1, y: 1, width: 30, typography: 'social', iconColor: 'gold', lineHeight: 0 }] },
+  });
+  
+  assert(errors.some((message) => message.includes('gold')), 'Should report unknown icon color');
+  assert(errors.some((message) => message.includes('"lineHeight"')), 'Should require a positive row height');
+  assert(layoutUsesBlock(loadCardLayout('default'), 'social'), 'Default layout should show social media');
+});
+
+test('loadCardLayout should reject unknown layouts', () => {
+  try {
+    loadCardLayout('does-not-exist');
+    assert(false, 'Should throw');
+  } catch (error) {
+    assert(error.message.includes('Layout nicht gefunden'), 'Should report missing layout');
+  }
+});
+
+const success = await run();
+process.exit(success ? 0 : 1);
@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+/**
+ * Tests for card-locale.mjs
+ */
+
+import {
+  listCardLocales,
+  loadCardLocale,
+  localizeCountry,
+  resolveCountryCode,
+  localizeContact,
+} from '../../scripts/card-locale.mjs';
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+async function runTests() {
+  const results = [];
+  
+  function test(name, fn) {
+    results.push({ name, fn });
+  }
+  
+  async function run() {
+    console.log('\nCard Locale Tests\n');
+    let passed = 0;
+    let failed = 0;
+    
+    for (const { name, fn } of results) {
+      try {
+        await fn();
+        console.log(`✓ ${name}`);
+        passed++;
+      } catch (error) {
+        console.error(`✗ ${name}: ${error.message}`);
+        failed++;
+      }
+    }
+    
+    console.log(`\nTests: ${passed} passed, ${failed} failed`);
+    return failed === 0;
+  }
+  
+  return { test, run };
+}
+
+const { test, run } = await runTests();
+
+test('listCardLocales should list the bundled languages', () => {
+  const ids = listCardLocales().map((locale) => locale.id);
+  
+  assert(ids.includes('de') && ids.includes('en'), `Unexpected locales: ${ids.join(', ')}`);
+});
+
+test('every locale should define the labels and texts of the default locale', () => {
+  const reference = loadCardLocale();
+  listCardLocales().forEach(({ id }) => {
+    const locale = loadCardLocale(id);
+    Object.keys(reference.labels).forEach((key) => assert(locale.labels[key], `${id}: missing label ${key}`));
+    Object.keys(reference.texts).forEach((key) => assert(locale.texts[key], `${id}: missing text ${key}`));
+  });
+  
+  try {
+    loadCardLocale('fr');
+    assert(false, 'Should throw for unknown locales');
+  } catch (error) {
+    assert(error.message.includes('verfügbar: de, en'), `Should list the available locales: ${error.message}`);
+  }
+});
+
+test('localizeCountry should translate names and ISO codes of any locale', () => {
+  const en = loadCardLocale('en');
+  const de = loadCardLocale('de');
+  
+  assert(localizeCountry('Deutschland', en) === 'Germany', 'German name to English');
+  assert(localizeCountry('switzerland', de) === 'Schweiz', 'English name to German, ignoring case');
+  assert(localizeCountry('AT', en) === 'Austria', 'ISO code to name');
+  assert(localizeCountry('Atlantis', en) === 'Atlantis', 'Unknown countries stay as entered');
+});
+
+test('resolveCountryCode should recognize names of every locale', () => {
+  assert(resolveCountryCode('Deutschland') === 'DE' && resolveCountryCode('Germany') === 'DE', 'German and English names');
+  assert(resolveCountryCode('ch') === 'CH', 'ISO codes in any case');
+  assert(resolveCountryCode('Atlantis') === null && resolveCountryCode('') === null, 'Unknown or empty countries');
+});
+
+test('localizeContact should not change the original contact', () => {
+  const contact = { name: 'Max', phone: '044 1234567', country: 'Schweiz' };
+  const localized = localizeContact(contact, loadCardLocale('en'));
+  
+  assert(localized.phone === '+41 44 1234567' && localized.country === 'Switzerland', 'Should localize phone and country');
+  assert(contact.phone === '044 1234567' && contact.country === 'Schweiz', 'Original contact should stay unchanged');
+});
+
+// Run tests
+const success = await run();
+process.exit(success ? 0 : 1);
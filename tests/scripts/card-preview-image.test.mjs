@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+/**
+ * Tests for card-preview-image.mjs
+ */
+
+import sharp from 'sharp';
+import { rgb, cmyk, grayscale } from 'pdf-lib';
+import { colorToHex, createSvgPage, composePreview } from '../../scripts/card-preview-image.mjs';
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+async function runTests() {
+  const results = [];
+  
+  function test(name, fn) {
+    results.push({ name, fn });
+  }
+  
+  async function run() {
+    console.log('\nCard Preview Tests\n');
+    let passed = 0;
+    let failed = 0;
+    
+    for (const { name, fn } of results) {
+      try {
+        await fn();
+        console.log(`✓ ${name}`);
+        passed++;
+      } catch (error) {
+        console.error(`✗ ${name}: ${error.message}`);
+        failed++;
+      }
+    }
+    
+    console.log(`\nTests: ${passed} passed, ${failed} failed`);
+    return failed === 0;
+  }
+  
+  return { test, run };
+}
+
+const { test, run } = await runTests();
+
+/**
+ * Create a filled card side (1 × 0.5 inch)
+ * @param {Object} color - pdf-lib color
+ * @returns {Object} SVG page
+ */
+function filledPage(color) {
+  const page = createSvgPage(72, 36);
+  page.drawRectangle({ x: 0, y: 0, width: 72, height: 36, color });
+  return page;
+}
+
+test('colorToHex should convert RGB, CMYK and grayscale colors', () => {
+  assert(colorToHex(rgb(1, 0, 0)) === '#ff0000', 'RGB red');
+  assert(colorToHex(cmyk(0, 0, 0, 1)) === '#000000', 'CMYK key');
+  assert(colorToHex(cmyk(1, 0, 0, 0)) === '#00ffff', 'CMYK cyan');
+  assert(colorToHex(grayscale(1)) === '#ffffff', 'Grayscale white');
+});
+
+test('composePreview should place the sides next to each other at the given resolution', async () => {
+  const image = await composePreview([filledPage(rgb(1, 0, 0)), filledPage(rgb(0, 0, 1))], { dpi: 100, gap: 36 });
+  const { width, height, format } = await sharp(image).metadata();
+  
+  assert(format === 'png', `Expected PNG, got ${format}`);
+  // 72 + 36 + 72 pt = 2.5 in, 36 pt = 0.5 in
+  assert(width === 250 && height === 50, `Unexpected size ${width} × ${height}`);
+  
+  const { data, info } = await sharp(image).raw().toBuffer({ resolveWithObject: true });
+  const pixel = (x, y) => Array.from(data.subarray((y * info.width + x) * info.channels, (y * info.width + x) * info.channels + 3));
+  assert(pixel(50, 25).join() === '255,0,0', 'Front side should be on the left');
+  assert(pixel(200, 25).join() === '0,0,255', 'Back side should be on the right');
+});
+
+test('composePreview should write JPEG mockups and reject unknown formats', async () => {
+  const image = await composePreview([filledPage(rgb(1, 1, 1))], { format: 'jpg', mockup: true, padding: 18 });
+  const { format, width } = await sharp(image).metadata();
+  
+  assert(format === 'jpeg', `Expected JPEG, got ${format}`);
+  assert(width === Math.round((72 + 36) / 72 * 150), `Unexpected width ${width}`);
+  
+  try {
+    await composePreview([filledPage(rgb(1, 1, 1))], { format: 'gif' });
+    assert(false, 'Should reject unsupported format');
+  } catch (error) {
+    assert(error.message.includes('Vorschauformat'), 'Should name the unsupported format');
+  }
+});
+
+// Run tests
+const success = await run();
+process.exit(success ? 0 : 1);
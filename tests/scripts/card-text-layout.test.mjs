@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+/**
+ * Tests for card-text-layout.mjs
+ */
+
+import { wrapText, measureLines, fitText } from '../../scripts/card-text-layout.mjs';
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+async function runTests() {
+  const results = [];
+  
+  function test(name, fn) {
+    results.push({ name, fn });
+  }
+  
+  async function run() {
+    console.log('\nCard Text Layout Tests\n');
+    let passed = 0;
+    let failed = 0;
+    
+    for (const { name, fn } of results) {
+      try {
+        await fn();
+        console.log(`✓ ${name}`);
+        passed++;
+      } catch (error) {
+        console.error(`✗ ${name}: ${error.message}`);
+        failed++;
+      }
+    }
+    
+    console.log(`\nTests: ${passed} passed, ${failed} failed`);
+    return failed === 0;
+  }
+  
+  return { test, run };
+}
+
+const { test, run } = await runTests();
+
+// Monospaced stand-in for a pdf-lib font: every character is half the font size wide
+const font = {
+  widthOfTextAtSize: (text, size) => text.length * size * 0.5,
+};
+
+test('wrapText should break at word boundaries within the width', () => {
+  const lines = wrapText('Senior Software Engineer', font, 10, 80);
+  
+  assert(lines.length === 2, `Expected 2 lines, got ${lines.length}`);
+  assert(lines[0] === 'Senior Software', `Unexpected first line: ${lines[0]}`);
+  assert(measureLines(lines, font, 10) <= 80, 'Lines should fit the width');
+});
+
+test('fitText should shrink a single line before wrapping', () => {
+  // 20 characters need 100pt at 10pt, 90pt at 9pt
+  const result = fitText('Geschäftsführerin AB', font, { maxWidth: 90, size: 10, minSize: 8, maxLines: 2 });
+  
+  assert(result.fits, 'Text should fit');
+  assert(result.lines.length === 1, 'Text should stay on one line');
+  assert(result.size === 9, `Expected size 9, got ${result.size}`);
+});
+
+test('fitText should wrap when the minimum size is not enough', () => {
+  const result = fitText('Head of Brand and Communication', font, { maxWidth: 90, size: 10, minSize: 9, maxLines: 2 });
+  
+  assert(result.fits, 'Text should fit on two lines');
+  assert(result.lines.length === 2, `Expected 2 lines, got ${result.lines.length}`);
+  assert(result.size === 10, 'Wrapping should use the largest size that fits');
+});
+
+test('fitText should report text that cannot fit', () => {
+  const result = fitText('maximilian.mustermann@example.com', font, { maxWidth: 60, size: 7, minSize: 6 });
+  
+  assert(!result.fits, 'Overlong single word should not fit');
+  assert(result.size === 6, 'Should report the minimum size');
+  assert(result.width > 60, 'Should report the measured width');
+});
+
+const success = await run();
+process.exit(success ? 0 : 1);
@@ -0,0 +1,234 @@
+#!/usr/bin/env node
+/**
+ * Tests for contact-import.mjs
+ */
+
+import {
+  parseCsv,
+  csvRowsToContacts,
+  csvRowsToEntries,
+  vCardToEntries,
+  ldifToEntries,
+  importContactsFromFile,
+  loadContactsFromFile,
+} from '../../scripts/contact-import.mjs';
+import { generateVCard } from '../../scripts/vcard.mjs';
+import { writeFileSync, existsSync, mkdirSync } from 'fs';
+import { join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const projectRoot = resolve(__dirname, '../..');
+const testOutputDir = join(projectRoot, 'tests', 'output');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+async function runTests() {
+  const results = [];
+  
+  function test(name, fn) {
+    results.push({ name, fn });
+  }
+  
+  async function run() {
+    console.log('\nContact Import Module Tests\n');
+    let passed = 0;
+    let failed = 0;
+    
+    for (const { name, fn } of results) {
+      try {
+        await fn();
+        console.log(`✓ ${name}`);
+        passed++;
+      } catch (error) {
+        console.error(`✗ ${name}: ${error.message}`);
+        failed++;
+      }
+    }
+    
+    console.log(`\nTests: ${passed} passed, ${failed} failed`);
+    return failed === 0;
+  }
+  
+  return { test, run };
+}
+
+const { test, run } = await runTests();
+
+test('parseCsv should handle quoted cells with delimiters, quotes and line breaks', () => {
+  const rows = parseCsv('name,position\n"Schmidt, Anna","Lead ""Dev""\nBerlin"\n');
+  assert(rows.length === 2, `Expected 2 rows, got ${rows.length}`);
+  assert(rows[1][0] === 'Schmidt, Anna', 'Quoted delimiter should stay in the cell');
+  assert(rows[1][1] === 'Lead "Dev"\nBerlin', 'Escaped quotes and line breaks should be kept');
+});
+
+test('parseCsv should detect semicolon delimiter and skip blank lines', () => {
+  const rows = parseCsv('Name;E-Mail\r\nMax;max@kieks.me\r\n\r\n');
+  assert(rows.length === 2, 'Blank line should be dropped');
+  assert(rows[1][1] === 'max@kieks.me', 'Semicolon should be used as delimiter');
+});
+
+test('csvRowsToContacts should map German headers and social media cells', () => {
+  const contacts = csvRowsToContacts([
+    ['Name', 'E-Mail', 'PLZ', 'Unbekannt', 'socialMedia'],
+    ['Max Mustermann', 'max@kieks.me', '12345', 'ignored', 'LinkedIn=https://linkedin.com/in/max|GitHub=https://github.com/max'],
+  ]);
+  assert(contacts.length === 1, 'Should return one contact');
+  assert(contacts[0].email === 'max@kieks.me', 'E-Mail should map to email');
+  assert(contacts[0].postalCode === '12345', 'PLZ should map to postalCode');
+  assert(!('Unbekannt' in contacts[0]), 'Unknown columns should be ignored');
+  assert(contacts[0].socialMedia.length === 2, 'Should parse two social media entries');
+  assert(contacts[0].socialMedia[1].name === 'GitHub', 'Should keep social media names');
+});
+
+test('loadContactsFromFile should read JSON arrays and contacts objects', () => {
+  if (!existsSync(testOutputDir)) {
+    mkdirSync(testOutputDir, { recursive: true });
+  }
+  const arrayPath = join(testOutputDir, 'import-array.json');
+  const objectPath = join(testOutputDir, 'import-object.json');
+  writeFileSync(arrayPath, JSON.stringify([{ name: 'A' }, { name: 'B' }]));
+  writeFileSync(objectPath, JSON.stringify({ contacts: [{ name: 'C' }] }));
+  
+  assert(loadContactsFromFile(arrayPath).length === 2, 'Should read JSON array');
+  assert(loadContactsFromFile(objectPath)[0].name === 'C', 'Should read contacts property');
+  
+  const brokenPath = join(testOutputDir, 'import-broken.json');
+  writeFileSync(brokenPath, JSON.stringify([{ name: 'A' }, null]));
+  try {
+    loadContactsFromFile(brokenPath);
+    assert(false, 'Should reject entries that are not objects');
+  } catch (error) {
+    assert(error.message.includes('Eintrag 2 ist kein Objekt'), `Unexpected error: ${error.message}`);
+  }
+});
+
+test('loadContactsFromFile should reject missing files and unsupported formats', () => {
+  const textPath = join(testOutputDir, 'import.txt');
+  writeFileSync(textPath, 'name\nMax');
+  
+  try {
+    loadContactsFromFile(join(testOutputDir, 'does-not-exist.csv'));
+    assert(false, 'Should throw for missing file');
+  } catch (error) {
+    assert(error.message.includes('nicht gefunden'), 'Should report missing file');
+  }
+  
+  try {
+    loadContactsFromFile(textPath);
+    assert(false, 'Should throw for unsupported format');
+  } catch (error) {
+    assert(error.message.includes('Nicht unterstütztes Dateiformat'), 'Should report unsupported format');
+  }
+});
+
+test('vCardToEntries should read generated vCards and report unmapped properties', () => {
+  ['3.0', '4.0'].forEach((version) => {
+    const vcard = generateVCard({
+      name: 'Anna Schmidt',
+      position: 'Lead Developer',
+      email: 'anna@kieks.me',
+      phone: '030 1234567',
+      mobile: '0171 1234567',
+      address: 'Beispielweg 45',
+      postalCode: '54321',
+      city: 'München',
+      country: 'Deutschland',
+      socialMedia: [{ name: 'GitHub', url: 'https://github.com/annaschmidt' }],
+    }, { version });
+    const [{ contact, unmapped }] = vCardToEntries(vcard);
+
+    assert(contact.name === 'Anna Schmidt' && contact.familyName === 'Schmidt', `${version}: name should be read`);
+    assert(contact.phone === '+49301234567', `${version}: landline should be read, got ${contact.phone}`);
+    assert(contact.mobile === '+491711234567', `${version}: mobile should be read, got ${contact.mobile}`);
+    assert(contact.city === 'München' && contact.postalCode === '54321', `${version}: address should be read`);
+    assert(contact.socialMedia[0].name === 'GitHub', `${version}: profile URLs should become social media entries`);
+    assert(unmapped.join() === 'ORG', `${version}: ORG should be reported, got ${unmapped.join()}`);
+  });
+});
+
+test('vCardToEntries should prefer work values and report the rest', () => {
+  const [{ contact, unmapped }] = vCardToEntries([
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    'FN:Max Mustermann',
+    'EMAIL;TYPE=HOME:max@privat.de',
+    'EMAIL;TYPE=WORK:max@kieks.me',
+    'TEL;TYPE=FAX:030 999',
+    'NOTE:Erster\\, zweiter',
+    'item1.URL:https://kieks.me',
+    'END:VCARD',
+  ].join('\r\n'));
+
+  assert(contact.email === 'max@kieks.me', 'Work email should win');
+  assert(contact.website === 'https://kieks.me', 'Grouped URL should be read');
+  assert(unmapped.join() === 'EMAIL,TEL,NOTE', `Unexpected unmapped fields: ${unmapped.join()}`);
+});
+
+test('ldifToEntries should read Thunderbird exports with base64 and folded values', () => {
+  const entries = ldifToEntries([
+    'version: 1',
+    '',
+    'dn: cn=Max Mustermann,mail=max@kieks.me',
+    'objectclass: inetOrgPerson',
+    'cn: Max Mustermann',
+    'mail: max@kieks.me',
+    'mobile: +49 171 1234567',
+    'street:: TXVzdGVyc3RyYcOfZSAxMjM=',
+    'l: Berl',
+    ' in',
+    'mozillaNickname: maxi',
+    '',
+    'dn: cn=Anna',
+    'givenName: Anna',
+    'sn: Schmidt',
+  ].join('\n'));
+
+  assert(entries.length === 2, `Expected 2 records, got ${entries.length}`);
+  assert(entries[0].contact.address === 'Musterstraße 123', 'Base64 values should be decoded');
+  assert(entries[0].contact.city === 'Berlin', 'Folded lines should be joined');
+  assert(entries[0].unmapped.join() === 'mozillaNickname', `Unexpected unmapped fields: ${entries[0].unmapped.join()}`);
+  assert(entries[1].contact.name === 'Anna Schmidt', 'Name should be built from given and family name');
+});
+
+test('csvRowsToEntries should recognize Google and Outlook exports', () => {
+  const google = csvRowsToEntries(parseCsv([
+    'First Name,Last Name,Organization Name,Organization Title,E-mail 1 - Label,E-mail 1 - Value,Phone 1 - Label,Phone 1 - Value,Phone 2 - Label,Phone 2 - Value,Address 1 - Label,Address 1 - City,Website 1 - Label,Website 1 - Value,Labels',
+    'Erika,Muster,kieks.me GbR,Designerin,* Work,erika@kieks.me ::: erika@privat.de,Mobile,0171 7654321,Work,030 7654321,Work,Berlin,Profile,https://github.com/erika,* myContacts',
+  ].join('\n')));
+  const [{ contact, unmapped }] = google.entries;
+
+  assert(google.format === 'google', `Expected Google export, got ${google.format}`);
+  assert(contact.name === 'Erika Muster' && contact.position === 'Designerin', 'Name and title should be mapped');
+  assert(contact.mobile === '0171 7654321' && contact.phone === '030 7654321', 'Phone labels should decide the field');
+  assert(contact.socialMedia[0].url === 'https://github.com/erika', 'Profile URL should become a social media entry');
+  assert(unmapped.join() === 'Organization Name,E-mail 1 - Value (weitere Werte)', `Unexpected unmapped fields: ${unmapped.join()}`);
+
+  const outlook = csvRowsToEntries(parseCsv([
+    'Vorname;Nachname;Firma;Position;Telefon geschäftlich;Telefon privat;E-Mail-Adresse',
+    'Hans;Meier;ACME;Berater;0341 123456;0341 999;hans@example.com',
+  ].join('\n')));
+
+  assert(outlook.format === 'outlook', `Expected Outlook export, got ${outlook.format}`);
+  assert(outlook.entries[0].contact.name === 'Hans Meier', 'German Outlook headers should be mapped');
+  assert(outlook.entries[0].unmapped.join() === 'Firma,Telefon privat', `Unexpected unmapped fields: ${outlook.entries[0].unmapped.join()}`);
+});
+
+test('importContactsFromFile should pick the importer by extension', () => {
+  const vcardPath = join(testOutputDir, 'import.vcf');
+  writeFileSync(vcardPath, generateVCard({ name: 'Tom Weber', email: 'tom@kieks.me' }));
+  const imported = importContactsFromFile(vcardPath);
+
+  assert(imported.formatName === 'vCard', `Expected vCard, got ${imported.formatName}`);
+  assert(imported.entries[0].contact.email === 'tom@kieks.me', 'Contact should be imported');
+  assert(loadContactsFromFile(vcardPath)[0].name === 'Tom Weber', 'loadContactsFromFile should return the contacts');
+});
+
+const success = await run();
+process.exit(success ? 0 : 1);
@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+/**
+ * Tests for contact-schema.mjs
+ */
+
+import {
+  validateContactRecord,
+  migrateContactRecord,
+  CONTACT_SCHEMA_VERSION,
+} from '../../scripts/contact-schema.mjs';
+import { sampleContacts } from '../../scripts/sample-data.mjs';
+import { validateContactData } from '../../scripts/misc-cli-utils.mjs';
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+async function runTests() {
+  const results = [];
+  
+  function test(name, fn) {
+    results.push({ name, fn });
+  }
+  
+  async function run() {
+    console.log('\nContact Schema Tests\n');
+    let passed = 0;
+    let failed = 0;
+    
+    for (const { name, fn } of results) {
+      try {
+        await fn();
+        console.log(`✓ ${name}`);
+        passed++;
+      } catch (error) {
+        console.error(`✗ ${name}: ${error.message}`);
+        failed++;
+      }
+    }
+    
+    console.log(`\nTests: ${passed} passed, ${failed} failed`);
+    return failed === 0;
+  }
+  
+  return { test, run };
+}
+
+const { test, run } = await runTests();
+
+test('sample contacts should match the schema', () => {
+  sampleContacts.forEach((contact) => {
+    const { isValid, errors } = validateContactRecord(contact);
+    assert(isValid, `${contact.name}: ${errors.join(', ')}`);
+  });
+});
+
+test('validateContactRecord should report errors per field', () => {
+  const { isValid, errors } = validateContactRecord({
+    name: ' ',
+    email: 'max@',
+    website: 'https://',
+    socialMedia: [{ name: 'GitHub', url: 'not a url' }, { url: 'https://x.com/max' }],
+    format: 'a7',
+    nickname: 'Maxi',
+  });
+  const expected = [
+    'name: darf nicht leer sein',
+    'email: ist keine gültige E-Mail-Adresse',
+    'socialMedia[0].url: ist keine gültige URL',
+    'socialMedia[1].name: fehlt',
+    'format: "a7" ist nicht erlaubt',
+    'nickname: unbekanntes Feld',
+  ];
+  
+  assert(!isValid, 'Record should be invalid');
+  expected.forEach((message) => {
+    assert(errors.some((errorMessage) => errorMessage.startsWith(message)), `Missing "${message}" in ${errors.join(' | ')}`);
+  });
+  assert(validateContactRecord({}).errors[0] === 'name: fehlt', 'Should require a name');
+});
+
+test('validateContactData should accept a company name for the vCard', () => {
+  const validation = validateContactData({ name: 'Max Mustermann', companyName: 'Beispiel AG' });
+  assert(validation.isValid, `Company name should be valid: ${validation.errors.join(' | ')}`);
+  assert(!validateContactData({ name: 'Max', companyName: 42 }).isValid, 'Company name should be text');
+});
+
+test('migrateContactRecord should turn a legacy socialMedia string into entries', () => {
+  const legacy = { name: 'Max', socialMedia: 'LinkedIn: linkedin.com/in/max, Blog' };
+  const { record, fromVersion, changes } = migrateContactRecord(legacy);
+  
+  assert(fromVersion === 0 && record.schemaVersion === CONTACT_SCHEMA_VERSION, 'Should upgrade to the current version');
+  assert(JSON.stringify(record.socialMedia) === JSON.stringify([
+    { name: 'LinkedIn', url: 'https://linkedin.com/in/max' },
+    { name: 'Blog', url: '' },
+  ]), `Unexpected entries: ${JSON.stringify(record.socialMedia)}`);
+  assert(changes.length === 1 && changes[0].startsWith('socialMedia'), 'Should report the change');
+  assert(validateContactRecord(legacy).errors[0].includes('veraltetes Format'), 'Unmigrated record should point to the migration');
+  assert(validateContactRecord(record).isValid, 'Migrated record should be valid');
+});
+
+test('migrateContactRecord should keep current records and reject newer ones', () => {
+  const current = { schemaVersion: CONTACT_SCHEMA_VERSION, name: 'Max' };
+  
+  assert(migrateContactRecord(current).changes.length === 0, 'Current records need no changes');
+  try {
+    migrateContactRecord({ schemaVersion: CONTACT_SCHEMA_VERSION + 1, name: 'Max' });
+    assert(false, 'Should reject newer versions');
+  } catch (error) {
+    assert(error.message.includes('nicht unterstützt'), `Unexpected error: ${error.message}`);
+  }
+});
+
+// Run tests
+const success = await run();
+process.exit(success ? 0 : 1);
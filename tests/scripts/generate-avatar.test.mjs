@@ -0,0 +1,254 @@
+#!/usr/bin/env node
+/**
+ * Tests for generate-avatar.mjs
+ */
+
+import {
+  generateAvatar,
+  generateAvatarBatch,
+  planAvatarBatch,
+  formatAvatarFileName,
+  getAvatarFileName,
+} from '../../scripts/generate-avatar.mjs';
+import { readFileSync, writeFileSync, copyFileSync, existsSync, mkdirSync, rmSync } from 'fs';
+import { createHash } from 'crypto';
+import { join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import sharp from 'sharp';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const projectRoot = resolve(__dirname, '../..');
+const testPortraitDir = join(projectRoot, 'tests', 'output', 'avatar-portraits');
+const testOutputDir = join(projectRoot, 'tests', 'output', 'avatars');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+async function runTests() {
+  const results = [];
+
+  function test(name, fn) {
+    results.push({ name, fn });
+  }
+
+  async function run() {
+    console.log('\nAvatar Generator Tests\n');
+    let passed = 0;
+    let failed = 0;
+
+    for (const { name, fn } of results) {
+      try {
+        await fn();
+        console.log(`✓ ${name}`);
+        passed++;
+      } catch (error) {
+        console.error(`✗ ${name}: ${error.message}`);
+        failed++;
+      }
+    }
+
+    console.log(`\nTests: ${passed} passed, ${failed} failed`);
+    return failed === 0;
+  }
+
+  return { test, run };
+}
+
+const { test, run } = await runTests();
+
+test('formatAvatarFileName should fill the pattern placeholders', () => {
+  const avatar = { person: 'anna', color: 'navy', size: 256, grayscale: true };
+  assert(formatAvatarFileName('avatar-{person}-{color}-{size}{grayscale}.png', avatar) === 'avatar-anna-navy-256-grayscale.png',
+    'All placeholders should be filled');
+  assert(formatAvatarFileName('{person}/{size}.png', { ...avatar, grayscale: false }) === 'anna/256.png',
+    'Patterns may contain folders');
+  try {
+    formatAvatarFileName('{name}-{size}.png', avatar);
+    assert(false, 'Should reject unknown placeholders');
+  } catch (error) {
+    assert(error.message.includes('{name}'), `Unexpected error: ${error.message}`);
+  }
+});
+
+test('getAvatarFileName should only name mask and shadow style if they differ from the defaults', () => {
+  assert(getAvatarFileName({ person: 'anna', color: 'aqua', size: 512 }) === 'avatar-anna-aqua-512.png', 'Defaults should not be named');
+  assert(getAvatarFileName({ color: 'aqua', size: 512, shadow: 'classic' }) === 'avatar-aqua-512.png', 'The default shadow style should not be named');
+  assert(getAvatarFileName({ color: 'navy', size: 64, grayscale: true, mask: 'circle', shadow: 'soft', formats: ['jpeg', 'png'] }) === 'avatar-navy-64-grayscale-circle-soft.jpg',
+    'Grayscale, mask, shadow style and first format should be named');
+  assert(getAvatarFileName({ color: 'navy', size: 64, shadow: 'soft', withShadow: false }) === 'avatar-navy-64.png', 'Avatars without shadow should not name a style');
+});
+
+test('planAvatarBatch should plan every combination and reject colliding file names', () => {
+  const options = {
+    colors: ['aqua', 'navy'],
+    sizes: [256, 512],
+    variants: ['color', 'grayscale'],
+    withShadow: true,
+    outputDir: testOutputDir,
+    pattern: 'avatar-{person}-{color}-{size}{grayscale}.png',
+  };
+  const jobs = planAvatarBatch(['/portraits/anna.png', '/portraits/max.png'], options);
+  assert(jobs.length === 16, `Expected 2 × 2 × 2 × 2 jobs, got ${jobs.length}`);
+  assert(new Set(jobs.map((job) => job.outputPath)).size === 16, 'Every job should get its own file');
+
+  try {
+    planAvatarBatch(['/portraits/anna.png'], { ...options, pattern: 'avatar-{person}-{size}.png' });
+    assert(false, 'Should reject a pattern without all varying placeholders');
+  } catch (error) {
+    assert(error.message.includes('mehrfach'), `Unexpected error: ${error.message}`);
+  }
+
+  try {
+    planAvatarBatch(['/portraits/anna.png'], { ...options, sizes: [32] });
+    assert(false, 'Should reject sizes below avatarGenerator.sizeLimits');
+  } catch (error) {
+    assert(error.message.includes('Ungültige Größe: 32'), `Unexpected error: ${error.message}`);
+  }
+});
+
+test('generateAvatarBatch should write all avatars and a manifest with dimensions and hashes', async () => {
+  rmSync(testPortraitDir, { recursive: true, force: true });
+  rmSync(testOutputDir, { recursive: true, force: true });
+  mkdirSync(testPortraitDir, { recursive: true });
+  copyFileSync(join(projectRoot, 'source', 'avatars', 'kieksme-avatar-tschoene.png'), join(testPortraitDir, 'thomas.png'));
+  writeFileSync(join(testPortraitDir, 'notes.txt'), 'not a portrait', 'utf8');
+
+  const result = await generateAvatarBatch(testPortraitDir, {
+    outputDir: testOutputDir,
+    colors: ['aqua', 'fuchsia'],
+    sizes: [64],
+    concurrency: 2,
+  });
+
+  assert(result.failed.length === 0, `No avatar should fail: ${JSON.stringify(result.failed)}`);
+  assert(result.avatars.length === 4, `Expected 2 colors × 1 size × 2 variants, got ${result.avatars.length}`);
+  assert(existsSync(join(testOutputDir, 'avatar-thomas-fuchsia-64-grayscale.png')), 'Grayscale variant should be written');
+
+  const manifest = JSON.parse(readFileSync(result.manifestPath, 'utf8'));
+  assert(manifest.avatars.length === 4, 'Manifest should list every avatar');
+  for (const avatar of manifest.avatars) {
+    const bytes = readFileSync(join(testOutputDir, avatar.file));
+    const { width, height } = await sharp(bytes).metadata();
+    assert(avatar.width === width && avatar.height === height && width === 64, `${avatar.file}: wrong dimensions`);
+    assert(avatar.sha256 === createHash('sha256').update(bytes).digest('hex'), `${avatar.file}: wrong hash`);
+  }
+});
+
+test('generateAvatarBatch should not leave the files of a failed job behind', async () => {
+  const outputDir = join(testOutputDir, 'partial');
+  rmSync(outputDir, { recursive: true, force: true });
+  // A directory in place of the WebP file makes the job fail after the PNG is written
+  mkdirSync(join(outputDir, 'avatar-thomas-aqua-64.webp'), { recursive: true });
+
+  const result = await generateAvatarBatch(testPortraitDir, {
+    outputDir,
+    colors: ['aqua'],
+    sizes: [64],
+    variants: ['color'],
+    formats: ['png', 'webp'],
+  });
+
+  assert(result.failed.length === 1 && result.avatars.length === 0, `The job should fail: ${JSON.stringify(result)}`);
+  assert(!existsSync(join(outputDir, 'avatar-thomas-aqua-64.png')), 'The PNG of the failed job should be removed');
+  const manifest = JSON.parse(readFileSync(result.manifestPath, 'utf8'));
+  assert(manifest.avatars.length === 0, 'Manifest should not list files of the failed job');
+});
+
+test('generateAvatar should make pixels outside the mask transparent', async () => {
+  const portraitPath = join(projectRoot, 'source', 'avatars', 'kieksme-avatar-tschoene.png');
+  const alphaAt = async (file, x, y) => {
+    const { data, info } = await sharp(file).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+    return data[(y * info.width + x) * info.channels + 3];
+  };
+
+  for (const mask of ['circle', 'rounded', 'squircle']) {
+    const outputPath = join(testOutputDir, `mask-${mask}.png`);
+    await generateAvatar(portraitPath, 'navy', 64, outputPath, false, true, { mask });
+    assert(await alphaAt(outputPath, 0, 0) === 0, `${mask}: corner should be transparent`);
+    assert(await alphaAt(outputPath, 32, 32) === 255, `${mask}: center should be opaque`);
+    assert(await alphaAt(outputPath, 32, 1) > 0, `${mask}: edge center should be visible`);
+  }
+
+  try {
+    await generateAvatar(portraitPath, 'navy', 64, join(testOutputDir, 'mask-star.png'), false, true, { mask: 'star' });
+    assert(false, 'Should reject unknown masks');
+  } catch (error) {
+    assert(error.message.includes('Unbekannte Maske'), `Unexpected error: ${error.message}`);
+  }
+});
+
+test('generateAvatar should draw the layers of the shadow style', async () => {
+  const portraitPath = join(projectRoot, 'source', 'avatars', 'kieksme-avatar-tschoene.png');
+  const countColor = async (file, [r, g, b]) => {
+    const { data, info } = await sharp(file).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+    let count = 0;
+    for (let i = 0; i < data.length; i += info.channels) {
+      count += data[i] === r && data[i + 1] === g && data[i + 2] === b ? 1 : 0;
+    }
+    return count;
+  };
+  const navy = [0x1e, 0x2a, 0x45];
+  const fuchsia = [0xff, 0x00, 0x8f];
+
+  const classicPath = join(testOutputDir, 'shadow-classic.png');
+  await generateAvatar(portraitPath, 'aqua', 128, classicPath, false, true, { shadow: 'classic' });
+  assert(await countColor(classicPath, navy) > 0, 'Classic shadow should use the first other brand color');
+  assert(await countColor(classicPath, fuchsia) === 0, 'Classic shadow should have a single layer');
+
+  const doublePath = join(testOutputDir, 'shadow-double.png');
+  await generateAvatar(portraitPath, 'aqua', 128, doublePath, false, true, { shadow: 'double' });
+  assert(await countColor(doublePath, navy) > 0 && await countColor(doublePath, fuchsia) > 0, 'Double shadow should use both other brand colors');
+
+  const redPath = join(testOutputDir, 'shadow-red.png');
+  await generateAvatar(portraitPath, 'aqua', 128, redPath, false, true, { shadow: 'double', shadowColor: '#FF0000' });
+  assert(await countColor(redPath, [255, 0, 0]) > 0 && await countColor(redPath, fuchsia) === 0, 'Shadow color should replace the brand colors');
+
+  try {
+    await generateAvatar(portraitPath, 'aqua', 128, join(testOutputDir, 'shadow-x.png'), false, true, { shadow: 'neon' });
+    assert(false, 'Should reject unknown shadow styles');
+  } catch (error) {
+    assert(error.message.includes('Unbekannter Schattenstil'), `Unexpected error: ${error.message}`);
+  }
+});
+
+test('generateAvatar should write a responsive set in every format with a <picture> snippet', async () => {
+  const portraitPath = join(projectRoot, 'source', 'avatars', 'kieksme-avatar-tschoene.png');
+  const outputPath = join(testOutputDir, 'set', 'avatar-aqua-48.png');
+  rmSync(dirname(outputPath), { recursive: true, force: true });
+
+  const { files, snippet } = await generateAvatar(portraitPath, 'aqua', 48, outputPath, false, true, {
+    mask: 'circle',
+    formats: ['avif', 'webp', 'jpeg', 'png'],
+    densities: [1, 2, 3],
+    alt: 'Thomas <Schöne>',
+  });
+
+  assert(files.length === 12, `Expected 12 files, got ${files.length}`);
+  for (const file of files) {
+    const { format, width } = await sharp(file.path).metadata();
+    const expectedFormat = file.format === 'avif' ? 'heif' : file.format;
+    assert(format === expectedFormat, `${file.path}: expected ${expectedFormat}, got ${format}`);
+    assert(width === 48 * file.density, `${file.path}: expected ${48 * file.density}px, got ${width}px`);
+  }
+  assert(existsSync(join(testOutputDir, 'set', 'avatar-aqua-48@3x.webp')), 'Densities should be named @2x, @3x');
+  const { data } = await sharp(join(testOutputDir, 'set', 'avatar-aqua-48.jpg')).raw().toBuffer({ resolveWithObject: true });
+  assert(data[0] > 240 && data[1] > 240 && data[2] > 240, 'JPEG corners outside the mask should be filled with white');
+
+  const html = readFileSync(snippet, 'utf8');
+  assert(html.indexOf('image/avif') < html.indexOf('image/webp'), 'AVIF should be offered before WebP');
+  assert(html.includes('srcset="avatar-aqua-48.webp 1x, avatar-aqua-48@2x.webp 2x, avatar-aqua-48@3x.webp 3x"'), 'Sources should list every density');
+  assert(html.includes('<img src="avatar-aqua-48.png"') && html.includes('width="48" height="48"'), 'PNG should be the <img> fallback');
+  assert(html.includes('alt="Thomas &lt;Schöne&gt;"'), 'Alternative text should be HTML-escaped');
+
+  const single = await generateAvatar(portraitPath, 'aqua', 48, join(testOutputDir, 'set', 'single.webp'), false, true);
+  assert(single.files.length === 1 && single.files[0].format === 'webp' && single.snippet === null, 'The extension should give the format of a single file');
+});
+
+// Run tests
+const success = await run();
+process.exit(success ? 0 : 1);
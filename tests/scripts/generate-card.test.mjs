@@ -3,8 +3,17 @@
  * Tests for generate-card.mjs
  */
 
-import { generateBusinessCardWithPdfLib } from '../../scripts/generate-card.mjs';
-import { getSampleContact } from '../../scripts/sample-data.mjs';
+import {
+  generateBusinessCardWithPdfLib,
+  generateImpositionSheet,
+  computeImpositionLayout,
+  resolveCardFormat,
+  fillUrlTemplate,
+} from '../../scripts/generate-card.mjs';
+import { decodeQrCode } from '../../scripts/qr-code.mjs';
+import { getSampleContact, sampleContacts } from '../../scripts/sample-data.mjs';
+import { PDFDocument } from 'pdf-lib';
+import sharp from 'sharp';
 import { readFileSync, existsSync, mkdirSync } from 'fs';
 import { join, resolve } from 'path';
 import { fileURLToPath } from 'url';
@@ -74,6 +83,8 @@ test('should generate PDF files for sample contact', async () => {
   assert(existsSync(result.front), 'Front PDF should be created');
   assert(existsSync(result.back), 'Back PDF should be created');
   assert(existsSync(result.json), 'JSON file should be created');
+  assert(existsSync(result.vcard), 'vCard file should be created');
+  assert(readFileSync(result.vcard, 'utf8').startsWith('BEGIN:VCARD'), 'vCard file should contain a vCard');
   
   // Check file sizes (should not be empty)
   const frontStats = readFileSync(result.front);
@@ -106,6 +117,286 @@ test('should handle missing optional fields', async () => {
   assert(existsSync(result.back), 'Should generate back PDF');
 });
 
+test('should shrink or wrap long text to fit the card', async () => {
+  const result = await generateBusinessCardWithPdfLib({
+    name: 'Dr. Maximiliane Mustermann-Schmidt',
+    position: 'Senior Software Engineering Managerin',
+    email: 'maximiliane.m@kieks.me',
+  }, testOutputDir);
+  
+  assert(existsSync(result.front), 'Should generate front PDF for long text');
+});
+
+test('should fail validation naming the field that overflows the safe area', async () => {
+  const overflowOutputDir = join(testOutputDir, 'overflow');
+  try {
+    await generateBusinessCardWithPdfLib({
+      name: 'Test User',
+      email: 'maximilian.mustermann-schmidt@sehr-lange-domain.kieks.me',
+    }, overflowOutputDir);
+    assert(false, 'Should throw overflow error');
+  } catch (error) {
+    assert(error.message.includes('Validierungsfehler'), 'Should be a validation error');
+    assert(error.message.includes('(email)'), `Should name the email field: ${error.message}`);
+  }
+  assert(!existsSync(overflowOutputDir), 'Should reject the contact before writing any output');
+});
+
+test('should fail validation naming a social handle that overflows the safe area', async () => {
+  try {
+    await generateBusinessCardWithPdfLib({
+      name: 'Test User',
+      email: 'test@kieks.me',
+      socialMedia: [{ name: 'Mastodon', url: 'https://social.ein-sehr-langer-servername.example/@test.user.mit.langem.namen' }],
+    }, testOutputDir);
+    assert(false, 'Should throw overflow error');
+  } catch (error) {
+    assert(error.message.includes('Social Media (Mastodon)'), `Should name the network: ${error.message}`);
+  }
+});
+
+test('should render alternative layout templates', async () => {
+  const contact = getSampleContact('Max Mustermann') || sampleContacts[0];
+  const vertical = await generateBusinessCardWithPdfLib(contact, join(testOutputDir, 'vertical'), {
+    layout: 'vertical',
+    output: 'combined',
+  });
+  const pdfDoc = await PDFDocument.load(readFileSync(vertical.combined));
+  const { width, height } = pdfDoc.getPage(0).getSize();
+  
+  assert(height > width, 'Vertical layout should produce portrait pages');
+  
+  const light = await generateBusinessCardWithPdfLib(contact, join(testOutputDir, 'light'), { layout: 'light' });
+  assert(existsSync(light.front) && existsSync(light.back), 'Light layout should generate both sides');
+});
+
+test('should resolve card format presets in both orientations', () => {
+  const us = resolveCardFormat('us');
+  const portrait = resolveCardFormat('eu', 'portrait');
+  
+  assert(Math.abs(us.widthMm - 88.9) < 0.01 && Math.abs(us.heightMm - 50.8) < 0.01, 'US format should be 3.5 × 2 in');
+  assert(portrait.widthMm === 55 && portrait.heightMm === 85, 'Portrait should swap width and height');
+  
+  try {
+    resolveCardFormat('a7');
+    assert(false, 'Should throw for unknown formats');
+  } catch (error) {
+    assert(error.message.includes('Kartenformat'), 'Should report unknown format');
+  }
+});
+
+test('should generate the chosen format and record it in the contact JSON', async () => {
+  const contact = getSampleContact('Max Mustermann') || sampleContacts[0];
+  const result = await generateBusinessCardWithPdfLib(contact, join(testOutputDir, 'us'), {
+    format: 'us',
+    output: 'combined',
+  });
+  const pdfDoc = await PDFDocument.load(readFileSync(result.combined));
+  const { width, height } = pdfDoc.getPage(0).getSize();
+  const saved = JSON.parse(readFileSync(result.json, 'utf8'));
+  
+  assert(Math.abs(width - 3.5 * 72) < 0.1 && Math.abs(height - 2 * 72) < 0.1, `Unexpected page size ${width} × ${height}`);
+  assert(saved.format === 'us' && saved.orientation === 'landscape', 'Should record format and orientation');
+  assert(saved.schemaVersion === 1, 'Should record the schema version');
+});
+
+test('should fill QR URL templates with the contact slug and fields', () => {
+  const contact = { name: 'Jörg Müller', email: 'joerg@kieks.me' };
+  
+  assert(fillUrlTemplate('https://kieks.me/team/{slug}', contact) === 'https://kieks.me/team/joerg-mueller', 'Should insert the slug');
+  assert(fillUrlTemplate('kieks.me/?mail={email}', contact) === 'https://kieks.me/?mail=joerg%40kieks.me', 'Should encode fields');
+  try {
+    fillUrlTemplate('https://kieks.me/{phone}', contact);
+    assert(false, 'Should reject empty placeholders');
+  } catch (error) {
+    assert(error.message.includes('{phone}'), 'Should name the placeholder');
+  }
+});
+
+test('should encode the chosen QR payload', async () => {
+  const contact = getSampleContact('Max Mustermann') || sampleContacts[0];
+  const result = await generateBusinessCardWithPdfLib(contact, join(testOutputDir, 'qr-url'), {
+    qrPayload: 'url',
+    qrUrl: 'https://kieks.me/team/{slug}',
+    preview: { enabled: true, format: 'png', dpi: 300 },
+  });
+  const decoded = await decodeQrCode(result.preview);
+  
+  assert(decoded && decoded.toString() === 'https://kieks.me/team/max-mustermann', `Unexpected QR content: ${decoded}`);
+  
+  try {
+    await generateBusinessCardWithPdfLib(contact, join(testOutputDir, 'qr-url'), { qrPayload: 'sms' });
+    assert(false, 'Should reject unknown payloads');
+  } catch (error) {
+    assert(error.message.includes('QR-Inhalt'), 'Should report the payload');
+  }
+});
+
+test('should generate localized cards with the locale in the file names', async () => {
+  const contact = getSampleContact('Max Mustermann') || sampleContacts[0];
+  const result = await generateBusinessCardWithPdfLib(contact, join(testOutputDir, 'locale'), { locale: 'en' });
+  const saved = JSON.parse(readFileSync(result.json, 'utf8'));
+  const vcard = readFileSync(result.vcard, 'utf8');
+  
+  assert(result.front.endsWith('Max-Mustermann-en-front.pdf'), `Unexpected front path ${result.front}`);
+  assert(result.json.endsWith('Max-Mustermann-en.json') && saved.locale === 'en', 'Should record the locale');
+  assert(saved.country === contact.country, 'Contact JSON should keep the entered country');
+  assert(vcard.includes(';Germany'), 'vCard should use the English country name');
+  
+  const german = await generateBusinessCardWithPdfLib(saved, join(testOutputDir, 'locale'), { locale: 'de' });
+  assert(german.front.endsWith('Max-Mustermann-front.pdf'), 'Default locale should not add a suffix');
+  
+  try {
+    await generateBusinessCardWithPdfLib(contact, join(testOutputDir, 'locale'), { locale: 'xx' });
+    assert(false, 'Should reject unknown locales');
+  } catch (error) {
+    assert(error.message.includes('Sprache nicht gefunden'), `Should report the locale: ${error.message}`);
+  }
+});
+
+test('should write a preview image of both sides', async () => {
+  const contact = getSampleContact('Max Mustermann') || sampleContacts[0];
+  const result = await generateBusinessCardWithPdfLib(contact, join(testOutputDir, 'preview'), {
+    preview: { enabled: true, format: 'jpg', dpi: 72, mockup: true },
+  });
+  const { format, width, height } = await sharp(result.preview).metadata();
+  
+  assert(result.preview.endsWith('-preview.jpg'), `Unexpected preview path ${result.preview}`);
+  assert(format === 'jpeg', `Expected JPEG, got ${format}`);
+  // Two 89 × 59 mm sides with 5 mm gap and 5 mm padding at 72 dpi (1 px per point)
+  assert(Math.abs(width - (2 * 89 + 3 * 5) / 25.4 * 72) <= 1, `Unexpected width ${width}`);
+  assert(Math.abs(height - (59 + 2 * 5) / 25.4 * 72) <= 1, `Unexpected height ${height}`);
+});
+
+test('should write a finishing die registered to the front trim box', async () => {
+  const contact = getSampleContact('Max Mustermann') || sampleContacts[0];
+  const result = await generateBusinessCardWithPdfLib(contact, join(testOutputDir, 'finish'), {
+    print: true,
+    finish: 'embossing',
+    preview: { enabled: false },
+  });
+  const front = (await PDFDocument.load(readFileSync(result.front))).getPage(0);
+  const finishDoc = await PDFDocument.load(readFileSync(result.finish));
+  const die = finishDoc.getPage(0);
+  const separations = finishDoc.context.enumerateIndirectObjects()
+    .map(([, object]) => String(object))
+    .filter((object) => object.includes('/Separation'));
+  
+  assert(finishDoc.getPageCount() === 1, 'Die should have one page');
+  assert(JSON.stringify(die.getTrimBox()) === JSON.stringify(front.getTrimBox()), 'Die should share the trim box of the front');
+  assert(JSON.stringify(die.getMediaBox()) === JSON.stringify(front.getMediaBox()), 'Die should share the media box of the front');
+  assert(separations.length === 1 && separations[0].includes('/Embossing'), 'Logo should be in the embossing spot color');
+});
+
+test('should set trim and bleed boxes in print mode', async () => {
+  const testContact = getSampleContact('Tom Weber');
+  const printOutputDir = join(testOutputDir, 'print');
+  
+  const result = await generateBusinessCardWithPdfLib(testContact, printOutputDir, {
+    print: true,
+    cropMarks: true,
+  });
+  
+  const pdfDoc = await PDFDocument.load(readFileSync(result.front));
+  const page = pdfDoc.getPage(0);
+  const trimBox = page.getTrimBox();
+  const bleedBox = page.getBleedBox();
+  const mediaBox = page.getMediaBox();
+  
+  assert(trimBox.x === 0 && trimBox.y === 0, 'TrimBox should start at the origin');
+  assert(Math.abs(trimBox.width - 89 * 2.83465) < 0.01, 'TrimBox should match the card width');
+  assert(bleedBox.x < 0 && bleedBox.width > trimBox.width, 'BleedBox should extend beyond the trim');
+  assert(mediaBox.x < bleedBox.x && mediaBox.width > bleedBox.width, 'MediaBox should leave room for crop marks');
+});
+
+test('should write a combined two-page duplex PDF', async () => {
+  const testContact = getSampleContact('Max Mustermann');
+  const result = await generateBusinessCardWithPdfLib(testContact, testOutputDir, { output: 'combined' });
+  
+  assert(existsSync(result.combined), 'Duplex PDF should be created');
+  assert(!('front' in result) && !('back' in result), 'Separate files should not be reported');
+  
+  const pdfDoc = await PDFDocument.load(readFileSync(result.combined));
+  assert(pdfDoc.getPageCount() === 2, 'Duplex PDF should have front and back page');
+});
+
+test('should write separate and combined PDFs in both mode', async () => {
+  const testContact = getSampleContact('Max Mustermann');
+  const result = await generateBusinessCardWithPdfLib(testContact, testOutputDir, { output: 'both' });
+  
+  assert(existsSync(result.front) && existsSync(result.back), 'Separate PDFs should be created');
+  assert(existsSync(result.combined), 'Duplex PDF should be created');
+  
+  const frontDoc = await PDFDocument.load(readFileSync(result.front));
+  assert(frontDoc.getPageCount() === 1, 'Front PDF should have a single page');
+});
+
+test('should write byte-identical PDFs with metadata in deterministic mode', async () => {
+  const testContact = getSampleContact('Max Mustermann');
+  const options = { output: 'both', preview: { enabled: false } };
+  process.env.SOURCE_DATE_EPOCH = '1700000000';
+  try {
+    const first = await generateBusinessCardWithPdfLib(testContact, join(testOutputDir, 'deterministic-a'), options);
+    const second = await generateBusinessCardWithPdfLib(testContact, join(testOutputDir, 'deterministic-b'), options);
+    ['front', 'back', 'combined'].forEach((key) => {
+      assert(readFileSync(first[key]).equals(readFileSync(second[key])), `${key} PDF should be byte-identical`);
+    });
+
+    const pdfDoc = await PDFDocument.load(readFileSync(first.front), { updateMetadata: false });
+    assert(pdfDoc.getTitle() === 'Visitenkarte Max Mustermann', `Unexpected title: ${pdfDoc.getTitle()}`);
+    assert(pdfDoc.getAuthor() === 'kieks.me GbR', 'Author should be the company');
+    assert(pdfDoc.getSubject().includes('89 × 59 mm'), 'Subject should name the card format');
+    assert(pdfDoc.getKeywords().includes('Max Mustermann'), 'Keywords should contain the name');
+    assert(pdfDoc.getCreationDate().getTime() === 1700000000 * 1000, 'Creation date should come from SOURCE_DATE_EPOCH');
+    assert(pdfDoc.context.trailerInfo.ID, 'PDF should have a document ID');
+
+    process.env.SOURCE_DATE_EPOCH = 'gestern';
+    try {
+      await generateBusinessCardWithPdfLib(testContact, testOutputDir, options);
+      assert(false, 'Should reject an invalid SOURCE_DATE_EPOCH');
+    } catch (error) {
+      assert(error.message.includes('SOURCE_DATE_EPOCH'), `Unexpected error: ${error.message}`);
+    }
+  } finally {
+    delete process.env.SOURCE_DATE_EPOCH;
+  }
+});
+
+test('should compute imposition layout for A4 and SRA3', () => {
+  const a4 = computeImpositionLayout('a4');
+  const sra3 = computeImpositionLayout('sra3');
+  
+  assert(a4.perSheet === a4.columns * a4.rows, 'perSheet should equal columns × rows');
+  assert(a4.perSheet >= 8, `A4 should hold at least 8 cards, got ${a4.perSheet}`);
+  assert(sra3.perSheet > a4.perSheet, 'SRA3 should hold more cards than A4');
+  assert(a4.originX > 0 && a4.originY > 0, 'Card grid should keep a margin');
+});
+
+test('should fill an imposition sheet with one repeated contact', async () => {
+  const testContact = getSampleContact('Anna Schmidt');
+  const result = await generateImpositionSheet(testContact, testOutputDir, { sheet: 'a4' });
+  const pdfDoc = await PDFDocument.load(readFileSync(result.file));
+  
+  assert(result.sheets === 1, 'One contact should fill exactly one sheet');
+  assert(result.cards === result.perSheet, 'Sheet should be completely filled');
+  assert(pdfDoc.getPageCount() === 2, 'Sheet should have a front and a back page');
+  
+  try {
+    await generateImpositionSheet(testContact, testOutputDir, { sheet: 'a4', vcardVersion: '2.1' });
+    assert(false, 'Should reject an unsupported vCard version');
+  } catch (error) {
+    assert(error.message.includes('vCard-Version'), `Unexpected error: ${error.message}`);
+  }
+});
+
+test('should place a mixed batch of contacts on duplex sheets', async () => {
+  const result = await generateImpositionSheet(sampleContacts, testOutputDir, { sheet: 'a4', copies: 4 });
+  const pdfDoc = await PDFDocument.load(readFileSync(result.file));
+  
+  assert(result.cards === sampleContacts.length * 4, 'Each contact should be placed four times');
+  assert(pdfDoc.getPageCount() === result.sheets * 2, 'Every sheet should have a front and a back page');
+});
+
 // Run tests
 const success = await run();
 process.exit(success ? 0 : 1);
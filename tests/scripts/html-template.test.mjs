@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+/**
+ * Tests for html-template.mjs
+ */
+
+import { escapeHtml, renderTemplate } from '../../scripts/html-template.mjs';
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+async function runTests() {
+  const results = [];
+
+  function test(name, fn) {
+    results.push({ name, fn });
+  }
+
+  async function run() {
+    console.log('\nHTML Template Tests\n');
+    let passed = 0;
+    let failed = 0;
+
+    for (const { name, fn } of results) {
+      try {
+        await fn();
+        console.log(`✓ ${name}`);
+        passed++;
+      } catch (error) {
+        console.error(`✗ ${name}: ${error.message}`);
+        failed++;
+      }
+    }
+
+    console.log(`\nTests: ${passed} passed, ${failed} failed`);
+    return failed === 0;
+  }
+
+  return { test, run };
+}
+
+const { test, run } = await runTests();
+
+test('escapeHtml should escape markup characters', () => {
+  assert(escapeHtml('Tom & "Jerry" <b>') === 'Tom &amp; &quot;Jerry&quot; &lt;b&gt;', `Unexpected: ${escapeHtml('Tom & "Jerry" <b>')}`);
+  assert(escapeHtml(42) === '42', 'Numbers should become text');
+});
+
+test('renderTemplate should fill placeholders and drop blocks without a value', () => {
+  const template = '<p>{{name}}</p>{{#if phone}}<a href="tel:{{phone}}">{{phone}}</a>{{/if}}{{#if email}}<span>{{email}}</span>{{/if}}';
+  const html = renderTemplate(template, { name: 'Anna <Schmidt>', phone: '+4930123', email: '  ' });
+  assert(html === '<p>Anna &lt;Schmidt&gt;</p><a href="tel:+4930123">+4930123</a>', `Unexpected: ${html}`);
+  assert(renderTemplate('{{missing}}', {}) === '', 'Unknown placeholders should become empty');
+});
+
+test('renderTemplate should render else branches and raw markup', () => {
+  const template = '{{#if logo}}<div>{{{logo}}}</div>{{else}}<img src="{{logoPath}}">{{/if}}';
+  const svg = '<svg viewBox="0 0 1 1"></svg>';
+  assert(renderTemplate(template, { logo: svg }) === `<div>${svg}</div>`, 'Triple braces should insert markup unescaped');
+  assert(renderTemplate(template, { logoPath: 'logo.png' }) === '<img src="logo.png">', 'Blocks without a value should render the else part');
+});
+
+// Run tests
+const success = await run();
+process.exit(success ? 0 : 1);
@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+/**
+ * Tests for phone-number.mjs
+ */
+
+import { parsePhoneNumber, toE164, formatPhoneNumber } from '../../scripts/phone-number.mjs';
+import { validateContactRecord } from '../../scripts/contact-schema.mjs';
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+async function runTests() {
+  const results = [];
+  
+  function test(name, fn) {
+    results.push({ name, fn });
+  }
+  
+  async function run() {
+    console.log('\nPhone Number Tests\n');
+    let passed = 0;
+    let failed = 0;
+    
+    for (const { name, fn } of results) {
+      try {
+        await fn();
+        console.log(`✓ ${name}`);
+        passed++;
+      } catch (error) {
+        console.error(`✗ ${name}: ${error.message}`);
+        failed++;
+      }
+    }
+    
+    console.log(`\nTests: ${passed} passed, ${failed} failed`);
+    return failed === 0;
+  }
+  
+  return { test, run };
+}
+
+const { test, run } = await runTests();
+
+test('toE164 should normalize national and international numbers', () => {
+  const numbers = [
+    ['030 1234567', 'DE', '+49301234567'],
+    ['+49 (0)30 1234567', 'DE', '+49301234567'],
+    ['0049 30 12345-67', 'DE', '+49301234567'],
+    ['06221/12345', 'DE', '+49622112345'],
+    ['044 123 45 67', 'CH', '+41441234567'],
+    ['(212) 555-0100', 'US', '+12125550100'],
+    ['+352 123456', 'DE', '+352123456'],
+  ];
+  numbers.forEach(([phone, country, expected]) => {
+    assert(toE164(phone, country) === expected, `${phone}: expected ${expected}, got ${toE164(phone, country)}`);
+  });
+});
+
+test('formatPhoneNumber should group numbers following DIN 5008', () => {
+  const numbers = [
+    ['030 1234567', {}, '+49 30 1234567'],
+    ['01711234567', {}, '+49 171 1234567'],
+    ['+49 30 12345-67', {}, '+49 30 12345-67'],
+    ['044 123 45 67', { country: 'CH' }, '+41 44 1234567'],
+    ['+49 (0) 30 1234567', { style: 'national' }, '030 1234567'],
+    ['+41 44 1234567', { style: 'national' }, '+41 44 1234567'],
+    ['030 1234567', { style: 'original' }, '030 1234567'],
+  ];
+  numbers.forEach(([phone, options, expected]) => {
+    const formatted = formatPhoneNumber(phone, options);
+    assert(formatted === expected, `${phone}: expected ${expected}, got ${formatted}`);
+  });
+});
+
+test('parsePhoneNumber should list ambiguous readings and reject invalid numbers', () => {
+  assert(parsePhoneNumber('030 1234567', 'DE').ambiguities.length === 0, 'Clear numbers have no ambiguities');
+  assert(parsePhoneNumber('30 1234567', 'DE').ambiguities.length === 1, 'Missing trunk prefix or "+"');
+  assert(parsePhoneNumber('+49 030 1234567', 'DE').ambiguities[0].includes('führende 0'), 'Trunk prefix after the country code');
+  assert(parsePhoneNumber('062211234567', 'DE').ambiguities[0].includes('Vorwahl'), 'Area code without separator');
+  
+  ['030 CALL-NOW', '+49 30', '+49 30 1234567890123'].forEach((phone) => {
+    try {
+      parsePhoneNumber(phone, 'DE');
+      assert(false, `${phone} should be rejected`);
+    } catch (error) {
+      assert(!error.message.includes('should be rejected'), error.message);
+    }
+  });
+});
+
+test('validateContactRecord should flag ambiguous numbers as warnings', () => {
+  const validation = validateContactRecord({ name: 'Max', phone: '30 1234567', mobile: '0171 1234567', country: 'Deutschland' });
+  const invalid = validateContactRecord({ name: 'Max', phone: '030 CALL-NOW' });
+  
+  assert(validation.isValid, 'Ambiguous numbers are still valid');
+  assert(validation.warnings.length === 1 && validation.warnings[0].startsWith('phone: "30 1234567"'), 'Should name the number');
+  assert(!invalid.isValid && invalid.errors[0].startsWith('phone: ist keine gültige Telefonnummer'), 'Should reject invalid numbers');
+});
+
+// Run tests
+const success = await run();
+process.exit(success ? 0 : 1);
@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+/**
+ * Tests for qr-code.mjs
+ */
+
+import sharp from 'sharp';
+import {
+  createBrandedQrCode,
+  decodeQrCode,
+  chooseErrorCorrectionLevel,
+  QR_MODULE_SHAPES,
+} from '../../scripts/qr-code.mjs';
+import { generateVCard } from '../../scripts/vcard.mjs';
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+async function runTests() {
+  const results = [];
+  
+  function test(name, fn) {
+    results.push({ name, fn });
+  }
+  
+  async function run() {
+    console.log('\nQR Code Tests\n');
+    let passed = 0;
+    let failed = 0;
+    
+    for (const { name, fn } of results) {
+      try {
+        await fn();
+        console.log(`✓ ${name}`);
+        passed++;
+      } catch (error) {
+        console.error(`✗ ${name}: ${error.message}`);
+        failed++;
+      }
+    }
+    
+    console.log(`\nTests: ${passed} passed, ${failed} failed`);
+    return failed === 0;
+  }
+  
+  return { test, run };
+}
+
+const { test, run } = await runTests();
+
+const vCard = generateVCard({
+  name: 'Max Mustermann',
+  email: 'max.mustermann@kieks.me',
+  phone: '+49 123 456789',
+  position: 'Geschäftsführer',
+  website: 'https://kieks.me',
+});
+
+test('createBrandedQrCode should write a navy code with the logo that decodes to the payload', async () => {
+  const result = await createBrandedQrCode(vCard, { width: 600 });
+  
+  assert(result.svg.includes('fill="#1E2A45"'), 'Modules should be brand navy');
+  assert(result.svg.includes('viewBox="0 0 500 500"'), 'Logo should be nested into the code');
+  const { width, height } = await sharp(result.png).metadata();
+  assert(width === 600 && height === 600, `Unexpected PNG size ${width}×${height}`);
+  const decoded = await decodeQrCode(result.png);
+  assert(decoded && decoded.toString('utf8') === vCard, 'PNG should decode to the vCard');
+});
+
+test('createBrandedQrCode should keep every module shape scannable', async () => {
+  for (const moduleShape of QR_MODULE_SHAPES) {
+    const result = await createBrandedQrCode('https://kieks.me', { moduleShape, width: 400 });
+    assert(result.errorCorrectionLevel, `${moduleShape} should be verified`);
+  }
+});
+
+test('quiet zone should add empty modules around the symbol', async () => {
+  const result = await createBrandedQrCode('https://kieks.me', { quietZone: 2, logo: false, verify: false });
+  const total = result.modules + 4;
+  assert(result.svg.includes(`viewBox="0 0 ${total} ${total}"`), 'ViewBox should include the quiet zone');
+  assert(result.svg.includes('<rect x="2" y="2" width="1" height="1"/>'), 'Finder pattern should start after the quiet zone');
+});
+
+test('chooseErrorCorrectionLevel should raise the level for larger logos', () => {
+  assert(chooseErrorCorrectionLevel(vCard, 0) === 'L', 'Without logo the lowest level is enough');
+  const small = chooseErrorCorrectionLevel(vCard, 0.15);
+  const large = chooseErrorCorrectionLevel(vCard, 0.3);
+  assert('LMQH'.indexOf(large) > 'LMQH'.indexOf(small), `Expected higher level for larger logo: ${small} → ${large}`);
+});
+
+test('createBrandedQrCode should reject unknown options and unreadable codes', async () => {
+  const expectError = async (options, text) => {
+    try {
+      await createBrandedQrCode('https://kieks.me', options);
+      assert(false, `Should reject ${JSON.stringify(options)}`);
+    } catch (error) {
+      assert(error.message.includes(text), `Unexpected error: ${error.message}`);
+    }
+  };
+  
+  await expectError({ moduleShape: 'hearts' }, 'Modulform');
+  await expectError({ errorCorrectionLevel: 'X' }, 'Fehlerkorrekturstufe');
+  await expectError({ quietZone: -1 }, 'Ruhezone');
+  await expectError({ logoSize: 0.6, errorCorrectionLevel: 'L' }, 'nicht zuverlässig lesen');
+});
+
+// Run tests
+const success = await run();
+process.exit(success ? 0 : 1);
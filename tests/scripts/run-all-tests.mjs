@@ -13,7 +13,23 @@ const testsDir = __dirname;
 
 const testFiles = [
   'sample-data.test.mjs',
+  'contact-import.test.mjs',
+  'vcard.test.mjs',
+  'card-text-layout.test.mjs',
+  'card-layout.test.mjs',
+  'card-colors.test.mjs',
+  'card-finish.test.mjs',
+  'card-preview-image.test.mjs',
+  'qr-code.test.mjs',
+  'social-networks.test.mjs',
+  'phone-number.test.mjs',
+  'html-template.test.mjs',
+  'contact-schema.test.mjs',
+  'card-locale.test.mjs',
   'generate-card.test.mjs',
+  'team.test.mjs',
+  'avatar-framing.test.mjs',
+  'generate-avatar.test.mjs',
 ];
 
 async function runTest(file) {
@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+/**
+ * Tests for social-networks.mjs
+ */
+
+import { existsSync } from 'fs';
+import {
+  resolveSocialNetwork,
+  formatSocialHandle,
+  getCardSocialEntries,
+  SOCIAL_NETWORKS,
+} from '../../scripts/social-networks.mjs';
+import { loadSvgShapes } from '../../scripts/card-finish.mjs';
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+async function runTests() {
+  const results = [];
+  
+  function test(name, fn) {
+    results.push({ name, fn });
+  }
+  
+  async function run() {
+    console.log('\nSocial Networks Tests\n');
+    let passed = 0;
+    let failed = 0;
+    
+    for (const { name, fn } of results) {
+      try {
+        await fn();
+        console.log(`✓ ${name}`);
+        passed++;
+      } catch (error) {
+        console.error(`✗ ${name}: ${error.message}`);
+        failed++;
+      }
+    }
+    
+    console.log(`\nTests: ${passed} passed, ${failed} failed`);
+    return failed === 0;
+  }
+  
+  return { test, run };
+}
+
+const { test, run } = await runTests();
+
+test('resolveSocialNetwork should match names, aliases and profile hosts', () => {
+  assert(resolveSocialNetwork({ name: 'LinkedIn' }) === 'linkedin', 'Should match by name');
+  assert(resolveSocialNetwork({ name: 'Twitter', url: 'https://twitter.com/max' }) === 'x', 'Twitter should be X');
+  assert(resolveSocialNetwork({ name: 'Profil', url: 'www.github.com/max' }) === 'github', 'Should match by host');
+  assert(resolveSocialNetwork({ name: 'Blog', url: 'https://blog.kieks.me' }) === null, 'Unknown networks should not match');
+});
+
+test('formatSocialHandle should derive handles from profile URLs', () => {
+  const handles = [
+    [{ name: 'LinkedIn', url: 'https://www.linkedin.com/in/max-mustermann/' }, 'in/max-mustermann'],
+    [{ name: 'GitHub', url: 'github.com/max' }, 'max'],
+    [{ name: 'Mastodon', url: 'https://chaos.social/@max' }, '@max@chaos.social'],
+    [{ name: 'X', url: 'https://x.com/max' }, '@max'],
+    [{ name: 'Instagram', url: 'https://instagram.com/max.m' }, '@max.m'],
+    [{ name: 'GitHub', url: 'https://github.com/max', handle: 'maxm' }, 'maxm'],
+    [{ name: 'Mastodon', url: 'https://chaos.social/about' }, null],
+  ];
+  handles.forEach(([entry, expected]) => {
+    assert(formatSocialHandle(entry) === expected, `${entry.url}: expected ${expected}, got ${formatSocialHandle(entry)}`);
+  });
+});
+
+test('getCardSocialEntries should keep known networks with an icon', () => {
+  const entries = getCardSocialEntries({
+    socialMedia: [
+      { name: 'GitHub', url: 'https://github.com/anna' },
+      { name: 'Blog', url: 'https://anna.example' },
+      { name: 'LinkedIn', url: 'https://linkedin.com/in/anna' },
+    ],
+  });
+  
+  assert(entries.map((entry) => entry.network).join() === 'github,linkedin', 'Should keep known networks in order');
+  assert(getCardSocialEntries({ socialMedia: 'LinkedIn' }).length === 0, 'Legacy strings have no profile URL');
+});
+
+test('every known network should have a bundled single-path icon', () => {
+  Object.keys(SOCIAL_NETWORKS).forEach((id) => {
+    const { icon } = getCardSocialEntries({ socialMedia: [{ name: id, handle: 'x' }] })[0];
+    assert(existsSync(icon), `Missing icon ${icon}`);
+    // Holes are cut by opposite winding, which only works within one path
+    assert(loadSvgShapes(icon).shapes.length === 1, `${id} icon should be a single path`);
+  });
+});
+
+// Run tests
+const success = await run();
+process.exit(success ? 0 : 1);
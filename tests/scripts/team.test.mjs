@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+/**
+ * Tests for team.mjs
+ */
+
+import {
+  listTeamMembers,
+  loadTeamMember,
+  renderEmailFooter,
+  buildTeamMember,
+} from '../../scripts/team.mjs';
+import { readFileSync, writeFileSync, existsSync, mkdirSync, rmSync } from 'fs';
+import { join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const projectRoot = resolve(__dirname, '../..');
+const testTeamDir = join(projectRoot, 'tests', 'output', 'team-source');
+const testOutputDir = join(projectRoot, 'tests', 'output', 'team');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+async function runTests() {
+  const results = [];
+
+  function test(name, fn) {
+    results.push({ name, fn });
+  }
+
+  async function run() {
+    console.log('\nTeam Directory Tests\n');
+    let passed = 0;
+    let failed = 0;
+
+    for (const { name, fn } of results) {
+      try {
+        await fn();
+        console.log(`✓ ${name}`);
+        passed++;
+      } catch (error) {
+        console.error(`✗ ${name}: ${error.message}`);
+        failed++;
+      }
+    }
+
+    console.log(`\nTests: ${passed} passed, ${failed} failed`);
+    return failed === 0;
+  }
+
+  return { test, run };
+}
+
+const { test, run } = await runTests();
+
+const member = {
+  schemaVersion: 1,
+  name: 'Erika Beispiel',
+  position: 'Entwicklerin <Frontend>',
+  email: 'erika@kieks.me',
+  mobile: '0170 1234567',
+  country: 'Deutschland',
+  portrait: 'source/avatars/kieksme-avatar-tschoene.png',
+  locale: 'de',
+};
+
+function writeMember(data) {
+  mkdirSync(testTeamDir, { recursive: true });
+  writeFileSync(join(testTeamDir, 'erika-beispiel.json'), JSON.stringify(data, null, 2), 'utf8');
+}
+
+test('team directory members should be valid', () => {
+  const ids = listTeamMembers();
+  assert(ids.length > 0, 'Team directory should contain members');
+  ids.forEach((id) => loadTeamMember(id));
+});
+
+test('loadTeamMember should reject unknown members and missing portraits', () => {
+  writeMember({ ...member, portrait: 'source/avatars/missing.png' });
+  try {
+    loadTeamMember('erika-beispiel', testTeamDir);
+    assert(false, 'Should reject a missing portrait');
+  } catch (error) {
+    assert(error.message.includes('Portrait nicht gefunden'), `Unexpected error: ${error.message}`);
+  }
+  try {
+    loadTeamMember('nobody', testTeamDir);
+    assert(false, 'Should reject an unknown member');
+  } catch (error) {
+    assert(error.message.includes('Teammitglied nicht gefunden'), `Unexpected error: ${error.message}`);
+  }
+});
+
+test('renderEmailFooter should fill the footer template', () => {
+  const html = renderEmailFooter(member, { year: 2030 });
+
+  assert(html.includes('Erika Beispiel'), 'Footer should contain the name');
+  assert(html.includes('Entwicklerin &lt;Frontend&gt;'), 'Values should be HTML-escaped');
+  assert(html.includes('href="tel:+491701234567"'), 'Phone link should use E.164');
+  assert(html.includes('>+49 170 1234567</a>'), 'Phone should be shown following DIN 5008');
+  assert(html.includes('© 2030 kieks.me GbR'), 'Footer should contain year and company');
+  assert(!html.includes('{{'), 'All placeholders should be filled');
+});
+
+test('buildTeamMember should only rebuild artifacts whose inputs changed', async () => {
+  rmSync(testOutputDir, { recursive: true, force: true });
+  writeMember(member);
+  const options = {
+    teamDir: testTeamDir,
+    outputDir: testOutputDir,
+    avatars: [{ color: 'aqua', size: 64 }],
+    card: { preview: { enabled: false } },
+  };
+
+  const first = await buildTeamMember('erika-beispiel', options);
+  assert(Object.values(first.artifacts).every((status) => status === 'built'), 'First build should build everything');
+  assert(existsSync(join(first.dir, 'avatar-aqua-64.png')), 'Avatar should be generated');
+  assert(existsSync(join(first.dir, 'email-footer.html')), 'Email footer should be generated');
+  assert(readFileSync(join(first.dir, 'Erika-Beispiel.vcf'), 'utf8').includes('PHOTO;'), 'Avatar should be the vCard photo');
+
+  const second = await buildTeamMember('erika-beispiel', options);
+  assert(Object.values(second.artifacts).every((status) => status === 'unchanged'), 'Unchanged inputs should be skipped');
+
+  writeMember({ ...member, locale: 'en' });
+  const third = await buildTeamMember('erika-beispiel', options);
+  assert(third.artifacts.avatars === 'unchanged', 'Avatars do not depend on the locale');
+  assert(third.artifacts.card === 'built', 'Card should be rebuilt after a locale change');
+  assert(existsSync(join(third.dir, 'Erika-Beispiel-en-front.pdf')), 'English card should be generated');
+  assert(!existsSync(join(third.dir, 'Erika-Beispiel-front.pdf')), 'Files of the previous build should be removed');
+
+  const forced = await buildTeamMember('erika-beispiel', { ...options, force: true });
+  assert(Object.values(forced.artifacts).every((status) => status === 'built'), '--force should rebuild everything');
+});
+
+// Run tests
+const success = await run();
+process.exit(success ? 0 : 1);
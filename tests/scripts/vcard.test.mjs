@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+/**
+ * Tests for vcard.mjs
+ */
+
+import { generateVCard, generateMeCard, escapeVCardValue, foldLine, resolveNameParts, resolveProjectPath } from '../../scripts/vcard.mjs';
+import { existsSync } from 'fs';
+import { isAbsolute } from 'path';
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+async function runTests() {
+  const results = [];
+  
+  function test(name, fn) {
+    results.push({ name, fn });
+  }
+  
+  async function run() {
+    console.log('\nvCard Module Tests\n');
+    let passed = 0;
+    let failed = 0;
+    
+    for (const { name, fn } of results) {
+      try {
+        await fn();
+        console.log(`✓ ${name}`);
+        passed++;
+      } catch (error) {
+        console.error(`✗ ${name}: ${error.message}`);
+        failed++;
+      }
+    }
+    
+    console.log(`\nTests: ${passed} passed, ${failed} failed`);
+    return failed === 0;
+  }
+  
+  return { test, run };
+}
+
+const { test, run } = await runTests();
+
+test('escapeVCardValue should escape commas, semicolons, backslashes and newlines', () => {
+  const escaped = escapeVCardValue('a,b;c\\d\ne');
+  assert(escaped === 'a\\,b\\;c\\\\d\\ne', `Unexpected escaping: ${escaped}`);
+});
+
+test('foldLine should fold at 75 octets without splitting multi-byte characters', () => {
+  const line = `NOTE:${'ä'.repeat(60)}`;
+  const folded = foldLine(line);
+  const parts = folded.split('\r\n');
+  
+  assert(parts.length > 1, 'Long line should be folded');
+  parts.forEach((part) => {
+    assert(Buffer.byteLength(part, 'utf8') <= 75, 'Folded line should not exceed 75 octets');
+  });
+  assert(parts.slice(1).every((part) => part.startsWith(' ')), 'Continuation lines should start with a space');
+  assert(parts.map((part, i) => (i === 0 ? part : part.slice(1))).join('') === line, 'Unfolding should restore the line');
+});
+
+test('resolveNameParts should keep name particles with the family name', () => {
+  const parts = resolveNameParts({ name: 'Anna von Schmidt' });
+  assert(parts.givenName === 'Anna', 'Given name should be Anna');
+  assert(parts.familyName === 'von Schmidt', `Family name should be "von Schmidt", got "${parts.familyName}"`);
+});
+
+test('resolveNameParts should prefer explicit fields and split prefixes', () => {
+  const explicit = resolveNameParts({ name: 'Max Mustermann', givenName: 'Max', familyName: 'Muster-Mann' });
+  assert(explicit.familyName === 'Muster-Mann', 'Explicit family name should win');
+  
+  const prefixed = resolveNameParts({ name: 'Dr. Max Mustermann' });
+  assert(prefixed.honorificPrefix === 'Dr.', 'Prefix should be split off');
+  assert(prefixed.givenName === 'Max', 'Given name should follow the prefix');
+});
+
+test('generateVCard should write escaped, structured 3.0 output without forcing a country', () => {
+  const vcard = generateVCard({
+    name: 'Anna von Schmidt',
+    position: 'Lead Developer, Backend',
+    email: 'anna@kieks.me',
+    address: 'Beispielweg 45',
+    city: 'München',
+  });
+  const lines = vcard.split('\r\n');
+  
+  assert(lines.includes('VERSION:3.0'), 'Should be version 3.0');
+  assert(lines.includes('N:von Schmidt;Anna;;;'), 'Should write structured name');
+  assert(lines.includes('TITLE:Lead Developer\\, Backend'), 'Should escape commas');
+  assert(lines.includes('ADR;TYPE=WORK:;;Beispielweg 45;München;;;'), 'Should not force a country');
+});
+
+test('generateVCard should support vCard 4.0 with tel URIs and embedded logo', () => {
+  const vcard = generateVCard(
+    { name: 'Max Mustermann', phone: '+49 30 1234567' },
+    { version: '4.0', includeLogo: true }
+  );
+  const unfolded = vcard.replace(/\r\n /g, '');
+  
+  assert(unfolded.includes('VERSION:4.0'), 'Should be version 4.0');
+  assert(unfolded.includes('TEL;VALUE=uri;TYPE="work,voice":tel:+49301234567'), 'Should write tel URI');
+  assert(unfolded.includes('LOGO:data:image/png;base64,'), 'Should embed logo as data URI');
+});
+
+test('generateVCard should write phone numbers in E.164 for the contact country', () => {
+  const vcard = generateVCard({ name: 'Anna Schmidt', phone: '044 123 45 67', mobile: '079 123 45 67', country: 'Schweiz' });
+  
+  assert(vcard.includes('TEL;TYPE=WORK,VOICE:+41441234567'), 'National numbers should get the country code');
+  assert(vcard.includes('TEL;TYPE=CELL:+41791234567'), 'Mobile numbers should be normalized too');
+  assert(generateMeCard({ name: 'Max', phone: '030 1234567' }).includes('TEL:+49301234567;'), 'MeCard should use E.164');
+});
+
+test('generateVCard should reject unknown versions', () => {
+  try {
+    generateVCard({ name: 'Max' }, { version: '2.1' });
+    assert(false, 'Should throw');
+  } catch (error) {
+    assert(error.message.includes('vCard-Version'), 'Should report unsupported version');
+  }
+});
+
+test('resolveProjectPath should resolve photos against the project root', () => {
+  const photo = resolveProjectPath('source/avatars/kieksme-avatar-tschoene.png');
+  assert(isAbsolute(photo) && existsSync(photo), `Relative photo should be found from any working directory: ${photo}`);
+  assert(resolveProjectPath('/tmp/photo.png') === '/tmp/photo.png', 'Absolute paths should be kept');
+});
+
+test('generateMeCard should write a compact, escaped MeCard', () => {
+  const mecard = generateMeCard({
+    name: 'Max von Mustermann',
+    position: 'Entwicklung; Betrieb',
+    email: 'max@kieks.me',
+    phone: '+49 30 1234567',
+    address: 'Musterstraße 1',
+    postalCode: '10115',
+    city: 'Berlin',
+    website: 'kieks.me',
+    socialMedia: [{ name: 'GitHub', url: 'https://github.com/max' }],
+  });
+  
+  assert(mecard.startsWith('MECARD:N:von Mustermann,Max;ORG:kieks.me GbR;'), `Unexpected start: ${mecard}`);
+  assert(mecard.includes('TITLE:Entwicklung\\; Betrieb;'), 'Should escape semicolons');
+  assert(mecard.includes('ADR:Musterstraße 1, 10115 Berlin;'), 'Should write a one-line address');
+  assert(mecard.includes('URL:https\\://kieks.me;'), 'Should normalize and escape the website');
+  assert(!mecard.includes('github'), 'Should leave out social media');
+  assert(mecard.endsWith(';;'), 'Should end with ;;');
+});
+
+const success = await run();
+process.exit(success ? 0 : 1);